@@ -0,0 +1,26 @@
+// The server targets Node 16 (see "engines" in package.json), so code sticks to ES2019 syntax:
+// no optional chaining or nullish coalescing.
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2019: true
+  },
+  parserOptions: {
+    ecmaVersion: 2019,
+    sourceType: 'script'
+  },
+  extends: 'eslint:recommended',
+  ignorePatterns: ['node_modules/', 'temp/', 'data/'],
+  overrides: [
+    {
+      files: ['tests/**/*.js'],
+      env: { jest: true }
+    },
+    {
+      // Standalone evaluation script from before the server existed; it is an ES module
+      files: ['reportGenerator.js'],
+      parserOptions: { ecmaVersion: 2022, sourceType: 'module' }
+    }
+  ]
+};
@@ -61,4 +61,255 @@ $ language 'plpgsql';
 
 -- Create trigger for automatic timestamp updates
 CREATE TRIGGER update_presentations_updated_at BEFORE UPDATE ON presentations
-    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Create processing jobs table for background presentation uploads
+CREATE TABLE processing_jobs (
+    id UUID PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    current_stage VARCHAR(50),
+    progress INTEGER NOT NULL DEFAULT 0,
+    payload JSONB DEFAULT '{}'::jsonb,
+    artifacts JSONB DEFAULT '{}'::jsonb,
+    stages JSONB DEFAULT '{}'::jsonb,
+    slides JSONB DEFAULT '{}'::jsonb,
+    result JSONB DEFAULT '{}'::jsonb,
+    errors JSONB DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_processing_jobs_status ON processing_jobs(status, created_at);
+
+-- Record whether each slide's text came from the PDF text layer or OCR
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS slide_sources JSONB DEFAULT '{}'::jsonb;
+
+-- Storage keys of each slide's rendered image variants (full, vr, thumb)
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS slide_images JSONB DEFAULT '{}'::jsonb;
+
+-- Slide titles and speaker notes imported from PPTX/ODP decks
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS slide_titles JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS speaker_notes JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS source_format VARCHAR(10) DEFAULT 'pdf';
+
+-- Create rehearsal sessions table for recorded run-throughs and their pacing analytics
+CREATE TABLE rehearsal_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    presentation_code VARCHAR(5) NOT NULL,
+    transcript TEXT,
+    words JSONB DEFAULT '[]'::jsonb,
+    slide_timestamps JSONB DEFAULT '[]'::jsonb,
+    metrics JSONB DEFAULT '{}'::jsonb,
+    duration_seconds DECIMAL(10,2) DEFAULT 0,
+    stt_provider VARCHAR(50),
+    stt_model VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_rehearsal_sessions_presentation ON rehearsal_sessions(presentation_code, created_at DESC);
+
+-- Live rehearsals streamed over the WebSocket channel keep their events and answered questions
+ALTER TABLE rehearsal_sessions ADD COLUMN IF NOT EXISTS source VARCHAR(10) DEFAULT 'upload';
+ALTER TABLE rehearsal_sessions ADD COLUMN IF NOT EXISTS live_events JSONB;
+ALTER TABLE rehearsal_sessions ADD COLUMN IF NOT EXISTS qa_pairs JSONB DEFAULT '[]'::jsonb;
+
+-- Audience personas and the persona-tagged questions generated for them
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS audience JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS question_set JSONB DEFAULT '[]'::jsonb;
+
+-- Create Q&A threads table for multi-turn questioning with audience follow-ups
+CREATE TABLE qa_threads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    presentation_code VARCHAR(5) NOT NULL,
+    slide INTEGER NOT NULL,
+    question_id VARCHAR(100),
+    persona VARCHAR(50),
+    difficulty VARCHAR(10),
+    audience JSONB,
+    turns JSONB NOT NULL DEFAULT '[]'::jsonb,
+    follow_up_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(10) NOT NULL DEFAULT 'open',
+    closed_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_qa_threads_presentation ON qa_threads(presentation_code, created_at DESC);
+
+CREATE TRIGGER update_qa_threads_updated_at BEFORE UPDATE ON qa_threads
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Create rubrics table for custom scoring rubrics (built-in rubrics live in code)
+CREATE TABLE rubrics (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rubric_id VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    definition JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_rubrics_updated_at BEFORE UPDATE ON rubrics
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Reports record the rubric they were scored with; failed evaluations are not averaged in as 0
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS rubric_id VARCHAR(100) DEFAULT 'default';
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS failed_evaluations INTEGER DEFAULT 0;
+ALTER TABLE reports ALTER COLUMN average_score DROP DEFAULT;
+ALTER TABLE reports ALTER COLUMN pass_rate DROP DEFAULT;
+
+-- Reports graded against a presentation's deck are linked to it
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS presentation_code VARCHAR(5);
+CREATE INDEX IF NOT EXISTS idx_reports_presentation_code ON reports(presentation_code, created_at DESC);
+
+-- Create speakers table; presentations, rehearsal sessions and reports can belong to a speaker
+CREATE TABLE speakers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_speakers_updated_at BEFORE UPDATE ON speakers
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS speaker_id UUID REFERENCES speakers(id) ON DELETE SET NULL;
+ALTER TABLE rehearsal_sessions ADD COLUMN IF NOT EXISTS speaker_id UUID REFERENCES speakers(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS speaker_id UUID REFERENCES speakers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_presentations_speaker ON presentations(speaker_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rehearsal_sessions_speaker ON rehearsal_sessions(speaker_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_speaker ON reports(speaker_id, created_at DESC);
+
+-- Create users table; the first registered account becomes an admin
+CREATE TABLE users (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    password_hash TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Create api_keys table for headsets; only a SHA-256 hash of each key is stored
+CREATE TABLE api_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_api_keys_user ON api_keys(user_id);
+
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Records belong to the account that created them; rows without an owner are visible to admins only
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE rehearsal_sessions ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE qa_threads ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE speakers ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE rubrics ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_presentations_owner ON presentations(owner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_owner ON reports(owner_id, created_at DESC);
+
+-- Create join_codes table: expiry, revocation and usage limits for presentation and report codes
+CREATE TABLE join_codes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code VARCHAR(16) UNIQUE NOT NULL,
+    kind VARCHAR(20) NOT NULL,
+    owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    max_uses INTEGER,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_join_codes_updated_at BEFORE UPDATE ON join_codes
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Join codes are longer than the original 5-digit codes
+ALTER TABLE presentations ALTER COLUMN unique_code TYPE VARCHAR(16);
+ALTER TABLE reports ALTER COLUMN unique_code TYPE VARCHAR(16);
+ALTER TABLE reports ALTER COLUMN presentation_code TYPE VARCHAR(16);
+ALTER TABLE rehearsal_sessions ALTER COLUMN presentation_code TYPE VARCHAR(16);
+ALTER TABLE qa_threads ALTER COLUMN presentation_code TYPE VARCHAR(16);
+
+-- Deck revisions: a re-uploaded deck keeps its code and every processed version is kept as a snapshot
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE presentation_revisions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    presentation_code VARCHAR(16) NOT NULL REFERENCES presentations(unique_code) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    title VARCHAR(255),
+    filename VARCHAR(255),
+    source_format VARCHAR(10),
+    slide_count INTEGER NOT NULL DEFAULT 0,
+    slide_texts JSONB DEFAULT '{}'::jsonb,
+    slide_titles JSONB DEFAULT '{}'::jsonb,
+    question_set JSONB DEFAULT '[]'::jsonb,
+    speech_content JSONB DEFAULT '{}'::jsonb,
+    changes JSONB,
+    job_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (presentation_code, revision)
+);
+
+CREATE TRIGGER update_presentation_revisions_updated_at BEFORE UPDATE ON presentation_revisions
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Cache of AI-generated slide content, keyed on a hash of the normalized slide text, prompt version and model
+CREATE TABLE ai_content_cache (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    cache_key VARCHAR(64) UNIQUE NOT NULL,
+    kind VARCHAR(20) NOT NULL,
+    prompt_version VARCHAR(50) NOT NULL,
+    provider VARCHAR(20),
+    model VARCHAR(100),
+    text_hash VARCHAR(64) NOT NULL,
+    content JSONB NOT NULL,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_content_cache_version ON ai_content_cache(prompt_version, kind);
+
+CREATE TRIGGER update_ai_content_cache_updated_at BEFORE UPDATE ON ai_content_cache
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Output languages chosen by the presenter and the languages detected in the deck
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS language_settings JSONB;
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS slide_languages JSONB DEFAULT '{}';
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS deck_language VARCHAR(10);
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS language_settings JSONB;
+
+-- Text-to-speech audio of questions and speech, keyed by question id and by slide and voice
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS audio_files JSONB DEFAULT '{}';
+
+-- Reports are Q&A evaluations ('qa') or script adherence checks of a rehearsal ('script-adherence')
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS report_type VARCHAR(30) NOT NULL DEFAULT 'qa';
+
+-- Target length of the talk in seconds and the per-slide time budgets built from it
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS target_seconds INTEGER;
+ALTER TABLE presentations ADD COLUMN IF NOT EXISTS timing_plan JSONB;
@@ -1,13 +1,36 @@
 const express = require('express');
-const { exec } = require('child_process');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const pdfParse = require('pdf-parse');
-const OpenAI = require('openai');
 require('dotenv').config();
+const { backendName, repositories, slideStorage, getBlobStore, verifySignedUrl } = require('./services/storage');
+const { describeConfig, rateLimitStatus } = require('./services/llm');
+const { createJob, getJob, resumeUnfinishedJobs, serializeJob } = require('./services/jobQueue');
+const { JOB_TYPE: PRESENTATION_UPLOAD_JOB } = require('./services/presentationPipeline');
+const { JOB_TYPE: QUESTION_SET_JOB } = require('./services/questionPipeline');
+const { JOB_TYPE: SLIDE_REGENERATE_JOB, PARTS: SLIDE_PARTS } = require('./services/slidePipeline');
+const { JOB_TYPE: PRESENTATION_AUDIO_JOB, audioUrls } = require('./services/audioPipeline');
+const { JOB_TYPE: SPEECH_FIT_JOB } = require('./services/timingPipeline');
+const { PresentationError, parseSlideNumber, slideEditPatch, presentationEditPatch, deletePresentation, serializePresentationSummary } = require('./services/presentations');
+const { matchSlides, listRevisions, serializeRevision } = require('./services/deckRevisions');
+const { PROMPT_VERSIONS, invalidatePromptVersion, cacheStats } = require('./services/contentCache');
+const { resolveAudience, listPersonas } = require('./services/personas');
+const { parseLanguageSettings } = require('./services/languages');
+const { parseTargetMinutes, compareTiming } = require('./services/timingPlan');
+const { QaThreadError, startThread, answerThread, threadToQaPair, serializeThread } = require('./services/qaThreads');
+const { listBuiltInRubrics, normalizeRubric, getBuiltInRubric, resolveRubric } = require('./services/rubrics');
+const { generateReport, reportLanguages, summarizeReport, summarizeSlides } = require('./services/evaluation');
+const { EXPORT_FORMATS, exportReport } = require('./services/reportExport');
+const { AuthError, createUser, login, issueToken, createApiKey, serializeApiKey, serializeUser, requireAuth, requireRole, canAccess, ownedBy } = require('./services/auth');
+const { JoinCodeError, normalizeCode, parseCodeOptions, issueCode, checkCode, updateCodePolicy, revokeCode, serializeCode } = require('./services/joinCodes');
+const { SpeakerError, createSpeaker, findSpeaker, serializeSpeaker, buildHistory, compareReports } = require('./services/speakers');
+const { getDeckFormat, canConvertDecks } = require('./services/deckImporters');
+const { transcribeAudio } = require('./services/stt');
+const { isTtsEnabled, getSynthesizer } = require('./services/tts');
+const { analyzeRehearsal, normalizeSlideTimestamps } = require('./services/speechAnalytics');
+const { REPORT_TYPE: SCRIPT_ADHERENCE_REPORT, AdherenceError, parseTranscripts, transcriptsFromRehearsal, analyzeScriptAdherence } = require('./services/scriptAdherence');
+const { attachRehearsalSocket } = require('./services/rehearsalSocket');
 
 const app = express();
 
@@ -24,8 +47,8 @@ const corsOptions = {
     'https://awaaz-vr.vercel.app'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 };
 
 // Middleware
@@ -33,357 +56,382 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Every API route needs a session token or API key, except signing in and signed blob URLs
+app.use('/api', requireAuth({
+  publicPaths: [/^\/api\/auth\/(login|register)$/, /^\/api\/storage\//]
+}));
+
 // File upload configuration
 const upload = multer({
   dest: 'temp/',
   limits: { fileSize: 100 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /\.(pdf)$/i;
-    if (allowedTypes.test(file.originalname)) {
+    if (getDeckFormat(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'));
+      cb(new Error('Only PDF, PPTX, ODP or ZIP (slide images) files are allowed'));
     }
   }
 });
 
-// Initialize Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// Accept the deck under the original "pdf" field or the generic "file" field
+const uploadDeck = upload.fields([
+  { name: 'pdf', maxCount: 1 },
+  { name: 'file', maxCount: 1 }
+]);
+
+// Rehearsal recordings from the VR client
+const AUDIO_EXTENSIONS = ['.wav', '.webm', '.opus', '.ogg', '.mp3', '.m4a'];
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+const audioUpload = multer({
+  dest: 'temp/',
+  limits: { fileSize: 100 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (AUDIO_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only WAV, WebM, Opus, OGG, MP3 or M4A audio files are allowed'));
+    }
+  }
 });
 
-// Generate 5-digit unique code
-function generateUniqueCode() {
-  return Math.floor(10000 + Math.random() * 90000).toString();
+// Look up a record for the signed-in user. Records owned by someone else are reported as
+// missing, so a guessed code or id reveals nothing.
+async function findOwned(repository, where, user) {
+  const record = await repository.findOne(where);
+  return record && canAccess(user, record.owner_id) ? record : null;
 }
 
-// Convert PDF to images using Python script
-async function convertPdfToImages(pdfPath, outputDir) {
-  return new Promise((resolve, reject) => {
-    const command = `python test.py "${pdfPath}" "${outputDir}"`;
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`Error executing python script: ${error}`);
-        return reject(new Error('PDF to image conversion failed.'));
-      }
-      if (stderr) {
-        console.error(`Python script stderr: ${stderr}`);
-      }
-      console.log(`Python script stdout: ${stdout}`);
-      
-      // Read the output directory to get the list of images
-      fs.readdir(outputDir, (err, files) => {
-        if (err) {
-          console.error(`Error reading output directory: ${err}`);
-          return reject(new Error('Failed to read output directory.'));
-        }
-        const images = files.map(file => ({ path: path.join(outputDir, file) }));
-        resolve(images);
-      });
-    });
-  });
+// Find a presentation or report by its join code. Expired, revoked and used-up codes throw a
+// JoinCodeError; `consume` counts the lookup towards the code's usage limit.
+async function findByCode(kind, code, user, options) {
+  const repository = kind === 'presentation' ? repositories.presentations : repositories.reports;
+  const record = await findOwned(repository, { unique_code: normalizeCode(code) }, user);
+  if (record) {
+    await checkCode(kind, record.unique_code, options);
+  }
+  return record;
 }
 
-// Extract text directly from PDF
-async function extractTextFromPdf(pdfPath) {
+function sendJoinCodeError(res, error) {
+  return res.status(error.status).json({ error: error.message, reason: error.reason });
+}
+
+// Q&A reports predate report types, so a report without one is a Q&A report
+const QA_REPORT = 'qa';
+
+function reportType(report) {
+  return report.report_type || QA_REPORT;
+}
+
+// Register a new account; the first account on a fresh install becomes the admin
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const dataBuffer = fs.readFileSync(pdfPath);
-    const data = await pdfParse(dataBuffer);
-    
-    // Split text by pages (approximate)
-    const text = data.text;
-    const pages = text.split('\f'); // Form feed character often separates pages
-    
-    // If no form feed characters, try to split by common page breaks
-    if (pages.length === 1) {
-      const splitText = text.split(/\n\s*\n\s*\n/);
-      return splitText.filter(page => page.trim().length > 0);
+    const { email, password, name } = req.body || {};
+    const user = await createUser({ email, password, name });
+
+    res.status(201).json({
+      success: true,
+      user: serializeUser(user),
+      token: issueToken(user)
+    });
+
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    return pages.filter(page => page.trim().length > 0);
+    console.error('Register error:', error);
+    res.status(500).json({
+      error: 'Failed to register',
+      details: error.message
+    });
+  }
+});
+
+// Sign in with email and password for a JWT session token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const session = await login(req.body || {});
+
+    res.json({
+      success: true,
+      token: session.token,
+      expiresIn: session.expiresIn,
+      user: serializeUser(session.user)
+    });
+
   } catch (error) {
-    console.error('PDF text extraction error:', error);
-    return [];
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Failed to sign in',
+      details: error.message
+    });
   }
-}
+});
 
-// Upload images to Supabase storage
-async function uploadImagesToSupabase(imageResults, uniqueCode) {
-  const uploadedSlides = {};
-  
-  for (let i = 0; i < imageResults.length; i++) {
-    const slideNumber = i + 1;
-    const imagePath = imageResults[i].path;
-    
-    try {
-      console.log(`Uploading slide ${slideNumber} image to Supabase...`);
-      
-      // Upload image to Supabase storage
-      const imageBuffer = fs.readFileSync(imagePath);
-      const fileName = `${uniqueCode}/slide_${slideNumber}.png`;
-      
-      const { error: uploadError } = await supabase.storage
-        .from('presentation-slides')
-        .upload(fileName, imageBuffer, {
-          contentType: 'image/png',
-          upsert: true
-        });
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    user: serializeUser(req.user)
+  });
+});
 
-      if (uploadError) {
-        console.error(`Upload error for slide ${slideNumber}:`, uploadError);
-        continue;
-      }
-      
-      uploadedSlides[slideNumber] = true;
-      console.log(`Successfully uploaded slide ${slideNumber}`);
-      
-    } catch (error) {
-      console.error(`Error uploading slide ${slideNumber}:`, error);
+// Create an API key for a headset; the key itself is only shown in this response
+app.post('/api/auth/api-keys', async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'API keys need a signed-in user' });
     }
+
+    const { apiKey, record } = await createApiKey(req.user, (req.body || {}).name);
+
+    res.status(201).json({
+      success: true,
+      apiKey,
+      key: serializeApiKey(record),
+      message: 'Store this key now; it cannot be shown again'
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      details: error.message
+    });
   }
-  
-  return uploadedSlides;
-}
+});
 
-// Generate questions using OpenAI
-async function generateQuestionsWithOpenAI(slideText, slideNumber) {
+app.get('/api/auth/api-keys', async (req, res) => {
   try {
-    const prompt = `Based on this slide content from slide ${slideNumber}:
-    "${slideText}"
-    
-    Generate exactly 1 relevant audience question that someone might ask during a presentation about this content. 
-    The question should be specific, thoughtful, and relevant to the slide content.
-    Return only the question text, nothing else.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 150,
-      temperature: 0.7,
+    const { rows } = await repositories.apiKeys.findMany({ where: { user_id: req.user.id } });
+
+    res.json({
+      success: true,
+      keys: rows.map(serializeApiKey)
     });
 
-    return completion.choices[0].message.content.trim();
   } catch (error) {
-    console.error('OpenAI API Error:', error);
-    return null;
+    console.error('Fetch API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      details: error.message
+    });
   }
-}
+});
 
-// Generate speech content using OpenAI
-async function generateSpeechContentWithOpenAI(slideText, slideNumber) {
+app.delete('/api/auth/api-keys/:id', async (req, res) => {
   try {
-    const prompt = `Based on this slide content from slide ${slideNumber}:
-    "${slideText}"
-    
-    Generate appropriate speaking content that a presenter could use to present this slide. 
-    The content should be:
-    - Clear and professional
-    - 2-3 sentences long
-    - Easy to speak and remember
-    - Engaging for the audience
-    
-    Return only the speech content, nothing else.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 200,
-      temperature: 0.7,
+    const [revoked] = await repositories.apiKeys.update(
+      { id: req.params.id, user_id: req.user.id },
+      { revoked_at: new Date().toISOString() }
+    );
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({
+      success: true,
+      key: serializeApiKey(revoked)
     });
 
-    return completion.choices[0].message.content.trim();
   } catch (error) {
-    console.error('OpenAI API Error:', error);
-    return null;
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      details: error.message
+    });
   }
-}
+});
 
-// Process PDF text and generate content with rate limiting
-async function processTextContent(pdfPages, uniqueCode) {
-  const slideData = {};
-  const questionsData = {};
-  const speechContent = {};
-  
-  console.log(`Starting to process ${pdfPages.length} pages of text content...`);
-  
-  for (let i = 0; i < pdfPages.length; i++) {
-    const slideNumber = i + 1;
-    const extractedText = pdfPages[i].trim();
-    
-    console.log(`\n--- Processing slide ${slideNumber} ---`);
-    console.log(`Text length: ${extractedText.length} characters`);
-    console.log(`Text preview: "${extractedText.substring(0, 150)}..."`);
-    
-    if (extractedText && extractedText.length > 10) { // Minimum text length check
-      slideData[slideNumber] = extractedText;
-      
-      // Generate questions with OpenAI
-      console.log(`Generating questions for slide ${slideNumber}...`);
-      try {
-        // Add delay between API calls to respect rate limits
-        if (i > 0) {
-          console.log('Waiting 25 seconds to avoid rate limits...');
-          await new Promise(resolve => setTimeout(resolve, 25000));
-        }
-        
-        const question = await generateQuestionsWithOpenAI(extractedText, slideNumber);
-        if (question) {
-          questionsData[slideNumber] = [question];
-          console.log(`✓ Question generated for slide ${slideNumber}: "${question.substring(0, 100)}..."`);
-        } else {
-          console.log(`✗ No question generated for slide ${slideNumber}`);
-        }
-      } catch (error) {
-        console.error(`Error generating question for slide ${slideNumber}:`, error);
-      }
-      
-      // Generate speech content with OpenAI
-      console.log(`Generating speech content for slide ${slideNumber}...`);
-      try {
-        // Additional delay for speech generation
-        console.log('Waiting 25 seconds to avoid rate limits...');
-        await new Promise(resolve => setTimeout(resolve, 25000));
-        
-        const speech = await generateSpeechContentWithOpenAI(extractedText, slideNumber);
-        if (speech) {
-          speechContent[slideNumber] = speech;
-          console.log(`✓ Speech generated for slide ${slideNumber}: "${speech.substring(0, 100)}..."`);
-        } else {
-          console.log(`✗ No speech generated for slide ${slideNumber}`);
-        }
-      } catch (error) {
-        console.error(`Error generating speech for slide ${slideNumber}:`, error);
-      }
-    } else {
-      console.log(`⚠ Skipping slide ${slideNumber} - insufficient text content`);
+// Admin: list accounts
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { rows } = await repositories.users.findMany({ orderBy: 'email', ascending: true });
+
+    res.json({
+      success: true,
+      users: rows.map(serializeUser)
+    });
+
+  } catch (error) {
+    console.error('Fetch users error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users',
+      details: error.message
+    });
+  }
+});
+
+// Admin: create an account with a chosen role, also when self-service signup is disabled
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await createUser(req.body || {}, { createdBy: req.user });
+
+    res.status(201).json({
+      success: true,
+      user: serializeUser(user)
+    });
+
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Create user error:', error);
+    res.status(500).json({
+      error: 'Failed to create user',
+      details: error.message
+    });
   }
-  
-  console.log(`\n--- Processing Summary ---`);
-  console.log(`Slides with text: ${Object.keys(slideData).length}`);
-  console.log(`Slides with questions: ${Object.keys(questionsData).length}`);
-  console.log(`Slides with speech: ${Object.keys(speechContent).length}`);
-  
-  return { slideData, questionsData, speechContent };
-}
+});
+
+// Upload a deck (PDF, PPTX, ODP or ZIP of slide images) and queue it for background processing
+app.post('/api/upload-presentation', uploadDeck, async (req, res) => {
+  const files = req.files || {};
+  req.file = (files.pdf || files.file || [])[0];
 
-// Upload and process PDF
-app.post('/api/upload-presentation', upload.single('pdf'), async (req, res) => {
-  let tempDir = null;
-  
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No PDF file uploaded' });
+      return res.status(400).json({ error: 'No presentation file uploaded' });
     }
 
-    // Generate unique code
-    const uniqueCode = generateUniqueCode();
-    
-    // Create temporary directory for processing
-    tempDir = path.join(__dirname, 'temp', uniqueCode);
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
+    // Optional audience personas, sent as a JSON string field
+    let audience;
+    try {
+      audience = resolveAudience(req.body.audience);
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: error.message });
     }
 
-    // STEP 1: Extract text directly from PDF (always do this)
-    console.log('Extracting text from PDF...');
-    const pdfPages = await extractTextFromPdf(req.file.path);
-    console.log(`Extracted text from ${pdfPages.length} pages`);
-
-    // STEP 2: Process text content (generate questions and speech)
-    console.log('Processing text content and generating AI content...');
-    const { slideData, questionsData, speechContent } = await processTextContent(pdfPages, uniqueCode);
+    // Optional output languages: language, questionLanguage, speechLanguage, feedbackLanguage
+    let languageSettings;
+    try {
+      languageSettings = parseLanguageSettings(req.body);
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: error.message });
+    }
 
-    // STEP 3: Try to convert PDF to images and upload them
-    let hasImages = false;
-    let imageUploadResults = {};
-    
+    // Optional target length of the talk; speech content is sized to each slide's share of it
+    let targetSeconds;
     try {
-      console.log('Converting PDF to images...');
-      const imageResults = await convertPdfToImages(req.file.path, tempDir);
-      console.log(`Successfully converted ${imageResults.length} pages to images`);
-      
-      // Upload images to Supabase
-      console.log('Uploading images to Supabase...');
-      imageUploadResults = await uploadImagesToSupabase(imageResults, uniqueCode);
-      hasImages = Object.keys(imageUploadResults).length > 0;
-      
-      console.log(`Successfully uploaded ${Object.keys(imageUploadResults).length} images`);
-      
-    } catch (conversionError) {
-      console.log('Image conversion failed, continuing without images...');
-      console.error(conversionError.message);
-      hasImages = false;
-    }
-
-    const slideCount = pdfPages.length;
-
-    // Store in database
-    const { error: dbError } = await supabase
-      .from('presentations')
-      .insert({
-        unique_code: uniqueCode,
-        title: req.body.title || path.parse(req.file.originalname).name,
-        filename: req.file.originalname,
-        slide_count: slideCount,
-        slide_texts: slideData,
-        questions: questionsData,
-        speech_content: speechContent,
-        has_images: hasImages,
-        created_at: new Date().toISOString()
-      });
+      targetSeconds = parseTargetMinutes(req.body.targetMinutes);
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: error.message });
+    }
 
-    if (dbError) {
-      throw new Error(`Database error: ${dbError.message}`);
+    // Optional owner of the presentation
+    let speaker;
+    try {
+      speaker = await findSpeaker(req.body.speakerId, req.user);
+    } catch (error) {
+      if (!(error instanceof SpeakerError)) throw error;
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(error.status).json({ error: error.message });
     }
 
-    // Clean up temporary files
-    fs.rmSync(req.file.path);
-    if (fs.existsSync(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true });
+    let codeOptions;
+    try {
+      codeOptions = parseCodeOptions({ ttlHours: req.body.codeTtlHours, maxUses: req.body.codeMaxUses });
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(error.status).json({ error: error.message });
     }
 
-    res.json({
+    // Reserve the join code up front so a collision can never surface after processing
+    const joinCode = await issueCode('presentation', { ownerId: req.user.id, ...codeOptions });
+    const uniqueCode = joinCode.code;
+
+    // Extraction, AI generation, image conversion and upload run as job stages
+    const job = await createJob(PRESENTATION_UPLOAD_JOB, {
+      uniqueCode,
+      title: req.body.title || path.parse(req.file.originalname).name,
+      originalName: req.file.originalname,
+      format: getDeckFormat(req.file.originalname),
+      audience,
+      languageSettings,
+      targetSeconds,
+      speakerId: speaker ? speaker.id : null,
+      ownerId: req.user.id,
+      filePath: req.file.path,
+      tempDir: path.join(__dirname, 'temp', uniqueCode)
+    });
+
+    res.status(202).json({
       success: true,
+      jobId: job.id,
       code: uniqueCode,
-      slideCount: slideCount,
-      hasImages: hasImages,
-      uploadedImages: Object.keys(imageUploadResults).length,
-      message: hasImages 
-        ? `PDF processed successfully with ${Object.keys(imageUploadResults).length} images uploaded`
-        : 'PDF processed successfully (text only, image conversion failed)'
+      codeExpiresAt: joinCode.expires_at,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: 'Presentation uploaded successfully, processing has started'
     });
 
   } catch (error) {
-    console.error('Processing error:', error);
-    
+    console.error('Upload error:', error);
+
     // Clean up on error
     if (req.file && fs.existsSync(req.file.path)) {
       fs.rmSync(req.file.path);
     }
-    if (tempDir && fs.existsSync(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-    }
-    
-    res.status(500).json({ 
+
+    res.status(500).json({
       error: 'Failed to process presentation',
-      details: error.message 
+      details: error.message
+    });
+  }
+});
+
+// Get background job progress, partial results and errors
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job || !canAccess(req.user, job.payload.ownerId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: serializeJob(job)
+    });
+
+  } catch (error) {
+    console.error('Fetch job error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      details: error.message
+    });
+  }
+});
+
+// Serve blobs from the local storage backend through signed URLs
+app.get('/api/storage/:bucket/*', async (req, res) => {
+  try {
+    const { bucket } = req.params;
+    const key = req.params[0];
+    const store = getBlobStore(bucket);
+
+    if (!verifySignedUrl || !store) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    if (!verifySignedUrl(bucket, key, req.query.expires, req.query.token)) {
+      return res.status(403).json({ error: 'Invalid or expired signed URL' });
+    }
+
+    const data = await store.download(key);
+    res.set('Content-Type', store.getContentType(key));
+    res.send(data);
+
+  } catch (error) {
+    console.error('Storage fetch error:', error);
+    res.status(404).json({
+      error: 'Object not found',
+      details: error.message
     });
   }
 });
@@ -394,28 +442,32 @@ app.get('/api/presentation/:code', async (req, res) => {
     const { code } = req.params;
     
     // Fetch presentation from database
-    const { data: presentation, error } = await supabase
-      .from('presentations')
-      .select('*')
-      .eq('unique_code', code)
-      .single();
+    const presentation = await findByCode('presentation', code, req.user, { consume: true });
 
-    if (error || !presentation) {
+    if (!presentation) {
       return res.status(404).json({ error: 'Presentation not found' });
     }
 
     // Get signed URLs for slides if images exist
     const slideUrls = {};
+    const slideImageUrls = {};
     if (presentation.has_images) {
+      const slideImages = presentation.slide_images || {};
+
       for (let i = 1; i <= presentation.slide_count; i++) {
-        const fileName = `${code}/slide_${i}.png`;
-        
-        const { data: signedUrl } = await supabase.storage
-          .from('presentation-slides')
-          .createSignedUrl(fileName, 3600); // 1 hour expiry
-        
-        if (signedUrl) {
-          slideUrls[i] = signedUrl.signedUrl;
+        // Older presentations only have the full-size image
+        const keys = slideImages[i] || { full: `${presentation.unique_code}/slide_${i}.png` };
+        slideImageUrls[i] = {};
+
+        for (const [variantName, key] of Object.entries(keys)) {
+          const signedUrl = await slideStorage.createSignedUrl(key, 3600); // 1 hour expiry
+          if (signedUrl) {
+            slideImageUrls[i][variantName] = signedUrl;
+          }
+        }
+
+        if (slideImageUrls[i].full) {
+          slideUrls[i] = slideImageUrls[i].full;
         }
       }
     }
@@ -425,17 +477,35 @@ app.get('/api/presentation/:code', async (req, res) => {
       presentation: {
         code: presentation.unique_code,
         title: presentation.title,
+        speakerId: presentation.speaker_id || null,
         slideCount: presentation.slide_count,
         hasImages: presentation.has_images || false,
         slideUrls: slideUrls,
+        slideImageUrls: slideImageUrls,
         slideTexts: presentation.slide_texts,
         questions: presentation.questions,
+        questionSet: presentation.question_set || [],
+        audience: presentation.audience || [],
         speechContent: presentation.speech_content,
+        slideSources: presentation.slide_sources || {},
+        slideTitles: presentation.slide_titles || {},
+        speakerNotes: presentation.speaker_notes || {},
+        sourceFormat: presentation.source_format || 'pdf',
+        audio: await audioUrls(presentation, { voice: req.query.voice, persona: req.query.persona }),
+        languageSettings: presentation.language_settings || parseLanguageSettings(),
+        slideLanguages: presentation.slide_languages || {},
+        deckLanguage: presentation.deck_language || null,
+        targetSeconds: presentation.target_seconds || null,
+        timingPlan: presentation.timing_plan || null,
+        revision: presentation.revision || 1,
         createdAt: presentation.created_at
       }
     });
 
   } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
     console.error('Fetch error:', error);
     res.status(500).json({ 
       error: 'Failed to fetch presentation',
@@ -444,305 +514,1145 @@ app.get('/api/presentation/:code', async (req, res) => {
   }
 });
 
-// Initialize database tables
-app.post('/api/setup-database', async (req, res) => {
+// List the signed-in user's presentations, newest first: ?page=&pageSize=&search=&speakerId=
+app.get('/api/presentations', async (req, res) => {
   try {
-    // Create storage bucket first
-    const { error: bucketError } = await supabase.storage.createBucket('presentation-slides', {
-      public: true
-    });
+    const page = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || '20', 10) || 20));
 
-    // Bucket might already exist, that's okay
-    if (bucketError && !bucketError.message.includes('already exists')) {
-      console.warn('Bucket creation warning:', bucketError.message);
+    const where = ownedBy(req.user);
+    if (req.query.speakerId) {
+      where.speaker_id = req.query.speakerId;
     }
 
+    const { rows, total } = await repositories.presentations.findMany({
+      where,
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+      search: req.query.search ? { term: req.query.search, columns: ['title', 'unique_code'] } : undefined
+    });
+
     res.json({
       success: true,
-      message: 'Database setup completed successfully',
-      note: 'Please create the presentations table manually in Supabase SQL editor'
+      presentations: rows.map(serializePresentationSummary),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
     });
 
   } catch (error) {
-    console.error('Database setup error:', error);
+    console.error('List presentations error:', error);
     res.status(500).json({
-      error: 'Failed to setup database',
+      error: 'Failed to list presentations',
       details: error.message
     });
   }
 });
 
-// Add this to your server.js file
+// Management routes look presentations up by ownership only, so owners can still edit or
+// delete a presentation whose join code has expired or been revoked
 
-// Generate report using AI analysis with batch processing
-async function generateReport(qaPairs) {
-  console.log(`Starting batch evaluation for ${qaPairs.length} QA pairs...`);
-  
+// Rename a presentation, change its output languages or set its target length:
+// { title, targetMinutes, language, questionLanguage, ... }. New languages apply to content
+// generated from now on, e.g. regenerated slides. A new target length starts a job that rewrites
+// the speech of slides whose speech no longer fits their time budget.
+app.patch('/api/presentation/:code', async (req, res) => {
   try {
-    // Use the new batch evaluation function
-    const evaluations = await evaluateAllAnswersWithOpenAI(qaPairs);
-    
-    const results = [];
-    for (let i = 0; i < qaPairs.length; i++) {
-      const { question, userAnswer } = qaPairs[i];
-      const evaluation = evaluations[i];
-      
-      results.push({
-        "Question": question,
-        "User Answer": userAnswer,
-        "Reference Answer": evaluation.referenceAnswer,
-        "Similarity Score": evaluation.similarity,
-        "Missing Points": evaluation.missingPoints
-      });
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
     }
-    
-    console.log(`✓ Successfully evaluated all ${qaPairs.length} questions in single API call`);
-    return results;
-    
+
+    const patch = presentationEditPatch(req.body || {}, presentation);
+    const [updated] = await repositories.presentations.update({ unique_code: presentation.unique_code }, patch);
+
+    const job = patch.timing_plan
+      ? await createJob(SPEECH_FIT_JOB, { uniqueCode: presentation.unique_code, ownerId: presentation.owner_id })
+      : null;
+
+    res.json({
+      success: true,
+      presentation: serializePresentationSummary(updated),
+      timingPlan: updated.timing_plan || null,
+      ...(job && { jobId: job.id, statusUrl: `/api/jobs/${job.id}` })
+    });
+
   } catch (error) {
-    console.error('Batch evaluation failed, falling back to individual evaluations:', error);
-    
-    // Fallback to individual evaluations if batch fails
-    const results = [];
-    
-    for (let i = 0; i < qaPairs.length; i++) {
-      const { question, userAnswer } = qaPairs[i];
-      
-      try {
-        console.log(`Evaluating question ${i + 1}/${qaPairs.length}: "${question.substring(0, 50)}..."`);
-        
-        // Add delay between requests to avoid rate limiting (20 seconds for free tier)
-        if (i > 0) {
-          console.log('Waiting 25 seconds to avoid rate limits...');
-          await new Promise(resolve => setTimeout(resolve, 25000));
-        }
-        
-        const evaluation = await evaluateAnswerWithOpenAI(question, userAnswer);
-        
-        results.push({
-          "Question": question,
-          "User Answer": userAnswer,
-          "Reference Answer": evaluation.referenceAnswer,
-          "Similarity Score": evaluation.similarity,
-          "Missing Points": evaluation.missingPoints
-        });
-        
-        console.log(`✓ Question ${i + 1} evaluated successfully`);
-        
-      } catch (error) {
-        console.error(`Error evaluating question: ${question}`, error);
-        // Add a fallback result for failed evaluations
-        results.push({
-          "Question": question,
-          "User Answer": userAnswer,
-          "Reference Answer": "Unable to generate reference answer due to rate limits",
-          "Similarity Score": 0,
-          "Missing Points": "Evaluation failed - API rate limit exceeded"
-        });
-      }
+    if (error instanceof PresentationError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    return results;
+    console.error('Update presentation error:', error);
+    res.status(500).json({
+      error: 'Failed to update presentation',
+      details: error.message
+    });
   }
-}
+});
 
-// Evaluate all answers using OpenAI in a single call
-async function evaluateAllAnswersWithOpenAI(qaPairs, retryCount = 0) {
+// Edit one slide: { text, speechContent, questions: [string | { question, persona }] }
+app.patch('/api/presentation/:code/slides/:slide', async (req, res) => {
   try {
-    // Build the prompt for all questions at once
-    let prompt = `Evaluate the following question and answer pairs. For each pair, provide a comprehensive reference answer, similarity score (0-100), and missing key points.
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
 
-Respond with a JSON array where each object follows this exact format:
-{
-  "questionIndex": 1,
-  "referenceAnswer": "Your ideal answer here",
-  "similarity": 85,
-  "missingPoints": "Key points the user missed"
-}
+    const { slide, patch } = slideEditPatch(presentation, req.params.slide, req.body || {});
+    const [updated] = await repositories.presentations.update({ unique_code: presentation.unique_code }, patch);
 
-Question and Answer Pairs:
-`;
+    res.json({
+      success: true,
+      slide: {
+        slide,
+        text: (updated.slide_texts || {})[slide] || '',
+        speechContent: (updated.speech_content || {})[slide] || '',
+        questions: (updated.question_set || []).filter(entry => entry.slide === slide)
+      }
+    });
 
-    // Add each Q&A pair to the prompt
-    qaPairs.forEach((pair, index) => {
-      prompt += `
-${index + 1}. Question: "${pair.question}"
-   User Answer: "${pair.userAnswer}"
-`;
+  } catch (error) {
+    if (error instanceof PresentationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update slide error:', error);
+    res.status(500).json({
+      error: 'Failed to update slide',
+      details: error.message
     });
+  }
+});
 
-    prompt += `
-Please evaluate all ${qaPairs.length} question-answer pairs and return a JSON array with ${qaPairs.length} evaluation objects.`;
+// Regenerate the AI content of one slide in the background: { parts: ['questions', 'speech'] }
+app.post('/api/presentation/:code/slides/:slide/regenerate', async (req, res) => {
+  try {
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
 
-    console.log(`Sending ${qaPairs.length} questions to OpenAI for evaluation...`);
+    const slide = parseSlideNumber(presentation, req.params.slide);
+    const parts = (req.body || {}).parts || SLIDE_PARTS;
+    if (!Array.isArray(parts) || parts.length === 0 || parts.some(part => !SLIDE_PARTS.includes(part))) {
+      return res.status(400).json({ error: `parts must be a non-empty array of: ${SLIDE_PARTS.join(', ')}` });
+    }
+    if (!(presentation.slide_texts || {})[slide]) {
+      return res.status(400).json({ error: `Slide ${slide} has no text to generate from` });
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 800 * qaPairs.length, // Adjust tokens based on number of questions
-      temperature: 0.5,
+    const job = await createJob(SLIDE_REGENERATE_JOB, {
+      uniqueCode: presentation.unique_code,
+      slide,
+      parts,
+      audience: presentation.audience,
+      ownerId: presentation.owner_id
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      code: presentation.unique_code,
+      slide,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: `Regenerating ${parts.join(' and ')} for slide ${slide}`
     });
 
-    const responseText = completion.choices[0].message.content.trim();
-    console.log('OpenAI Response received:', responseText.substring(0, 200) + '...');
-    
-    // Try to parse the JSON response
-    try {
-      // Clean the response text (remove potential markdown formatting)
-      let cleanedResponse = responseText;
-      if (cleanedResponse.includes('```json')) {
-        cleanedResponse = cleanedResponse.replace(/```json\s*/, '').replace(/```\s*$/, '');
-      } else if (cleanedResponse.includes('```')) {
-        cleanedResponse = cleanedResponse.replace(/```\s*/, '').replace(/```\s*$/, '');
-      }
-      
-      const parsed = JSON.parse(cleanedResponse);
-      
-      // Ensure we have an array
-      const evaluations = Array.isArray(parsed) ? parsed : [parsed];
-      
-      // Map the results back to the expected format
-      const results = [];
-      for (let i = 0; i < qaPairs.length; i++) {
-        const evaluation = evaluations.find(e => e.questionIndex === i + 1) || evaluations[i] || {};
-        
-        results.push({
-          referenceAnswer: evaluation.referenceAnswer || "No reference answer generated",
-          similarity: evaluation.similarity || 0,
-          missingPoints: evaluation.missingPoints || "No missing points identified"
-        });
-      }
-      
-      return results;
-      
-    } catch (parseError) {
-      console.error('JSON parsing failed:', parseError);
-      console.log('Raw response:', responseText);
-      
-      // Fallback: create default responses for all questions
-      return qaPairs.map((_, index) => ({
-        referenceAnswer: "Unable to parse AI response for this question",
-        similarity: 0,
-        missingPoints: "Response parsing failed"
-      }));
-    }
-    
   } catch (error) {
-    console.error('OpenAI API Error in batch evaluation:', error);
-    
-    // Handle rate limiting with retry
-    if (error.status === 429 && retryCount < 2) {
-      const waitTime = error.headers && error.headers['retry-after'] 
-        ? parseInt(error.headers['retry-after']) * 1000 + 5000
-        : 30000;
-      
-      console.log(`Rate limited. Retrying in ${waitTime/1000} seconds... (Attempt ${retryCount + 1}/3)`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      return evaluateAllAnswersWithOpenAI(qaPairs, retryCount + 1);
-    }
-    
-    // Handle other errors - return fallback responses
-    if (error.status === 429) {
-      return qaPairs.map((_, index) => ({
-        referenceAnswer: "Rate limit exceeded. Please upgrade your OpenAI plan or try again later.",
-        similarity: 0,
-        missingPoints: "Unable to evaluate due to API rate limits."
-      }));
+    if (error instanceof PresentationError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    throw error;
+    console.error('Slide regeneration error:', error);
+    res.status(500).json({
+      error: 'Failed to start slide regeneration',
+      details: error.message
+    });
   }
-}
+});
 
-// Evaluate answer using OpenAI with retry logic (keeping for backwards compatibility)
-async function evaluateAnswerWithOpenAI(question, userAnswer, retryCount = 0) {
+// Render audio for a presentation's questions and speech in the background: { speechVoices? }.
+// Only text without up-to-date audio is sent to the speech engine.
+app.post('/api/presentation/:code/audio', async (req, res) => {
   try {
-    const prompt = `
-    Evaluate the following question and answer pair:
-    
-    Question: "${question}"
-    User Answer: "${userAnswer}"
-    
-    Please provide:
-    1. A comprehensive reference answer (2-3 sentences)
-    2. A similarity score between 0-100 (how well the user answer matches the ideal answer)
-    3. Missing key points from the user's answer
-    
-    Respond in this exact JSON format:
-    {
-      "referenceAnswer": "Your ideal answer here",
-      "similarity": 85,
-      "missingPoints": "Key points the user missed"
-    }`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 300,
-      temperature: 0.5,
+    if (!isTtsEnabled()) {
+      return res.status(503).json({ error: 'Text-to-speech is not configured; set TTS_PROVIDER' });
+    }
+
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const { speechVoices } = req.body || {};
+    if (speechVoices !== undefined && (!Array.isArray(speechVoices) || speechVoices.length === 0 ||
+      speechVoices.some(voice => typeof voice !== 'string' || !voice.trim()))) {
+      return res.status(400).json({
+        error: 'speechVoices must be a non-empty array of voice names',
+        voices: getSynthesizer().voices
+      });
+    }
+
+    const job = await createJob(PRESENTATION_AUDIO_JOB, {
+      uniqueCode: presentation.unique_code,
+      speechVoices: speechVoices ? speechVoices.map(voice => voice.trim()) : undefined,
+      ownerId: presentation.owner_id
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      code: presentation.unique_code,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: 'Audio rendering has started'
+    });
+
+  } catch (error) {
+    console.error('Audio rendering error:', error);
+    res.status(500).json({
+      error: 'Failed to start audio rendering',
+      details: error.message
+    });
+  }
+});
+
+// Delete a presentation and its slide images; reports and rehearsals are kept
+app.delete('/api/presentation/:code', async (req, res) => {
+  try {
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const { removedImages } = await deletePresentation(presentation);
+    console.log(`Deleted presentation ${presentation.unique_code} and ${removedImages} slide image(s)`);
+
+    res.json({
+      success: true,
+      code: presentation.unique_code,
+      removedImages,
+      message: 'Presentation deleted'
+    });
+
+  } catch (error) {
+    if (error instanceof PresentationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Delete presentation error:', error);
+    res.status(500).json({
+      error: 'Failed to delete presentation',
+      details: error.message
+    });
+  }
+});
+
+// Upload a new revision of a presentation. It keeps the code, so rehearsals and reports stay
+// attached; AI content is only regenerated for slides that changed.
+app.post('/api/presentation/:code/revisions', uploadDeck, async (req, res) => {
+  const files = req.files || {};
+  req.file = (files.pdf || files.file || [])[0];
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No presentation file uploaded' });
+    }
+
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    // The revision keeps the presentation's audience unless a new one is sent
+    let audience;
+    try {
+      audience = req.body.audience ? resolveAudience(req.body.audience) : presentation.audience || resolveAudience();
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Languages not sent keep the presentation's settings
+    let languageSettings;
+    try {
+      languageSettings = parseLanguageSettings(req.body, presentation.language_settings || {});
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: error.message });
+    }
+
+    // So does the target length; the plan is rebuilt for the new slides
+    let targetSeconds;
+    try {
+      targetSeconds = parseTargetMinutes(req.body.targetMinutes);
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: error.message });
+    }
+
+    const uniqueCode = presentation.unique_code;
+    const job = await createJob(PRESENTATION_UPLOAD_JOB, {
+      uniqueCode,
+      revisionOf: uniqueCode,
+      title: req.body.title || presentation.title,
+      originalName: req.file.originalname,
+      format: getDeckFormat(req.file.originalname),
+      audience,
+      languageSettings,
+      targetSeconds: targetSeconds === undefined ? presentation.target_seconds : targetSeconds,
+      speakerId: presentation.speaker_id || null,
+      ownerId: presentation.owner_id || null,
+      filePath: req.file.path,
+      tempDir: path.join(__dirname, 'temp', `${uniqueCode}-${Date.now()}`)
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      code: uniqueCode,
+      previousRevision: presentation.revision || 1,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: 'Revision uploaded successfully, processing has started'
+    });
+
+  } catch (error) {
+    console.error('Revision upload error:', error);
+
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.rmSync(req.file.path);
+    }
+
+    res.status(500).json({
+      error: 'Failed to process revision',
+      details: error.message
+    });
+  }
+});
+
+// Revision history of a presentation, oldest first
+app.get('/api/presentation/:code/revisions', async (req, res) => {
+  try {
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const revisions = await listRevisions(presentation);
+
+    res.json({
+      success: true,
+      code: presentation.unique_code,
+      currentRevision: presentation.revision || 1,
+      revisions: revisions.map(serializeRevision)
+    });
+
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to list revisions',
+      details: error.message
+    });
+  }
+});
+
+// Slide-level diff between two revisions: ?from=&to= (defaults to the latest two)
+app.get('/api/presentation/:code/diff', async (req, res) => {
+  try {
+    const presentation = await findOwned(repositories.presentations, { unique_code: normalizeCode(req.params.code) }, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const revisions = await listRevisions(presentation);
+    const latest = revisions[revisions.length - 1].revision;
+    const to = req.query.to ? Number(req.query.to) : latest;
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+
+    const target = revisions.find(revision => revision.revision === to);
+    const base = revisions.find(revision => revision.revision === from);
+    if (!target || !base) {
+      return res.status(404).json({
+        error: revisions.length < 2 ? 'This presentation has only one revision' : `Revision ${!base ? from : to} not found`,
+        revisions: revisions.map(revision => revision.revision)
+      });
+    }
+
+    const { summary, slides } = matchSlides(base, target);
+
+    res.json({
+      success: true,
+      code: presentation.unique_code,
+      from,
+      to,
+      summary,
+      slides
+    });
+
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    res.status(500).json({
+      error: 'Failed to compare revisions',
+      details: error.message
+    });
+  }
+});
+
+// List the built-in audience personas
+app.get('/api/personas', (req, res) => {
+  res.json({
+    success: true,
+    personas: listPersonas(),
+    difficulties: ['easy', 'medium', 'hard']
+  });
+});
+
+// Generate a new question set for an existing presentation without re-uploading the deck
+app.post('/api/presentation/:code/questions', async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    let audience;
+    try {
+      audience = resolveAudience(req.body.audience);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const presentation = await findByCode('presentation', code, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const job = await createJob(QUESTION_SET_JOB, { uniqueCode: presentation.unique_code, audience, ownerId: presentation.owner_id });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      code: presentation.unique_code,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: 'Question generation has started'
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Question regeneration error:', error);
+    res.status(500).json({
+      error: 'Failed to start question generation',
+      details: error.message
+    });
+  }
+});
+
+// Start a Q&A thread for one audience question: { slide, questionId?, question? }
+app.post('/api/presentation/:code/qa-threads', async (req, res) => {
+  try {
+    const presentation = await findByCode('presentation', req.params.code, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const thread = await startThread(presentation, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      thread: serializeThread(thread),
+      question: thread.turns[0].text
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    if (error instanceof QaThreadError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Start Q&A thread error:', error);
+    res.status(500).json({
+      error: 'Failed to start Q&A thread',
+      details: error.message
+    });
+  }
+});
+
+// Answer the latest question in a thread; the response carries the follow-up, if any
+app.post('/api/qa-threads/:id/answers', async (req, res) => {
+  try {
+    const answer = ((req.body || {}).answer || '').trim();
+    if (!answer) {
+      return res.status(400).json({ error: 'answer is required' });
+    }
+
+    const thread = await findOwned(repositories.qaThreads, { id: req.params.id }, req.user);
+    if (!thread) {
+      return res.status(404).json({ error: 'Q&A thread not found' });
+    }
+    const presentation = await repositories.presentations.findOne({ unique_code: thread.presentation_code });
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const updated = await answerThread(thread, presentation, answer);
+    const lastTurn = updated.turns[updated.turns.length - 1];
+
+    res.json({
+      success: true,
+      thread: serializeThread(updated),
+      followUp: updated.status === 'open' ? lastTurn.text : null,
+      closedReason: updated.closed_reason
+    });
+
+  } catch (error) {
+    if (error instanceof QaThreadError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Answer Q&A thread error:', error);
+    res.status(500).json({
+      error: 'Failed to record answer',
+      details: error.message
+    });
+  }
+});
+
+// Get a Q&A thread with all of its turns
+app.get('/api/qa-threads/:id', async (req, res) => {
+  try {
+    const thread = await findOwned(repositories.qaThreads, { id: req.params.id }, req.user);
+    if (!thread) {
+      return res.status(404).json({ error: 'Q&A thread not found' });
+    }
+
+    res.json({
+      success: true,
+      thread: serializeThread(thread)
+    });
+
+  } catch (error) {
+    console.error('Fetch Q&A thread error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch Q&A thread',
+      details: error.message
+    });
+  }
+});
+
+// Parse the slideTimestamps field, sent as a JSON string alongside multipart audio
+function parseSlideTimestamps(value) {
+  if (value === undefined || value === '') return [];
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error('slideTimestamps must be valid JSON');
+    }
+  }
+  return normalizeSlideTimestamps(parsed);
+}
+
+// Speech content in slide order, used as the reference text for offline transcription
+function joinSpeechContent(speechContent) {
+  return Object.keys(speechContent || {})
+    .sort((a, b) => Number(a) - Number(b))
+    .map(slideNumber => speechContent[slideNumber])
+    .join(' ');
+}
+
+function serializeRehearsal(session) {
+  return {
+    id: session.id,
+    presentationCode: session.presentation_code,
+    speakerId: session.speaker_id || null,
+    source: session.source || 'upload',
+    transcript: session.transcript,
+    slideTimestamps: session.slide_timestamps,
+    metrics: session.metrics,
+    qaPairs: session.qa_pairs || [],
+    durationSeconds: session.duration_seconds,
+    sttProvider: session.stt_provider,
+    sttModel: session.stt_model,
+    createdAt: session.created_at
+  };
+}
+
+// Upload a rehearsal recording with slide-change timestamps and get pacing analytics back
+app.post('/api/presentation/:code/rehearsals', audioUpload.single('audio'), async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio file uploaded' });
+    }
+
+    let slideTimestamps;
+    try {
+      slideTimestamps = parseSlideTimestamps(req.body.slideTimestamps);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const presentation = await findByCode('presentation', code, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    // Rehearsals belong to the presentation's speaker unless another one is given
+    let speaker;
+    try {
+      speaker = await findSpeaker(req.body.speakerId, req.user);
+    } catch (error) {
+      if (error instanceof SpeakerError) return res.status(error.status).json({ error: error.message });
+      throw error;
+    }
+
+    const transcription = await transcribeAudio({
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      language: req.body.language,
+      referenceText: req.body.transcript || joinSpeechContent(presentation.speech_content)
+    });
+
+    const metrics = analyzeRehearsal({
+      words: transcription.words,
+      duration: transcription.duration,
+      slideTimestamps
+    });
+    if (presentation.timing_plan) {
+      metrics.timing = compareTiming(presentation.timing_plan, metrics.perSlide);
+    }
+
+    const session = await repositories.rehearsals.insert({
+      presentation_code: presentation.unique_code,
+      speaker_id: speaker ? speaker.id : (presentation.speaker_id || null),
+      owner_id: presentation.owner_id || null,
+      source: 'upload',
+      transcript: transcription.text,
+      words: transcription.words,
+      slide_timestamps: slideTimestamps,
+      metrics,
+      duration_seconds: metrics.totalDuration,
+      stt_provider: transcription.provider,
+      stt_model: transcription.model,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`✓ Rehearsal ${session.id} analysed: ${metrics.totalWords} words, ${metrics.averageWordsPerMinute} wpm`);
+
+    res.status(201).json({
+      success: true,
+      sessionId: session.id,
+      transcript: session.transcript,
+      metrics
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Rehearsal analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to analyse rehearsal',
+      details: error.message
+    });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.rmSync(req.file.path);
+    }
+  }
+});
+
+// Check slide timings against the presentation's timing plan without a recording:
+// { slideTimestamps: [{ slide, time }], duration } in seconds
+app.post('/api/presentation/:code/timing-check', async (req, res) => {
+  try {
+    const { slideTimestamps, duration } = req.body || {};
+
+    let timeline;
+    try {
+      timeline = normalizeSlideTimestamps(slideTimestamps);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (timeline.length === 0) {
+      return res.status(400).json({ error: 'slideTimestamps must list at least one slide change' });
+    }
+    const totalDuration = Number(duration);
+    if (!Number.isFinite(totalDuration) || totalDuration <= timeline[timeline.length - 1].time) {
+      return res.status(400).json({ error: 'duration must be a number of seconds after the last slide change' });
+    }
+
+    const presentation = await findByCode('presentation', req.params.code, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+    if (!presentation.timing_plan) {
+      return res.status(400).json({ error: 'Presentation has no timing plan; set targetMinutes first' });
+    }
+
+    const { perSlide } = analyzeRehearsal({ words: [], duration: totalDuration, slideTimestamps: timeline });
+    res.json({
+      success: true,
+      timing: compareTiming(presentation.timing_plan, perSlide)
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Timing check error:', error);
+    res.status(500).json({
+      error: 'Failed to check timing',
+      details: error.message
+    });
+  }
+});
+
+// List rehearsal sessions for a presentation, newest first
+app.get('/api/presentation/:code/rehearsals', async (req, res) => {
+  try {
+    const presentation = await findByCode('presentation', req.params.code, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const { rows } = await repositories.rehearsals.findMany({
+      where: { presentation_code: presentation.unique_code }
+    });
+
+    res.json({
+      success: true,
+      rehearsals: rows.map(serializeRehearsal)
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Fetch rehearsals error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rehearsals',
+      details: error.message
+    });
+  }
+});
+
+// Get a single rehearsal session with its metrics
+app.get('/api/rehearsals/:id', async (req, res) => {
+  try {
+    const session = await findOwned(repositories.rehearsals, { id: req.params.id }, req.user);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Rehearsal not found' });
+    }
+
+    res.json({
+      success: true,
+      rehearsal: { ...serializeRehearsal(session), words: session.words, liveEvents: session.live_events || null }
+    });
+
+  } catch (error) {
+    console.error('Fetch rehearsal error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rehearsal',
+      details: error.message
+    });
+  }
+});
+
+// Compare a rehearsal's per-slide transcript with the deck's speech content and slide text and
+// save the result as a script adherence report: { transcripts } or { rehearsalId }
+app.post('/api/presentation/:code/script-adherence', async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { title, rehearsalId, speakerId } = req.body || {};
+
+    const presentation = await findByCode('presentation', code, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    // Transcripts sent by the client, or those of a recorded rehearsal of this presentation
+    let transcripts;
+    let rehearsal = null;
+    if (req.body.transcripts === undefined && rehearsalId) {
+      rehearsal = await findOwned(repositories.rehearsals, { id: rehearsalId }, req.user);
+      if (!rehearsal || rehearsal.presentation_code !== presentation.unique_code) {
+        return res.status(404).json({ error: 'Rehearsal not found' });
+      }
+      transcripts = transcriptsFromRehearsal(rehearsal);
+    } else {
+      transcripts = parseTranscripts(req.body.transcripts, presentation);
+    }
+
+    let speaker;
+    try {
+      speaker = await findSpeaker(speakerId, req.user);
+    } catch (error) {
+      if (error instanceof SpeakerError) return res.status(error.status).json({ error: error.message });
+      throw error;
+    }
+    const reportSpeakerId = speaker ? speaker.id : (rehearsal && rehearsal.speaker_id) || presentation.speaker_id || null;
+
+    let codeOptions;
+    try {
+      codeOptions = parseCodeOptions({ ttlHours: req.body.codeTtlHours, maxUses: req.body.codeMaxUses });
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const { summary, slides } = analyzeScriptAdherence(presentation, transcripts);
+
+    const joinCode = await issueCode('report', { ownerId: presentation.owner_id, ...codeOptions });
+    const report = {
+      type: SCRIPT_ADHERENCE_REPORT,
+      code: joinCode.code,
+      title: title || `Script Adherence - ${new Date().toLocaleDateString()}`,
+      generatedAt: new Date().toISOString(),
+      presentationCode: presentation.unique_code,
+      speakerId: reportSpeakerId,
+      rehearsalId: rehearsal ? rehearsal.id : null,
+      summary,
+      slides
+    };
+
+    await repositories.reports.insert({
+      unique_code: joinCode.code,
+      report_type: SCRIPT_ADHERENCE_REPORT,
+      title: report.title,
+      total_questions: 0,
+      average_score: summary.coverage,
+      pass_rate: summary.passRate,
+      presentation_code: presentation.unique_code,
+      speaker_id: reportSpeakerId,
+      owner_id: presentation.owner_id || null,
+      report_data: report,
+      created_at: report.generatedAt
+    });
+
+    console.log(`✓ Script adherence report ${joinCode.code}: ${summary.coverage === null ? '-' : summary.coverage}% of ${summary.keyPoints} key points covered`);
+
+    res.status(201).json({
+      success: true,
+      code: joinCode.code,
+      codeExpiresAt: joinCode.expires_at,
+      summary,
+      report
+    });
+
+  } catch (error) {
+    if (error instanceof AdherenceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Script adherence error:', error);
+    res.status(500).json({
+      error: 'Failed to analyse script adherence',
+      details: error.message
+    });
+  }
+});
+
+// Initialize database tables
+app.post('/api/setup-database', requireRole('admin'), async (req, res) => {
+  try {
+    // Create storage bucket first
+    await slideStorage.ensureBucket();
+
+    res.json({
+      success: true,
+      message: 'Database setup completed successfully',
+      note: backendName === 'supabase'
+        ? 'Please create the presentations table manually in Supabase SQL editor'
+        : 'Local storage backend needs no further setup'
+    });
+
+  } catch (error) {
+    console.error('Database setup error:', error);
+    res.status(500).json({
+      error: 'Failed to setup database',
+      details: error.message
+    });
+  }
+});
+
+// Admin: AI content cache size and the prompt versions currently in use
+app.get('/api/content-cache', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cache: await cacheStats()
+    });
+
+  } catch (error) {
+    console.error('Content cache stats error:', error);
+    res.status(500).json({
+      error: 'Failed to read content cache',
+      details: error.message
+    });
+  }
+});
+
+// Admin: drop cached AI content written with a prompt version: ?promptVersion=&kind=
+app.delete('/api/content-cache', requireRole('admin'), async (req, res) => {
+  try {
+    const { promptVersion, kind } = req.query;
+    if (!promptVersion) {
+      return res.status(400).json({ error: 'promptVersion is required', currentVersions: PROMPT_VERSIONS });
+    }
+    if (kind && !PROMPT_VERSIONS[kind]) {
+      return res.status(400).json({ error: `kind must be one of: ${Object.keys(PROMPT_VERSIONS).join(', ')}` });
+    }
+
+    const removed = await invalidatePromptVersion(promptVersion, kind);
+    console.log(`Invalidated ${removed} cached AI content entr${removed === 1 ? 'y' : 'ies'} for prompt version ${promptVersion}`);
+
+    res.json({
+      success: true,
+      promptVersion,
+      kind: kind || null,
+      removed
+    });
+
+  } catch (error) {
+    console.error('Content cache invalidation error:', error);
+    res.status(500).json({
+      error: 'Failed to invalidate content cache',
+      details: error.message
     });
+  }
+});
 
-    const responseText = completion.choices[0].message.content.trim();
-    
-    // Try to parse the JSON response
+// List built-in and saved scoring rubrics
+app.get('/api/rubrics', async (req, res) => {
+  try {
+    const { rows } = await repositories.rubrics.findMany({});
+
+    res.json({
+      success: true,
+      rubrics: [
+        ...listBuiltInRubrics().map(rubric => ({ ...rubric, builtIn: true })),
+        ...rows.map(row => ({ ...normalizeRubric(row.definition, row.rubric_id), builtIn: false }))
+      ]
+    });
+
+  } catch (error) {
+    console.error('Fetch rubrics error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rubrics',
+      details: error.message
+    });
+  }
+});
+
+// Save a custom rubric: { id, name, passThreshold, criteria: [{ id, name, description, weight }] }
+app.post('/api/rubrics', async (req, res) => {
+  try {
+    let rubric;
     try {
-      const parsed = JSON.parse(responseText);
-      return {
-        referenceAnswer: parsed.referenceAnswer || "No reference answer generated",
-        similarity: parsed.similarity || 0,
-        missingPoints: parsed.missingPoints || "No missing points identified"
-      };
-    } catch (parseError) {
-      // Fallback if JSON parsing fails
-      return {
-        referenceAnswer: "Unable to parse AI response",
-        similarity: 0,
-        missingPoints: "Response parsing failed"
-      };
+      rubric = normalizeRubric(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
-    
+
+    if (getBuiltInRubric(rubric.id)) {
+      return res.status(409).json({ error: `"${rubric.id}" is a built-in rubric` });
+    }
+
+    // Saved rubrics are shared by everyone, but only their creator or an admin may replace one
+    const existing = await repositories.rubrics.findOne({ rubric_id: rubric.id });
+    if (existing && !canAccess(req.user, existing.owner_id)) {
+      return res.status(409).json({ error: `Rubric "${rubric.id}" already exists` });
+    }
+
+    await repositories.rubrics.upsert({
+      rubric_id: rubric.id,
+      owner_id: existing ? existing.owner_id : req.user.id,
+      name: rubric.name,
+      definition: rubric,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'rubric_id' });
+
+    res.status(201).json({
+      success: true,
+      rubric
+    });
+
   } catch (error) {
-    console.error('OpenAI API Error in evaluation:', error);
-    
-    // Handle rate limiting with retry
-    if (error.status === 429 && retryCount < 2) {
-      const waitTime = error.headers && error.headers['retry-after'] 
-        ? parseInt(error.headers['retry-after']) * 1000 + 5000  // Add 5 extra seconds
-        : 30000; // Default 30 seconds
-      
-      console.log(`Rate limited. Retrying in ${waitTime/1000} seconds... (Attempt ${retryCount + 1}/3)`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      return evaluateAnswerWithOpenAI(question, userAnswer, retryCount + 1);
+    console.error('Save rubric error:', error);
+    res.status(500).json({
+      error: 'Failed to save rubric',
+      details: error.message
+    });
+  }
+});
+
+// Create a speaker profile: { name, email }
+app.post('/api/speakers', async (req, res) => {
+  try {
+    const speaker = await createSpeaker(req.body || {}, req.user);
+
+    res.status(201).json({
+      success: true,
+      speaker: serializeSpeaker(speaker)
+    });
+
+  } catch (error) {
+    if (error instanceof SpeakerError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    // Handle other rate limit cases
-    if (error.status === 429) {
-      return {
-        referenceAnswer: "Rate limit exceeded. Please upgrade your OpenAI plan or try again later.",
-        similarity: 0,
-        missingPoints: "Unable to evaluate due to API rate limits. Consider upgrading to a paid plan."
-      };
+    console.error('Create speaker error:', error);
+    res.status(500).json({
+      error: 'Failed to create speaker',
+      details: error.message
+    });
+  }
+});
+
+// List speakers, optionally filtered by ?search= on name or email
+app.get('/api/speakers', async (req, res) => {
+  try {
+    const { rows } = await repositories.speakers.findMany({
+      where: ownedBy(req.user),
+      orderBy: 'name',
+      ascending: true,
+      search: req.query.search ? { term: req.query.search, columns: ['name', 'email'] } : undefined
+    });
+
+    res.json({
+      success: true,
+      speakers: rows.map(serializeSpeaker)
+    });
+
+  } catch (error) {
+    console.error('Fetch speakers error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch speakers',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/speakers/:id', async (req, res) => {
+  try {
+    const speaker = await findOwned(repositories.speakers, { id: req.params.id }, req.user);
+    if (!speaker) {
+      return res.status(404).json({ error: 'Speaker not found' });
     }
-    
-    throw error;
+
+    const { rows: presentations } = await repositories.presentations.findMany({ where: { speaker_id: speaker.id } });
+
+    res.json({
+      success: true,
+      speaker: serializeSpeaker(speaker),
+      presentations: presentations.map(presentation => ({
+        code: presentation.unique_code,
+        title: presentation.title,
+        slideCount: presentation.slide_count,
+        createdAt: presentation.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Fetch speaker error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch speaker',
+      details: error.message
+    });
   }
-}
+});
+
+// A speaker's reports over time with score trends, weakest slides and recurring missing points
+app.get('/api/speakers/:id/history', async (req, res) => {
+  try {
+    const speaker = await findOwned(repositories.speakers, { id: req.params.id }, req.user);
+    if (!speaker) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+
+    const where = { speaker_id: speaker.id };
+    if (req.query.presentationCode) {
+      where.presentation_code = normalizeCode(req.query.presentationCode);
+    }
+
+    const [{ rows: reports }, { rows: rehearsals }] = await Promise.all([
+      repositories.reports.findMany({ where }),
+      repositories.rehearsals.findMany({ where })
+    ]);
+
+    res.json({
+      success: true,
+      speaker: serializeSpeaker(speaker),
+      history: buildHistory(reports.filter(report => reportType(report) === QA_REPORT), rehearsals)
+    });
+
+  } catch (error) {
+    console.error('Fetch speaker history error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch speaker history',
+      details: error.message
+    });
+  }
+});
 
 // Generate report and save to database
 app.post('/api/generate-report', async (req, res) => {
   try {
     // Validate request body
-    const { qaPairs, title } = req.body;
+    const { title, threadIds, rubricId, presentationCode, speakerId } = req.body;
+    let { qaPairs } = req.body;
+
+    // Reports linked to a presentation are graded against the deck's own content
+    let presentation = null;
+    if (presentationCode) {
+      presentation = await findByCode('presentation', presentationCode, req.user);
+      if (!presentation) {
+        return res.status(404).json({ error: 'Presentation not found' });
+      }
+    }
+
+    // Reports belong to the given speaker, or to the presentation's speaker
+    let speaker;
+    try {
+      speaker = await findSpeaker(speakerId, req.user);
+    } catch (error) {
+      if (error instanceof SpeakerError) return res.status(error.status).json({ error: error.message });
+      throw error;
+    }
+    const reportSpeakerId = speaker ? speaker.id : (presentation && presentation.speaker_id) || null;
+
+    let rubric;
+    try {
+      rubric = await resolveRubric({ rubricId, rubric: req.body.rubric });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!rubric) {
+      return res.status(404).json({ error: `Rubric "${rubricId}" not found` });
+    }
+
+    // Q&A threads are evaluated as their opening question plus every answered follow-up
+    if (threadIds !== undefined) {
+      if (!Array.isArray(threadIds)) {
+        return res.status(400).json({ error: 'threadIds must be an array' });
+      }
+      const { rows: threads } = await repositories.qaThreads.findMany({ where: { id: threadIds } });
+      const missing = threadIds.filter(id => !threads.some(thread => thread.id === id && canAccess(req.user, thread.owner_id)));
+      if (missing.length > 0) {
+        return res.status(404).json({ error: `Q&A thread(s) not found: ${missing.join(', ')}` });
+      }
+      const threadPairs = threadIds
+        .map(id => threadToQaPair(threads.find(thread => thread.id === id)))
+        .filter(Boolean);
+      qaPairs = [...(qaPairs || []), ...threadPairs];
+    }
     
     if (!qaPairs || !Array.isArray(qaPairs)) {
       return res.status(400).json({ 
@@ -759,6 +1669,10 @@ app.post('/api/generate-report', async (req, res) => {
       });
     }
 
+    if (qaPairs.length === 0) {
+      return res.status(400).json({ error: 'There are no answered questions to evaluate' });
+    }
+
     // Validate each QA pair
     for (let i = 0; i < qaPairs.length; i++) {
       const pair = qaPairs[i];
@@ -767,51 +1681,79 @@ app.post('/api/generate-report', async (req, res) => {
           error: `QA pair at index ${i} must have both 'question' and 'userAnswer' fields` 
         });
       }
+      if (pair.followUps !== undefined && (!Array.isArray(pair.followUps) || pair.followUps.some(turn => !turn || !turn.question || !turn.userAnswer))) {
+        return res.status(400).json({
+          error: `QA pair at index ${i} must have 'followUps' as an array of { question, userAnswer }`
+        });
+      }
+    }
+
+    // Feedback language: feedbackLanguage (or language) from the request, else the presentation's setting
+    let languages;
+    try {
+      const { feedback } = parseLanguageSettings(
+        { language: req.body.language, feedbackLanguage: req.body.feedbackLanguage },
+        presentation ? presentation.language_settings || {} : {}
+      );
+      languages = reportLanguages(qaPairs, presentation, feedback);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    console.log(`Starting report generation for ${qaPairs.length} QA pairs...`);
+    console.log(`Starting report generation for ${qaPairs.length} QA pairs (feedback in ${languages.feedback})...`);
+
+    let codeOptions;
+    try {
+      codeOptions = parseCodeOptions({ ttlHours: req.body.codeTtlHours, maxUses: req.body.codeMaxUses });
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // Reserve the report's join code before the AI evaluation starts
+    const reportOwnerId = presentation ? presentation.owner_id : req.user.id;
+    const joinCode = await issueCode('report', { ownerId: reportOwnerId, ...codeOptions });
+    const uniqueCode = joinCode.code;
 
-    // Generate unique 5-digit code for the report
-    const uniqueCode = generateUniqueCode();
-    
     // Generate the report using AI
-    const reportData = await generateReport(qaPairs);
+    const reportData = await generateReport(qaPairs, rubric, { presentation, feedbackLanguage: languages.feedback });
     
-    // Calculate overall statistics
-    const totalQuestions = reportData.length;
-    const averageScore = reportData.reduce((sum, item) => sum + item["Similarity Score"], 0) / totalQuestions;
-    const passedQuestions = reportData.filter(item => item["Similarity Score"] >= 70).length;
+    // Calculate overall statistics; questions whose evaluation failed are not counted as 0
+    const summary = summarizeReport(reportData, rubric);
+    if (presentation) {
+      Object.assign(summary, summarizeSlides(reportData, rubric, presentation));
+    }
     
     // Create the final report object
     const finalReport = {
+      type: QA_REPORT,
       code: uniqueCode,
       title: title || `Interview Report - ${new Date().toLocaleDateString()}`,
       generatedAt: new Date().toISOString(),
-      summary: {
-        totalQuestions: totalQuestions,
-        averageScore: Math.round(averageScore * 100) / 100,
-        passedQuestions: passedQuestions,
-        passRate: Math.round((passedQuestions / totalQuestions) * 100)
-      },
+      presentationCode: presentation ? presentation.unique_code : null,
+      speakerId: reportSpeakerId,
+      rubric,
+      languages,
+      summary,
       evaluations: reportData
     };
 
     // Store in database (you'll need to create a 'reports' table)
-    const { error: dbError } = await supabase
-      .from('reports')
-      .insert({
-        unique_code: uniqueCode,
-        title: finalReport.title,
-        total_questions: totalQuestions,
-        average_score: averageScore,
-        pass_rate: Math.round((passedQuestions / totalQuestions) * 100),
-        report_data: finalReport,
-        created_at: new Date().toISOString()
-      });
-
-    if (dbError) {
-      throw new Error(`Database error: ${dbError.message}`);
-    }
+    await repositories.reports.insert({
+      unique_code: uniqueCode,
+      report_type: QA_REPORT,
+      title: finalReport.title,
+      total_questions: summary.totalQuestions,
+      average_score: summary.averageScore,
+      pass_rate: summary.passRate,
+      rubric_id: rubric.id,
+      presentation_code: presentation ? presentation.unique_code : null,
+      speaker_id: reportSpeakerId,
+      owner_id: reportOwnerId,
+      failed_evaluations: summary.failedEvaluations,
+      language_settings: languages,
+      report_data: finalReport,
+      created_at: new Date().toISOString()
+    });
 
     console.log(`Report generated successfully with code: ${uniqueCode}`);
 
@@ -819,12 +1761,18 @@ app.post('/api/generate-report', async (req, res) => {
     res.json({
       success: true,
       code: uniqueCode,
-      message: 'Report generated successfully',
+      codeExpiresAt: joinCode.expires_at,
+      message: summary.failedEvaluations > 0
+        ? `Report generated; ${summary.failedEvaluations} of ${summary.totalQuestions} evaluations failed`
+        : 'Report generated successfully',
       summary: finalReport.summary,
       report: finalReport
     });
 
   } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
     console.error('Report generation error:', error);
     res.status(500).json({
       success: false,
@@ -834,28 +1782,74 @@ app.post('/api/generate-report', async (req, res) => {
   }
 });
 
+// List the reports generated for a presentation, newest first
+app.get('/api/presentation/:code/reports', async (req, res) => {
+  try {
+    const presentation = await findByCode('presentation', req.params.code, req.user);
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+
+    const { rows } = await repositories.reports.findMany({
+      where: { presentation_code: presentation.unique_code }
+    });
+
+    res.json({
+      success: true,
+      reports: rows.map(report => ({
+        code: report.unique_code,
+        type: reportType(report),
+        title: report.title,
+        totalQuestions: report.total_questions,
+        averageScore: report.average_score,
+        passRate: report.pass_rate,
+        struggledSlides: (report.report_data.summary || {}).struggledSlides || [],
+        createdAt: report.created_at
+      }))
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Fetch presentation reports error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reports',
+      details: error.message
+    });
+  }
+});
+
 // Get report by code
 app.get('/api/report/:code', async (req, res) => {
   try {
     const { code } = req.params;
     
     // Fetch report from database
-    const { data: report, error } = await supabase
-      .from('reports')
-      .select('*')
-      .eq('unique_code', code)
-      .single();
+    const report = await findByCode('report', code, req.user, { consume: true });
 
-    if (error || !report) {
+    if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    // Slides the presenter struggled with, weakest first, for reports linked to a presentation.
+    // Slide numbers without a per-slide summary are left out rather than returned as null.
+    const summary = report.report_data.summary || {};
+    const slides = summary.slides || [];
+    const struggledSlides = (summary.struggledSlides || [])
+      .map(number => slides.find(slide => slide.slide === number))
+      .filter(Boolean);
+
     res.status(200).json({
       success: true,
-      report: report.report_data
+      report: report.report_data,
+      struggledSlides
     });
 
   } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
     console.error('Fetch report error:', error);
     res.status(500).json({ 
       error: 'Failed to fetch report',
@@ -864,31 +1858,195 @@ app.get('/api/report/:code', async (req, res) => {
   }
 });
 
-// Rate limit info endpoint
-app.get('/api/rate-limit-info', async (req, res) => {
-  res.json({
-    success: true,
-    info: {
-      provider: "OpenAI",
-      tier: "Free Tier",
-      limits: {
-        "requests_per_minute": 3,
-        "tokens_per_minute": 40000
-      },
-      recommendations: [
-        "Wait 25 seconds between requests to avoid rate limits",
-        "For faster processing, upgrade to a paid OpenAI plan",
-        "Free tier allows 3 requests per minute",
-        "Paid tier allows 3500+ requests per minute"
-      ],
-      upgrade_info: "Visit https://platform.openai.com/account/billing to add payment method"
+// Compare two attempts on the same deck: score, criterion, slide and per-question changes
+app.get('/api/report/:code/compare/:otherCode', async (req, res) => {
+  try {
+    const { code, otherCode } = req.params;
+
+    const [base, target] = await Promise.all([
+      findByCode('report', code, req.user),
+      findByCode('report', otherCode, req.user)
+    ]);
+    if (!base || !target) {
+      return res.status(404).json({ error: `Report ${!base ? code : otherCode} not found` });
     }
-  });
+    if (reportType(base) !== QA_REPORT || reportType(target) !== QA_REPORT) {
+      return res.status(400).json({ error: 'Only Q&A reports can be compared' });
+    }
+    if (!base.presentation_code || base.presentation_code !== target.presentation_code) {
+      return res.status(400).json({ error: 'Only reports for the same presentation can be compared' });
+    }
+
+    res.json({
+      success: true,
+      comparison: compareReports(base, target)
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Compare reports error:', error);
+    res.status(500).json({
+      error: 'Failed to compare reports',
+      details: error.message
+    });
+  }
+});
+
+// Download a report as a PDF, standalone HTML page or CSV spreadsheet
+app.get('/api/report/:code/export/:format', async (req, res) => {
+  try {
+    const { code, format } = req.params;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const report = await findByCode('report', code, req.user);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (reportType(report) !== QA_REPORT) {
+      return res.status(400).json({ error: 'Only Q&A reports can be exported' });
+    }
+
+    const exported = exportReport(report.report_data, format);
+
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename="${exported.filename}"`);
+    res.status(200).send(exported.body);
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Export report error:', error);
+    res.status(500).json({
+      error: 'Failed to export report',
+      details: error.message
+    });
+  }
+});
+
+// Look up the policy of a presentation or report code owned by the signed-in user
+async function findOwnedCode(code, user) {
+  const entry = await repositories.joinCodes.findOne({ code: normalizeCode(code) });
+  return entry && canAccess(user, entry.owner_id) ? entry : null;
+}
+
+// Status of a join code: expiry, usage and revocation
+app.get('/api/codes/:code', async (req, res) => {
+  try {
+    const entry = await findOwnedCode(req.params.code, req.user);
+    if (!entry) {
+      return res.status(404).json({ error: 'Code not found' });
+    }
+
+    res.json({
+      success: true,
+      code: serializeCode(entry)
+    });
+
+  } catch (error) {
+    console.error('Fetch code error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch code',
+      details: error.message
+    });
+  }
+});
+
+// Change a code's expiry or usage limit: { ttlHours, maxUses }
+app.patch('/api/codes/:code', async (req, res) => {
+  try {
+    const entry = await findOwnedCode(req.params.code, req.user);
+    if (!entry) {
+      return res.status(404).json({ error: 'Code not found' });
+    }
+    if (entry.revoked_at) {
+      return res.status(409).json({ error: 'A revoked code cannot be changed' });
+    }
+
+    const updated = await updateCodePolicy(entry, req.body || {});
+
+    res.json({
+      success: true,
+      code: serializeCode(updated)
+    });
+
+  } catch (error) {
+    if (error instanceof JoinCodeError) {
+      return sendJoinCodeError(res, error);
+    }
+    console.error('Update code error:', error);
+    res.status(500).json({
+      error: 'Failed to update code',
+      details: error.message
+    });
+  }
+});
+
+// Revoke a code for good: { reason }
+app.post('/api/codes/:code/revoke', async (req, res) => {
+  try {
+    const entry = await findOwnedCode(req.params.code, req.user);
+    if (!entry) {
+      return res.status(404).json({ error: 'Code not found' });
+    }
+
+    const revoked = entry.revoked_at ? entry : await revokeCode(entry, (req.body || {}).reason);
+
+    res.json({
+      success: true,
+      code: serializeCode(revoked)
+    });
+
+  } catch (error) {
+    console.error('Revoke code error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke code',
+      details: error.message
+    });
+  }
+});
+
+// Live AI scheduler state: queue depth per provider and the quota reported by its last response
+app.get('/api/rate-limit-info', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      info: {
+        providers: rateLimitStatus(),
+        routing: describeConfig()
+      }
+    });
+
+  } catch (error) {
+    console.error('Rate limit info error:', error);
+    res.status(500).json({
+      error: 'Failed to read rate limit info',
+      details: error.message
+    });
+  }
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Pick up uploads that were still processing when the server last stopped
+  resumeUnfinishedJobs()
+    .then(count => count > 0 && console.log(`Resumed ${count} unfinished job(s)`))
+    .catch(error => console.error('Failed to resume unfinished jobs:', error));
+
+  // Look for LibreOffice once at startup rather than in the first PPTX or ODP job
+  canConvertDecks().then(available => {
+    if (!available) console.warn('LibreOffice was not found; PPTX and ODP decks will be imported without slide images');
+  });
 });
 
+// Live rehearsal channel for the VR headset: ws://<host>/ws/rehearsal/<code>
+attachRehearsalSocket(server);
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,150 @@
+const { complete } = require('./llm');
+const { DIFFICULTY_LEVELS, PERSONAS } = require('./personas');
+const { languageName } = require('./languages');
+
+// Split a numbered or bulleted list of questions into plain question strings
+function parseQuestionList(text, count) {
+  const questions = (text || '')
+    .split('\n')
+    .map(line => line.replace(/^\s*(\d+[.):]|[-*•])\s*/, '').replace(/^"(.*)"$/, '$1').trim())
+    .filter(Boolean);
+
+  return questions.slice(0, count);
+}
+
+// Generate questions using the configured LLM provider, asked from the point of view of an
+// audience persona, in `language` when given. Returns an array of question strings, or null if generation failed.
+async function generateQuestions(slideText, slideNumber, audience = {}, { language } = {}) {
+  const persona = { ...PERSONAS.general, persona: 'general', ...audience };
+  const count = persona.questionsPerSlide || 1;
+
+  try {
+    const prompt = `Based on this slide content from slide ${slideNumber}:
+    "${slideText}"
+    
+    You are ${persona.description}.
+    Generate exactly ${count} audience question${count === 1 ? '' : 's'} that you would ask during a presentation about this content.
+    ${DIFFICULTY_LEVELS[persona.difficulty] || DIFFICULTY_LEVELS.medium}
+    Each question should be specific and relevant to the slide content.
+    ${language ? `Write the question${count === 1 ? '' : 's'} in ${languageName(language)}, whatever the language of the slide.\n    ` : ''}${count === 1 ? 'Return only the question text, nothing else.' : 'Return only the questions, one per line, numbered 1., 2. and so on.'}`;
+
+    const completion = await complete('questions', {
+      prompt,
+      maxTokens: 150 * count,
+      temperature: persona.temperature,
+      metadata: { slideText, slideNumber, persona: persona.persona, difficulty: persona.difficulty, count, language }
+    });
+
+    const questions = parseQuestionList(completion.text, count);
+    return questions.length > 0 ? questions : null;
+  } catch (error) {
+    console.error(`LLM API Error (${error.provider || 'unknown'}):`, error);
+    return null;
+  }
+}
+
+// Generate speech content using the configured LLM provider, in `language` when given.
+// Speaker notes from PPTX/ODP decks are passed along so the script follows the presenter's intent.
+// `targetWords` sizes the speech to the slide's time budget; without it the speech is 2-3 sentences
+async function generateSpeechContent(slideText, slideNumber, { notes, language, targetWords } = {}) {
+  try {
+    const notesSection = notes
+      ? `\n    The presenter's speaker notes for this slide:\n    "${notes}"\n    Base the speaking content on these notes where they are relevant.\n`
+      : '';
+
+    const prompt = `Based on this slide content from slide ${slideNumber}:
+    "${slideText}"
+    ${notesSection}
+    Generate appropriate speaking content that a presenter could use to present this slide. 
+    The content should be:
+    - Clear and professional
+    - ${targetWords ? `About ${targetWords} words long, to fit the time planned for this slide` : '2-3 sentences long'}
+    - Easy to speak and remember
+    - Engaging for the audience
+    ${language ? `- Written in ${languageName(language)}, whatever the language of the slide\n    ` : ''}
+    Return only the speech content, nothing else.`;
+
+    const completion = await complete('speech', {
+      prompt,
+      maxTokens: targetWords ? Math.max(200, Math.ceil(targetWords * 2)) : 200,
+      temperature: 0.7,
+      metadata: { slideText, slideNumber, notes, language, targetWords }
+    });
+
+    return completion.text;
+  } catch (error) {
+    console.error(`LLM API Error (${error.provider || 'unknown'}):`, error);
+    return null;
+  }
+}
+
+// Remove markdown code fences that models often wrap around JSON
+function stripCodeFences(text) {
+  return (text || '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+}
+
+// Decide whether the simulated audience member would follow up on the presenter's latest answer.
+// `turns` is the thread so far as [{ role: 'audience' | 'presenter', text }], ending with an answer.
+// Returns { followUp, reason, question } or null if the model could not be reached or understood.
+async function generateFollowUp({ slideText, slideNumber, audience = {}, turns, language }) {
+  const persona = { ...PERSONAS.general, persona: 'general', ...audience };
+  const question = [...turns].reverse().find(turn => turn.role === 'audience');
+  const answer = turns[turns.length - 1];
+
+  try {
+    const transcript = turns
+      .map(turn => `${turn.role === 'audience' ? 'Audience' : 'Presenter'}: ${turn.text}`)
+      .join('\n    ');
+
+    const prompt = `You are ${persona.description}, in the Q&A after a presentation.
+    The question was about slide ${slideNumber}:
+    "${slideText}"
+
+    The conversation so far:
+    ${transcript}
+
+    Decide whether you would ask a follow-up question. Follow up when the presenter's last answer is vague,
+    dodges the point, contradicts the slide or leaves an obvious gap. Do not follow up when it answered the question well.
+    The presenter may answer in a different language from the question; judge what they said, not the language.
+    ${DIFFICULTY_LEVELS[persona.difficulty] || DIFFICULTY_LEVELS.medium}
+    ${language ? `Write the reason and question in ${languageName(language)}.\n` : ''}
+    Respond in this exact JSON format:
+    {
+      "followUp": true,
+      "reason": "Why you are or are not following up",
+      "question": "The follow-up question, or null"
+    }`;
+
+    const completion = await complete('followup', {
+      prompt,
+      maxTokens: 250,
+      temperature: persona.temperature,
+      metadata: {
+        slideText,
+        slideNumber,
+        persona: persona.persona,
+        question: question ? question.text : '',
+        answer: answer.text,
+        turns
+      }
+    });
+
+    const parsed = JSON.parse(stripCodeFences(completion.text));
+    const followUp = parsed.followUp === true && typeof parsed.question === 'string' && parsed.question.trim() !== '';
+
+    return {
+      followUp,
+      reason: typeof parsed.reason === 'string' ? parsed.reason : '',
+      question: followUp ? parsed.question.trim() : null
+    };
+  } catch (error) {
+    console.error(`Follow-up generation failed (${error.provider || 'unknown'}):`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  generateFollowUp,
+  generateQuestions,
+  generateSpeechContent
+};
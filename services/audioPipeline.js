@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { repositories, slideStorage } = require('./storage');
+const { QUICK_LANE, registerJobHandler } = require('./jobQueue');
+const { isTtsEnabled, getSynthesizer, synthesizeSpeech } = require('./tts');
+const { detectLanguage } = require('./languages');
+require('dotenv').config();
+
+// Spoken audio of the audience questions and of each slide's model speech, stored next to the
+// slide images as <code>/audio_<hash>.<ext>. The hash covers the text, voice and engine, so
+// content that has not changed is never rendered twice and revisions keep their audio.
+const JOB_TYPE = 'presentation-audio';
+const AUDIO_PREFIX = 'audio_';
+
+// Persona voices from TTS_PERSONA_VOICES, e.g. {"skeptical-investor":"onyx","novice":"nova"}
+function configuredPersonaVoices() {
+  try {
+    return JSON.parse(process.env.TTS_PERSONA_VOICES || '{}');
+  } catch (error) {
+    console.warn('Ignoring TTS_PERSONA_VOICES: not valid JSON');
+    return {};
+  }
+}
+
+// Voices model speech is rendered in; TTS_SPEECH_VOICES lists them, comma-separated
+function defaultSpeechVoices(synthesizer) {
+  const voices = (process.env.TTS_SPEECH_VOICES || '').split(',').map(voice => voice.trim()).filter(Boolean);
+  return voices.length > 0 ? voices : [synthesizer.defaultVoice];
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function textHash(text) {
+  return sha256(String(text || '').trim()).slice(0, 16);
+}
+
+// A persona speaks with its own `voice`, the configured one, or a voice picked from its id,
+// so the same avatar always sounds the same
+function personaVoice(member, synthesizer, configured = configuredPersonaVoices()) {
+  if (member.voice) return member.voice;
+  if (configured[member.persona]) return configured[member.persona];
+  const index = parseInt(sha256(member.persona).slice(0, 8), 16) % synthesizer.voices.length;
+  return synthesizer.voices[index];
+}
+
+// Every piece of text to speak: each question in its persona's voice and each slide's speech
+// in every speech voice
+function audioItems(presentation, synthesizer, speechVoices) {
+  const audience = presentation.audience || [];
+  const configured = configuredPersonaVoices();
+  const items = [];
+
+  for (const entry of presentation.question_set || []) {
+    const member = audience.find(candidate => candidate.persona === entry.persona) || { persona: entry.persona };
+    items.push({ kind: 'question', id: entry.id, slide: entry.slide, persona: entry.persona, voice: personaVoice(member, synthesizer, configured), text: entry.question });
+  }
+  for (const [slide, text] of Object.entries(presentation.speech_content || {})) {
+    if (!text || !text.trim()) continue;
+    for (const voice of speechVoices) {
+      items.push({ kind: 'speech', slide: Number(slide), voice, text });
+    }
+  }
+  return items;
+}
+
+function isAudioKey(key) {
+  return key.split('/').pop().startsWith(AUDIO_PREFIX);
+}
+
+// Render missing audio for the presentation's current questions and speech, then delete
+// audio nothing refers to any more. Runs after the save stage of every job that changes content.
+async function runAudioStage(job, ctx) {
+  if (!isTtsEnabled()) {
+    console.log('Text-to-speech is not configured, skipping audio');
+    return 'skipped';
+  }
+
+  const { uniqueCode } = job.payload;
+  const presentation = await repositories.presentations.findOne({ unique_code: uniqueCode });
+  if (!presentation) {
+    throw new Error('Presentation not found');
+  }
+
+  const synthesizer = getSynthesizer();
+  const previous = presentation.audio_files || {};
+  const speechVoices = job.payload.speechVoices ||
+    (previous.provider === synthesizer.name && previous.speechVoices) ||
+    defaultSpeechVoices(synthesizer);
+  const items = audioItems(presentation, synthesizer, speechVoices);
+
+  // Rendered files by hash, whatever their extension
+  const existing = new Map();
+  for (const key of (await slideStorage.list(uniqueCode)).filter(isAudioKey)) {
+    existing.set(key.split('/').pop().slice(AUDIO_PREFIX.length).replace(/\.[^.]+$/, ''), key);
+  }
+
+  const audioFiles = { provider: synthesizer.name, model: synthesizer.model, speechVoices, speech: {}, questions: {} };
+  const counts = { rendered: 0, reused: 0, failed: 0 };
+  const used = new Set();
+  let itemsDone = 0;
+
+  console.log(`Rendering audio for ${items.length} question(s) and speech passage(s) with ${synthesizer.name}...`);
+  for (const item of items) {
+    const language = detectLanguage(item.text).language || presentation.deck_language || 'en';
+    const hash = sha256(JSON.stringify([synthesizer.name, synthesizer.model, item.voice, language, item.text.trim()])).slice(0, 32);
+    let key = existing.get(hash);
+
+    if (key) {
+      counts.reused++;
+    } else {
+      try {
+        const speech = await synthesizeSpeech({ text: item.text, voice: item.voice, language });
+        key = `${uniqueCode}/${AUDIO_PREFIX}${hash}.${speech.extension}`;
+        await slideStorage.upload(key, speech.audio, { contentType: speech.contentType, upsert: true });
+        existing.set(hash, key);
+        counts.rendered++;
+      } catch (error) {
+        counts.failed++;
+        const label = item.kind === 'question' ? `question ${item.id}` : `speech (${item.voice})`;
+        ctx.recordError(`Audio for ${label} failed: ${error.message}`, item.slide);
+      }
+    }
+
+    if (key) {
+      used.add(key);
+      const entry = { voice: item.voice, key, textHash: textHash(item.text) };
+      if (item.kind === 'question') {
+        audioFiles.questions[item.id] = { persona: item.persona, ...entry };
+      } else {
+        (audioFiles.speech[item.slide] = audioFiles.speech[item.slide] || {})[item.voice] = entry;
+      }
+    }
+    await ctx.setProgress(++itemsDone, items.length);
+  }
+
+  await repositories.presentations.update({ unique_code: uniqueCode }, { audio_files: audioFiles });
+
+  const stale = [...existing.values()].filter(key => !used.has(key));
+  await slideStorage.remove(stale);
+
+  job.result.audio = { ...counts, removed: stale.length };
+  console.log(`Audio: ${counts.rendered} rendered, ${counts.reused} reused, ${counts.failed} failed, ${stale.length} removed`);
+}
+
+// Signed URLs for the audio of a presentation's current content. Audio of text edited since it
+// was rendered is left out. `voice` narrows speech to one voice, `persona` questions to one persona.
+async function audioUrls(presentation, { voice, persona, expiresIn = 3600 } = {}) {
+  const audioFiles = presentation.audio_files || {};
+  const speech = {};
+  const questions = {};
+
+  for (const [slide, voices] of Object.entries(audioFiles.speech || {})) {
+    const text = (presentation.speech_content || {})[slide];
+    for (const [name, entry] of Object.entries(voices)) {
+      if ((voice && name !== voice) || entry.textHash !== textHash(text)) continue;
+      const url = await slideStorage.createSignedUrl(entry.key, expiresIn);
+      if (url) (speech[slide] = speech[slide] || {})[name] = url;
+    }
+  }
+
+  for (const entry of presentation.question_set || []) {
+    const audio = (audioFiles.questions || {})[entry.id];
+    if (!audio || (persona && entry.persona !== persona) || audio.textHash !== textHash(entry.question)) continue;
+    const url = await slideStorage.createSignedUrl(audio.key, expiresIn);
+    if (url) questions[entry.id] = { slide: entry.slide, persona: entry.persona, voice: audio.voice, url };
+  }
+
+  const personaVoices = {};
+  for (const audio of Object.values(audioFiles.questions || {})) {
+    personaVoices[audio.persona] = audio.voice;
+  }
+
+  return {
+    provider: audioFiles.provider || null,
+    voices: { speech: audioFiles.speechVoices || [], personas: personaVoices },
+    speech,
+    questions
+  };
+}
+
+registerJobHandler(JOB_TYPE, {
+  stages: [
+    { name: 'audio', weight: 100, run: runAudioStage }
+  ],
+  lane: QUICK_LANE
+});
+
+module.exports = {
+  JOB_TYPE,
+  runAudioStage,
+  audioUrls,
+  isAudioKey
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { repositories } = require('./storage');
+require('dotenv').config();
+
+// Authentication and ownership. The web app signs in for a JWT session token; headsets use
+// long-lived API keys. Records carry an owner_id and are only visible to their owner and admins,
+// so a presentation or report code is an alias for a record, not a credential.
+
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const ALLOW_SIGNUP = process.env.AUTH_ALLOW_SIGNUP !== 'false';
+const ROLES = ['admin', 'member'];
+const API_KEY_PREFIX = 'awz_';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Only touch last_used_at on an API key once per interval, not on every request
+const KEY_USAGE_INTERVAL_MS = 5 * 60 * 1000;
+
+let jwtSecret = process.env.JWT_SECRET;
+if (AUTH_ENABLED && !jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('JWT_SECRET is not set; using a random secret, so sessions end when the server restarts');
+}
+if (!AUTH_ENABLED) {
+  console.warn('AUTH_ENABLED=false: every request is treated as an admin. Do not use this outside local development.');
+}
+
+// Stand-in identity when authentication is disabled
+const LOCAL_ADMIN = { id: null, email: 'local', name: 'Local admin', role: 'admin' };
+
+const scrypt = promisify(crypto.scrypt);
+
+// Errors that map to a client-facing HTTP status
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = await scrypt(password, Buffer.from(salt, 'hex'), 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function serializeUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    createdAt: user.created_at
+  };
+}
+
+function issueToken(user) {
+  return jwt.sign({ sub: user.id, role: user.role }, jwtSecret, { expiresIn: JWT_EXPIRES_IN });
+}
+
+// Create an account. The very first account becomes an admin so a fresh install can be set up;
+// afterwards self-service signup can be turned off and admins create accounts instead.
+async function createUser({ email, password, name, role }, { createdBy = null } = {}) {
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    throw new AuthError('A valid email is required', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new AuthError(`role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+
+  const { total } = await repositories.users.findMany({ limit: 1 });
+  const isAdmin = createdBy && createdBy.role === 'admin';
+  if (total > 0 && !ALLOW_SIGNUP && !isAdmin) {
+    throw new AuthError('Signup is disabled; ask an admin for an account', 403);
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  if (await repositories.users.findOne({ email: normalizedEmail })) {
+    throw new AuthError('An account with this email already exists', 409);
+  }
+
+  return repositories.users.insert({
+    email: normalizedEmail,
+    name: (name || '').trim() || normalizedEmail,
+    password_hash: await hashPassword(password),
+    // Only admins choose roles; self-service accounts are members
+    role: total === 0 ? 'admin' : (isAdmin && role) || 'member',
+    created_at: new Date().toISOString()
+  });
+}
+
+async function login({ email, password }) {
+  if (!email || !password) {
+    throw new AuthError('email and password are required', 400);
+  }
+
+  const user = await repositories.users.findOne({ email: String(email).trim().toLowerCase() });
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    throw new AuthError('Invalid email or password', 401);
+  }
+
+  return { token: issueToken(user), expiresIn: JWT_EXPIRES_IN, user };
+}
+
+// Issue an API key for a headset or script. The plain key is only returned here.
+async function createApiKey(user, name) {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = await repositories.apiKeys.insert({
+    user_id: user.id,
+    name: (name || '').trim() || 'API key',
+    key_prefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+    key_hash: hashApiKey(apiKey),
+    last_used_at: null,
+    revoked_at: null,
+    created_at: new Date().toISOString()
+  });
+  return { apiKey, record };
+}
+
+function serializeApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.key_prefix,
+    lastUsedAt: record.last_used_at,
+    revokedAt: record.revoked_at,
+    createdAt: record.created_at
+  };
+}
+
+async function userFromApiKey(apiKey) {
+  const record = await repositories.apiKeys.findOne({ key_hash: hashApiKey(apiKey) });
+  if (!record || record.revoked_at) {
+    throw new AuthError('Invalid or revoked API key', 401);
+  }
+
+  const user = await repositories.users.findOne({ id: record.user_id });
+  if (!user) {
+    throw new AuthError('Invalid or revoked API key', 401);
+  }
+
+  if (!record.last_used_at || Date.now() - new Date(record.last_used_at).getTime() > KEY_USAGE_INTERVAL_MS) {
+    repositories.apiKeys.update({ id: record.id }, { last_used_at: new Date().toISOString() })
+      .catch(error => console.error('Failed to record API key use:', error.message));
+  }
+  return user;
+}
+
+async function userFromToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, jwtSecret);
+  } catch (error) {
+    throw new AuthError(error.name === 'TokenExpiredError' ? 'Session expired, sign in again' : 'Invalid session token', 401);
+  }
+
+  const user = await repositories.users.findOne({ id: claims.sub });
+  if (!user) {
+    throw new AuthError('Invalid session token', 401);
+  }
+  return user;
+}
+
+// Resolve the caller from "Authorization: Bearer <jwt|api key>", an "X-API-Key" header or,
+// for WebSocket clients that cannot set headers, an access_token query parameter
+async function authenticateRequest(headers, query = {}) {
+  if (!AUTH_ENABLED) return LOCAL_ADMIN;
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  const credential = headers['x-api-key'] || (bearer && bearer[1]) || query.access_token;
+  if (!credential) {
+    throw new AuthError('Authentication required', 401);
+  }
+
+  return credential.startsWith(API_KEY_PREFIX) ? userFromApiKey(credential) : userFromToken(credential);
+}
+
+// Express middleware for everything under /api except the given public paths
+function requireAuth({ publicPaths = [] } = {}) {
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.some(pattern => pattern.test(req.originalUrl.split('?')[0]))) {
+      return next();
+    }
+
+    try {
+      req.user = await authenticateRequest(req.headers, req.query);
+      next();
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Authentication error:', error);
+      res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+    }
+  };
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== role) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Whether a user may see a record. Records created before ownership existed have no owner
+// and are only visible to admins.
+function canAccess(user, ownerId) {
+  return Boolean(user) && (user.role === 'admin' || (ownerId && ownerId === user.id));
+}
+
+// `where` filter that limits a listing to the user's own records
+function ownedBy(user, where = {}) {
+  return user.role === 'admin' ? where : { ...where, owner_id: user.id };
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  ROLES,
+  AuthError,
+  createUser,
+  login,
+  issueToken,
+  createApiKey,
+  serializeApiKey,
+  serializeUser,
+  authenticateRequest,
+  requireAuth,
+  requireRole,
+  canAccess,
+  ownedBy
+};
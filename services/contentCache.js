@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { repositories } = require('./storage');
+const { getTaskConfig } = require('./llm');
+require('dotenv').config();
+
+// Persistent cache of AI-generated slide content. Entries are keyed on the normalized slide text,
+// the prompt version and the provider/model that produced them, so re-uploading a deck reuses
+// earlier output and a prompt or model change never serves stale content.
+
+const CACHE_ENABLED = process.env.CONTENT_CACHE_ENABLED !== 'false';
+
+// Bump when a prompt in aiContent.js changes in a way that should invalidate earlier output
+const PROMPT_VERSIONS = {
+  questions: 'questions-v1',
+  speech: 'speech-v1'
+};
+
+function normalizeSlideText(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// `variant` holds the other prompt inputs, e.g. the persona for questions or speaker notes for speech
+function cacheKey(kind, text, variant = {}) {
+  const { provider, model } = getTaskConfig(kind);
+  return {
+    key: sha256(JSON.stringify([kind, PROMPT_VERSIONS[kind], provider, model, variant, normalizeSlideText(text)])),
+    provider,
+    model
+  };
+}
+
+async function lookupContent(kind, text, variant) {
+  if (!CACHE_ENABLED) return null;
+
+  const { key } = cacheKey(kind, text, variant);
+  let entry;
+  try {
+    entry = await repositories.contentCache.findOne({ cache_key: key });
+  } catch (error) {
+    console.error(`Failed to read ${kind} content cache:`, error.message);
+    return null;
+  }
+  if (!entry) return null;
+
+  repositories.contentCache.update({ id: entry.id }, {
+    hit_count: (entry.hit_count || 0) + 1,
+    last_hit_at: new Date().toISOString()
+  }).catch(error => console.error('Failed to record cache hit:', error.message));
+  return entry.content;
+}
+
+async function storeContent(kind, text, variant, content) {
+  if (!CACHE_ENABLED || content === null || content === undefined) return;
+
+  const { key, provider, model } = cacheKey(kind, text, variant);
+  try {
+    await repositories.contentCache.upsert({
+      cache_key: key,
+      kind,
+      prompt_version: PROMPT_VERSIONS[kind],
+      provider,
+      model,
+      text_hash: sha256(normalizeSlideText(text)),
+      content,
+      hit_count: 0,
+      last_hit_at: null
+    }, { onConflict: 'cache_key' });
+  } catch (error) {
+    // The cache only saves work; a failed write must not fail the slide
+    console.error(`Failed to cache ${kind} content:`, error.message);
+  }
+}
+
+// Remove every entry written with a prompt version, optionally for one kind only
+async function invalidatePromptVersion(promptVersion, kind) {
+  const where = { prompt_version: promptVersion };
+  if (kind) where.kind = kind;
+  const removed = await repositories.contentCache.remove(where);
+  return removed.length;
+}
+
+async function cacheStats() {
+  const kinds = {};
+  for (const kind of Object.keys(PROMPT_VERSIONS)) {
+    const [all, current] = await Promise.all([
+      repositories.contentCache.findMany({ where: { kind }, limit: 1 }),
+      repositories.contentCache.findMany({ where: { kind, prompt_version: PROMPT_VERSIONS[kind] }, limit: 1 })
+    ]);
+    kinds[kind] = {
+      promptVersion: PROMPT_VERSIONS[kind],
+      ...getTaskConfig(kind),
+      entries: all.total,
+      currentEntries: current.total
+    };
+  }
+  return { enabled: CACHE_ENABLED, kinds };
+}
+
+module.exports = {
+  PROMPT_VERSIONS,
+  lookupContent,
+  storeContent,
+  invalidatePromptVersion,
+  cacheStats
+};
@@ -0,0 +1,358 @@
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+require('dotenv').config();
+
+const DECK_FORMATS = {
+  '.pdf': 'pdf',
+  '.pptx': 'pptx',
+  '.odp': 'odp',
+  '.zip': 'images'
+};
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|webp)$/i;
+const MAX_ARCHIVE_IMAGES = 300;
+const MAX_ARCHIVE_BYTES = 500 * 1024 * 1024;
+// Slide images barely compress and slide XML only tens of times; far beyond that is a zip bomb
+const MAX_COMPRESSION_RATIO = 200;
+
+// PPTX and ODP decks have no in-process renderer; LibreOffice converts them to PDF for rendering
+const CONVERTED_FORMATS = ['pptx', 'odp'];
+const SOFFICE_PATH = process.env.SOFFICE_PATH || 'soffice';
+const CONVERT_TIMEOUT_MS = parseInt(process.env.DECK_CONVERT_TIMEOUT_MS || '120000', 10);
+let converterCheck = null;
+
+// preserveOrder keeps mixed text and child elements in document order
+const xmlParser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  trimValues: false,
+  parseTagValue: false
+});
+
+// Map an uploaded file name to the deck format it should be imported as
+function getDeckFormat(fileName) {
+  return DECK_FORMATS[path.extname(fileName || '').toLowerCase()] || null;
+}
+
+function tagOf(node) {
+  return Object.keys(node).find(key => key !== ':@');
+}
+
+function childrenOf(node) {
+  const value = node[tagOf(node)];
+  return Array.isArray(value) ? value : [];
+}
+
+function attrsOf(node) {
+  return node[':@'] || {};
+}
+
+// All descendants with the given tag, without descending into matches or skipped tags
+function findAll(nodes, tag, skip = []) {
+  const found = [];
+  for (const node of nodes || []) {
+    const nodeTag = tagOf(node);
+    if (nodeTag === tag) {
+      found.push(node);
+    } else if (!skip.includes(nodeTag)) {
+      found.push(...findAll(childrenOf(node), tag, skip));
+    }
+  }
+  return found;
+}
+
+function findFirst(nodes, tag) {
+  return findAll(nodes, tag)[0] || null;
+}
+
+// Concatenate the text inside a paragraph, honouring explicit breaks, spaces and tabs
+function textOf(node) {
+  let text = '';
+  for (const child of childrenOf(node)) {
+    const tag = tagOf(child);
+    if (tag === '#text') {
+      text += child['#text'];
+    } else if (tag === 'a:br' || tag === 'text:line-break') {
+      text += '\n';
+    } else if (tag === 'text:s') {
+      text += ' '.repeat(parseInt(attrsOf(child)['@_text:c'] || '1', 10));
+    } else if (tag === 'text:tab') {
+      text += '\t';
+    } else {
+      text += textOf(child);
+    }
+  }
+  return text;
+}
+
+// Paragraph texts in document order; `skip(node)` prunes subtrees such as notes or footers
+function paragraphsOf(nodes, paragraphTags, skip = () => false) {
+  const paragraphs = [];
+  for (const node of nodes || []) {
+    if (skip(node)) continue;
+    if (paragraphTags.includes(tagOf(node))) {
+      const text = textOf(node).trim();
+      if (text) paragraphs.push(text);
+    } else {
+      paragraphs.push(...paragraphsOf(childrenOf(node), paragraphTags, skip));
+    }
+  }
+  return paragraphs;
+}
+
+// Inflate one entry, at most `maxBytes` of it. The sizes an archive declares about its entries
+// are not trusted: output is capped while inflating, by the budget and by the compression ratio.
+function inflateEntry(entry, maxBytes) {
+  const compressed = entry.getCompressedData();
+  const limit = Math.min(maxBytes, Math.max(compressed.length, 1) * MAX_COMPRESSION_RATIO);
+  const tooLarge = () => new Error(limit === maxBytes
+    ? 'The archive is too large once extracted'
+    : `${entry.entryName} expands far more than any slide content would; refusing the archive`);
+
+  if (entry.header.method === 0) {
+    if (compressed.length > maxBytes) throw tooLarge();
+    return compressed;
+  }
+  if (entry.header.method !== 8) {
+    throw new Error(`${entry.entryName} uses an unsupported compression method`);
+  }
+
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(limit, 1) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw new Error(`Could not read ${entry.entryName} from the archive: ${error.message}`);
+  }
+}
+
+// A ZIP archive whose entries share one extraction budget
+function openArchive(filePath, maxBytes = MAX_ARCHIVE_BYTES) {
+  const zip = new AdmZip(filePath);
+  let remaining = maxBytes;
+  return {
+    getEntry: entryName => zip.getEntry(entryName),
+    getEntries: () => zip.getEntries(),
+    read(entry) {
+      const data = inflateEntry(entry, remaining);
+      remaining -= data.length;
+      return data;
+    }
+  };
+}
+
+function readXml(archive, entryName) {
+  const entry = archive.getEntry(entryName);
+  if (!entry) return null;
+  return xmlParser.parse(archive.read(entry).toString('utf8'));
+}
+
+// Relationship id -> target path, resolved relative to the part that owns the .rels file
+function readRelationships(archive, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const rels = readXml(archive, relsName);
+  const relationships = {};
+
+  for (const rel of findAll(rels, 'Relationship')) {
+    const attrs = attrsOf(rel);
+    relationships[attrs['@_Id']] = {
+      type: attrs['@_Type'] || '',
+      target: path.posix.normalize(path.posix.join(path.posix.dirname(partName), attrs['@_Target']))
+    };
+  }
+  return relationships;
+}
+
+// Placeholder type of a PresentationML shape, e.g. "title", "ctrTitle" or "body"
+function placeholderType(shape) {
+  const placeholder = findFirst(childrenOf(shape), 'p:ph');
+  if (!placeholder) return null;
+  return attrsOf(placeholder)['@_type'] || 'body';
+}
+
+// Slide number, date and footer placeholders are not slide content
+function isFooterShape(node) {
+  return tagOf(node) === 'p:sp' && ['sldNum', 'dt', 'ftr'].includes(placeholderType(node));
+}
+
+// Read slide text, titles and speaker notes from a PowerPoint (OOXML) file
+function extractPptxSlides(filePath) {
+  const archive = openArchive(filePath);
+  const presentation = readXml(archive, 'ppt/presentation.xml');
+  if (!presentation) {
+    throw new Error('Not a valid PPTX file: ppt/presentation.xml is missing');
+  }
+
+  const relationships = readRelationships(archive, 'ppt/presentation.xml');
+  const slideIds = findAll(presentation, 'p:sldId');
+
+  return slideIds.map((slideId, index) => {
+    const relationship = relationships[attrsOf(slideId)['@_r:id']];
+    if (!relationship) {
+      throw new Error(`Not a valid PPTX file: slide ${index + 1} has no relationship to its slide part`);
+    }
+    const slidePart = relationship.target;
+    const slide = readXml(archive, slidePart) || [];
+    const shapes = findAll(slide, 'p:sp');
+
+    const titleShape = shapes.find(shape => ['title', 'ctrTitle'].includes(placeholderType(shape)));
+    const title = titleShape ? paragraphsOf([titleShape], ['a:p']).join(' ') : '';
+    const text = paragraphsOf(slide, ['a:p'], isFooterShape).join('\n');
+
+    // Speaker notes live in the notes slide's body placeholder
+    let notes = '';
+    const notesRel = Object.values(readRelationships(archive, slidePart)).find(rel => rel.type.endsWith('/notesSlide'));
+    if (notesRel) {
+      const notesSlide = readXml(archive, notesRel.target) || [];
+      notes = findAll(notesSlide, 'p:sp')
+        .filter(shape => placeholderType(shape) === 'body')
+        .flatMap(shape => paragraphsOf([shape], ['a:p']))
+        .join('\n');
+    }
+
+    return { page: index + 1, title, text, notes };
+  });
+}
+
+// Read slide text, titles and speaker notes from an OpenDocument presentation
+function extractOdpSlides(filePath) {
+  const content = readXml(openArchive(filePath), 'content.xml');
+  if (!content) {
+    throw new Error('Not a valid ODP file: content.xml is missing');
+  }
+
+  const paragraphTags = ['text:h', 'text:p'];
+
+  return findAll(content, 'draw:page').map((page, index) => {
+    const pageNodes = childrenOf(page);
+    const titleFrame = findAll(pageNodes, 'draw:frame', ['presentation:notes'])
+      .find(frame => attrsOf(frame)['@_presentation:class'] === 'title');
+
+    const notesNode = findFirst(pageNodes, 'presentation:notes');
+    const notes = notesNode
+      ? findAll(childrenOf(notesNode), 'draw:frame')
+        .filter(frame => attrsOf(frame)['@_presentation:class'] === 'notes')
+        .flatMap(frame => paragraphsOf([frame], paragraphTags))
+        .join('\n')
+      : '';
+
+    return {
+      page: index + 1,
+      title: titleFrame ? paragraphsOf([titleFrame], paragraphTags).join(' ') : '',
+      text: paragraphsOf(pageNodes, paragraphTags, node => tagOf(node) === 'presentation:notes').join('\n'),
+      notes
+    };
+  });
+}
+
+// Unpack a ZIP of slide images in natural file-name order (slide2 before slide10).
+// Only image entries are extracted, under generated names, so archive paths never touch the filesystem.
+function extractImageArchive(filePath, outputDir) {
+  const archive = openArchive(filePath);
+  const entries = archive.getEntries()
+    .filter(entry => !entry.isDirectory && IMAGE_EXTENSIONS.test(entry.entryName))
+    .filter(entry => !entry.entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+    .sort((a, b) => a.entryName.localeCompare(b.entryName, undefined, { numeric: true, sensitivity: 'base' }));
+
+  if (entries.length === 0) {
+    throw new Error('The ZIP archive does not contain any PNG, JPEG or WebP images');
+  }
+  if (entries.length > MAX_ARCHIVE_IMAGES) {
+    throw new Error(`The ZIP archive contains more than ${MAX_ARCHIVE_IMAGES} images`);
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  return entries.map((entry, index) => {
+    const extension = path.extname(entry.entryName).toLowerCase();
+    const imagePath = path.join(outputDir, `source_${index + 1}${extension}`);
+    fs.writeFileSync(imagePath, archive.read(entry));
+
+    return {
+      page: index + 1,
+      title: '',
+      text: '',
+      notes: '',
+      imagePath,
+      sourceName: entry.entryName
+    };
+  });
+}
+
+function needsConversion(format) {
+  return CONVERTED_FORMATS.includes(format);
+}
+
+// Resolves to whether LibreOffice can be run. Checked once per process, without blocking requests.
+function canConvertDecks() {
+  if (!converterCheck) {
+    converterCheck = new Promise(resolve => {
+      const child = spawn(SOFFICE_PATH, ['--version'], { stdio: 'ignore' });
+      const timer = setTimeout(() => child.kill('SIGKILL'), 30000);
+      child.on('error', () => {
+        clearTimeout(timer);
+        resolve(false);
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        resolve(code === 0);
+      });
+    });
+  }
+  return converterCheck;
+}
+
+// Convert a PPTX or ODP deck to PDF with LibreOffice and return the PDF's path. Hidden slides are
+// exported too, so PDF pages line up with the slides read from the XML.
+function convertDeckToPdf(filePath, format, outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  // Uploads are stored without an extension, which LibreOffice needs to pick an import filter
+  const sourcePath = path.join(outputDir, `deck.${format}`);
+  fs.copyFileSync(filePath, sourcePath);
+  const pdfPath = path.join(outputDir, 'deck.pdf');
+
+  const args = [
+    '--headless',
+    // A private profile, so conversions do not clash with each other or a running LibreOffice
+    `-env:UserInstallation=file://${path.resolve(outputDir, 'profile')}`,
+    '--convert-to', 'pdf:impress_pdf_Export:{"ExportHiddenSlides":{"type":"boolean","value":"true"}}',
+    '--outdir', outputDir,
+    sourcePath
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(SOFFICE_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), CONVERT_TIMEOUT_MS);
+
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`Could not run LibreOffice (${SOFFICE_PATH}): ${error.message}`));
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0 && fs.existsSync(pdfPath)) {
+        resolve(pdfPath);
+      } else if (signal) {
+        reject(new Error(`LibreOffice did not convert the deck within ${CONVERT_TIMEOUT_MS / 1000}s`));
+      } else {
+        reject(new Error(`LibreOffice could not convert the deck to PDF: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  getDeckFormat,
+  needsConversion,
+  canConvertDecks,
+  convertDeckToPdf,
+  extractPptxSlides,
+  extractOdpSlides,
+  extractImageArchive
+};
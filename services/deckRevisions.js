@@ -0,0 +1,211 @@
+const { repositories, slideStorage } = require('./storage');
+const { tokenize } = require('./localScorer');
+const { isAudioKey } = require('./audioPipeline');
+
+// Deck revisions. A new revision keeps the presentation's code, so rehearsals and reports stay
+// attached to it. Slides are matched to the previous revision by text similarity; questions and
+// speech content of unchanged slides are carried over and only changed or added slides are
+// sent to the AI again. Every processed upload is kept as a snapshot in presentation_revisions.
+
+// Slides at least this similar are treated as the same slide, possibly edited
+const MATCH_THRESHOLD = parseFloat(process.env.REVISION_MATCH_THRESHOLD || '0.5');
+// Matched slides at least this similar count as unchanged and keep their AI content
+const UNCHANGED_THRESHOLD = parseFloat(process.env.REVISION_UNCHANGED_THRESHOLD || '0.9');
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Dice coefficient over word counts: 1 for the same words, 0 for nothing in common
+function textSimilarity(a, b) {
+  if (normalizeText(a) === normalizeText(b)) return 1;
+
+  const countsA = new Map();
+  for (const token of tokenize(a)) countsA.set(token, (countsA.get(token) || 0) + 1);
+  const tokensB = tokenize(b);
+  const sizeA = [...countsA.values()].reduce((sum, count) => sum + count, 0);
+  if (sizeA === 0 || tokensB.length === 0) return 0;
+
+  let shared = 0;
+  for (const token of tokensB) {
+    const count = countsA.get(token) || 0;
+    if (count > 0) {
+      shared++;
+      countsA.set(token, count - 1);
+    }
+  }
+  return (2 * shared) / (sizeA + tokensB.length);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Match the slides of two versions of a deck ({ slide_count, slide_texts, slide_titles }).
+// Pairs are taken most similar first, preferring slides that kept their position. Slides
+// without text cannot be compared, so they are paired by position.
+function matchSlides(previous, next) {
+  const previousTexts = previous.slide_texts || {};
+  const nextTexts = next.slide_texts || {};
+  const range = count => Array.from({ length: count || 0 }, (_, index) => index + 1);
+
+  const candidates = [];
+  for (const from of range(previous.slide_count)) {
+    if (!previousTexts[from]) continue;
+    for (const to of range(next.slide_count)) {
+      if (!nextTexts[to]) continue;
+      const similarity = textSimilarity(previousTexts[from], nextTexts[to]);
+      if (similarity >= MATCH_THRESHOLD) candidates.push({ from, to, similarity });
+    }
+  }
+  candidates.sort((a, b) => b.similarity - a.similarity || Math.abs(a.from - a.to) - Math.abs(b.from - b.to) || a.to - b.to);
+
+  const byNext = new Map();
+  const matchedPrevious = new Set();
+  for (const candidate of candidates) {
+    if (byNext.has(candidate.to) || matchedPrevious.has(candidate.from)) continue;
+    byNext.set(candidate.to, candidate);
+    matchedPrevious.add(candidate.from);
+  }
+  for (const to of range(next.slide_count)) {
+    if (!nextTexts[to] && to <= (previous.slide_count || 0) && !previousTexts[to] && !matchedPrevious.has(to)) {
+      byNext.set(to, { from: to, to, similarity: null });
+      matchedPrevious.add(to);
+    }
+  }
+
+  const titleOf = (deck, slide) => (deck.slide_titles || {})[slide] || '';
+  const slides = range(next.slide_count).map(to => {
+    const match = byNext.get(to);
+    if (!match) {
+      return { status: 'added', slide: to, previousSlide: null, similarity: null, title: titleOf(next, to) };
+    }
+    const unchanged = match.similarity === null || match.similarity >= UNCHANGED_THRESHOLD;
+    return {
+      status: unchanged ? 'unchanged' : 'changed',
+      slide: to,
+      previousSlide: match.from,
+      similarity: match.similarity === null ? null : round(match.similarity),
+      moved: match.from !== to,
+      title: titleOf(next, to),
+      ...(unchanged ? {} : { previousText: previousTexts[match.from], text: nextTexts[to] })
+    };
+  });
+
+  const removed = range(previous.slide_count)
+    .filter(from => !matchedPrevious.has(from))
+    .map(from => ({ status: 'removed', slide: null, previousSlide: from, similarity: null, title: titleOf(previous, from) }));
+
+  const count = status => slides.filter(slide => slide.status === status).length;
+  return {
+    summary: {
+      added: count('added'),
+      removed: removed.length,
+      changed: count('changed'),
+      unchanged: count('unchanged'),
+      moved: slides.filter(slide => slide.moved).length
+    },
+    slides: slides.concat(removed)
+  };
+}
+
+// Questions and speech content of unchanged slides, renumbered to their new position.
+// Only personas that are still in the audience are carried over.
+function carryOverContent(previous, slides, audience) {
+  const personas = new Set(audience.map(member => member.persona));
+  const questionSet = [];
+  const speechContent = {};
+
+  for (const slide of slides) {
+    if (slide.status !== 'unchanged' || !(previous.slide_texts || {})[slide.previousSlide]) continue;
+
+    const counts = {};
+    for (const entry of previous.question_set || []) {
+      if (entry.slide !== slide.previousSlide || !personas.has(entry.persona)) continue;
+      counts[entry.persona] = (counts[entry.persona] || 0) + 1;
+      questionSet.push({ ...entry, id: `${slide.slide}-${entry.persona}-${counts[entry.persona]}`, slide: slide.slide });
+    }
+
+    const speech = (previous.speech_content || {})[slide.previousSlide];
+    if (speech) speechContent[slide.slide] = speech;
+  }
+
+  return { questionSet, speechContent };
+}
+
+function snapshotOf(presentation, { revision, jobId = null, changes = null, createdAt = presentation.created_at } = {}) {
+  return {
+    presentation_code: presentation.unique_code,
+    revision,
+    title: presentation.title,
+    filename: presentation.filename,
+    source_format: presentation.source_format || 'pdf',
+    slide_count: presentation.slide_count,
+    slide_texts: presentation.slide_texts || {},
+    slide_titles: presentation.slide_titles || {},
+    question_set: presentation.question_set || [],
+    speech_content: presentation.speech_content || {},
+    changes,
+    job_id: jobId,
+    created_at: createdAt
+  };
+}
+
+// Presentations uploaded before revisions existed have no snapshot of their first version
+async function ensureBaseRevision(presentation) {
+  const revision = presentation.revision || 1;
+  const existing = await repositories.presentationRevisions.findOne({ presentation_code: presentation.unique_code, revision });
+  if (!existing) {
+    await repositories.presentationRevisions.insert(snapshotOf(presentation, { revision }));
+  }
+}
+
+async function recordRevision(presentation, { jobId, changes }) {
+  return repositories.presentationRevisions.insert(snapshotOf(presentation, {
+    revision: presentation.revision || 1,
+    jobId,
+    changes,
+    createdAt: new Date().toISOString()
+  }));
+}
+
+// Revisions oldest first; a presentation without snapshots is listed as its current version
+async function listRevisions(presentation) {
+  const { rows } = await repositories.presentationRevisions.findMany({
+    where: { presentation_code: presentation.unique_code },
+    orderBy: 'revision',
+    ascending: true
+  });
+  return rows.length > 0 ? rows : [snapshotOf(presentation, { revision: presentation.revision || 1 })];
+}
+
+// Delete slide images the new revision no longer uses, e.g. slides beyond its last slide.
+// Audio files are left to the audio stage, which knows which of them are still used.
+async function removeStaleImages(uniqueCode, slideImages) {
+  const keep = new Set(Object.values(slideImages || {}).flatMap(keys => Object.values(keys)));
+  const stale = (await slideStorage.list(uniqueCode)).filter(key => !keep.has(key) && !isAudioKey(key));
+  await slideStorage.remove(stale);
+  return stale.length;
+}
+
+function serializeRevision(revision) {
+  return {
+    revision: revision.revision,
+    title: revision.title,
+    filename: revision.filename,
+    sourceFormat: revision.source_format,
+    slideCount: revision.slide_count,
+    changes: revision.changes || null,
+    createdAt: revision.created_at
+  };
+}
+
+module.exports = {
+  matchSlides,
+  carryOverContent,
+  ensureBaseRevision,
+  recordRevision,
+  listRevisions,
+  removeStaleImages,
+  serializeRevision
+};
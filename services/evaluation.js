@@ -0,0 +1,633 @@
+const { complete } = require('./llm');
+const { weightedScore } = require('./rubrics');
+const { createLocalScorer } = require('./localScorer');
+const { AUTO, detectLanguage, dominantLanguage, outputLanguage, languageName } = require('./languages');
+require('dotenv').config();
+
+// EVALUATION_SCORER=llm (default) grades with the LLM and uses the offline scorer as a fallback
+// and cross-check; EVALUATION_SCORER=local never calls an LLM
+const EVALUATION_SCORER = (process.env.EVALUATION_SCORER || 'llm').toLowerCase();
+const LOCAL_FALLBACK = process.env.EVALUATION_LOCAL_FALLBACK !== 'false';
+const CROSS_CHECK = process.env.EVALUATION_CROSS_CHECK !== 'false';
+const CROSS_CHECK_THRESHOLD = parseFloat(process.env.CROSS_CHECK_THRESHOLD || '30');
+
+// How many times a response that fails schema validation is re-requested
+const EVALUATION_MAX_ATTEMPTS = parseInt(process.env.EVALUATION_MAX_ATTEMPTS || '3', 10);
+
+// Slides either side of a question's slide that are included as grounding context
+const CONTEXT_RADIUS = parseInt(process.env.EVALUATION_CONTEXT_SLIDES || '1', 10);
+const MAX_EXCERPT_LENGTH = 1500;
+
+// An evaluation that produced no usable score. `code` is 'invalid_output', 'rate_limited' or 'provider_error',
+// or 'no_reference' and 'language_mismatch' when the offline scorer cannot score the answer.
+class EvaluationError extends Error {
+  constructor(message, code, { cause } = {}) {
+    super(message);
+    this.name = 'EvaluationError';
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Follow-up exchanges as prompt lines, indented under their opening question
+function formatFollowUps(followUps, indent) {
+  return (followUps || [])
+    .map(turn => `${indent}Follow-up Question: "${turn.question}"\n${indent}User Answer: "${turn.userAnswer}"`)
+    .join('\n');
+}
+
+// Work out which slide a Q&A pair is about: an explicit slide number, or the slide whose
+// stored question matches the pair's question text
+function resolvePairSlide(pair, presentation) {
+  const slide = parseInt(pair.slide, 10);
+  if (Number.isInteger(slide) && slide >= 1 && slide <= presentation.slide_count) {
+    return slide;
+  }
+
+  const question = (pair.question || '').trim();
+  const tagged = (presentation.question_set || []).find(entry => entry.question.trim() === question);
+  if (tagged) return tagged.slide;
+
+  const legacy = Object.entries(presentation.questions || {})
+    .find(([, questions]) => [].concat(questions).some(text => (text || '').trim() === question));
+  return legacy ? Number(legacy[0]) : null;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+// Text of a slide and its neighbours from the stored deck: [{ slide, title, text, speech }]
+function slideContext(presentation, slide, radius = CONTEXT_RADIUS) {
+  const excerpts = [];
+  for (let number = Math.max(1, slide - radius); number <= Math.min(presentation.slide_count, slide + radius); number++) {
+    const text = ((presentation.slide_texts || {})[number] || '').trim();
+    const speech = ((presentation.speech_content || {})[number] || '').trim();
+    if (!text && !speech) continue;
+
+    excerpts.push({
+      slide: number,
+      title: (presentation.slide_titles || {})[number] || '',
+      text: truncate(text, MAX_EXCERPT_LENGTH),
+      speech: truncate(speech, MAX_EXCERPT_LENGTH)
+    });
+  }
+  return excerpts;
+}
+
+// Attach each pair's source slide and deck excerpts so evaluation can be grounded in them
+function groundQaPairs(qaPairs, presentation) {
+  if (!presentation) return qaPairs;
+
+  return qaPairs.map(pair => {
+    const slide = resolvePairSlide(pair, presentation);
+    return slide ? { ...pair, slide, context: slideContext(presentation, slide) } : { ...pair, slide: null };
+  });
+}
+
+function formatContext(context, indent) {
+  return context
+    .map(excerpt => [
+      `${indent}[Slide ${excerpt.slide}]${excerpt.title ? ` ${excerpt.title}` : ''}`,
+      excerpt.text && `${indent}Slide text: "${excerpt.text}"`,
+      excerpt.speech && `${indent}Presenter script: "${excerpt.speech}"`
+    ].filter(Boolean).join('\n'))
+    .join('\n');
+}
+
+function isGrounded(pair) {
+  return Boolean(pair.context && pair.context.length > 0);
+}
+
+// Everything the presenter said in an exchange, opening answer and follow-ups
+function answerText(pair) {
+  return [pair.userAnswer, ...(pair.followUps || []).map(turn => turn.userAnswer)].join(' ');
+}
+
+// Languages of a report: the detected languages of the answers and the deck, and the language
+// feedback is written in. 'auto' feedback follows the answers, then the deck.
+function reportLanguages(qaPairs, presentation, setting = AUTO) {
+  const answers = qaPairs.map(answerText);
+  const deckLanguage = presentation ? presentation.deck_language || null : null;
+  return {
+    setting,
+    feedback: outputLanguage(setting, dominantLanguage(answers) || deckLanguage),
+    deckLanguage,
+    answerLanguages: [...new Set(answers.map(answer => detectLanguage(answer).language).filter(Boolean))]
+  };
+}
+
+function languageInstructions(feedbackLanguage) {
+  return `Answers may be in a different language from the question or the deck, e.g. a Hindi or Marathi answer to an English slide. Judge what the answer says, not the language it is said in. Write "referenceAnswer", every "justification" and "missingPoints" in ${languageName(feedbackLanguage)}, keeping the JSON keys in English.`;
+}
+
+function formatCriteria(rubric) {
+  return rubric.criteria
+    .map(criterion => `- "${criterion.id}" (${criterion.name}): ${criterion.description}`)
+    .join('\n');
+}
+
+// JSON shape of one evaluation, shown to the model with every criterion spelled out
+function evaluationTemplate(rubric, withIndex, grounded) {
+  const scores = rubric.criteria
+    .map(criterion => `    "${criterion.id}": { "score": 80, "justification": "Why this ${criterion.name.toLowerCase()} score" }`)
+    .join(',\n');
+
+  return `{${withIndex ? '\n  "questionIndex": 1,' : ''}
+  "referenceAnswer": "Your ideal answer here",
+  "scores": {
+${scores}
+  },
+  "missingPoints": "Key points the user missed"${grounded ? ',\n  "citations": [3, 4]' : ''}
+}`;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Check one evaluation object against the rubric's schema; returns a list of problems.
+// `citableSlides` is set for grounded pairs, whose citations must point at the excerpts given.
+function validateEvaluation(value, rubric, label, citableSlides = null) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${label} must be a JSON object`];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(value.referenceAnswer)) {
+    errors.push(`${label}.referenceAnswer must be a non-empty string`);
+  }
+  if (typeof value.missingPoints !== 'string') {
+    errors.push(`${label}.missingPoints must be a string`);
+  }
+  if (citableSlides) {
+    if (!Array.isArray(value.citations) || value.citations.length === 0) {
+      errors.push(`${label}.citations must be a non-empty array of slide numbers`);
+    } else {
+      const invalid = value.citations.filter(slide => !citableSlides.includes(slide));
+      if (invalid.length > 0) {
+        errors.push(`${label}.citations may only contain slides ${citableSlides.join(', ')}, got ${invalid.join(', ')}`);
+      }
+    }
+  }
+  if (!value.scores || typeof value.scores !== 'object' || Array.isArray(value.scores)) {
+    errors.push(`${label}.scores must be an object keyed by criterion id`);
+    return errors;
+  }
+
+  const expected = rubric.criteria.map(criterion => criterion.id);
+  for (const id of expected) {
+    const entry = value.scores[id];
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}.scores.${id} is missing`);
+      continue;
+    }
+    if (!Number.isInteger(entry.score) || entry.score < 0 || entry.score > 100) {
+      errors.push(`${label}.scores.${id}.score must be an integer from 0 to 100`);
+    }
+    if (!isNonEmptyString(entry.justification)) {
+      errors.push(`${label}.scores.${id}.justification must be a non-empty string`);
+    }
+  }
+  for (const id of Object.keys(value.scores)) {
+    if (!expected.includes(id)) {
+      errors.push(`${label}.scores.${id} is not a criterion of this rubric`);
+    }
+  }
+
+  return errors;
+}
+
+function citableSlides(pair) {
+  return isGrounded(pair) ? pair.context.map(excerpt => excerpt.slide) : null;
+}
+
+// A batch must hold exactly one evaluation per question, each with its 1-based questionIndex
+function validateBatch(value, rubric, qaPairs) {
+  const count = qaPairs.length;
+  if (!Array.isArray(value)) {
+    return ['the response must be a JSON array'];
+  }
+  if (value.length !== count) {
+    return [`the array must contain exactly ${count} evaluations, got ${value.length}`];
+  }
+
+  const errors = [];
+  const indexes = value.map(item => item && item.questionIndex);
+  for (let index = 1; index <= count; index++) {
+    if (indexes.filter(questionIndex => questionIndex === index).length !== 1) {
+      errors.push(`questionIndex ${index} must appear exactly once`);
+    }
+  }
+  value.forEach((item, index) => {
+    const pair = qaPairs[item && item.questionIndex - 1];
+    errors.push(...validateEvaluation(item, rubric, `item ${index + 1}`, pair ? citableSlides(pair) : null));
+  });
+  return errors;
+}
+
+// Parse model output as JSON, tolerating markdown code fences around it
+function parseJsonResponse(text) {
+  const cleaned = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(cleaned) };
+  } catch (error) {
+    return { error: `the response is not valid JSON (${error.message})` };
+  }
+}
+
+// Ask for an evaluation until the response passes `validate`. Invalid output is re-requested
+// with the validation errors appended. Rate limits and server errors are retried by the LLM
+// scheduler, so an error reaching this point is final.
+async function requestValidated({ prompt, maxTokens, metadata, validate }) {
+  let feedback = '';
+  let problems = [];
+
+  for (let attempt = 1; attempt <= EVALUATION_MAX_ATTEMPTS; attempt++) {
+    let completion;
+    try {
+      completion = await complete('evaluation', {
+        prompt: prompt + feedback,
+        maxTokens,
+        temperature: attempt === 1 ? 0.5 : 0.2,
+        metadata: { ...metadata, attempt }
+      });
+    } catch (error) {
+      console.error(`LLM API Error in evaluation (${error.provider || 'unknown'}):`, error);
+      throw error.status === 429
+        ? new EvaluationError('Evaluation failed: LLM rate limit exceeded', 'rate_limited', { cause: error })
+        : new EvaluationError(`Evaluation failed: ${error.message}`, 'provider_error', { cause: error });
+    }
+
+    const parsed = parseJsonResponse(completion.text);
+    problems = parsed.error ? [parsed.error] : validate(parsed.value);
+    if (problems.length === 0) {
+      return parsed.value;
+    }
+
+    console.warn(`Evaluation response rejected (attempt ${attempt}/${EVALUATION_MAX_ATTEMPTS}): ${problems.slice(0, 5).join('; ')}`);
+    feedback = `\n\nYour previous response was rejected because: ${problems.slice(0, 10).join('; ')}.\nRespond again with valid JSON only, in exactly the format described above.`;
+  }
+
+  throw new EvaluationError(
+    `Evaluation output failed validation after ${EVALUATION_MAX_ATTEMPTS} attempts: ${problems.slice(0, 3).join('; ')}`,
+    'invalid_output'
+  );
+}
+
+// Evaluate all answers in a single call
+async function evaluateAllAnswers(qaPairs, rubric, feedbackLanguage) {
+  const grounded = qaPairs.some(isGrounded);
+  let prompt = `Evaluate the following question and answer pairs against this rubric. Score every criterion from 0 to 100 and justify each score in one sentence.
+
+Criteria:
+${formatCriteria(rubric)}
+
+Some pairs include follow-up questions from the audience; score those on the whole exchange, including how well the follow-ups were handled.
+
+${languageInstructions(feedbackLanguage)}
+${grounded ? `
+Some pairs include excerpts from the presenter's slide deck. For those pairs, derive the reference answer and missing points from the excerpts rather than general knowledge, judge accuracy against them, and list the slide numbers you relied on in "citations". Pairs without excerpts have no "citations".
+` : ''}
+Respond with a JSON array containing one object per pair, each in this exact format:
+${evaluationTemplate(rubric, true, grounded)}
+
+Question and Answer Pairs:
+`;
+
+  qaPairs.forEach((pair, index) => {
+    prompt += `
+${index + 1}. Question: "${pair.question}"
+   User Answer: "${pair.userAnswer}"
+`;
+    if (pair.followUps && pair.followUps.length > 0) {
+      prompt += `${formatFollowUps(pair.followUps, '   ')}\n`;
+    }
+    if (isGrounded(pair)) {
+      prompt += `   Deck excerpts:\n${formatContext(pair.context, '   ')}\n`;
+    }
+  });
+
+  prompt += `
+Please evaluate all ${qaPairs.length} question-answer pairs and return a JSON array with ${qaPairs.length} evaluation objects.`;
+
+  console.log(`Sending ${qaPairs.length} questions to the LLM for evaluation...`);
+
+  const evaluations = await requestValidated({
+    prompt,
+    maxTokens: 800 * qaPairs.length,
+    metadata: { qaPairs, rubric, language: feedbackLanguage },
+    validate: value => validateBatch(value, rubric, qaPairs)
+  });
+
+  return qaPairs.map((_, index) => evaluations.find(evaluation => evaluation.questionIndex === index + 1));
+}
+
+// Evaluate a single answer, used when the batch call fails
+async function evaluateAnswer(pair, rubric, feedbackLanguage) {
+  const { question, userAnswer, followUps = [] } = pair;
+  const grounded = isGrounded(pair);
+  const followUpSection = followUps.length > 0
+    ? `${formatFollowUps(followUps, '')}\nScore the whole exchange, including how well the follow-ups were handled.\n`
+    : '';
+  const contextSection = grounded
+    ? `\nExcerpts from the presenter's slide deck:\n${formatContext(pair.context, '')}\nDerive the reference answer and missing points from these excerpts rather than general knowledge, judge accuracy against them, and list the slide numbers you relied on in "citations".\n`
+    : '';
+
+  const prompt = `Evaluate the following question and answer pair against this rubric. Score every criterion from 0 to 100 and justify each score in one sentence.
+
+Criteria:
+${formatCriteria(rubric)}
+
+Question: "${question}"
+User Answer: "${userAnswer}"
+${followUpSection}${contextSection}
+${languageInstructions(feedbackLanguage)}
+
+Respond in this exact JSON format:
+${evaluationTemplate(rubric, false, grounded)}`;
+
+  return requestValidated({
+    prompt,
+    maxTokens: 150 + 150 * rubric.criteria.length,
+    metadata: { question, userAnswer, followUps, context: pair.context, rubric, language: feedbackLanguage },
+    validate: value => validateEvaluation(value, rubric, 'the response', citableSlides(pair))
+  });
+}
+
+// Follow-up exchanges from a Q&A thread, shown alongside the opening question in the report
+function followUpColumns(pair) {
+  return pair.followUps && pair.followUps.length > 0 ? { "Follow-ups": pair.followUps } : {};
+}
+
+// Source slide of a pair in reports linked to a presentation
+function slideColumns(pair) {
+  return pair.slide !== undefined ? { "Slide": pair.slide } : {};
+}
+
+function languageColumns(pair) {
+  return pair.answerLanguage ? { "Answer Language": pair.answerLanguage } : {};
+}
+
+function scoredRow(pair, evaluation, rubric) {
+  const overall = weightedScore(rubric, evaluation.scores);
+
+  return {
+    "Question": pair.question,
+    "User Answer": pair.userAnswer,
+    ...slideColumns(pair),
+    ...languageColumns(pair),
+    ...followUpColumns(pair),
+    "Reference Answer": evaluation.referenceAnswer,
+    "Similarity Score": overall,
+    "Criteria Scores": Object.fromEntries(rubric.criteria.map(criterion => [criterion.id, {
+      score: evaluation.scores[criterion.id].score,
+      weight: criterion.weight,
+      justification: evaluation.scores[criterion.id].justification
+    }])),
+    "Passed": overall >= rubric.passThreshold,
+    "Missing Points": evaluation.missingPoints,
+    ...(isGrounded(pair) && { "Citations": evaluation.citations }),
+    "Evaluation Status": 'scored',
+    "Scorer": 'llm'
+  };
+}
+
+// A row scored by the offline scorer. It has no per-criterion breakdown; `llmError` records
+// why the LLM result was not used when this is a fallback.
+function localRow(pair, local, rubric, llmError = null) {
+  return {
+    "Question": pair.question,
+    "User Answer": pair.userAnswer,
+    ...slideColumns(pair),
+    ...languageColumns(pair),
+    ...followUpColumns(pair),
+    "Reference Answer": null,
+    "Similarity Score": local.score,
+    "Criteria Scores": null,
+    "Passed": local.score >= rubric.passThreshold,
+    "Missing Points": local.missingTerms.length > 0 ? `Terms not covered: ${local.missingTerms.join(', ')}` : 'None',
+    ...(isGrounded(pair) && { "Citations": pair.context.map(excerpt => excerpt.slide) }),
+    "Evaluation Status": 'scored',
+    "Scorer": 'local',
+    "Local Score": {
+      method: local.method,
+      lexicalScore: local.lexicalScore,
+      semanticScore: local.semanticScore,
+      reference: local.reference
+    },
+    ...(llmError && { "LLM Error": { code: llmError.code || 'provider_error', message: llmError.message } })
+  };
+}
+
+// A failed evaluation has no score at all, so it cannot drag averages down to 0
+function failedRow(pair, error) {
+  return {
+    "Question": pair.question,
+    "User Answer": pair.userAnswer,
+    ...slideColumns(pair),
+    ...languageColumns(pair),
+    ...followUpColumns(pair),
+    "Reference Answer": null,
+    "Similarity Score": null,
+    "Criteria Scores": null,
+    "Passed": null,
+    "Missing Points": null,
+    "Evaluation Status": 'error',
+    "Evaluation Error": { code: error.code || 'provider_error', message: error.message }
+  };
+}
+
+// Documents that define term rarity for the offline scorer
+function reportCorpus(qaPairs, presentation) {
+  const slideTexts = presentation ? Object.values(presentation.slide_texts || {}) : [];
+  const speech = presentation ? Object.values(presentation.speech_content || {}) : [];
+  const questions = qaPairs.map(pair => pair.question);
+  return [...slideTexts, ...speech, ...questions];
+}
+
+// What the offline scorer compares a pair with: the LLM's reference answer and the deck excerpts
+// when available, otherwise the question itself
+function localReferences(pair, referenceAnswer) {
+  const excerpts = isGrounded(pair) ? pair.context.map(excerpt => `${excerpt.text}\n${excerpt.speech}`) : [];
+  const references = [referenceAnswer, ...excerpts].filter(Boolean);
+  return {
+    texts: references.length > 0 ? references : [pair.question],
+    reference: referenceAnswer ? 'reference-answer' : excerpts.length > 0 ? 'slides' : 'question'
+  };
+}
+
+// The offline scorer matches terms, so it cannot score an answer against text in another language
+function localLanguageMismatch(pair, referenceAnswer = null) {
+  const referenceLanguage = dominantLanguage(localReferences(pair, referenceAnswer).texts);
+  if (!pair.answerLanguage || !referenceLanguage || pair.answerLanguage === referenceLanguage) return null;
+  return new EvaluationError(
+    `The answer is in ${languageName(pair.answerLanguage)} but the reference text is in ${languageName(referenceLanguage)}`,
+    'language_mismatch'
+  );
+}
+
+async function scoreLocally(scorer, pair, referenceAnswer = null) {
+  const { texts, reference } = localReferences(pair, referenceAnswer);
+  const local = await scorer.score(answerText(pair), texts);
+  return local ? { ...local, reference } : null;
+}
+
+// Generate report rows using AI analysis with batch processing. With a presentation,
+// each pair is tied to its source slide and evaluated against that part of the deck.
+// Feedback is written in `feedbackLanguage`, whatever language the answers are in.
+async function generateReport(inputPairs, rubric, { presentation, feedbackLanguage } = {}) {
+  const qaPairs = groundQaPairs(inputPairs, presentation)
+    .map(pair => ({ ...pair, answerLanguage: detectLanguage(answerText(pair)).language }));
+  const scorer = createLocalScorer(reportCorpus(qaPairs, presentation));
+  const language = feedbackLanguage || reportLanguages(qaPairs, presentation).feedback;
+
+  if (EVALUATION_SCORER === 'local') {
+    console.log(`Scoring ${qaPairs.length} QA pairs with the offline scorer...`);
+    const rows = [];
+    for (const pair of qaPairs) {
+      const mismatch = localLanguageMismatch(pair);
+      const local = mismatch ? null : await scoreLocally(scorer, pair);
+      rows.push(local
+        ? localRow(pair, local, rubric)
+        : failedRow(pair, mismatch || new EvaluationError('Nothing to score the answer against', 'no_reference')));
+    }
+    return rows;
+  }
+
+  const rows = await evaluateWithLlm(qaPairs, rubric, language);
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const pair = qaPairs[i];
+
+    if (row["Evaluation Status"] === 'error' && LOCAL_FALLBACK && !localLanguageMismatch(pair)) {
+      // Keep the report usable when the LLM is unavailable, without pretending the answer scored 0
+      const local = await scoreLocally(scorer, pair);
+      if (local) {
+        console.log(`Question ${i + 1} scored offline after LLM failure (${row["Evaluation Error"].code})`);
+        rows[i] = localRow(pair, local, rubric, row["Evaluation Error"]);
+      }
+    } else if (row["Evaluation Status"] === 'scored' && CROSS_CHECK && !localLanguageMismatch(pair, row["Reference Answer"])) {
+      const local = await scoreLocally(scorer, pair, row["Reference Answer"]);
+      if (local) {
+        const difference = round(row["Similarity Score"] - local.score);
+        row["Cross Check"] = {
+          localScore: local.score,
+          method: local.method,
+          difference,
+          disagreement: Math.abs(difference) >= CROSS_CHECK_THRESHOLD
+        };
+      }
+    }
+  }
+
+  return rows;
+}
+
+// LLM evaluation: one batch call, falling back to one call per question
+async function evaluateWithLlm(qaPairs, rubric, feedbackLanguage) {
+  console.log(`Starting batch evaluation for ${qaPairs.length} QA pairs with rubric "${rubric.id}"...`);
+
+  try {
+    const evaluations = await evaluateAllAnswers(qaPairs, rubric, feedbackLanguage);
+    console.log(`✓ Successfully evaluated all ${qaPairs.length} questions in single API call`);
+    return qaPairs.map((pair, index) => scoredRow(pair, evaluations[index], rubric));
+
+  } catch (error) {
+    console.error('Batch evaluation failed, falling back to individual evaluations:', error.message);
+
+    const results = [];
+    for (let i = 0; i < qaPairs.length; i++) {
+      const pair = qaPairs[i];
+
+      try {
+        console.log(`Evaluating question ${i + 1}/${qaPairs.length}: "${pair.question.substring(0, 50)}..."`);
+        results.push(scoredRow(pair, await evaluateAnswer(pair, rubric, feedbackLanguage), rubric));
+        console.log(`✓ Question ${i + 1} evaluated successfully`);
+
+      } catch (error) {
+        console.error(`Error evaluating question: ${pair.question}`, error.message);
+        results.push(failedRow(pair, error));
+      }
+    }
+
+    return results;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Per-slide results for reports linked to a presentation. A slide is a struggle when its
+// average score is below the pass threshold or one of its questions could not be evaluated.
+function summarizeSlides(rows, rubric, presentation) {
+  const bySlide = {};
+  for (const row of rows) {
+    if (!row["Slide"]) continue;
+    (bySlide[row["Slide"]] = bySlide[row["Slide"]] || []).push(row);
+  }
+
+  const slides = Object.entries(bySlide).map(([slide, slideRows]) => {
+    const scores = slideRows.filter(row => row["Evaluation Status"] === 'scored').map(row => row["Similarity Score"]);
+    const averageScore = scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+    const failedEvaluations = slideRows.length - scores.length;
+
+    return {
+      slide: Number(slide),
+      title: (presentation.slide_titles || {})[slide] || '',
+      questions: slideRows.length,
+      averageScore,
+      passedQuestions: slideRows.filter(row => row["Passed"]).length,
+      failedEvaluations,
+      struggled: (averageScore !== null && averageScore < rubric.passThreshold) || failedEvaluations > 0
+    };
+  }).sort((a, b) => a.slide - b.slide);
+
+  return {
+    slides,
+    struggledSlides: slides
+      .filter(slide => slide.struggled)
+      .sort((a, b) => (a.averageScore === null ? -1 : a.averageScore) - (b.averageScore === null ? -1 : b.averageScore))
+      .map(slide => slide.slide),
+    unlinkedQuestions: rows.filter(row => !row["Slide"]).length
+  };
+}
+
+// Overall statistics over the questions that were actually scored
+function summarizeReport(rows, rubric) {
+  const scored = rows.filter(row => row["Evaluation Status"] === 'scored');
+  const withCriteria = scored.filter(row => row["Criteria Scores"]);
+  const passed = scored.filter(row => row["Passed"]);
+  const average = values => values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+  return {
+    totalQuestions: rows.length,
+    evaluatedQuestions: scored.length,
+    failedEvaluations: rows.length - scored.length,
+    averageScore: average(scored.map(row => row["Similarity Score"])),
+    passedQuestions: passed.length,
+    passRate: scored.length > 0 ? Math.round((passed.length / scored.length) * 100) : null,
+    passThreshold: rubric.passThreshold,
+    criteriaAverages: Object.fromEntries(rubric.criteria.map(criterion => [
+      criterion.id,
+      average(withCriteria.map(row => row["Criteria Scores"][criterion.id].score))
+    ])),
+    scorers: {
+      llm: scored.filter(row => row["Scorer"] === 'llm').length,
+      local: scored.filter(row => row["Scorer"] === 'local').length
+    },
+    disagreements: rows.filter(row => row["Cross Check"] && row["Cross Check"].disagreement).length
+  };
+}
+
+module.exports = {
+  EvaluationError,
+  generateReport,
+  reportLanguages,
+  slideContext,
+  summarizeReport,
+  summarizeSlides,
+  validateEvaluation
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { repositories } = require('./storage');
+
+const UNFINISHED_STATUSES = ['queued', 'running'];
+
+// Registered job types: { stages: [{ name, weight, optional, run }], cleanup, lane }
+const handlers = {};
+
+// Each lane runs its jobs one at a time. Short jobs (one slide, a question set, audio) use their
+// own lane so they do not wait behind a full deck upload; AI calls from both lanes share the
+// provider schedulers, which keep them within the rate limits.
+const DEFAULT_LANE = 'default';
+const QUICK_LANE = 'quick';
+
+// Jobs currently known to this process, keyed by id
+const activeJobs = new Map();
+// Lane name -> { pendingJobIds, draining }
+const lanes = new Map();
+
+// Register the stages used to run jobs of a given type
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+function toRow(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    current_stage: job.currentStage,
+    progress: job.progress,
+    payload: job.payload,
+    artifacts: job.artifacts,
+    stages: job.stages,
+    slides: job.slides,
+    result: job.result,
+    errors: job.errors,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+    completed_at: job.completedAt
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    currentStage: row.current_stage,
+    progress: row.progress || 0,
+    payload: row.payload || {},
+    artifacts: row.artifacts || {},
+    stages: row.stages || {},
+    slides: row.slides || {},
+    result: row.result || {},
+    errors: row.errors || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+// Persist the full job state so it can be resumed after a restart
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+
+  await repositories.jobs.upsert(toRow(job), { onConflict: 'id' });
+}
+
+// Compute overall progress (0-100) from stage weights and per-stage progress
+function computeProgress(job) {
+  const handler = handlers[job.type];
+  if (!handler) return job.progress;
+
+  let totalWeight = 0;
+  let doneWeight = 0;
+
+  for (const stage of handler.stages) {
+    const weight = stage.weight || 1;
+    const state = job.stages[stage.name] || {};
+    totalWeight += weight;
+
+    if (['completed', 'skipped', 'failed'].includes(state.status)) {
+      doneWeight += weight;
+    } else if (state.status === 'running' && state.total) {
+      doneWeight += weight * Math.min(state.done / state.total, 1);
+    }
+  }
+
+  return totalWeight ? Math.round((doneWeight / totalWeight) * 100) : 0;
+}
+
+// Record a non-fatal or fatal error against a job
+function recordJobError(job, stage, message, slideNumber = null) {
+  job.errors.push({
+    stage,
+    slide: slideNumber,
+    message,
+    at: new Date().toISOString()
+  });
+}
+
+// Create a job, persist it and queue it for processing
+async function createJob(type, payload) {
+  const handler = handlers[type];
+  if (!handler) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    currentStage: null,
+    progress: 0,
+    payload,
+    artifacts: {},
+    stages: Object.fromEntries(handler.stages.map(stage => [stage.name, { status: 'pending' }])),
+    slides: {},
+    result: {},
+    errors: [],
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await saveJob(job);
+  enqueueJob(job);
+  return job;
+}
+
+// Look up a job, preferring the live in-memory copy
+async function getJob(id) {
+  if (activeJobs.has(id)) {
+    return activeJobs.get(id);
+  }
+
+  const row = await repositories.jobs.findOne({ id });
+  return row ? fromRow(row) : null;
+}
+
+// Queued and running jobs for one presentation
+function unfinishedJobsFor(uniqueCode) {
+  return [...activeJobs.values()]
+    .filter(job => job.payload.uniqueCode === uniqueCode && UNFINISHED_STATUSES.includes(job.status));
+}
+
+function laneOf(name) {
+  if (!lanes.has(name)) {
+    lanes.set(name, { pendingJobIds: [], draining: false });
+  }
+  return lanes.get(name);
+}
+
+function enqueueJob(job) {
+  const name = handlers[job.type].lane || DEFAULT_LANE;
+  activeJobs.set(job.id, job);
+  laneOf(name).pendingJobIds.push(job.id);
+  drainQueue(name);
+}
+
+// Process a lane's queued jobs one at a time
+async function drainQueue(name) {
+  const lane = laneOf(name);
+  if (lane.draining) return;
+  lane.draining = true;
+
+  try {
+    while (lane.pendingJobIds.length > 0) {
+      const job = activeJobs.get(lane.pendingJobIds.shift());
+      if (!job) continue;
+
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Job ${job.id} crashed:`, error);
+      } finally {
+        activeJobs.delete(job.id);
+      }
+    }
+  } finally {
+    lane.draining = false;
+  }
+}
+
+// Run each stage of a job in order, skipping stages finished before a restart
+async function runJob(job) {
+  const handler = handlers[job.type];
+  job.status = 'running';
+  await saveJob(job);
+
+  console.log(`\n=== Running job ${job.id} (${job.type}) ===`);
+
+  for (const stage of handler.stages) {
+    const state = job.stages[stage.name] || (job.stages[stage.name] = { status: 'pending' });
+    if (['completed', 'skipped', 'failed'].includes(state.status)) {
+      continue;
+    }
+
+    job.currentStage = stage.name;
+    state.status = 'running';
+    state.startedAt = state.startedAt || new Date().toISOString();
+    job.progress = computeProgress(job);
+    await saveJob(job);
+
+    const ctx = {
+      // Report per-stage progress, e.g. slides processed so far
+      setProgress: async (done, total) => {
+        state.done = done;
+        state.total = total;
+        job.progress = computeProgress(job);
+        await saveJob(job);
+      },
+      save: () => saveJob(job),
+      recordError: (message, slideNumber) => recordJobError(job, stage.name, message, slideNumber)
+    };
+
+    try {
+      const outcome = await stage.run(job, ctx);
+      state.status = outcome === 'skipped' ? 'skipped' : 'completed';
+      state.finishedAt = new Date().toISOString();
+      console.log(`✓ Job ${job.id} stage "${stage.name}" ${state.status}`);
+    } catch (error) {
+      console.error(`✗ Job ${job.id} stage "${stage.name}" failed:`, error);
+      state.status = 'failed';
+      state.finishedAt = new Date().toISOString();
+      recordJobError(job, stage.name, error.message);
+
+      if (!stage.optional) {
+        job.status = 'failed';
+        break;
+      }
+    }
+
+    job.progress = computeProgress(job);
+    await saveJob(job);
+  }
+
+  if (job.status !== 'failed') {
+    job.status = 'completed';
+    job.progress = 100;
+  }
+  job.currentStage = null;
+  job.completedAt = new Date().toISOString();
+
+  if (handler.cleanup) {
+    try {
+      await handler.cleanup(job);
+    } catch (error) {
+      console.error(`Cleanup failed for job ${job.id}:`, error);
+    }
+  }
+
+  await saveJob(job);
+  console.log(`=== Job ${job.id} ${job.status} ===\n`);
+}
+
+// Re-queue jobs left unfinished by a previous server process
+async function resumeUnfinishedJobs() {
+  const { rows } = await repositories.jobs.findMany({
+    where: { status: UNFINISHED_STATUSES },
+    orderBy: 'created_at',
+    ascending: true
+  });
+
+  for (const row of rows) {
+    const job = fromRow(row);
+    if (!handlers[job.type]) {
+      console.warn(`Skipping job ${job.id}: no handler for type "${job.type}"`);
+      continue;
+    }
+    console.log(`Resuming job ${job.id} at stage "${job.currentStage || 'start'}"`);
+    enqueueJob(job);
+  }
+
+  return rows.length;
+}
+
+// Shape a job for API responses
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    currentStage: job.currentStage,
+    progress: job.progress,
+    stages: job.stages,
+    slides: job.slides,
+    result: job.result,
+    errors: job.errors,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt
+  };
+}
+
+module.exports = {
+  QUICK_LANE,
+  registerJobHandler,
+  createJob,
+  getJob,
+  unfinishedJobsFor,
+  resumeUnfinishedJobs,
+  serializeJob
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { repositories } = require('./storage');
+require('dotenv').config();
+
+// Join codes for presentations and reports. A code is the record's unique_code; its policy
+// (expiry, revocation, usage limit) lives in the join_codes table. Records created before
+// join codes existed have no policy row and stay valid indefinitely.
+
+// No 0/O, 1/I/L or U/V look-alikes, so codes can be read aloud and typed on a VR keyboard
+const ALPHABET = '23456789ABCDEFGHJKMNPQRSTWXYZ';
+const CODE_LENGTH = parseInt(process.env.JOIN_CODE_LENGTH || '6', 10);
+const MAX_ATTEMPTS = 8;
+
+// Default lifetime per kind of code in hours; 0 means the code never expires
+const KINDS = {
+  presentation: { ttlHours: parseFloat(process.env.PRESENTATION_CODE_TTL_HOURS || '720') },
+  report: { ttlHours: parseFloat(process.env.REPORT_CODE_TTL_HOURS || '2160') }
+};
+
+// Errors that map to a client-facing HTTP status; `reason` tells clients why a code stopped working
+class JoinCodeError extends Error {
+  constructor(message, status, reason) {
+    super(message);
+    this.name = 'JoinCodeError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+function randomCode() {
+  return Array.from({ length: CODE_LENGTH }, () => ALPHABET[crypto.randomInt(ALPHABET.length)]).join('');
+}
+
+// Accept codes typed in lower case or with spaces and dashes, e.g. "k7m-q2x"
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]+/g, '');
+}
+
+// Validate per-code options sent by clients: { ttlHours, maxUses }
+function parseCodeOptions({ ttlHours, maxUses } = {}) {
+  const options = {};
+  if (ttlHours !== undefined && ttlHours !== '') {
+    const hours = Number(ttlHours);
+    if (!Number.isFinite(hours) || hours < 0) {
+      throw new JoinCodeError('codeTtlHours must be a number of hours (0 for no expiry)', 400, 'invalid_options');
+    }
+    options.ttlHours = hours;
+  }
+  if (maxUses !== undefined && maxUses !== '' && maxUses !== null) {
+    const uses = Number(maxUses);
+    if (!Number.isInteger(uses) || uses < 1) {
+      throw new JoinCodeError('codeMaxUses must be a positive integer', 400, 'invalid_options');
+    }
+    options.maxUses = uses;
+  }
+  return options;
+}
+
+function expiryFrom(ttlHours) {
+  return ttlHours > 0 ? new Date(Date.now() + ttlHours * 3600 * 1000).toISOString() : null;
+}
+
+// Reserve a new code before any work is done for the record, retrying on the rare collision.
+// Returns the join_codes row; its `code` becomes the record's unique_code.
+async function issueCode(kind, { ownerId = null, ttlHours = KINDS[kind].ttlHours, maxUses = null } = {}) {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const code = randomCode();
+    try {
+      return await repositories.joinCodes.insert({
+        code,
+        kind,
+        owner_id: ownerId,
+        expires_at: expiryFrom(ttlHours),
+        max_uses: maxUses,
+        use_count: 0,
+        revoked_at: null,
+        revoked_reason: null,
+        last_used_at: null,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code !== 'UNIQUE_VIOLATION') throw error;
+      console.warn(`Join code collision on attempt ${attempt}, retrying`);
+    }
+  }
+  throw new Error(`Could not allocate a unique ${kind} code after ${MAX_ATTEMPTS} attempts`);
+}
+
+// Check that a code may still be used. With `consume`, the use counts towards its usage limit.
+async function checkCode(kind, code, { consume = false } = {}) {
+  const entry = await repositories.joinCodes.findOne({ code, kind });
+  if (!entry) return null;
+
+  if (entry.revoked_at) {
+    throw new JoinCodeError(`This ${kind} code has been revoked${entry.revoked_reason ? `: ${entry.revoked_reason}` : ''}`, 410, 'revoked');
+  }
+  if (entry.expires_at && new Date(entry.expires_at) <= new Date()) {
+    throw new JoinCodeError(`This ${kind} code expired on ${entry.expires_at}`, 410, 'expired');
+  }
+  if (entry.max_uses && entry.use_count >= entry.max_uses) {
+    throw new JoinCodeError(`This ${kind} code has reached its limit of ${entry.max_uses} uses`, 410, 'usage_limit');
+  }
+
+  if (!consume) return entry;
+  const [updated] = await repositories.joinCodes.update({ id: entry.id }, {
+    use_count: entry.use_count + 1,
+    last_used_at: new Date().toISOString()
+  });
+  return updated;
+}
+
+// Change a code's expiry or usage limit: { ttlHours, maxUses }; maxUses null removes the limit
+async function updateCodePolicy(entry, input) {
+  const options = parseCodeOptions(input);
+  const patch = {};
+  if (options.ttlHours !== undefined) patch.expires_at = expiryFrom(options.ttlHours);
+  if (options.maxUses !== undefined) patch.max_uses = options.maxUses;
+  if (input.maxUses === null) patch.max_uses = null;
+
+  const [updated] = await repositories.joinCodes.update({ id: entry.id }, patch);
+  return updated;
+}
+
+async function revokeCode(entry, reason) {
+  const [updated] = await repositories.joinCodes.update({ id: entry.id }, {
+    revoked_at: new Date().toISOString(),
+    revoked_reason: reason || null
+  });
+  return updated;
+}
+
+function codeStatus(entry) {
+  if (entry.revoked_at) return 'revoked';
+  if (entry.expires_at && new Date(entry.expires_at) <= new Date()) return 'expired';
+  if (entry.max_uses && entry.use_count >= entry.max_uses) return 'usage_limit';
+  return 'active';
+}
+
+function serializeCode(entry) {
+  return {
+    code: entry.code,
+    kind: entry.kind,
+    status: codeStatus(entry),
+    expiresAt: entry.expires_at,
+    maxUses: entry.max_uses,
+    useCount: entry.use_count,
+    lastUsedAt: entry.last_used_at,
+    revokedAt: entry.revoked_at,
+    revokedReason: entry.revoked_reason,
+    createdAt: entry.created_at
+  };
+}
+
+module.exports = {
+  KINDS,
+  JoinCodeError,
+  normalizeCode,
+  parseCodeOptions,
+  issueCode,
+  checkCode,
+  updateCodePolicy,
+  revokeCode,
+  serializeCode
+};
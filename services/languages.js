@@ -0,0 +1,120 @@
+// Languages presenters rehearse in. Slide and answer languages are detected from the script and,
+// for Devanagari, from common function words, which is enough to tell English, Hindi and Marathi apart.
+
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी' },
+  mr: { name: 'Marathi', nativeName: 'मराठी' }
+};
+
+// 'auto' follows the detected language: of each slide for questions and speech, of the answers for feedback
+const AUTO = 'auto';
+const OUTPUTS = ['questions', 'speech', 'feedback'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Frequent words that exist in only one of the two languages
+const MARATHI_MARKERS = new Set(['आहे', 'आहेत', 'आणि', 'नाही', 'आम्ही', 'तुम्ही', 'आपण', 'मध्ये', 'साठी', 'म्हणून', 'होते', 'होता', 'केले', 'करतो', 'करते', 'आमचा', 'आमची', 'आमचे', 'तुमचा', 'तुमची', 'पण', 'त्यांना', 'त्याचा', 'ते', 'हा', 'म्हणजे']);
+const HINDI_MARKERS = new Set(['है', 'हैं', 'और', 'नहीं', 'हम', 'आप', 'यह', 'वह', 'में', 'के', 'की', 'का', 'को', 'से', 'कि', 'था', 'थे', 'लिए', 'भी', 'किया', 'करते', 'हमारा', 'हमारी', 'हमारे', 'लेकिन', 'इसलिए', 'रहे']);
+
+// Devanagari letters and signs, without its digits
+const DEVANAGARI = /[\u0900-\u0965\u0970-\u097F]/g;
+const LATIN = /[A-Za-z]/g;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Detect the language of a text: { language, confidence }, with language null when it has no
+// letters or is written in another script
+function detectLanguage(text) {
+  const value = String(text || '');
+  const devanagari = (value.match(DEVANAGARI) || []).length;
+  const latin = (value.match(LATIN) || []).length;
+  if (devanagari + latin === 0) {
+    return { language: null, confidence: 0 };
+  }
+
+  const share = Math.max(devanagari, latin) / (devanagari + latin);
+  if (latin >= devanagari) {
+    return { language: 'en', confidence: round(share) };
+  }
+
+  let marathi = 0;
+  let hindi = 0;
+  for (const word of value.split(/[^\p{L}\p{M}]+/u)) {
+    if (MARATHI_MARKERS.has(word)) marathi++;
+    if (HINDI_MARKERS.has(word)) hindi++;
+  }
+  // Without marker words a Devanagari text is most likely Hindi, but only weakly so
+  if (marathi === hindi) {
+    return { language: 'hi', confidence: round(share * 0.5) };
+  }
+  const language = marathi > hindi ? 'mr' : 'hi';
+  return { language, confidence: round(share * Math.max(marathi, hindi) / (marathi + hindi)) };
+}
+
+// The most common language among texts, weighted by length
+function dominantLanguage(texts) {
+  const weights = {};
+  for (const text of texts) {
+    const { language } = detectLanguage(text);
+    if (language) weights[language] = (weights[language] || 0) + String(text).length;
+  }
+  const ranked = Object.entries(weights).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+// Per-slide languages of a deck and the language of the deck as a whole
+function detectDeckLanguages(slideTexts) {
+  const slideLanguages = {};
+  for (const [slide, text] of Object.entries(slideTexts || {})) {
+    const { language } = detectLanguage(text);
+    if (language) slideLanguages[slide] = language;
+  }
+  return { slideLanguages, deckLanguage: dominantLanguage(Object.values(slideTexts || {})) };
+}
+
+function parseLanguage(value, field) {
+  const code = String(value).trim().toLowerCase();
+  if (code !== AUTO && !LANGUAGES[code]) {
+    throw new Error(`${field} must be one of: ${AUTO}, ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  return code;
+}
+
+// Language settings from request fields: `language` sets every output, and `questionLanguage`,
+// `speechLanguage` and `feedbackLanguage` override one output each. Unset outputs keep `current`.
+function parseLanguageSettings(input = {}, current = {}) {
+  const settings = {};
+  const all = input.language !== undefined && input.language !== '' ? parseLanguage(input.language, 'language') : null;
+
+  for (const output of OUTPUTS) {
+    const field = `${output === 'questions' ? 'question' : output}Language`;
+    const value = input[field];
+    settings[output] = value !== undefined && value !== ''
+      ? parseLanguage(value, field)
+      : all || current[output] || AUTO;
+  }
+  return settings;
+}
+
+// The language to write one output in: the chosen language, or the detected one for 'auto'
+function outputLanguage(setting, detected) {
+  return setting && setting !== AUTO ? setting : detected || DEFAULT_LANGUAGE;
+}
+
+function languageName(code) {
+  const language = LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+  return language.nativeName === language.name ? language.name : `${language.name} (${language.nativeName})`;
+}
+
+module.exports = {
+  LANGUAGES,
+  AUTO,
+  detectLanguage,
+  dominantLanguage,
+  detectDeckLanguages,
+  parseLanguageSettings,
+  outputLanguage,
+  languageName
+};
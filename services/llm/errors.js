@@ -0,0 +1,26 @@
+// Error raised by any LLM provider, normalised so callers can handle rate limits uniformly
+class LLMError extends Error {
+  constructor(message, { provider, status = null, headers = {}, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.headers = headers;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Convert a fetch-style Headers object (or plain object) into a lowercase plain object
+function headersToObject(headers) {
+  if (!headers) return {};
+  if (typeof headers.forEach === 'function' && typeof headers.get === 'function') {
+    const result = {};
+    headers.forEach((value, key) => {
+      result[key.toLowerCase()] = value;
+    });
+    return result;
+  }
+  return Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+module.exports = { LLMError, headersToObject };
@@ -0,0 +1,137 @@
+const { createOpenAIProvider } = require('./providers/openai');
+const { createGeminiProvider } = require('./providers/gemini');
+const { createMockProvider, registerMockResponder } = require('./providers/mock');
+const { LLMError } = require('./errors');
+const { PRIORITIES, createScheduler } = require('./scheduler');
+require('dotenv').config();
+
+// Tasks that can be routed to their own provider/model, e.g. LLM_EVALUATION_PROVIDER=gemini
+const TASKS = ['questions', 'speech', 'evaluation', 'followup'];
+
+// Live Q&A waits on follow-ups, report requests wait on evaluations; deck processing runs in the background
+const TASK_PRIORITIES = {
+  followup: 'interactive',
+  evaluation: 'normal',
+  questions: 'background',
+  speech: 'background'
+};
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  gemini: 'gemini-pro',
+  local: 'llama3',
+  mock: 'mock-1'
+};
+
+const providerFactories = {
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL
+  }),
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY
+  }),
+  // Any OpenAI-compatible endpoint such as Ollama or llama.cpp's server
+  local: () => createOpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+  }),
+  mock: () => createMockProvider()
+};
+
+const providers = {};
+const schedulers = {};
+
+function getProvider(name) {
+  if (!providerFactories[name]) {
+    throw new LLMError(`Unknown LLM provider: ${name}`, { provider: name });
+  }
+  if (!providers[name]) {
+    providers[name] = providerFactories[name]();
+  }
+  return providers[name];
+}
+
+// Local and mock providers have no shared quota, so they are only limited by concurrency.
+// Per-provider budgets: LLM_<PROVIDER>_REQUESTS_PER_MINUTE, _TOKENS_PER_MINUTE and _MAX_CONCURRENCY.
+function getScheduler(name) {
+  if (!schedulers[name]) {
+    const prefix = `LLM_${name.toUpperCase()}`;
+    const limited = !['local', 'mock'].includes(name);
+    schedulers[name] = createScheduler(name, {
+      limited,
+      maxConcurrency: parseInt(process.env[`${prefix}_MAX_CONCURRENCY`] || (limited ? '2' : '4'), 10),
+      requestsPerMinute: parseInt(process.env[`${prefix}_REQUESTS_PER_MINUTE`] || '0', 10),
+      tokensPerMinute: parseInt(process.env[`${prefix}_TOKENS_PER_MINUTE`] || '0', 10),
+      maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '4', 10),
+      baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS || '1000', 10),
+      maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_MS || '60000', 10)
+    });
+  }
+  return schedulers[name];
+}
+
+// Resolve provider and model for a task: LLM_<TASK>_* overrides LLM_*, which overrides the defaults
+function getTaskConfig(task) {
+  const prefix = `LLM_${task.toUpperCase()}`;
+  const provider = (process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const taskModel = process.env[`${prefix}_MODEL`];
+
+  // A global LLM_MODEL only applies when the task uses the global provider
+  const globalModel = !process.env[`${prefix}_PROVIDER`] ? process.env.LLM_MODEL : null;
+
+  return {
+    provider,
+    model: taskModel || globalModel || DEFAULT_MODELS[provider]
+  };
+}
+
+// Run a completion for a task through its configured provider. The call waits its turn in the
+// provider's scheduler; `priority` overrides the task's default.
+async function complete(task, { prompt, messages, maxTokens, temperature = 0.7, metadata = {}, priority }) {
+  const { provider: providerName, model } = getTaskConfig(task);
+  const provider = getProvider(providerName);
+  const chat = messages || [{ role: 'user', content: prompt }];
+
+  const result = await getScheduler(providerName).schedule(() => provider.complete({
+    task,
+    model,
+    messages: chat,
+    maxTokens,
+    temperature,
+    metadata
+  }), {
+    priority: priority || TASK_PRIORITIES[task],
+    messages: chat,
+    maxTokens,
+    label: task
+  });
+
+  return { ...result, provider: providerName, model };
+}
+
+// Live queue depth and remaining quota of every provider in use
+function rateLimitStatus() {
+  const names = new Set([...TASKS.map(task => getTaskConfig(task).provider), ...Object.keys(schedulers)]);
+  return [...names]
+    .filter(name => providerFactories[name])
+    .map(name => getScheduler(name).status());
+}
+
+// Summarise the active routing for status endpoints
+function describeConfig() {
+  return Object.fromEntries(TASKS.map(task => [task, getTaskConfig(task)]));
+}
+
+module.exports = {
+  TASKS,
+  complete,
+  getTaskConfig,
+  describeConfig,
+  rateLimitStatus,
+  PRIORITIES,
+  registerMockResponder,
+  LLMError
+};
@@ -0,0 +1,66 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LLMError } = require('../errors');
+
+// Google Gemini provider using @google/generative-ai
+function createGeminiProvider({ apiKey } = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      if (!apiKey) {
+        throw new LLMError('GEMINI_API_KEY is not configured', { provider: 'gemini' });
+      }
+      client = new GoogleGenerativeAI(apiKey);
+    }
+    return client;
+  }
+
+  // Gemini has no system role in this SDK version, so system prompts are folded into the first user turn
+  function toContents(messages) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content);
+    const turns = messages.filter(message => message.role !== 'system');
+
+    return turns.map((message, index) => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: index === 0 && system.length > 0 ? `${system.join('\n\n')}\n\n${message.content}` : message.content }]
+    }));
+  }
+
+  async function complete({ model, messages, maxTokens, temperature }) {
+    try {
+      const generativeModel = getClient().getGenerativeModel({
+        model,
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          temperature,
+        }
+      });
+
+      const result = await generativeModel.generateContent({ contents: toContents(messages) });
+      const usage = result.response.usageMetadata || {};
+
+      return {
+        text: result.response.text().trim(),
+        usage: {
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0
+        },
+        headers: {}
+      };
+    } catch (error) {
+      if (error instanceof LLMError) throw error;
+
+      // The SDK only reports the HTTP status inside the message, e.g. "[429 Too Many Requests]"
+      const statusMatch = /\[(\d{3})[^\]]*\]/.exec(error.message || '');
+      throw new LLMError(error.message, {
+        provider: 'gemini',
+        status: statusMatch ? parseInt(statusMatch[1], 10) : null,
+        cause: error
+      });
+    }
+  }
+
+  return { name: 'gemini', complete };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+// Deterministic offline provider for demos and tests. Each task has a responder that builds
+// a plausible answer from the request metadata; unknown tasks get a stable echo.
+const responders = {};
+
+// Register how the mock provider answers a given task
+function registerMockResponder(task, responder) {
+  responders[task] = responder;
+}
+
+function shortHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').substring(0, 8);
+}
+
+function contentWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 3);
+}
+
+function firstWords(text, count) {
+  return (text || '').replace(/\s+/g, ' ').trim().split(' ').slice(0, count).join(' ');
+}
+
+// Score an answer by how many of the question's content words it covers
+function overlapScore(question, answer) {
+  const expected = new Set(contentWords(question));
+  const given = new Set(contentWords(answer));
+  if (expected.size === 0 || given.size === 0) return given.size > 0 ? 50 : 0;
+
+  let matched = 0;
+  expected.forEach(word => {
+    if (given.has(word)) matched++;
+  });
+
+  const coverage = matched / expected.size;
+  const lengthBonus = Math.min(given.size / 20, 1);
+  return Math.round(Math.min(100, coverage * 70 + lengthBonus * 30));
+}
+
+// Per-criterion scores spread deterministically around the overlap score. With deck excerpts
+// the answer is compared against the slide text instead and the excerpts are cited.
+function mockEvaluation(question, userAnswer, rubric, context) {
+  const grounded = Array.isArray(context) && context.length > 0;
+  const reference = grounded ? context.map(excerpt => excerpt.text || excerpt.speech).join(' ') : question;
+  const base = overlapScore(reference, userAnswer);
+  const criteria = rubric ? rubric.criteria.map(criterion => criterion.id) : ['accuracy'];
+
+  return {
+    referenceAnswer: grounded
+      ? `Drawing on slide ${context[0].slide}: ${firstWords(reference, 25)}`
+      : `A complete answer to "${firstWords(question, 12)}" explains the key idea, gives a concrete example and states the impact.`,
+    scores: Object.fromEntries(criteria.map(id => {
+      const offset = (parseInt(shortHash(id), 16) % 21) - 10;
+      return [id, {
+        score: Math.max(0, Math.min(100, base + offset)),
+        justification: `Mock ${id} score based on how much of the question the answer covers`
+      }];
+    })),
+    missingPoints: 'Concrete example; measurable impact',
+    ...(grounded && { citations: context.map(excerpt => excerpt.slide) })
+  };
+}
+
+const MOCK_QUESTION_STEMS = {
+  easy: 'What do you mean by',
+  medium: 'Can you give an example for',
+  hard: 'What evidence supports'
+};
+
+registerMockResponder('questions', ({ slideText, slideNumber, persona = 'general', difficulty = 'medium', count = 1 }) => {
+  if (persona === 'general' && count === 1) {
+    return `What is the most important takeaway from "${firstWords(slideText, 6)}" on slide ${slideNumber}?`;
+  }
+  const stem = MOCK_QUESTION_STEMS[difficulty] || MOCK_QUESTION_STEMS.medium;
+  return Array.from({ length: count }, (_, index) =>
+    `${index + 1}. (${persona}) ${stem} "${firstWords(slideText, 4 + index)}" on slide ${slideNumber}?`
+  ).join('\n');
+});
+
+// With a word target the speech is padded or cut to that length
+registerMockResponder('speech', ({ slideText, notes, targetWords }) => {
+  const speech = `On this slide we look at ${firstWords(notes || slideText, 15)}. This matters because it shapes the rest of the talk. Keep this point in mind as we move on.`;
+  if (!targetWords) return speech;
+  const words = speech.split(/\s+/);
+  while (words.length < targetWords) words.push(...words.slice(0, targetWords - words.length));
+  return words.slice(0, targetWords).join(' ');
+});
+
+// Follow-up answers count towards the score of the question they belong to
+function combinedAnswer(userAnswer, followUps) {
+  return [userAnswer, ...(followUps || []).map(turn => turn.userAnswer)].join(' ');
+}
+
+registerMockResponder('evaluation', ({ qaPairs, question, userAnswer, followUps, context, rubric }) => {
+  if (Array.isArray(qaPairs)) {
+    return JSON.stringify(qaPairs.map((pair, index) => ({
+      questionIndex: index + 1,
+      ...mockEvaluation(pair.question, combinedAnswer(pair.userAnswer, pair.followUps), rubric, pair.context)
+    })));
+  }
+  return JSON.stringify(mockEvaluation(question, combinedAnswer(userAnswer, followUps), rubric, context));
+});
+
+// Follow up while the latest answer covers little of the latest question
+registerMockResponder('followup', ({ question, answer, turns = [] }) => {
+  const topic = turns.length > 0 ? turns[0].text : question;
+  const score = overlapScore(question, answer);
+  if (score >= 50 && contentWords(answer).length >= 6) {
+    return JSON.stringify({ followUp: false, reason: 'The answer addressed the question', question: null });
+  }
+  return JSON.stringify({
+    followUp: true,
+    reason: 'The answer was vague or did not address the question',
+    question: `Could you be more specific about "${firstWords(topic, 8)}"?`
+  });
+});
+
+function createMockProvider() {
+  async function complete({ task, model, messages, metadata = {} }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const responder = responders[task];
+    const text = responder
+      ? responder(metadata, prompt)
+      : `Mock ${task || 'completion'} response ${shortHash(prompt)}`;
+
+    return {
+      text,
+      usage: {
+        promptTokens: Math.ceil(prompt.length / 4),
+        completionTokens: Math.ceil(text.length / 4)
+      },
+      headers: {},
+      model
+    };
+  }
+
+  return { name: 'mock', complete };
+}
+
+module.exports = { createMockProvider, registerMockResponder };
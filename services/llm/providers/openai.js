@@ -0,0 +1,49 @@
+const OpenAI = require('openai');
+const { LLMError, headersToObject } = require('../errors');
+
+// Chat-completions provider for OpenAI and any OpenAI-compatible server (Ollama, llama.cpp, vLLM)
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL } = {}) {
+  let client = null;
+
+  // Create the client lazily so the server can start without credentials for unused providers.
+  // The SDK does not retry: retries go through the scheduler so a 429 holds back every request.
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+    }
+    return client;
+  }
+
+  async function complete({ model, messages, maxTokens, temperature }) {
+    try {
+      const { data: completion, response } = await getClient().chat.completions
+        .create({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+        })
+        .withResponse();
+
+      return {
+        text: (completion.choices[0].message.content || '').trim(),
+        usage: {
+          promptTokens: (completion.usage && completion.usage.prompt_tokens) || 0,
+          completionTokens: (completion.usage && completion.usage.completion_tokens) || 0
+        },
+        headers: headersToObject(response.headers)
+      };
+    } catch (error) {
+      throw new LLMError(error.message, {
+        provider: name,
+        status: error.status || null,
+        headers: headersToObject(error.headers),
+        cause: error
+      });
+    }
+  }
+
+  return { name, complete };
+}
+
+module.exports = { createOpenAIProvider };
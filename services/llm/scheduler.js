@@ -0,0 +1,279 @@
+const { headersToObject } = require('./errors');
+
+// One scheduler per provider queues every AI call in the process, so concurrent uploads, reports
+// and live sessions share one view of the provider's quota. Requests are dispatched by priority,
+// held back while the x-ratelimit-* headers or the local token budget say the quota is used up,
+// and retried with exponential backoff and jitter on 429s and server errors.
+
+const PRIORITIES = { interactive: 0, normal: 1, background: 2 };
+const WINDOW_MS = 60 * 1000;
+
+// Parse a rate-limit reset value: plain seconds ("12", "0.5") or an OpenAI-style duration ("6m0s", "20ms")
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return parseFloat(value) * 1000;
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+// retry-after is seconds or an HTTP date; some providers also send retry-after-ms
+function parseRetryAfter(headers) {
+  if (headers['retry-after-ms'] && !Number.isNaN(Number(headers['retry-after-ms']))) {
+    return Number(headers['retry-after-ms']);
+  }
+  const value = headers['retry-after'];
+  if (!value) return null;
+  if (!Number.isNaN(Number(value))) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function toNumber(value) {
+  return value === undefined || value === null || value === '' || Number.isNaN(Number(value)) ? null : Number(value);
+}
+
+function isRetryable(error) {
+  return error.status === 429 || error.status === 408 || error.status >= 500;
+}
+
+// Rough token count for budgeting before the provider reports real usage
+function estimateTokens(messages, maxTokens) {
+  const characters = (messages || []).reduce((sum, message) => sum + String(message.content || '').length, 0);
+  return Math.ceil(characters / 4) + (maxTokens || 0);
+}
+
+// `limited` is false for local and mock providers, which are only bounded by concurrency
+function createScheduler(name, {
+  limited = true,
+  maxConcurrency = 2,
+  requestsPerMinute = 0,
+  tokensPerMinute = 0,
+  maxRetries = 4,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000
+} = {}) {
+  const queue = [];
+  const recent = [];
+  const quota = {
+    requests: { limit: null, remaining: null, resetAt: null },
+    tokens: { limit: null, remaining: null, resetAt: null }
+  };
+  const totals = { completed: 0, failed: 0, retried: 0, rateLimited: 0 };
+  let active = 0;
+  let sequence = 0;
+  let blockedUntil = 0;
+  let timer = null;
+
+  function updateQuota(headers) {
+    const now = Date.now();
+    for (const kind of ['requests', 'tokens']) {
+      const remaining = toNumber(headers[`x-ratelimit-remaining-${kind}`]);
+      if (remaining === null) continue;
+      // Without a reset time the quota is assumed to refill within a minute, so a used-up
+      // quota never blocks the provider for good
+      const reset = parseDuration(headers[`x-ratelimit-reset-${kind}`]);
+      const limit = toNumber(headers[`x-ratelimit-limit-${kind}`]);
+      quota[kind] = {
+        limit: limit === null ? quota[kind].limit : limit,
+        remaining,
+        resetAt: now + (reset === null ? WINDOW_MS : reset)
+      };
+    }
+  }
+
+  // Reported quota is only trusted until its reset time
+  function currentQuota(kind, now) {
+    const entry = quota[kind];
+    if (entry.remaining === null) return null;
+    if (entry.resetAt <= now) {
+      entry.remaining = null;
+      entry.resetAt = null;
+      return null;
+    }
+    return entry;
+  }
+
+  function pruneWindow(now) {
+    while (recent.length > 0 && recent[0].at <= now - WINDOW_MS) recent.shift();
+  }
+
+  // Milliseconds until a request of `estimate` tokens may be sent
+  function delayFor(estimate, now) {
+    let delay = blockedUntil - now;
+    if (!limited) return Math.max(0, delay);
+
+    const requests = currentQuota('requests', now);
+    if (requests && requests.remaining <= 0) {
+      delay = Math.max(delay, requests.resetAt - now);
+    }
+    const tokens = currentQuota('tokens', now);
+    if (tokens && estimate > tokens.remaining) {
+      delay = Math.max(delay, tokens.resetAt - now);
+    }
+
+    pruneWindow(now);
+    if (requestsPerMinute > 0 && recent.length >= requestsPerMinute) {
+      delay = Math.max(delay, recent[recent.length - requestsPerMinute].at + WINDOW_MS - now);
+    }
+    if (tokensPerMinute > 0) {
+      // Wait for enough of the window to expire; a request larger than the whole budget goes alone
+      let used = recent.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of recent) {
+        if (used + estimate <= tokensPerMinute) break;
+        used -= entry.tokens;
+        delay = Math.max(delay, entry.at + WINDOW_MS - now);
+      }
+    }
+    return Math.max(0, delay);
+  }
+
+  function backoff(attempt, error) {
+    const retryAfter = parseRetryAfter(error.headers ? headersToObject(error.headers) : {});
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    const jittered = exponential / 2 + Math.random() * exponential / 2;
+    return retryAfter !== null ? retryAfter + Math.random() * baseDelayMs : jittered;
+  }
+
+  function insert(request) {
+    const index = queue.findIndex(other => other.priority > request.priority ||
+      (other.priority === request.priority && other.sequence > request.sequence));
+    queue.splice(index === -1 ? queue.length : index, 0, request);
+  }
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+
+    while (active < maxConcurrency && queue.length > 0) {
+      const now = Date.now();
+      const ready = queue.findIndex(request => request.notBefore <= now);
+      // Requests waiting out their own backoff do not hold up the rest of the queue
+      const next = ready === -1 ? null : queue[ready];
+      const delay = next ? delayFor(next.estimate, now) : Math.min(...queue.map(request => request.notBefore)) - now;
+
+      if (delay > 0) {
+        timer = setTimeout(pump, delay);
+        return;
+      }
+      queue.splice(ready, 1);
+      dispatch(next);
+    }
+  }
+
+  async function dispatch(request) {
+    active++;
+    const usage = { at: Date.now(), tokens: request.estimate };
+    recent.push(usage);
+    for (const kind of ['requests', 'tokens']) {
+      const entry = currentQuota(kind, usage.at);
+      if (entry) entry.remaining -= kind === 'requests' ? 1 : request.estimate;
+    }
+
+    try {
+      const result = await request.run();
+      updateQuota(result.headers || {});
+      if (result.usage && (result.usage.promptTokens || result.usage.completionTokens)) {
+        usage.tokens = result.usage.promptTokens + result.usage.completionTokens;
+      }
+      totals.completed++;
+      request.resolve(result);
+    } catch (error) {
+      const headers = error.headers ? headersToObject(error.headers) : {};
+      updateQuota(headers);
+
+      if (error.status === 429) totals.rateLimited++;
+      if (isRetryable(error) && request.attempt <= maxRetries) {
+        const delay = backoff(request.attempt, error);
+        console.warn(`${name}: ${error.status} on ${request.label}, retrying in ${(delay / 1000).toFixed(1)}s (retry ${request.attempt}/${maxRetries})`);
+        request.attempt++;
+        totals.retried++;
+
+        // A rate limit applies to everything sent to the provider, a server error only to this request
+        if (error.status === 429) {
+          blockedUntil = Math.max(blockedUntil, Date.now() + delay);
+        } else {
+          request.notBefore = Date.now() + delay;
+        }
+        insert(request);
+      } else {
+        totals.failed++;
+        request.reject(error);
+      }
+    } finally {
+      active--;
+      pump();
+    }
+  }
+
+  // Queue `run` (an async function returning a provider result) and resolve with its result
+  function schedule(run, { priority = 'normal', messages, maxTokens, label = 'request' } = {}) {
+    return new Promise((resolve, reject) => {
+      insert({
+        run,
+        resolve,
+        reject,
+        label,
+        priority: PRIORITIES[priority] !== undefined ? PRIORITIES[priority] : PRIORITIES.normal,
+        sequence: sequence++,
+        estimate: estimateTokens(messages, maxTokens),
+        attempt: 1,
+        notBefore: 0,
+        queuedAt: Date.now()
+      });
+      pump();
+    });
+  }
+
+  function status() {
+    const now = Date.now();
+    pruneWindow(now);
+    const describe = kind => {
+      const entry = currentQuota(kind, now);
+      return {
+        limit: quota[kind].limit,
+        remaining: entry ? Math.max(0, entry.remaining) : null,
+        resetsAt: entry ? new Date(entry.resetAt).toISOString() : null
+      };
+    };
+
+    return {
+      provider: name,
+      limited,
+      queue: {
+        depth: queue.length,
+        byPriority: Object.fromEntries(Object.entries(PRIORITIES).map(([label, value]) =>
+          [label, queue.filter(request => request.priority === value).length])),
+        active,
+        maxConcurrency,
+        oldestWaitMs: queue.length > 0 ? now - Math.min(...queue.map(request => request.queuedAt)) : 0
+      },
+      quota: {
+        requests: describe('requests'),
+        tokens: describe('tokens')
+      },
+      budget: {
+        requestsPerMinute: requestsPerMinute || null,
+        tokensPerMinute: tokensPerMinute || null,
+        requestsLastMinute: recent.length,
+        tokensLastMinute: recent.reduce((sum, entry) => sum + entry.tokens, 0)
+      },
+      backoffUntil: blockedUntil > now ? new Date(blockedUntil).toISOString() : null,
+      totals: { ...totals }
+    };
+  }
+
+  return { name, schedule, status };
+}
+
+module.exports = {
+  PRIORITIES,
+  createScheduler,
+  parseDuration
+};
@@ -0,0 +1,149 @@
+const OpenAI = require('openai');
+require('dotenv').config();
+
+// Offline answer scoring: IDF-weighted keyword coverage and TF-IDF cosine similarity,
+// optionally blended with embeddings from a local OpenAI-compatible server (e.g. Ollama).
+const EMBEDDING_BASE_URL = process.env.LOCAL_EMBEDDING_BASE_URL || '';
+const EMBEDDING_MODEL = process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text';
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'just', 'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only',
+  'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than',
+  'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+// Strip common English suffixes so "growing", "grows" and "grow" match
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ingly|edly|ing|ies|ied|ed|es|ly|s)$/, (suffix) => (suffix === 'ies' || suffix === 'ied' ? 'y' : ''));
+}
+
+// Combining marks are kept so Devanagari vowel signs stay part of their word
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+function termFrequencies(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+let embeddingClient = null;
+
+async function embed(texts) {
+  if (!embeddingClient) {
+    embeddingClient = new OpenAI({ apiKey: process.env.LOCAL_EMBEDDING_API_KEY || 'local', baseURL: EMBEDDING_BASE_URL });
+  }
+  const response = await embeddingClient.embeddings.create({ model: EMBEDDING_MODEL, input: texts });
+  return response.data.map(item => item.embedding);
+}
+
+// Build a scorer whose IDF statistics come from the documents of one report
+// (reference answers, slide text and questions), so rare deck-specific terms weigh most.
+function createLocalScorer(corpus) {
+  const documents = corpus.filter(Boolean).map(text => new Set(tokenize(text)));
+  const documentCount = Math.max(documents.length, 1);
+
+  // BM25-style smoothed IDF; terms that appear in no document still get a positive weight
+  function idf(term) {
+    const containing = documents.filter(document => document.has(term)).length;
+    return Math.log(1 + (documentCount - containing + 0.5) / (containing + 0.5));
+  }
+
+  function lexicalScore(answer, reference) {
+    const answerCounts = termFrequencies(tokenize(answer));
+    const referenceCounts = termFrequencies(tokenize(reference));
+    if (referenceCounts.size === 0) return null;
+
+    const weights = new Map([...referenceCounts.keys(), ...answerCounts.keys()].map(term => [term, idf(term)]));
+
+    // How much of the reference's important vocabulary the answer uses
+    let covered = 0;
+    let total = 0;
+    const missing = [];
+    for (const term of referenceCounts.keys()) {
+      total += weights.get(term);
+      if (answerCounts.has(term)) {
+        covered += weights.get(term);
+      } else {
+        missing.push(term);
+      }
+    }
+
+    // TF-IDF cosine similarity over the union of terms
+    const terms = [...weights.keys()];
+    const vector = counts => terms.map(term => (counts.get(term) || 0) * weights.get(term));
+    const similarity = cosine(vector(answerCounts), vector(referenceCounts));
+
+    return {
+      coverage: total ? covered / total : 0,
+      similarity,
+      missingTerms: missing.sort((a, b) => weights.get(b) - weights.get(a)).slice(0, 8)
+    };
+  }
+
+  // Score an answer 0-100 against one or more reference texts
+  async function score(answer, references) {
+    const reference = references.filter(Boolean).join('\n');
+    const lexical = lexicalScore(answer, reference);
+    if (!lexical) return null;
+
+    const lexicalPoints = Math.min(100, (0.6 * lexical.coverage + 0.4 * lexical.similarity) * 100);
+    const result = {
+      score: Math.round(lexicalPoints),
+      method: 'bm25',
+      lexicalScore: Math.round(lexicalPoints),
+      semanticScore: null,
+      missingTerms: lexical.missingTerms
+    };
+
+    if (EMBEDDING_BASE_URL) {
+      try {
+        const [answerVector, referenceVector] = await embed([answer, reference]);
+        // Unrelated sentences still land around 0.2 cosine, so rescale the useful range to 0-100
+        const semanticPoints = Math.max(0, Math.min(100, ((cosine(answerVector, referenceVector) - 0.2) / 0.7) * 100));
+        Object.assign(result, {
+          score: Math.round((lexicalPoints + semanticPoints) / 2),
+          method: 'bm25+embedding',
+          semanticScore: Math.round(semanticPoints)
+        });
+      } catch (error) {
+        console.error('Local embedding scoring failed, using keyword score only:', error.message);
+      }
+    }
+
+    return result;
+  }
+
+  return { score };
+}
+
+module.exports = {
+  createLocalScorer,
+  tokenize
+};
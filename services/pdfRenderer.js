@@ -0,0 +1,159 @@
+const path = require('path');
+const fs = require('fs');
+const pdfParse = require('pdf-parse');
+const { fromPath } = require('pdf2pic');
+require('dotenv').config();
+
+// Rendering settings; the full variant is always lossless PNG at the configured DPI
+const RENDER_DPI = parseInt(process.env.SLIDE_RENDER_DPI || '300', 10);
+const VR_TEXTURE_SIZE = parseInt(process.env.SLIDE_VR_TEXTURE_SIZE || '2048', 10);
+const THUMBNAIL_SIZE = parseInt(process.env.SLIDE_THUMBNAIL_SIZE || '320', 10);
+const VARIANT_FORMAT = (process.env.SLIDE_IMAGE_FORMAT || 'png').toLowerCase();
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+  jpg: 'image/jpeg'
+};
+
+// Each variant is sized either by DPI or by its longest edge
+function getVariants(dpi = RENDER_DPI) {
+  return [
+    { name: 'full', dpi, format: 'png' },
+    { name: 'vr', maxSize: VR_TEXTURE_SIZE, format: VARIANT_FORMAT },
+    { name: 'thumb', maxSize: THUMBNAIL_SIZE, format: VARIANT_FORMAT }
+  ];
+}
+
+// Read each page's size in PDF points (1/72 inch), honouring page rotation
+async function getPdfPageSizes(pdfPath) {
+  const sizes = [];
+  const data = await pdfParse(fs.readFileSync(pdfPath), {
+    pagerender: async (pageData) => {
+      const viewport = pageData.getViewport(1);
+      sizes[pageData.pageIndex] = { width: viewport.width, height: viewport.height };
+      return '';
+    }
+  });
+
+  return Array.from({ length: data.numpages }, (_, index) => sizes[index] || null);
+}
+
+// Pixel size and rasterisation density for one variant of a page
+function getVariantSize(pageSize, variant) {
+  const scale = variant.dpi
+    ? variant.dpi / 72
+    : variant.maxSize / Math.max(pageSize.width, pageSize.height);
+
+  return {
+    width: Math.max(1, Math.round(pageSize.width * scale)),
+    height: Math.max(1, Math.round(pageSize.height * scale)),
+    // Rasterise no finer than needed, but never below screen resolution
+    density: Math.max(72, Math.ceil(scale * 72))
+  };
+}
+
+// Render every page of a PDF into full, VR-texture and thumbnail images.
+// Pages are rendered strictly in page order and a failure on one page does not stop the others.
+// Returns { pages: [{ page, variants: { [name]: { path, format, width, height } } }], failures: [{ page, variant, error }] }
+async function convertPdfToImages(pdfPath, outputDir, { dpi = RENDER_DPI, onPage } = {}) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const pageSizes = await getPdfPageSizes(pdfPath);
+  const variants = getVariants(dpi);
+  const pages = [];
+  const failures = [];
+
+  for (let index = 0; index < pageSizes.length; index++) {
+    const pageNumber = index + 1;
+    const pageSize = pageSizes[index];
+    const rendered = { page: pageNumber, variants: {} };
+
+    if (!pageSize) {
+      failures.push({ page: pageNumber, variant: 'full', error: 'Could not read page size' });
+      if (onPage) await onPage(rendered, failures);
+      continue;
+    }
+
+    for (const variant of variants) {
+      const { width, height, density } = getVariantSize(pageSize, variant);
+
+      try {
+        const convert = fromPath(pdfPath, {
+          density,
+          width,
+          height,
+          format: variant.format,
+          savePath: outputDir,
+          saveFilename: `slide_${pageNumber}_${variant.name}`
+        });
+
+        const result = await convert(pageNumber, { responseType: 'image' });
+        rendered.variants[variant.name] = { path: result.path, format: variant.format, width, height };
+
+      } catch (error) {
+        console.error(`Rendering ${variant.name} image for page ${pageNumber} failed:`, error.message);
+        failures.push({ page: pageNumber, variant: variant.name, error: error.message });
+
+        // If the page cannot be rasterised at full size the smaller variants will fail too
+        if (variant.name === 'full') break;
+      }
+    }
+
+    if (rendered.variants.full) {
+      pages.push(rendered);
+      console.log(`✓ Rendered page ${pageNumber} (${Object.keys(rendered.variants).join(', ')})`);
+    }
+    if (onPage) await onPage(rendered, failures);
+  }
+
+  return { pages, failures };
+}
+
+// Build the same full/VR/thumbnail variants from an existing slide image (image-folder decks).
+// canvas is loaded lazily so servers that only handle PDFs do not need its native build.
+async function createImageVariants(imagePath, outputDir, pageNumber) {
+  const { createCanvas, loadImage } = require('canvas');
+  const image = await loadImage(imagePath);
+  const pageSize = { width: image.width, height: image.height };
+  const variants = {};
+
+  for (const variant of getVariants()) {
+    const scale = variant.name === 'full'
+      ? 1
+      : Math.min(1, variant.maxSize / Math.max(pageSize.width, pageSize.height));
+    const width = Math.max(1, Math.round(pageSize.width * scale));
+    const height = Math.max(1, Math.round(pageSize.height * scale));
+
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    // canvas cannot encode WebP, so image decks always get PNG variants
+    const variantPath = path.join(outputDir, `slide_${pageNumber}_${variant.name}.png`);
+    fs.writeFileSync(variantPath, canvas.toBuffer('image/png'));
+    variants[variant.name] = { path: variantPath, format: 'png', width, height };
+  }
+
+  return variants;
+}
+
+function getContentType(format) {
+  return CONTENT_TYPES[format] || 'application/octet-stream';
+}
+
+// Storage key for a slide image variant; the full variant keeps the original name
+function getSlideImageKey(uniqueCode, slideNumber, variantName, format) {
+  return variantName === 'full'
+    ? `${uniqueCode}/slide_${slideNumber}.png`
+    : `${uniqueCode}/slide_${slideNumber}_${variantName}.${format}`;
+}
+
+module.exports = {
+  RENDER_DPI,
+  convertPdfToImages,
+  createImageVariants,
+  getContentType,
+  getSlideImageKey
+};
@@ -0,0 +1,147 @@
+// Audience personas used to generate rehearsal questions
+
+const DIFFICULTY_LEVELS = {
+  easy: 'Ask straightforward questions that can be answered directly from the slide, such as asking for a definition or a clarification.',
+  medium: 'Ask questions that make the presenter explain their reasoning, give an example or connect the slide to the bigger picture.',
+  hard: 'Ask probing questions that challenge assumptions, demand evidence or expose weaknesses, trade-offs and edge cases.'
+};
+
+const MAX_QUESTIONS_PER_SLIDE = 5;
+const MAX_AUDIENCE_SIZE = 6;
+
+const PERSONAS = {
+  general: {
+    name: 'General audience',
+    description: 'an attentive member of a general audience who wants to understand the main point of each slide',
+    difficulty: 'medium',
+    questionsPerSlide: 1,
+    temperature: 0.7
+  },
+  'skeptical-investor': {
+    name: 'Skeptical investor',
+    description: 'a skeptical investor deciding whether to fund this; focused on market size, traction, the business model, competition and risk',
+    difficulty: 'hard',
+    questionsPerSlide: 2,
+    temperature: 0.8
+  },
+  'domain-expert': {
+    name: 'Domain expert',
+    description: 'an expert in the subject who scrutinises methodology, technical accuracy, data sources and trade-offs',
+    difficulty: 'hard',
+    questionsPerSlide: 2,
+    temperature: 0.6
+  },
+  novice: {
+    name: 'Novice',
+    description: 'a newcomer with no background in the topic who needs terms defined and wants to know why it matters',
+    difficulty: 'easy',
+    questionsPerSlide: 1,
+    temperature: 0.7
+  },
+  'hostile-journalist': {
+    name: 'Hostile journalist',
+    description: 'a hostile journalist looking for a headline; presses on controversies, inconsistencies and anything left unanswered',
+    difficulty: 'hard',
+    questionsPerSlide: 2,
+    temperature: 0.9
+  }
+};
+
+const DEFAULT_AUDIENCE = [{ persona: 'general' }];
+
+function slugify(value) {
+  return String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Validate an audience definition from a request and fill in persona defaults.
+// Accepts an array (or its JSON string) of { persona, difficulty?, questionsPerSlide?, voice? };
+// unknown personas are allowed when they come with a `name` and `description`.
+function resolveAudience(input) {
+  if (input === undefined || input === null || input === '') {
+    input = DEFAULT_AUDIENCE;
+  }
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (error) {
+      throw new Error('audience must be valid JSON');
+    }
+  }
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new Error('audience must be a non-empty array of personas');
+  }
+  if (input.length > MAX_AUDIENCE_SIZE) {
+    throw new Error(`audience can have at most ${MAX_AUDIENCE_SIZE} personas`);
+  }
+
+  const seen = new Set();
+
+  return input.map((entry, index) => {
+    const builtIn = PERSONAS[entry && entry.persona];
+    if (!builtIn && !(entry && entry.name && entry.description)) {
+      throw new Error(`audience[${index}] must name a known persona (${Object.keys(PERSONAS).join(', ')}) or give a name and description`);
+    }
+
+    const id = builtIn ? entry.persona : slugify(entry.persona || entry.name);
+    if (seen.has(id)) {
+      throw new Error(`audience[${index}] repeats persona "${id}"`);
+    }
+    seen.add(id);
+
+    const difficulty = entry.difficulty || (builtIn ? builtIn.difficulty : 'medium');
+    if (!DIFFICULTY_LEVELS[difficulty]) {
+      throw new Error(`audience[${index}].difficulty must be one of ${Object.keys(DIFFICULTY_LEVELS).join(', ')}`);
+    }
+
+    const questionsPerSlide = entry.questionsPerSlide !== undefined
+      ? parseInt(entry.questionsPerSlide, 10)
+      : (builtIn ? builtIn.questionsPerSlide : 1);
+    if (!Number.isInteger(questionsPerSlide) || questionsPerSlide < 1 || questionsPerSlide > MAX_QUESTIONS_PER_SLIDE) {
+      throw new Error(`audience[${index}].questionsPerSlide must be between 1 and ${MAX_QUESTIONS_PER_SLIDE}`);
+    }
+
+    // Text-to-speech voice of the persona's avatar; names depend on TTS_PROVIDER
+    if (entry.voice !== undefined && (typeof entry.voice !== 'string' || !entry.voice.trim())) {
+      throw new Error(`audience[${index}].voice must be a voice name`);
+    }
+
+    return {
+      persona: id,
+      name: entry.name || builtIn.name,
+      description: entry.description || builtIn.description,
+      difficulty,
+      questionsPerSlide,
+      temperature: builtIn ? builtIn.temperature : 0.7,
+      ...(entry.voice && { voice: entry.voice.trim() })
+    };
+  });
+}
+
+// Built-in personas for API clients
+function listPersonas() {
+  return Object.entries(PERSONAS).map(([id, persona]) => ({
+    id,
+    name: persona.name,
+    description: persona.description,
+    difficulty: persona.difficulty,
+    questionsPerSlide: persona.questionsPerSlide
+  }));
+}
+
+// Legacy { [slide]: [question text] } map kept for clients that predate personas
+function questionsBySlide(questionSet) {
+  const questions = {};
+  for (const entry of questionSet || []) {
+    (questions[entry.slide] = questions[entry.slide] || []).push(entry.question);
+  }
+  return questions;
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  PERSONAS,
+  DEFAULT_AUDIENCE,
+  resolveAudience,
+  listPersonas,
+  questionsBySlide
+};
@@ -0,0 +1,596 @@
+const path = require('path');
+const fs = require('fs');
+const { repositories, slideStorage } = require('./storage');
+const { generateQuestions, generateSpeechContent } = require('./aiContent');
+const { registerJobHandler } = require('./jobQueue');
+const { extractTextFromPdf, needsOcr, textLayerSource, ocrPageImages } = require('./textExtraction');
+const { convertPdfToImages, createImageVariants, getContentType, getSlideImageKey } = require('./pdfRenderer');
+const { extractPptxSlides, extractOdpSlides, extractImageArchive, needsConversion, canConvertDecks, convertDeckToPdf } = require('./deckImporters');
+const { DEFAULT_AUDIENCE, resolveAudience, questionsBySlide } = require('./personas');
+const { matchSlides, carryOverContent, ensureBaseRevision, recordRevision, removeStaleImages } = require('./deckRevisions');
+const { lookupContent, storeContent } = require('./contentCache');
+const { AUTO, detectDeckLanguages, outputLanguage, parseLanguageSettings } = require('./languages');
+const { runAudioStage } = require('./audioPipeline');
+const { buildTimingPlan, slideBudget, speechFits } = require('./timingPlan');
+
+const JOB_TYPE = 'presentation-upload';
+const MIN_TEXT_LENGTH = 10;
+
+// Generate AI content through the content cache, counting hits and misses on the job. With
+// `reuseCached: false` the cache is skipped but the fresh result still replaces the cached one.
+async function generateCached(job, kind, text, variant, generate, { reuseCached = true } = {}) {
+  job.result.cache = job.result.cache || { hits: 0, misses: 0 };
+
+  if (reuseCached) {
+    const cached = await lookupContent(kind, text, variant);
+    if (cached) {
+      job.result.cache.hits++;
+      return { content: cached, cached: true };
+    }
+    job.result.cache.misses++;
+  }
+
+  const content = await generate();
+  if (content) await storeContent(kind, text, variant, content);
+  return { content, cached: false };
+}
+
+// Prompt inputs besides the slide text that shape a persona's questions
+function questionVariant(member, language) {
+  return { persona: member.persona, description: member.description, difficulty: member.difficulty, count: member.questionsPerSlide || 1, language };
+}
+
+// Languages to write a slide's questions and speech in, from the presentation's settings
+// and the slide's detected language
+function slideOutputLanguages(settings = {}, slideLanguages = {}, deckLanguage, slideNumber) {
+  const detected = slideLanguages[slideNumber] || deckLanguage;
+  return {
+    questions: outputLanguage(settings.questions, detected),
+    speech: outputLanguage(settings.speech, detected)
+  };
+}
+
+// The deck's timing plan when the job has a target length, built once its slides are known
+function timingPlanFor(job) {
+  if (!job.payload.targetSeconds) return null;
+  if (!job.result.timingPlan) {
+    job.result.timingPlan = buildTimingPlan({
+      slideCount: job.result.slideCount,
+      slideTexts: job.result.slideTexts,
+      speakerNotes: job.result.speakerNotes
+    }, job.payload.targetSeconds);
+  }
+  return job.result.timingPlan;
+}
+
+// Generate one slide's questions for every persona in the job's audience. Each persona's
+// progress is tracked on the slide so a resumed job only asks for what is still missing.
+async function generateSlideQuestions(job, ctx, slideNumber, slideText, { reuseCached = true, language } = {}) {
+  const audience = job.payload.audience || resolveAudience(DEFAULT_AUDIENCE);
+  const slide = job.slides[slideNumber];
+  slide.personas = slide.personas || {};
+  job.result.questionSet = job.result.questionSet || [];
+
+  for (const member of audience) {
+    if (slide.personas[member.persona] === 'done') continue;
+
+    try {
+      const { content: questions, cached } = await generateCached(
+        job, 'questions', slideText, questionVariant(member, language),
+        () => generateQuestions(slideText, slideNumber, member, { language }),
+        { reuseCached }
+      );
+      if (questions) {
+        job.result.questionSet = job.result.questionSet
+          .filter(entry => !(entry.slide === slideNumber && entry.persona === member.persona))
+          .concat(questions.map((question, index) => ({
+            id: `${slideNumber}-${member.persona}-${index + 1}`,
+            slide: slideNumber,
+            persona: member.persona,
+            personaName: member.name,
+            difficulty: member.difficulty,
+            question
+          })));
+        slide.personas[member.persona] = 'done';
+        console.log(`✓ ${questions.length} ${member.persona} question(s) ${cached ? 'reused from cache' : 'generated'} for slide ${slideNumber}: "${questions[0].substring(0, 100)}..."`);
+      } else {
+        slide.personas[member.persona] = 'failed';
+        ctx.recordError(`No ${member.persona} question generated`, slideNumber);
+        console.log(`✗ No ${member.persona} question generated for slide ${slideNumber}`);
+      }
+    } catch (error) {
+      slide.personas[member.persona] = 'failed';
+      ctx.recordError(error.message, slideNumber);
+      console.error(`Error generating ${member.persona} question for slide ${slideNumber}:`, error);
+    }
+    await ctx.save();
+  }
+
+  const statuses = audience.map(member => slide.personas[member.persona]);
+  slide.question = statuses.every(status => status === 'done')
+    ? 'done'
+    : statuses.includes('done') ? 'partial' : 'failed';
+  job.result.questions = questionsBySlide(job.result.questionSet);
+}
+
+// Upload every rendered variant of each slide, skipping slides that were already uploaded.
+// `renderedPages` is [{ page, variants: { [name]: { path, format } } }]
+async function uploadSlideImages(renderedPages, uniqueCode, { alreadyUploaded = {}, onSlideUploaded } = {}) {
+  const uploadedSlides = { ...alreadyUploaded };
+
+  for (const rendered of renderedPages) {
+    const slideNumber = rendered.page;
+
+    if (uploadedSlides[slideNumber]) {
+      continue;
+    }
+
+    try {
+      console.log(`Uploading slide ${slideNumber} images to storage...`);
+      const keys = {};
+
+      for (const [variantName, variant] of Object.entries(rendered.variants)) {
+        const key = getSlideImageKey(uniqueCode, slideNumber, variantName, variant.format);
+        await slideStorage.upload(key, fs.readFileSync(variant.path), {
+          contentType: getContentType(variant.format),
+          upsert: true
+        });
+        keys[variantName] = key;
+      }
+
+      uploadedSlides[slideNumber] = keys;
+      console.log(`Successfully uploaded slide ${slideNumber}`);
+      if (onSlideUploaded) await onSlideUploaded(slideNumber, null, keys);
+
+    } catch (error) {
+      console.error(`Error uploading slide ${slideNumber}:`, error);
+      if (onSlideUploaded) await onSlideUploaded(slideNumber, error);
+    }
+  }
+
+  return uploadedSlides;
+}
+
+// Read per-slide text, titles and speaker notes for any supported deck format
+async function readDeckSlides(job) {
+  const { filePath, tempDir, format = 'pdf' } = job.payload;
+
+  switch (format) {
+    case 'pptx':
+      return extractPptxSlides(filePath);
+    case 'odp':
+      return extractOdpSlides(filePath);
+    case 'images':
+      return extractImageArchive(filePath, path.join(tempDir, 'source'));
+    default: {
+      const pageTexts = await extractTextFromPdf(filePath);
+      return pageTexts.map((text, index) => ({ page: index + 1, title: '', text, notes: '' }));
+    }
+  }
+}
+
+// STAGE 1: Extract slide content page by page and set up per-slide status
+async function runExtractStage(job) {
+  console.log(`Extracting slide content (${job.payload.format || 'pdf'})...`);
+  if (!fs.existsSync(job.payload.filePath)) {
+    throw new Error('Uploaded file is no longer available');
+  }
+
+  const slides = await readDeckSlides(job);
+  console.log(`Extracted content from ${slides.length} slides`);
+
+  const slideTexts = {};
+  const slideSources = {};
+  const slideTitles = {};
+  const speakerNotes = {};
+  job.slides = {};
+  job.artifacts.sourceImages = {};
+
+  for (const slide of slides) {
+    const slideNumber = slide.page;
+    const text = slide.text.trim();
+    const hasText = text.length > MIN_TEXT_LENGTH;
+
+    if (hasText) {
+      slideTexts[slideNumber] = text;
+    }
+    if (slide.title) {
+      slideTitles[slideNumber] = slide.title;
+    }
+    if (slide.notes) {
+      speakerNotes[slideNumber] = slide.notes;
+    }
+    if (slide.imagePath) {
+      job.artifacts.sourceImages[slideNumber] = slide.imagePath;
+    }
+    slideSources[slideNumber] = textLayerSource(text);
+
+    job.slides[slideNumber] = {
+      text: hasText ? 'extracted' : 'insufficient',
+      question: hasText ? 'pending' : 'skipped',
+      speech: hasText ? 'pending' : 'skipped',
+      image: 'pending'
+    };
+  }
+
+  job.artifacts.pageTexts = slides.map(slide => slide.text.trim());
+  job.result.slideCount = slides.length;
+  job.result.slideTexts = slideTexts;
+  job.result.slideSources = slideSources;
+  job.result.slideTitles = slideTitles;
+  job.result.speakerNotes = speakerNotes;
+  job.result.questions = {};
+  job.result.questionSet = [];
+  job.result.speechContent = {};
+}
+
+// Build image variants for decks uploaded as a ZIP of slide images
+async function renderSourceImages(job, ctx) {
+  const pages = [];
+  const failures = [];
+
+  for (const [page, imagePath] of Object.entries(job.artifacts.sourceImages || {})) {
+    const slideNumber = Number(page);
+    try {
+      const variants = await createImageVariants(imagePath, job.payload.tempDir, slideNumber);
+      pages.push({ page: slideNumber, variants });
+    } catch (error) {
+      console.error(`Preparing image for slide ${slideNumber} failed:`, error.message);
+      failures.push({ page: slideNumber, variant: 'full', error: error.message });
+    }
+    await ctx.setProgress(slideNumber, job.result.slideCount);
+  }
+
+  return { pages, failures };
+}
+
+// STAGE 2: Render slides to full, VR-texture and thumbnail images
+async function runRenderStage(job, ctx) {
+  const { filePath, tempDir, format = 'pdf' } = job.payload;
+
+  // PPTX and ODP text comes from their XML, their images from a PDF converted by LibreOffice.
+  // Without LibreOffice the deck is kept text-only.
+  if (needsConversion(format) && !(job.artifacts.convertedPdf && fs.existsSync(job.artifacts.convertedPdf))) {
+    if (!(await canConvertDecks())) {
+      console.log(`LibreOffice is not available, continuing without images for this ${format.toUpperCase()} deck...`);
+      return 'skipped';
+    }
+    console.log(`Converting ${format.toUpperCase()} to PDF with LibreOffice...`);
+    job.artifacts.convertedPdf = await convertDeckToPdf(filePath, format, path.join(tempDir, 'converted'));
+  }
+  const pdfPath = needsConversion(format) ? job.artifacts.convertedPdf : filePath;
+
+  console.log('Converting slides to images...');
+  job.artifacts.renderedPages = {};
+  job.result.renderFailures = [];
+
+  const { pages, failures } = format === 'images'
+    ? await renderSourceImages(job, ctx)
+    : await convertPdfToImages(pdfPath, tempDir, {
+      onPage: async (rendered) => {
+        await ctx.setProgress(rendered.page, job.result.slideCount);
+      }
+    });
+
+  for (const rendered of pages) {
+    job.artifacts.renderedPages[rendered.page] = rendered.variants;
+    if (job.slides[rendered.page]) job.slides[rendered.page].image = 'rendered';
+  }
+  for (const failure of failures) {
+    if (failure.variant === 'full' && job.slides[failure.page]) job.slides[failure.page].image = 'failed';
+  }
+
+  job.result.renderFailures = failures;
+  for (const failure of failures) {
+    ctx.recordError(`Rendering ${failure.variant} image failed: ${failure.error}`, failure.page);
+  }
+
+  console.log(`Successfully converted ${pages.length} of ${job.result.slideCount} slides to images`);
+  if (pages.length === 0) {
+    throw new Error('Slide image conversion failed.');
+  }
+}
+
+// STAGE 3: OCR pages whose text layer is missing or too thin
+async function runOcrStage(job, ctx) {
+  const renderedPages = job.artifacts.renderedPages || {};
+  const pageTexts = job.artifacts.pageTexts || [];
+  const fullImagePath = page => renderedPages[page] && renderedPages[page].full.path;
+
+  const candidates = pageTexts
+    .map((text, index) => ({ page: index + 1, text }))
+    .filter(({ page, text }) => needsOcr(text) && !job.slides[page].ocr)
+    .filter(({ page }) => fullImagePath(page) && fs.existsSync(fullImagePath(page)))
+    .map(({ page }) => ({ page, path: fullImagePath(page) }));
+
+  if (candidates.length === 0) {
+    console.log('No pages need OCR');
+    return 'skipped';
+  }
+
+  console.log(`Running OCR on ${candidates.length} page(s) with little or no text...`);
+  let pagesDone = 0;
+
+  await ocrPageImages(candidates, {
+    onPage: async (page, ocr) => {
+      const slide = job.slides[page];
+      pagesDone++;
+
+      if (ocr.error) {
+        slide.ocr = 'failed';
+        ctx.recordError(`OCR failed: ${ocr.error}`, page);
+      } else {
+        slide.ocr = 'done';
+        const layerText = pageTexts[page - 1] || '';
+
+        // Keep whichever source produced more text
+        if (ocr.text.length > layerText.length) {
+          job.result.slideSources[page] = { source: 'ocr', confidence: ocr.confidence };
+
+          if (ocr.text.length > MIN_TEXT_LENGTH) {
+            job.result.slideTexts[page] = ocr.text;
+            slide.text = 'ocr';
+            if (slide.question === 'skipped') slide.question = 'pending';
+            if (slide.speech === 'skipped') slide.speech = 'pending';
+          }
+        }
+      }
+
+      await ctx.setProgress(pagesDone, candidates.length);
+    }
+  });
+}
+
+// STAGE 4: For a new revision of an existing presentation, match its slides to the current
+// version and carry over the questions and speech content of unchanged slides
+async function runMatchStage(job) {
+  if (!job.payload.revisionOf) {
+    return 'skipped';
+  }
+
+  const previous = await repositories.presentations.findOne({ unique_code: job.payload.uniqueCode });
+  if (!previous) {
+    throw new Error('Presentation not found');
+  }
+
+  const changes = matchSlides(previous, {
+    slide_count: job.result.slideCount,
+    slide_texts: job.result.slideTexts,
+    slide_titles: job.result.slideTitles
+  });
+  const audience = job.payload.audience || resolveAudience(DEFAULT_AUDIENCE);
+
+  // Content written in another language cannot be carried over
+  const settings = job.payload.languageSettings || {};
+  const languagesChanged = ['questions', 'speech']
+    .some(output => ((previous.language_settings || {})[output] || AUTO) !== (settings[output] || AUTO));
+  if (languagesChanged) {
+    console.log('Language settings changed, regenerating AI content for every slide');
+  }
+  const { questionSet, speechContent } = languagesChanged
+    ? { questionSet: [], speechContent: {} }
+    : carryOverContent(previous, changes.slides, audience);
+
+  // Speech that no longer fits its slide's share of the talk is written again
+  const plan = timingPlanFor(job);
+  for (const slideNumber of Object.keys(speechContent)) {
+    if (!speechFits(speechContent[slideNumber], slideBudget(plan, slideNumber))) delete speechContent[slideNumber];
+  }
+
+  job.result.questionSet = questionSet;
+  job.result.questions = questionsBySlide(questionSet);
+  job.result.speechContent = speechContent;
+
+  const reusedSlides = [];
+  for (const [page, slide] of Object.entries(job.slides)) {
+    const slideNumber = Number(page);
+    const personas = new Set(questionSet.filter(entry => entry.slide === slideNumber).map(entry => entry.persona));
+    if (personas.size === 0 && !speechContent[slideNumber]) continue;
+
+    slide.personas = Object.fromEntries([...personas].map(persona => [persona, 'done']));
+    if (audience.every(member => personas.has(member.persona))) slide.question = 'reused';
+    if (speechContent[slideNumber]) slide.speech = 'reused';
+    reusedSlides.push(slideNumber);
+  }
+
+  job.result.revision = {
+    previousRevision: previous.revision || 1,
+    changes: changes.summary,
+    reusedSlides
+  };
+  console.log(`Revision of ${job.payload.uniqueCode}: ${JSON.stringify(changes.summary)}, reusing AI content for ${reusedSlides.length} slide(s)`);
+}
+
+// STAGE 5: Generate questions and speech content slide by slide
+async function runGenerateStage(job, ctx) {
+  const slideNumbers = Object.keys(job.result.slideTexts).map(Number).sort((a, b) => a - b);
+  let slidesDone = 0;
+
+  Object.assign(job.result, detectDeckLanguages(job.result.slideTexts));
+  console.log(`Starting to process ${slideNumbers.length} slides of text content (deck language: ${job.result.deckLanguage || 'unknown'})...`);
+
+  for (const slideNumber of slideNumbers) {
+    const extractedText = job.result.slideTexts[slideNumber];
+    const slide = job.slides[slideNumber];
+
+    console.log(`\n--- Processing slide ${slideNumber} ---`);
+    console.log(`Text length: ${extractedText.length} characters (${(job.result.slideSources[slideNumber] || {}).source || 'text'})`);
+
+    const languages = slideOutputLanguages(job.payload.languageSettings, job.result.slideLanguages, job.result.deckLanguage, slideNumber);
+
+    if (slide.question !== 'done' && slide.question !== 'reused') {
+      await generateSlideQuestions(job, ctx, slideNumber, extractedText, { language: languages.questions });
+    }
+
+    if (slide.speech !== 'done' && slide.speech !== 'reused') {
+      try {
+        const notes = (job.result.speakerNotes || {})[slideNumber];
+        const budget = slideBudget(timingPlanFor(job), slideNumber);
+        const targetWords = budget ? budget.targetWords : undefined;
+        const { content: speech, cached } = await generateCached(
+          job, 'speech', extractedText, { notes: notes || '', language: languages.speech, targetWords },
+          () => generateSpeechContent(extractedText, slideNumber, { notes, language: languages.speech, targetWords })
+        );
+        if (speech) {
+          job.result.speechContent[slideNumber] = speech;
+          slide.speech = 'done';
+          console.log(`✓ Speech ${cached ? 'reused from cache' : 'generated'} for slide ${slideNumber}: "${speech.substring(0, 100)}..."`);
+        } else {
+          slide.speech = 'failed';
+          ctx.recordError('No speech content generated', slideNumber);
+          console.log(`✗ No speech generated for slide ${slideNumber}`);
+        }
+      } catch (error) {
+        slide.speech = 'failed';
+        ctx.recordError(error.message, slideNumber);
+        console.error(`Error generating speech for slide ${slideNumber}:`, error);
+      }
+    }
+
+    slidesDone++;
+    await ctx.setProgress(slidesDone, slideNumbers.length);
+  }
+
+  console.log(`\n--- Processing Summary ---`);
+  console.log(`Slides with text: ${slideNumbers.length}`);
+  console.log(`Slides with questions: ${Object.keys(job.result.questions).length}`);
+  console.log(`Slides with speech: ${Object.keys(job.result.speechContent).length}`);
+}
+
+// STAGE 6: Upload rendered images to slide storage
+async function runUploadStage(job, ctx) {
+  const images = Object.entries(job.artifacts.renderedPages || {})
+    .map(([page, variants]) => ({ page: Number(page), variants }))
+    .filter(image => Object.values(image.variants).every(variant => fs.existsSync(variant.path)))
+    .sort((a, b) => a.page - b.page);
+
+  if (images.length === 0) {
+    console.log('No rendered images available, continuing without images...');
+    return 'skipped';
+  }
+
+  job.result.slideImages = job.result.slideImages || {};
+  const alreadyUploaded = {};
+  for (const [slideNumber, slide] of Object.entries(job.slides)) {
+    if (slide.image === 'uploaded') alreadyUploaded[slideNumber] = job.result.slideImages[slideNumber];
+  }
+
+  console.log('Uploading images to storage...');
+  let imagesDone = 0;
+  const uploaded = await uploadSlideImages(
+    images,
+    job.payload.uniqueCode,
+    {
+      alreadyUploaded,
+      onSlideUploaded: async (slideNumber, error, keys) => {
+        const slide = job.slides[slideNumber] || (job.slides[slideNumber] = {});
+        slide.image = error ? 'failed' : 'uploaded';
+        if (error) ctx.recordError(`Image upload failed: ${error.message}`, slideNumber);
+        if (keys) job.result.slideImages[slideNumber] = keys;
+        await ctx.setProgress(++imagesDone, images.length);
+      }
+    }
+  );
+
+  job.result.uploadedImages = Object.keys(uploaded).length;
+  console.log(`Successfully uploaded ${job.result.uploadedImages} images`);
+}
+
+// STAGE 7: Store the processed presentation in the database and record it as a revision
+async function runSaveStage(job) {
+  const { uniqueCode, title, originalName, revisionOf } = job.payload;
+  const hasImages = (job.result.uploadedImages || 0) > 0;
+
+  const previous = revisionOf ? await repositories.presentations.findOne({ unique_code: uniqueCode }) : null;
+  if (revisionOf && !previous) {
+    throw new Error('Presentation not found');
+  }
+  if (previous) {
+    await ensureBaseRevision(previous);
+  }
+
+  // Languages are detected during generation; detect them here when that stage did not run
+  const { slideLanguages, deckLanguage } = job.result.slideLanguages
+    ? job.result
+    : detectDeckLanguages(job.result.slideTexts);
+
+  const saved = await repositories.presentations.upsert({
+    unique_code: uniqueCode,
+    title: title,
+    filename: originalName,
+    slide_count: job.result.slideCount,
+    slide_texts: job.result.slideTexts,
+    questions: job.result.questions,
+    question_set: job.result.questionSet || [],
+    audience: job.payload.audience || resolveAudience(DEFAULT_AUDIENCE),
+    speaker_id: job.payload.speakerId || null,
+    owner_id: job.payload.ownerId || null,
+    speech_content: job.result.speechContent,
+    slide_sources: job.result.slideSources,
+    slide_titles: job.result.slideTitles || {},
+    speaker_notes: job.result.speakerNotes || {},
+    source_format: job.payload.format || 'pdf',
+    slide_images: job.result.slideImages || {},
+    has_images: hasImages,
+    language_settings: job.payload.languageSettings || parseLanguageSettings(),
+    slide_languages: slideLanguages,
+    deck_language: deckLanguage,
+    target_seconds: job.payload.targetSeconds || null,
+    timing_plan: timingPlanFor(job),
+    revision: previous ? (previous.revision || 1) + 1 : 1,
+    created_at: previous ? previous.created_at : job.createdAt
+  }, { onConflict: 'unique_code' });
+
+  await recordRevision(saved, { jobId: job.id, changes: job.result.revision ? job.result.revision.changes : null });
+  if (previous) {
+    job.result.removedImages = await removeStaleImages(uniqueCode, job.result.slideImages);
+  }
+
+  job.result.hasImages = hasImages;
+  const failedPages = [...new Set((job.result.renderFailures || []).map(failure => failure.page))];
+  const deckLabel = (job.payload.format || 'pdf') === 'images' ? 'Slide images' : (job.payload.format || 'pdf').toUpperCase();
+  job.result.message = !hasImages
+    ? `${deckLabel} processed successfully (text only, no slide images)`
+    : failedPages.length > 0
+      ? `${deckLabel} processed with ${job.result.uploadedImages} images uploaded; rendering failed for page(s) ${failedPages.join(', ')}`
+      : `${deckLabel} processed successfully with ${job.result.uploadedImages} images uploaded`;
+  if (previous) {
+    job.result.message += ` as revision ${saved.revision}, reusing AI content for ${job.result.revision ? job.result.revision.reusedSlides.length : 0} unchanged slide(s)`;
+  }
+  if (job.result.cache && job.result.cache.hits > 0) {
+    job.result.message += `; ${job.result.cache.hits} of ${job.result.cache.hits + job.result.cache.misses} AI generations served from cache`;
+  }
+}
+
+// Clean up temporary files once the job has finished
+async function cleanupUploadJob(job) {
+  const { filePath, tempDir } = job.payload;
+  if (filePath && fs.existsSync(filePath)) {
+    fs.rmSync(filePath);
+  }
+  if (tempDir && fs.existsSync(tempDir)) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+registerJobHandler(JOB_TYPE, {
+  stages: [
+    { name: 'extract', weight: 5, run: runExtractStage },
+    { name: 'render', weight: 10, run: runRenderStage, optional: true },
+    { name: 'ocr', weight: 15, run: runOcrStage, optional: true },
+    { name: 'match', weight: 2, run: runMatchStage, optional: true },
+    { name: 'generate', weight: 55, run: runGenerateStage, optional: true },
+    { name: 'upload', weight: 10, run: runUploadStage, optional: true },
+    { name: 'save', weight: 5, run: runSaveStage },
+    { name: 'audio', weight: 10, run: runAudioStage, optional: true }
+  ],
+  cleanup: cleanupUploadJob
+});
+
+module.exports = {
+  JOB_TYPE,
+  generateCached,
+  generateSlideQuestions,
+  slideOutputLanguages,
+  uploadSlideImages
+};
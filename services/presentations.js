@@ -0,0 +1,187 @@
+const { repositories, slideStorage } = require('./storage');
+const { PERSONAS, questionsBySlide } = require('./personas');
+const { revokeCode } = require('./joinCodes');
+const { unfinishedJobsFor } = require('./jobQueue');
+const { parseLanguageSettings } = require('./languages');
+const { parseTargetMinutes, buildTimingPlan } = require('./timingPlan');
+
+// Editing and deleting stored presentations
+
+const MAX_TITLE_LENGTH = 255;
+
+// Errors that map to a client-facing HTTP status
+class PresentationError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'PresentationError';
+    this.status = status;
+  }
+}
+
+function parseSlideNumber(presentation, value) {
+  const slide = Number(value);
+  if (!Number.isInteger(slide) || slide < 1 || slide > presentation.slide_count) {
+    throw new PresentationError(`slide must be between 1 and ${presentation.slide_count}`, 400);
+  }
+  return slide;
+}
+
+function optionalText(value, field) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    throw new PresentationError(`${field} must be a string`, 400);
+  }
+  return value.trim();
+}
+
+// Question-set entries for hand-written questions. Each item is a question string or
+// { question, persona }; personas come from the presentation's audience or the built-ins.
+function editedQuestions(presentation, slide, questions) {
+  const isQuestion = item => (typeof item === 'string' && item.trim()) || (item && typeof item.question === 'string' && item.question.trim());
+  if (!Array.isArray(questions) || !questions.every(isQuestion)) {
+    throw new PresentationError('questions must be an array of strings or { question, persona } objects', 400);
+  }
+
+  const counts = {};
+  return questions.map(item => {
+    const persona = (typeof item === 'string' ? null : item.persona) || 'general';
+    const member = (presentation.audience || []).find(candidate => candidate.persona === persona) || PERSONAS[persona];
+    if (!member) {
+      throw new PresentationError(`Unknown persona "${persona}"`, 400);
+    }
+    counts[persona] = (counts[persona] || 0) + 1;
+
+    return {
+      id: `${slide}-${persona}-${counts[persona]}`,
+      slide,
+      persona,
+      personaName: member.name,
+      difficulty: member.difficulty,
+      question: (typeof item === 'string' ? item : item.question).trim()
+    };
+  });
+}
+
+// Build the update for one slide from { text, speechContent, questions }. Questions replace
+// every stored question of the slide, for all personas.
+function slideEditPatch(presentation, slideValue, input = {}) {
+  const slide = parseSlideNumber(presentation, slideValue);
+  const text = optionalText(input.text, 'text');
+  const speech = optionalText(input.speechContent, 'speechContent');
+  const patch = {};
+
+  if (text !== undefined) {
+    patch.slide_texts = { ...(presentation.slide_texts || {}), [slide]: text };
+  }
+  if (speech !== undefined) {
+    patch.speech_content = { ...(presentation.speech_content || {}), [slide]: speech };
+  }
+  if (input.questions !== undefined) {
+    const questionSet = (presentation.question_set || [])
+      .filter(entry => entry.slide !== slide)
+      .concat(editedQuestions(presentation, slide, input.questions))
+      .sort((a, b) => a.slide - b.slide);
+    Object.assign(patch, { question_set: questionSet, questions: questionsBySlide(questionSet) });
+  }
+
+  if (Object.keys(patch).length === 0) {
+    throw new PresentationError('Nothing to update; send text, speechContent or questions', 400);
+  }
+  return { slide, patch };
+}
+
+const LANGUAGE_FIELDS = ['language', 'questionLanguage', 'speechLanguage', 'feedbackLanguage'];
+
+// Build the presentation update from { title, targetMinutes } and the language fields; languages
+// not sent are kept. A new target length replaces the timing plan, and null or '' removes it.
+function presentationEditPatch(input = {}, presentation = {}) {
+  const patch = {};
+
+  const title = optionalText(input.title, 'title');
+  if (title !== undefined) {
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      throw new PresentationError(`title must be 1 to ${MAX_TITLE_LENGTH} characters`, 400);
+    }
+    patch.title = title;
+  }
+  if (LANGUAGE_FIELDS.some(field => input[field] !== undefined)) {
+    try {
+      patch.language_settings = parseLanguageSettings(input, presentation.language_settings || {});
+    } catch (error) {
+      throw new PresentationError(error.message, 400);
+    }
+  }
+
+  let targetSeconds;
+  try {
+    targetSeconds = parseTargetMinutes(input.targetMinutes);
+  } catch (error) {
+    throw new PresentationError(error.message, 400);
+  }
+  if (targetSeconds !== undefined) {
+    patch.target_seconds = targetSeconds;
+    patch.timing_plan = targetSeconds && buildTimingPlan({
+      slideCount: presentation.slide_count,
+      slideTexts: presentation.slide_texts || {},
+      speakerNotes: presentation.speaker_notes || {}
+    }, targetSeconds);
+  }
+
+  if (Object.keys(patch).length === 0) {
+    throw new PresentationError('Nothing to update; send title, targetMinutes or language settings', 400);
+  }
+  return patch;
+}
+
+// Remove a presentation with its slide images, revision history and Q&A threads, and retire its join code.
+// Reports and rehearsal sessions are kept so speakers do not lose their history. A presentation with
+// jobs in progress is not deleted, since those jobs would write images and content back under its code.
+async function deletePresentation(presentation) {
+  const code = presentation.unique_code;
+
+  const jobs = unfinishedJobsFor(code);
+  if (jobs.length > 0) {
+    throw new PresentationError(`Presentation has ${jobs.length} job(s) in progress; delete it once they finish`, 409);
+  }
+
+  const imageKeys = await slideStorage.list(code);
+  await slideStorage.remove(imageKeys);
+
+  await repositories.qaThreads.remove({ presentation_code: code });
+  await repositories.presentationRevisions.remove({ presentation_code: code });
+
+  const joinCode = await repositories.joinCodes.findOne({ code, kind: 'presentation' });
+  if (joinCode && !joinCode.revoked_at) {
+    await revokeCode(joinCode, 'Presentation deleted');
+  }
+
+  await repositories.presentations.remove({ unique_code: code });
+  return { removedImages: imageKeys.length };
+}
+
+function serializePresentationSummary(presentation) {
+  return {
+    code: presentation.unique_code,
+    title: presentation.title,
+    slideCount: presentation.slide_count,
+    questionCount: (presentation.question_set || []).length,
+    sourceFormat: presentation.source_format || 'pdf',
+    hasImages: presentation.has_images || false,
+    speakerId: presentation.speaker_id || null,
+    revision: presentation.revision || 1,
+    languageSettings: presentation.language_settings || parseLanguageSettings(),
+    deckLanguage: presentation.deck_language || null,
+    targetSeconds: presentation.target_seconds || null,
+    createdAt: presentation.created_at,
+    updatedAt: presentation.updated_at
+  };
+}
+
+module.exports = {
+  PresentationError,
+  parseSlideNumber,
+  slideEditPatch,
+  presentationEditPatch,
+  deletePresentation,
+  serializePresentationSummary
+};
@@ -0,0 +1,156 @@
+const { repositories } = require('./storage');
+const { generateFollowUp } = require('./aiContent');
+const { PERSONAS } = require('./personas');
+const { outputLanguage } = require('./languages');
+require('dotenv').config();
+
+// Upper bound on follow-ups per question so a thread always ends
+const MAX_FOLLOW_UPS = parseInt(process.env.QA_MAX_FOLLOW_UPS || '2', 10);
+
+// Errors that map to a client-facing HTTP status
+class QaThreadError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'QaThreadError';
+    this.status = status;
+  }
+}
+
+function turn(role, text) {
+  return { role, text, at: new Date().toISOString() };
+}
+
+// Pick the opening question: a stored question by id, free text, or the slide's first question
+function findOpeningQuestion(presentation, { slide, questionId, question }) {
+  const questionSet = presentation.question_set || [];
+
+  if (questionId) {
+    const entry = questionSet.find(candidate => candidate.id === questionId);
+    if (!entry) throw new QaThreadError(`Question ${questionId} not found`, 404);
+    return entry;
+  }
+  if (!slide) {
+    throw new QaThreadError('slide or questionId is required', 400);
+  }
+  if (question) {
+    return { slide, question, persona: 'general', difficulty: PERSONAS.general.difficulty };
+  }
+
+  const entry = questionSet.find(candidate => candidate.slide === slide);
+  if (entry) return entry;
+
+  const legacy = ((presentation.questions || {})[slide] || [])[0];
+  if (!legacy) throw new QaThreadError(`No question stored for slide ${slide}`, 404);
+  return { slide, question: legacy, persona: 'general', difficulty: PERSONAS.general.difficulty };
+}
+
+// Open a Q&A thread for one audience question
+async function startThread(presentation, { slide, questionId, question }) {
+  const slideNumber = slide ? parseInt(slide, 10) : null;
+  if (slide && (!Number.isInteger(slideNumber) || slideNumber < 1)) {
+    throw new QaThreadError('slide must be a positive integer', 400);
+  }
+
+  const opening = findOpeningQuestion(presentation, { slide: slideNumber, questionId, question });
+  const member = (presentation.audience || []).find(candidate => candidate.persona === opening.persona);
+
+  return repositories.qaThreads.insert({
+    presentation_code: presentation.unique_code,
+    owner_id: presentation.owner_id || null,
+    slide: opening.slide,
+    question_id: opening.id || null,
+    persona: opening.persona,
+    difficulty: opening.difficulty,
+    audience: member || null,
+    turns: [turn('audience', opening.question)],
+    follow_up_count: 0,
+    status: 'open',
+    closed_reason: null,
+    created_at: new Date().toISOString()
+  });
+}
+
+// Record the presenter's answer and let the audience member decide whether to follow up.
+// Nothing is saved if the follow-up decision fails, so the client can simply resend the answer.
+async function answerThread(thread, presentation, answer) {
+  if (thread.status !== 'open') {
+    throw new QaThreadError('This Q&A thread is closed', 409);
+  }
+
+  const turns = [...thread.turns, turn('presenter', answer)];
+  const patch = { turns };
+
+  if (thread.follow_up_count >= MAX_FOLLOW_UPS) {
+    Object.assign(patch, { status: 'closed', closed_reason: 'Follow-up limit reached' });
+  } else {
+    const decision = await generateFollowUp({
+      slideText: (presentation.slide_texts || {})[thread.slide] || '',
+      slideNumber: thread.slide,
+      audience: thread.audience || { persona: thread.persona, difficulty: thread.difficulty },
+      turns,
+      language: outputLanguage(
+        (presentation.language_settings || {}).questions,
+        (presentation.slide_languages || {})[thread.slide] || presentation.deck_language
+      )
+    });
+    if (!decision) {
+      throw new QaThreadError('Failed to decide on a follow-up question', 502);
+    }
+
+    if (decision.followUp) {
+      turns.push(turn('audience', decision.question));
+      patch.follow_up_count = thread.follow_up_count + 1;
+    } else {
+      Object.assign(patch, { status: 'closed', closed_reason: decision.reason || 'Answer accepted' });
+    }
+  }
+
+  const [updated] = await repositories.qaThreads.update({ id: thread.id }, patch);
+  return updated;
+}
+
+// Flatten a thread into the { question, userAnswer, followUps } shape used by report generation.
+// A trailing follow-up that was never answered is left out.
+function threadToQaPair(thread) {
+  const exchanges = [];
+  for (let i = 0; i + 1 < thread.turns.length; i += 2) {
+    if (thread.turns[i].role === 'audience' && thread.turns[i + 1].role === 'presenter') {
+      exchanges.push({ question: thread.turns[i].text, userAnswer: thread.turns[i + 1].text });
+    }
+  }
+  if (exchanges.length === 0) return null;
+
+  const [first, ...followUps] = exchanges;
+  return {
+    ...first,
+    followUps,
+    slide: thread.slide,
+    persona: thread.persona,
+    threadId: thread.id
+  };
+}
+
+function serializeThread(thread) {
+  return {
+    id: thread.id,
+    presentationCode: thread.presentation_code,
+    slide: thread.slide,
+    questionId: thread.question_id,
+    persona: thread.persona,
+    difficulty: thread.difficulty,
+    turns: thread.turns,
+    followUpCount: thread.follow_up_count,
+    status: thread.status,
+    closedReason: thread.closed_reason,
+    createdAt: thread.created_at
+  };
+}
+
+module.exports = {
+  MAX_FOLLOW_UPS,
+  QaThreadError,
+  startThread,
+  answerThread,
+  threadToQaPair,
+  serializeThread
+};
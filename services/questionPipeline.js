@@ -0,0 +1,59 @@
+const { repositories } = require('./storage');
+const { QUICK_LANE, registerJobHandler } = require('./jobQueue');
+const { runAudioStage } = require('./audioPipeline');
+const { generateSlideQuestions, slideOutputLanguages } = require('./presentationPipeline');
+
+// Regenerate the audience questions of an existing presentation from its stored slide text. A new
+// set is asked for, so cached questions are not reused, but the new ones replace the cached entries.
+const JOB_TYPE = 'question-set';
+
+// STAGE 1: Generate questions for every slide with text, for every persona in the audience
+async function runGenerateStage(job, ctx) {
+  const presentation = await repositories.presentations.findOne({ unique_code: job.payload.uniqueCode });
+  if (!presentation) {
+    throw new Error('Presentation not found');
+  }
+
+  const slideTexts = presentation.slide_texts || {};
+  const slideNumbers = Object.keys(slideTexts).map(Number).sort((a, b) => a - b);
+  let slidesDone = 0;
+
+  for (const slideNumber of slideNumbers) {
+    const slide = job.slides[slideNumber] || (job.slides[slideNumber] = { question: 'pending' });
+
+    if (slide.question !== 'done') {
+      console.log(`\n--- Generating questions for slide ${slideNumber} ---`);
+      const { questions: language } = slideOutputLanguages(presentation.language_settings, presentation.slide_languages, presentation.deck_language, slideNumber);
+      await generateSlideQuestions(job, ctx, slideNumber, slideTexts[slideNumber], { reuseCached: false, language });
+    }
+
+    slidesDone++;
+    await ctx.setProgress(slidesDone, slideNumbers.length);
+  }
+
+  if ((job.result.questionSet || []).length === 0) {
+    throw new Error('No questions could be generated');
+  }
+}
+
+// STAGE 2: Replace the presentation's question set
+async function runSaveStage(job) {
+  await repositories.presentations.update({ unique_code: job.payload.uniqueCode }, {
+    questions: job.result.questions,
+    question_set: job.result.questionSet,
+    audience: job.payload.audience
+  });
+
+  job.result.message = `Generated ${job.result.questionSet.length} questions for ${job.payload.audience.length} persona(s)`;
+}
+
+registerJobHandler(JOB_TYPE, {
+  stages: [
+    { name: 'generate', weight: 85, run: runGenerateStage },
+    { name: 'save', weight: 5, run: runSaveStage },
+    { name: 'audio', weight: 10, run: runAudioStage, optional: true }
+  ],
+  lane: QUICK_LANE
+});
+
+module.exports = { JOB_TYPE };
@@ -0,0 +1,325 @@
+const { WebSocketServer } = require('ws');
+const { repositories } = require('./storage');
+const { AuthError, authenticateRequest, canAccess } = require('./auth');
+const { JoinCodeError, normalizeCode, checkCode } = require('./joinCodes');
+const { analyzeRehearsal, assessLivePacing } = require('./speechAnalytics');
+const { compareTiming } = require('./timingPlan');
+require('dotenv').config();
+
+// Headsets connect to /ws/rehearsal/<unique_code> with an API key or session token in the
+// Authorization / X-API-Key header, or ?access_token= when the client cannot set headers
+const SOCKET_PATH = /^\/ws\/rehearsal\/([A-Za-z0-9-]+)\/?$/;
+
+// How long the presenter stays on a slide before each of its audience questions is asked
+const QUESTION_DELAY_SECONDS = parseFloat(process.env.REHEARSAL_QUESTION_DELAY_SECONDS || '20');
+
+// The same pacing warning is not repeated more often than this
+const WARNING_COOLDOWN_SECONDS = 20;
+
+// Assumed speaking rate for transcript chunks that arrive without word timings
+const WORDS_PER_SECOND = 2.5;
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Persona-tagged questions for a slide, falling back to the legacy { [slide]: [question] } map
+function questionsForSlide(presentation, slide) {
+  const tagged = (presentation.question_set || []).filter(entry => entry.slide === slide);
+  if (tagged.length > 0) {
+    return tagged.map(({ question, persona, personaName, difficulty }) => ({ question, persona, personaName, difficulty }));
+  }
+
+  const entry = (presentation.questions || {})[slide];
+  if (!entry) return [];
+  return (Array.isArray(entry) ? entry : [entry]).map(question => ({ question }));
+}
+
+// One live rehearsal over an open socket.
+// Client messages: { type: 'slide', slide, time? }, { type: 'transcript', text, words?, time? },
+// { type: 'answer', text, slide?, question? }, { type: 'end' } and { type: 'ping' }.
+// `time` is seconds since the session started; the server clock is used when it is omitted.
+function startRehearsalSession(ws, presentation) {
+  const startedAt = Date.now();
+  const state = {
+    status: 'active',
+    slide: 1,
+    slideTimestamps: [{ slide: 1, time: 0 }],
+    words: [],
+    transcript: [],
+    questionsAsked: [],
+    qaPairs: [],
+    warnings: [],
+    lastWarningAt: {}
+  };
+  let questionTimer = null;
+  let persisted = null;
+
+  function elapsed(time) {
+    const value = Number(time);
+    return Number.isFinite(value) && value >= 0 ? value : (Date.now() - startedAt) / 1000;
+  }
+
+  function sessionState() {
+    return {
+      type: 'session',
+      status: state.status,
+      code: presentation.unique_code,
+      title: presentation.title,
+      slide: state.slide,
+      slideCount: presentation.slide_count,
+      elapsed: round(elapsed()),
+      wordCount: state.words.length,
+      questionsAsked: state.questionsAsked.length,
+      answers: state.qaPairs.length
+    };
+  }
+
+  // Ask the slide's questions one at a time, each after the presenter has dwelt on the slide a while longer
+  function scheduleQuestion(slide) {
+    clearTimeout(questionTimer);
+
+    const asked = state.questionsAsked.filter(entry => entry.slide === slide).map(entry => entry.question);
+    const next = questionsForSlide(presentation, slide).find(candidate => !asked.includes(candidate.question));
+    if (!next) return;
+
+    questionTimer = setTimeout(() => {
+      if (state.status !== 'active' || state.slide !== slide) return;
+      const entry = { slide, ...next, askedAt: round(elapsed()) };
+      state.questionsAsked.push(entry);
+      send(ws, { type: 'question', ...entry });
+      scheduleQuestion(slide);
+    }, QUESTION_DELAY_SECONDS * 1000);
+  }
+
+  function handleSlide(message) {
+    const slide = parseInt(message.slide, 10);
+    if (!Number.isInteger(slide) || slide < 1 || (presentation.slide_count && slide > presentation.slide_count)) {
+      throw new Error(`slide must be between 1 and ${presentation.slide_count}`);
+    }
+
+    if (slide === state.slide) {
+      return send(ws, sessionState());
+    }
+
+    state.slide = slide;
+    state.slideTimestamps.push({ slide, time: round(elapsed(message.time)) });
+    scheduleQuestion(slide);
+    send(ws, sessionState());
+  }
+
+  // Chunks may carry word timings from an on-device recogniser; otherwise the words are
+  // assumed to have been spoken at a typical rate just before the chunk arrived
+  function handleTranscript(message) {
+    const text = (message.text || '').trim();
+    const now = elapsed(message.time);
+    let words;
+
+    if (Array.isArray(message.words) && message.words.length > 0) {
+      words = message.words.map(word => ({ word: String(word.word), start: Number(word.start), end: Number(word.end) }));
+    } else {
+      const tokens = text.split(/\s+/).filter(Boolean);
+      const previousEnd = state.words.length > 0 ? state.words[state.words.length - 1].end : 0;
+      const chunkStart = Math.min(Math.max(previousEnd, now - tokens.length / WORDS_PER_SECOND), now);
+      const step = tokens.length > 0 ? (now - chunkStart) / tokens.length : 0;
+      words = tokens.map((word, index) => ({
+        word,
+        start: round(chunkStart + index * step),
+        end: round(chunkStart + (index + 1) * step)
+      }));
+    }
+
+    state.words.push(...words);
+    state.transcript.push({ slide: state.slide, time: round(now), text });
+
+    for (const warning of assessLivePacing(state.words, now)) {
+      const lastAt = state.lastWarningAt[warning.kind];
+      if (lastAt !== undefined && now - lastAt < WARNING_COOLDOWN_SECONDS) continue;
+
+      state.lastWarningAt[warning.kind] = now;
+      const entry = { ...warning, slide: state.slide, time: round(now) };
+      state.warnings.push(entry);
+      send(ws, { type: 'pacing', ...entry });
+    }
+  }
+
+  // Answers are matched to the latest question asked on their slide
+  function handleAnswer(message) {
+    const userAnswer = (message.text || '').trim();
+    if (!userAnswer) {
+      throw new Error('answer text is required');
+    }
+
+    const slide = message.slide ? parseInt(message.slide, 10) : state.slide;
+    const asked = state.questionsAsked.filter(entry => entry.slide === slide);
+    const target = message.question
+      ? asked.find(entry => entry.question === message.question) || { question: message.question }
+      : asked[asked.length - 1];
+    if (!target) {
+      throw new Error(`No question has been asked for slide ${slide}`);
+    }
+
+    state.qaPairs.push({
+      slide,
+      question: target.question,
+      userAnswer,
+      ...(target.persona && { persona: target.persona, difficulty: target.difficulty })
+    });
+    send(ws, sessionState());
+  }
+
+  // Save the session once, whether it ended cleanly or the socket dropped
+  function persist() {
+    if (!persisted) {
+      clearTimeout(questionTimer);
+      state.status = 'ended';
+
+      const metrics = analyzeRehearsal({
+        words: state.words,
+        duration: elapsed(),
+        slideTimestamps: state.slideTimestamps
+      });
+      if (presentation.timing_plan) {
+        metrics.timing = compareTiming(presentation.timing_plan, metrics.perSlide);
+      }
+
+      persisted = repositories.rehearsals.insert({
+        presentation_code: presentation.unique_code,
+        speaker_id: presentation.speaker_id || null,
+        owner_id: presentation.owner_id || null,
+        source: 'live',
+        transcript: state.transcript.map(chunk => chunk.text).join(' '),
+        words: state.words,
+        slide_timestamps: state.slideTimestamps,
+        metrics,
+        live_events: {
+          transcript: state.transcript,
+          questionsAsked: state.questionsAsked,
+          warnings: state.warnings
+        },
+        qa_pairs: state.qaPairs,
+        duration_seconds: metrics.totalDuration,
+        stt_provider: 'client',
+        created_at: new Date(startedAt).toISOString()
+      }).then(session => {
+        console.log(`✓ Live rehearsal ${session.id} saved for presentation ${presentation.unique_code}`);
+        return session;
+      }, error => {
+        // Let the presenter send `end` again instead of losing the session
+        persisted = null;
+        state.status = 'active';
+        throw error;
+      });
+    }
+    return persisted;
+  }
+
+  async function handleEnd() {
+    let session;
+    try {
+      session = await persist();
+    } catch (error) {
+      console.error('Failed to save live rehearsal:', error);
+      return send(ws, { type: 'error', error: 'Failed to save the session; send end again to retry', message: 'end' });
+    }
+    send(ws, {
+      type: 'ended',
+      sessionId: session.id,
+      metrics: session.metrics,
+      qaPairs: session.qa_pairs
+    });
+    ws.close(1000, 'Session ended');
+  }
+
+  const handlers = {
+    slide: handleSlide,
+    transcript: handleTranscript,
+    answer: handleAnswer,
+    end: handleEnd,
+    ping: () => send(ws, { type: 'pong', elapsed: round(elapsed()) })
+  };
+
+  ws.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return send(ws, { type: 'error', error: 'Messages must be JSON' });
+    }
+
+    const handler = handlers[message && message.type];
+    if (!handler) {
+      return send(ws, { type: 'error', error: `Unknown message type: ${message && message.type}` });
+    }
+    if (state.status !== 'active') {
+      return send(ws, { type: 'error', error: 'Session has ended' });
+    }
+
+    try {
+      await handler(message);
+    } catch (error) {
+      send(ws, { type: 'error', error: error.message, message: message.type });
+    }
+  });
+
+  ws.on('close', () => {
+    persist().catch(error => console.error('Failed to save live rehearsal:', error));
+  });
+
+  scheduleQuestion(state.slide);
+  send(ws, sessionState());
+}
+
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Accept rehearsal WebSocket connections on an existing HTTP server
+function attachRehearsalSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const match = pathname.match(SOCKET_PATH);
+    if (!match) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    try {
+      const user = await authenticateRequest(req.headers, { access_token: searchParams.get('access_token') || undefined });
+
+      const presentation = await repositories.presentations.findOne({ unique_code: normalizeCode(match[1]) });
+      if (!presentation || !canAccess(user, presentation.owner_id)) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+      // Joining a live session counts as a use of the presentation's code
+      await checkCode('presentation', presentation.unique_code, { consume: true });
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        console.log(`Live rehearsal started for presentation ${presentation.unique_code}`);
+        startRehearsalSession(ws, presentation);
+      });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+      if (error instanceof JoinCodeError) {
+        return rejectUpgrade(socket, error.status, 'Gone');
+      }
+      console.error('Rehearsal socket error:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  return wss;
+}
+
+module.exports = { attachRehearsalSocket };
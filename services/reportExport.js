@@ -0,0 +1,424 @@
+// Render stored reports as standalone HTML, CSV and PDF documents.
+// Output depends only on the stored report (no current time or locale), so exports of the
+// same report are byte-for-byte identical.
+
+const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const COLORS = {
+  text: '#212121',
+  muted: '#616161',
+  grid: '#e0e0e0',
+  pass: '#2e7d32',
+  fail: '#c62828',
+  neutral: '#1565c0',
+  missing: '#9e9e9e',
+  threshold: '#ff8f00'
+};
+
+function formatScore(value) {
+  return value === null || value === undefined ? '—' : String(Math.round(value * 10) / 10);
+}
+
+function formatDate(iso) {
+  return iso ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC` : '';
+}
+
+function barColor(value, threshold) {
+  if (value === null || value === undefined) return COLORS.missing;
+  if (threshold === null || threshold === undefined) return COLORS.neutral;
+  return value >= threshold ? COLORS.pass : COLORS.fail;
+}
+
+// Flatten a stored report into the fields every format renders. Older reports without a
+// rubric, slides or per-criterion scores simply leave those parts empty.
+function reportView(report) {
+  const summary = report.summary || {};
+  const rubric = report.rubric || null;
+  const criteria = rubric ? rubric.criteria : [];
+  const passThreshold = summary.passThreshold !== undefined ? summary.passThreshold : (rubric ? rubric.passThreshold : 70);
+
+  const questions = (report.evaluations || []).map((row, index) => ({
+    number: index + 1,
+    slide: row["Slide"] !== undefined ? row["Slide"] : null,
+    question: row["Question"],
+    answer: row["User Answer"],
+    followUps: row["Follow-ups"] || [],
+    score: row["Similarity Score"],
+    passed: row["Passed"],
+    status: row["Evaluation Status"] || 'scored',
+    scorer: row["Scorer"] || null,
+    referenceAnswer: row["Reference Answer"] || null,
+    missingPoints: row["Missing Points"] || null,
+    citations: row["Citations"] || [],
+    criteria: criteria.map(criterion => {
+      const entry = (row["Criteria Scores"] || {})[criterion.id];
+      return {
+        name: criterion.name,
+        score: entry ? entry.score : null,
+        justification: entry ? entry.justification : null
+      };
+    }),
+    error: row["Evaluation Error"] ? row["Evaluation Error"].message : null
+  }));
+
+  const charts = [{
+    title: 'Score by question',
+    threshold: passThreshold,
+    bars: questions.map(question => ({ label: `Q${question.number}`, value: question.score }))
+  }];
+  if (criteria.length > 0 && summary.criteriaAverages) {
+    charts.push({
+      title: 'Average by criterion',
+      threshold: null,
+      bars: criteria.map(criterion => ({ label: criterion.name, value: summary.criteriaAverages[criterion.id] }))
+    });
+  }
+  if (summary.slides && summary.slides.length > 0) {
+    charts.push({
+      title: 'Average by slide',
+      threshold: passThreshold,
+      bars: summary.slides.map(slide => ({ label: `Slide ${slide.slide}`, value: slide.averageScore }))
+    });
+  }
+
+  const facts = [
+    ['Questions', summary.totalQuestions !== undefined ? summary.totalQuestions : questions.length],
+    ['Average score', formatScore(summary.averageScore)],
+    ['Pass rate', summary.passRate !== undefined && summary.passRate !== null ? `${formatScore(summary.passRate)}%` : '—'],
+    ['Pass threshold', passThreshold],
+    ['Rubric', rubric ? rubric.name : 'Default']
+  ];
+  if (summary.failedEvaluations) facts.push(['Failed evaluations', summary.failedEvaluations]);
+  if (summary.disagreements) facts.push(['Scorer disagreements', summary.disagreements]);
+  if (summary.struggledSlides && summary.struggledSlides.length > 0) {
+    facts.push(['Slides to rework', summary.struggledSlides.join(', ')]);
+  }
+
+  return {
+    code: report.code,
+    title: report.title || `Report ${report.code}`,
+    generatedAt: formatDate(report.generatedAt),
+    presentationCode: report.presentationCode || null,
+    criteria,
+    facts,
+    charts,
+    questions
+  };
+}
+
+// ---------- CSV ----------
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Stop spreadsheets from evaluating answers that happen to start like a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(report) {
+  const view = reportView(report);
+  const header = [
+    'Question #', 'Slide', 'Question', 'Answer', 'Follow-ups', 'Score', 'Passed', 'Status', 'Scorer',
+    ...view.criteria.map(criterion => criterion.name),
+    'Reference Answer', 'Missing Points', 'Error'
+  ];
+
+  const rows = view.questions.map(question => [
+    question.number,
+    question.slide,
+    question.question,
+    question.answer,
+    question.followUps.map(turn => `Q: ${turn.question} A: ${turn.userAnswer}`).join('\n'),
+    question.score,
+    question.passed === null || question.passed === undefined ? '' : (question.passed ? 'yes' : 'no'),
+    question.status,
+    question.scorer,
+    ...question.criteria.map(criterion => criterion.score),
+    question.referenceAnswer,
+    question.missingPoints,
+    question.error
+  ]);
+
+  // The BOM makes Excel read the file as UTF-8
+  return '\uFEFF' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---------- HTML ----------
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Bar chart as inline SVG, so the HTML export needs no image files or native modules
+function chartSvg(chart) {
+  const width = 640;
+  const height = 220;
+  const plot = { left: 36, right: width - 10, top: 10, bottom: height - 40 };
+  const slot = (plot.right - plot.left) / Math.max(chart.bars.length, 1);
+  const barWidth = Math.min(48, slot * 0.7);
+  const y = value => plot.bottom - (Math.max(0, Math.min(100, value)) / 100) * (plot.bottom - plot.top);
+
+  const parts = [];
+  for (const tick of [0, 25, 50, 75, 100]) {
+    parts.push(`<line x1="${plot.left}" y1="${y(tick)}" x2="${plot.right}" y2="${y(tick)}" stroke="${COLORS.grid}"/>`);
+    parts.push(`<text x="${plot.left - 6}" y="${y(tick) + 4}" text-anchor="end" font-size="10" fill="${COLORS.muted}">${tick}</text>`);
+  }
+  chart.bars.forEach((bar, index) => {
+    const x = plot.left + slot * index + (slot - barWidth) / 2;
+    const value = bar.value === null || bar.value === undefined ? 0 : bar.value;
+    parts.push(`<rect x="${x.toFixed(1)}" y="${y(value).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(plot.bottom - y(value)).toFixed(1)}" fill="${barColor(bar.value, chart.threshold)}"/>`);
+    parts.push(`<text x="${(x + barWidth / 2).toFixed(1)}" y="${plot.bottom + 14}" text-anchor="middle" font-size="10" fill="${COLORS.text}">${escapeHtml(bar.label)}</text>`);
+    parts.push(`<text x="${(x + barWidth / 2).toFixed(1)}" y="${(y(value) - 4).toFixed(1)}" text-anchor="middle" font-size="10" fill="${COLORS.text}">${formatScore(bar.value)}</text>`);
+  });
+  if (chart.threshold !== null && chart.threshold !== undefined) {
+    parts.push(`<line x1="${plot.left}" y1="${y(chart.threshold)}" x2="${plot.right}" y2="${y(chart.threshold)}" stroke="${COLORS.threshold}" stroke-dasharray="4 3"/>`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(chart.title)}">${parts.join('')}</svg>`;
+}
+
+function questionHtml(question) {
+  const status = question.status === 'error'
+    ? '<span class="badge error">Not scored</span>'
+    : `<span class="badge ${question.passed ? 'pass' : 'fail'}">${formatScore(question.score)}</span>`;
+
+  const criteriaRows = question.criteria
+    .filter(criterion => criterion.score !== null)
+    .map(criterion => `<tr><td>${escapeHtml(criterion.name)}</td><td>${formatScore(criterion.score)}</td><td>${escapeHtml(criterion.justification)}</td></tr>`)
+    .join('');
+
+  return [
+    '<section class="question">',
+    `<h3>Q${question.number}${question.slide !== null ? ` · Slide ${escapeHtml(question.slide)}` : ''} ${status}</h3>`,
+    `<p><strong>Question:</strong> ${escapeHtml(question.question)}</p>`,
+    `<p><strong>Answer:</strong> ${escapeHtml(question.answer)}</p>`,
+    ...question.followUps.map(turn => `<p class="followup"><strong>Follow-up:</strong> ${escapeHtml(turn.question)}<br><strong>Answer:</strong> ${escapeHtml(turn.userAnswer)}</p>`),
+    question.referenceAnswer ? `<p><strong>Reference answer:</strong> ${escapeHtml(question.referenceAnswer)}</p>` : '',
+    question.missingPoints ? `<p><strong>Missing points:</strong> ${escapeHtml(question.missingPoints)}</p>` : '',
+    question.citations.length > 0 ? `<p class="muted">Based on slide(s) ${escapeHtml(question.citations.join(', '))}</p>` : '',
+    question.scorer === 'local' ? '<p class="muted">Scored offline by keyword match</p>' : '',
+    question.error ? `<p class="muted">Evaluation failed: ${escapeHtml(question.error)}</p>` : '',
+    criteriaRows ? `<table><thead><tr><th>Criterion</th><th>Score</th><th>Why</th></tr></thead><tbody>${criteriaRows}</tbody></table>` : '',
+    '</section>'
+  ].filter(Boolean).join('\n');
+}
+
+function renderHtml(report) {
+  const view = reportView(report);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(view.title)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: ${COLORS.text}; max-width: 760px; margin: 32px auto; padding: 0 16px; line-height: 1.4; }
+h1 { margin-bottom: 4px; }
+.muted { color: ${COLORS.muted}; font-size: 0.9em; }
+.facts { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 16px 0; }
+.facts dt { font-weight: bold; }
+.facts dd { margin: 0; }
+.question { border-top: 1px solid ${COLORS.grid}; padding-top: 8px; page-break-inside: avoid; }
+.followup { margin-left: 16px; }
+.badge { display: inline-block; padding: 1px 8px; border-radius: 10px; color: #fff; font-size: 0.8em; vertical-align: middle; }
+.badge.pass { background: ${COLORS.pass}; }
+.badge.fail { background: ${COLORS.fail}; }
+.badge.error { background: ${COLORS.missing}; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { text-align: left; border-bottom: 1px solid ${COLORS.grid}; padding: 4px; vertical-align: top; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(view.title)}</h1>
+<p class="muted">Report ${escapeHtml(view.code)} · ${escapeHtml(view.generatedAt)}${view.presentationCode ? ` · Presentation ${escapeHtml(view.presentationCode)}` : ''}</p>
+<h2>Summary</h2>
+<dl class="facts">
+${view.facts.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+${view.charts.map(chart => `<h3>${escapeHtml(chart.title)}</h3>\n${chartSvg(chart)}`).join('\n')}
+<h2>Questions</h2>
+${view.questions.map(questionHtml).join('\n')}
+</body>
+</html>
+`;
+}
+
+// ---------- PDF ----------
+
+const PAGE = { width: 595, height: 842, margin: 48 };
+
+// Minimal flowing layout on a canvas PDF surface: wraps text and starts new pages as needed
+function createPdfLayout(canvas) {
+  const ctx = canvas.getContext('2d');
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  function ensureSpace(height) {
+    if (y + height > PAGE.height - PAGE.margin) {
+      ctx.addPage(PAGE.width, PAGE.height);
+      y = PAGE.margin;
+    }
+  }
+
+  function wrap(text, width) {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  function text(value, { size = 10, bold = false, color = COLORS.text, indent = 0, gap = 4 } = {}) {
+    ctx.font = `${bold ? 'bold ' : ''}${size}px Helvetica`;
+    ctx.fillStyle = color;
+    const lineHeight = size * 1.35;
+    for (const line of wrap(value, contentWidth - indent)) {
+      ensureSpace(lineHeight);
+      ctx.fillText(line, PAGE.margin + indent, y + size);
+      y += lineHeight;
+    }
+    y += gap;
+  }
+
+  function chart(spec) {
+    const height = 170;
+    text(spec.title, { size: 12, bold: true });
+    ensureSpace(height);
+
+    const plot = { left: PAGE.margin + 28, right: PAGE.margin + contentWidth, top: y + 6, bottom: y + height - 24 };
+    const slot = (plot.right - plot.left) / Math.max(spec.bars.length, 1);
+    const barWidth = Math.min(40, slot * 0.7);
+    const scaleY = value => plot.bottom - (Math.max(0, Math.min(100, value)) / 100) * (plot.bottom - plot.top);
+
+    ctx.font = '8px Helvetica';
+    ctx.lineWidth = 0.5;
+    for (const tick of [0, 25, 50, 75, 100]) {
+      ctx.strokeStyle = COLORS.grid;
+      ctx.beginPath();
+      ctx.moveTo(plot.left, scaleY(tick));
+      ctx.lineTo(plot.right, scaleY(tick));
+      ctx.stroke();
+      ctx.fillStyle = COLORS.muted;
+      ctx.textAlign = 'right';
+      ctx.fillText(String(tick), plot.left - 4, scaleY(tick) + 3);
+    }
+
+    ctx.textAlign = 'center';
+    spec.bars.forEach((bar, index) => {
+      const x = plot.left + slot * index + (slot - barWidth) / 2;
+      const value = bar.value === null || bar.value === undefined ? 0 : bar.value;
+      ctx.fillStyle = barColor(bar.value, spec.threshold);
+      ctx.fillRect(x, scaleY(value), barWidth, plot.bottom - scaleY(value));
+      ctx.fillStyle = COLORS.text;
+      ctx.fillText(formatScore(bar.value), x + barWidth / 2, scaleY(value) - 3);
+      ctx.fillText(bar.label, x + barWidth / 2, plot.bottom + 11);
+    });
+
+    if (spec.threshold !== null && spec.threshold !== undefined) {
+      ctx.strokeStyle = COLORS.threshold;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(plot.left, scaleY(spec.threshold));
+      ctx.lineTo(plot.right, scaleY(spec.threshold));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.textAlign = 'left';
+    y += height;
+  }
+
+  return { text, chart, ensureSpace };
+}
+
+// canvas is loaded lazily so the HTML and CSV exports work without its native build
+function renderPdf(report) {
+  const { createCanvas } = require('canvas');
+  const view = reportView(report);
+  const canvas = createCanvas(PAGE.width, PAGE.height, 'pdf');
+  const layout = createPdfLayout(canvas);
+
+  layout.text(view.title, { size: 20, bold: true });
+  layout.text(`Report ${view.code} · ${view.generatedAt}${view.presentationCode ? ` · Presentation ${view.presentationCode}` : ''}`, { color: COLORS.muted, gap: 12 });
+
+  layout.text('Summary', { size: 14, bold: true });
+  for (const [label, value] of view.facts) {
+    layout.text(`${label}: ${value}`, { gap: 1 });
+  }
+  layout.text('', { gap: 8 });
+
+  for (const chart of view.charts) {
+    layout.chart(chart);
+  }
+
+  layout.text('Questions', { size: 14, bold: true });
+  for (const question of view.questions) {
+    const result = question.status === 'error' ? 'not scored' : `${formatScore(question.score)} (${question.passed ? 'pass' : 'fail'})`;
+    layout.ensureSpace(60);
+    layout.text(`Q${question.number}${question.slide !== null ? ` · Slide ${question.slide}` : ''} — ${result}`, { size: 11, bold: true });
+    layout.text(`Question: ${question.question}`);
+    layout.text(`Answer: ${question.answer}`);
+    for (const turn of question.followUps) {
+      layout.text(`Follow-up: ${turn.question}`, { indent: 12 });
+      layout.text(`Answer: ${turn.userAnswer}`, { indent: 12 });
+    }
+    if (question.referenceAnswer) layout.text(`Reference answer: ${question.referenceAnswer}`);
+    if (question.missingPoints) layout.text(`Missing points: ${question.missingPoints}`);
+    if (question.citations.length > 0) layout.text(`Based on slide(s) ${question.citations.join(', ')}`, { color: COLORS.muted });
+    if (question.scorer === 'local') layout.text('Scored offline by keyword match', { color: COLORS.muted });
+    if (question.error) layout.text(`Evaluation failed: ${question.error}`, { color: COLORS.muted });
+    for (const criterion of question.criteria.filter(entry => entry.score !== null)) {
+      layout.text(`${criterion.name}: ${formatScore(criterion.score)} — ${criterion.justification || ''}`, { size: 9, indent: 12, gap: 1 });
+    }
+    layout.text('', { gap: 8 });
+  }
+
+  // Fixed metadata dates keep the bytes stable between exports
+  const generatedAt = report.generatedAt ? new Date(report.generatedAt) : new Date(0);
+  return canvas.toBuffer('application/pdf', {
+    title: view.title,
+    creator: 'Awaaz',
+    creationDate: generatedAt,
+    modDate: generatedAt
+  });
+}
+
+const RENDERERS = { pdf: renderPdf, html: renderHtml, csv: renderCsv };
+
+// Render a stored report (report_data) in one of EXPORT_FORMATS
+function exportReport(report, format) {
+  const body = RENDERERS[format](report);
+  return {
+    body,
+    contentType: EXPORT_FORMATS[format].contentType,
+    filename: `report-${report.code}.${EXPORT_FORMATS[format].extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportReport,
+  renderCsv,
+  renderHtml,
+  renderPdf
+};
@@ -0,0 +1,134 @@
+const { repositories } = require('./storage');
+
+// Scoring rubrics for answer evaluation. Each criterion is scored 0-100 and the overall
+// score is the weighted average; a question passes when it reaches the rubric's threshold.
+
+const MAX_CRITERIA = 10;
+
+const RUBRICS = {
+  default: {
+    name: 'Balanced',
+    passThreshold: 70,
+    criteria: [
+      { id: 'accuracy', name: 'Accuracy', description: 'Statements are factually correct and consistent with the presentation', weight: 0.3 },
+      { id: 'completeness', name: 'Completeness', description: 'Covers the key points an ideal answer would include', weight: 0.25 },
+      { id: 'clarity', name: 'Clarity', description: 'Easy to follow, well structured and free of jargon the audience would not know', weight: 0.2 },
+      { id: 'conciseness', name: 'Conciseness', description: 'Gets to the point without padding or repetition', weight: 0.1 },
+      { id: 'confidence', name: 'Confidence', description: 'Answers directly and decisively instead of hedging or dodging', weight: 0.15 }
+    ]
+  },
+  technical: {
+    name: 'Technical review',
+    passThreshold: 75,
+    criteria: [
+      { id: 'accuracy', name: 'Accuracy', description: 'Technically correct, with no misleading simplifications', weight: 0.45 },
+      { id: 'completeness', name: 'Completeness', description: 'Addresses trade-offs, limitations and edge cases where relevant', weight: 0.3 },
+      { id: 'clarity', name: 'Clarity', description: 'Explains the reasoning step by step', weight: 0.25 }
+    ]
+  },
+  pitch: {
+    name: 'Investor pitch',
+    passThreshold: 65,
+    criteria: [
+      { id: 'accuracy', name: 'Accuracy', description: 'Numbers and claims are consistent with the deck', weight: 0.25 },
+      { id: 'completeness', name: 'Completeness', description: 'Backs claims with evidence such as traction, market data or customers', weight: 0.25 },
+      { id: 'conciseness', name: 'Conciseness', description: 'Short, memorable answer', weight: 0.2 },
+      { id: 'confidence', name: 'Confidence', description: 'Owns risks and weaknesses instead of deflecting', weight: 0.3 }
+    ]
+  }
+};
+
+const DEFAULT_RUBRIC_ID = 'default';
+
+function slugify(value) {
+  return String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Validate a rubric definition and normalise its weights so they add up to 1
+function normalizeRubric(rubric, id) {
+  if (!rubric || typeof rubric !== 'object') {
+    throw new Error('rubric must be an object');
+  }
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0 || rubric.criteria.length > MAX_CRITERIA) {
+    throw new Error(`rubric.criteria must be an array of 1 to ${MAX_CRITERIA} criteria`);
+  }
+
+  const passThreshold = rubric.passThreshold === undefined ? 70 : Number(rubric.passThreshold);
+  if (!Number.isFinite(passThreshold) || passThreshold < 0 || passThreshold > 100) {
+    throw new Error('rubric.passThreshold must be between 0 and 100');
+  }
+
+  const seen = new Set();
+  const criteria = rubric.criteria.map((criterion, index) => {
+    const criterionId = slugify(criterion.id || criterion.name || '');
+    if (!criterionId) {
+      throw new Error(`rubric.criteria[${index}] needs an id or name`);
+    }
+    if (seen.has(criterionId)) {
+      throw new Error(`rubric.criteria[${index}] repeats criterion "${criterionId}"`);
+    }
+    seen.add(criterionId);
+
+    const weight = criterion.weight === undefined ? 1 : Number(criterion.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`rubric.criteria[${index}].weight must be a positive number`);
+    }
+
+    return {
+      id: criterionId,
+      name: criterion.name || criterionId,
+      description: criterion.description || '',
+      weight
+    };
+  });
+
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+  return {
+    id: id || rubric.id || slugify(rubric.name || 'custom'),
+    name: rubric.name || 'Custom rubric',
+    passThreshold,
+    criteria: criteria.map(criterion => ({
+      ...criterion,
+      weight: Math.round((criterion.weight / totalWeight) * 1000) / 1000
+    }))
+  };
+}
+
+function getBuiltInRubric(id) {
+  return RUBRICS[id] ? normalizeRubric(RUBRICS[id], id) : null;
+}
+
+function listBuiltInRubrics() {
+  return Object.keys(RUBRICS).map(getBuiltInRubric);
+}
+
+// Look up a rubric for a report: an inline definition, a built-in id or a saved custom rubric.
+// Returns null when a rubric id is given but does not exist.
+async function resolveRubric({ rubricId, rubric } = {}) {
+  if (rubric) {
+    return normalizeRubric(rubric);
+  }
+
+  const id = rubricId || DEFAULT_RUBRIC_ID;
+  const builtIn = getBuiltInRubric(id);
+  if (builtIn) return builtIn;
+
+  const saved = await repositories.rubrics.findOne({ rubric_id: id });
+  return saved ? normalizeRubric(saved.definition, saved.rubric_id) : null;
+}
+
+// Weighted overall score (0-100) from per-criterion scores
+function weightedScore(rubric, scores) {
+  const total = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight * scores[criterion.id].score, 0);
+  return Math.round(total * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_RUBRIC_ID,
+  normalizeRubric,
+  getBuiltInRubric,
+  listBuiltInRubrics,
+  resolveRubric,
+  weightedScore
+};
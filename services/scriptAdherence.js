@@ -0,0 +1,230 @@
+const { tokenize } = require('./localScorer');
+const { detectLanguage } = require('./languages');
+require('dotenv').config();
+
+// Script adherence: how closely a rehearsal followed the deck. The key points of a slide are the
+// sentences of its speech content and the lines of its slide text; a point is covered when the
+// presenter said most of its terms. Transcript sentences made up mostly of terms found in neither
+// are reported as added content. Runs offline on the stored deck text.
+
+const REPORT_TYPE = 'script-adherence';
+
+// Share of a key point's terms that must be spoken for it to count as covered
+const POINT_THRESHOLD = parseFloat(process.env.ADHERENCE_POINT_THRESHOLD || '0.6');
+// Share of a spoken sentence's terms that must be new for it to count as added content
+const ADDED_THRESHOLD = parseFloat(process.env.ADHERENCE_ADDED_THRESHOLD || '0.6');
+// Slides covering less than this percentage of their key points are flagged
+const PASS_COVERAGE = parseFloat(process.env.ADHERENCE_PASS_COVERAGE || '70');
+
+const MIN_POINT_TERMS = 2;
+const MIN_ADDED_TERMS = 3;
+// Transcripts from speech-to-text often have no punctuation; long runs are cut into windows
+const MAX_SEGMENT_WORDS = 25;
+const WINDOW_WORDS = 15;
+
+// Errors that map to a client-facing HTTP status
+class AdherenceError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AdherenceError';
+    this.status = status;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : null;
+}
+
+// Sentences and lines of a text, without bullet characters
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?।])\s+|\n+/)
+    .map(sentence => sentence.replace(/^[\s•\-*–·]+/, '').trim())
+    .filter(Boolean);
+}
+
+function transcriptSegments(transcript) {
+  const segments = [];
+  for (const sentence of splitSentences(transcript)) {
+    const words = sentence.split(/\s+/);
+    if (words.length <= MAX_SEGMENT_WORDS) {
+      segments.push(sentence);
+      continue;
+    }
+    for (let start = 0; start < words.length; start += WINDOW_WORDS) {
+      segments.push(words.slice(start, start + WINDOW_WORDS).join(' '));
+    }
+  }
+  return segments;
+}
+
+function uniqueTerms(text) {
+  return [...new Set(tokenize(text))];
+}
+
+// Key points of a slide, speech content first. Points with the same terms are listed once.
+function keyPoints(slideText, speech) {
+  const seen = new Set();
+  const points = [];
+  const candidates = [
+    ...splitSentences(speech).map(text => ({ source: 'speech', text })),
+    ...splitSentences(slideText).map(text => ({ source: 'slide', text }))
+  ];
+
+  for (const candidate of candidates) {
+    const terms = uniqueTerms(candidate.text);
+    const signature = [...terms].sort().join(' ');
+    if (terms.length < MIN_POINT_TERMS || seen.has(signature)) continue;
+    seen.add(signature);
+    points.push({ ...candidate, terms });
+  }
+  return points;
+}
+
+function analyzeSlide({ slide, title, slideText, speech, transcript }) {
+  const spoken = new Set(tokenize(transcript));
+  const points = keyPoints(slideText, speech).map(({ terms, ...point }) => {
+    const missingTerms = terms.filter(term => !spoken.has(term));
+    const coverage = 1 - missingTerms.length / terms.length;
+    return { ...point, coverage: round(coverage), covered: coverage >= POINT_THRESHOLD, missingTerms };
+  });
+
+  const scripted = new Set(tokenize(`${slideText}\n${speech}`));
+  const addedContent = transcriptSegments(transcript)
+    .map(text => {
+      const terms = uniqueTerms(text);
+      return { text, terms, newTerms: terms.filter(term => !scripted.has(term)) };
+    })
+    .filter(segment => segment.terms.length >= MIN_ADDED_TERMS && segment.newTerms.length / segment.terms.length >= ADDED_THRESHOLD)
+    .map(({ text, newTerms }) => ({ text, newTerms }));
+
+  // Term matching cannot compare a transcript with a script in another language
+  const scriptLanguage = detectLanguage(`${slideText}\n${speech}`).language;
+  const transcriptLanguage = detectLanguage(transcript).language;
+  const languageMismatch = Boolean(scriptLanguage && transcriptLanguage && scriptLanguage !== transcriptLanguage);
+
+  const covered = points.filter(point => point.covered);
+  const coverageOf = source => {
+    const sourcePoints = points.filter(point => point.source === source);
+    return percentage(sourcePoints.filter(point => point.covered).length, sourcePoints.length);
+  };
+
+  return {
+    slide,
+    title,
+    wordCount: String(transcript).split(/\s+/).filter(Boolean).length,
+    coverage: languageMismatch ? null : percentage(covered.length, points.length),
+    speechCoverage: languageMismatch ? null : coverageOf('speech'),
+    slideCoverage: languageMismatch ? null : coverageOf('slide'),
+    keyPoints: points.length,
+    coveredPoints: covered.map(({ source, text, coverage }) => ({ source, text, coverage })),
+    missedPoints: points.filter(point => !point.covered).map(({ source, text, coverage, missingTerms }) => ({ source, text, coverage, missingTerms })),
+    addedContent,
+    scriptLanguage,
+    transcriptLanguage,
+    languageMismatch
+  };
+}
+
+// Per-slide transcripts from a request: { [slide]: text } or [{ slide, transcript }]
+function parseTranscripts(input, presentation) {
+  const entries = Array.isArray(input)
+    ? input.map((entry, index) => [entry && entry.slide, entry && entry.transcript, `transcripts[${index}]`])
+    : input && typeof input === 'object'
+      ? Object.entries(input).map(([slide, transcript]) => [slide, transcript, `transcripts.${slide}`])
+      : null;
+  if (!entries || entries.length === 0) {
+    throw new AdherenceError('transcripts must be a non-empty { slide: transcript } object or array of { slide, transcript }', 400);
+  }
+
+  const transcripts = {};
+  for (const [value, transcript, label] of entries) {
+    const slide = Number(value);
+    if (!Number.isInteger(slide) || slide < 1 || slide > presentation.slide_count) {
+      throw new AdherenceError(`${label}: slide must be between 1 and ${presentation.slide_count}`, 400);
+    }
+    if (typeof transcript !== 'string') {
+      throw new AdherenceError(`${label}: transcript must be a string`, 400);
+    }
+    transcripts[slide] = transcripts[slide] ? `${transcripts[slide]} ${transcript}` : transcript;
+  }
+  return transcripts;
+}
+
+// Per-slide transcripts of a recorded rehearsal session
+function transcriptsFromRehearsal(session) {
+  const perSlide = (session.metrics || {}).perSlide || {};
+  return Object.fromEntries(Object.entries(perSlide).map(([slide, metrics]) => [slide, metrics.transcript || '']));
+}
+
+// Compare each transcribed slide with its speech content and slide text. Slides with key points
+// but no transcript are listed as skipped rather than scored as 0.
+function analyzeScriptAdherence(presentation, transcripts) {
+  const slides = Object.keys(transcripts)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(slide => analyzeSlide({
+      slide,
+      title: (presentation.slide_titles || {})[slide] || '',
+      slideText: (presentation.slide_texts || {})[slide] || '',
+      speech: (presentation.speech_content || {})[slide] || '',
+      transcript: transcripts[slide]
+    }));
+
+  const skippedSlides = Array.from({ length: presentation.slide_count || 0 }, (_, index) => index + 1)
+    .filter(slide => transcripts[slide] === undefined)
+    .filter(slide => keyPoints((presentation.slide_texts || {})[slide], (presentation.speech_content || {})[slide]).length > 0);
+
+  const scored = slides.filter(slide => slide.coverage !== null);
+  const keyPointCount = scored.reduce((sum, slide) => sum + slide.keyPoints, 0);
+  const coveredCount = scored.reduce((sum, slide) => sum + slide.coveredPoints.length, 0);
+  const sourceCoverage = source => {
+    const points = scored.flatMap(slide => [...slide.coveredPoints, ...slide.missedPoints]).filter(point => point.source === source);
+    return percentage(points.filter(point => point.coverage >= POINT_THRESHOLD).length, points.length);
+  };
+
+  const slideSummaries = slides.map(slide => ({
+    slide: slide.slide,
+    title: slide.title,
+    coverage: slide.coverage,
+    keyPoints: slide.keyPoints,
+    coveredPoints: slide.coveredPoints.length,
+    missedPoints: slide.missedPoints.length,
+    addedContent: slide.addedContent.length,
+    struggled: slide.coverage !== null && slide.coverage < PASS_COVERAGE
+  }));
+
+  return {
+    summary: {
+      slidesAnalyzed: slides.length,
+      keyPoints: keyPointCount,
+      coveredPoints: coveredCount,
+      coverage: percentage(coveredCount, keyPointCount),
+      speechCoverage: sourceCoverage('speech'),
+      slideCoverage: sourceCoverage('slide'),
+      addedContent: slides.reduce((sum, slide) => sum + slide.addedContent.length, 0),
+      passCoverage: PASS_COVERAGE,
+      passRate: percentage(scored.filter(slide => slide.coverage >= PASS_COVERAGE).length, scored.length),
+      slides: slideSummaries,
+      struggledSlides: slideSummaries
+        .filter(slide => slide.struggled)
+        .sort((a, b) => a.coverage - b.coverage)
+        .map(slide => slide.slide),
+      skippedSlides,
+      languageMismatches: slides.filter(slide => slide.languageMismatch).map(slide => slide.slide)
+    },
+    slides
+  };
+}
+
+module.exports = {
+  REPORT_TYPE,
+  AdherenceError,
+  parseTranscripts,
+  transcriptsFromRehearsal,
+  analyzeScriptAdherence
+};
@@ -0,0 +1,104 @@
+const { repositories } = require('./storage');
+const { QUICK_LANE, registerJobHandler } = require('./jobQueue');
+const { runAudioStage } = require('./audioPipeline');
+const { generateSpeechContent } = require('./aiContent');
+const { questionsBySlide } = require('./personas');
+const { generateCached, generateSlideQuestions, slideOutputLanguages } = require('./presentationPipeline');
+const { slideBudget } = require('./timingPlan');
+
+// Regenerate the AI questions and/or speech content of a single slide. Regeneration asks for
+// fresh output, so the content cache is not read, but the new content replaces the cached entry.
+const JOB_TYPE = 'slide-regenerate';
+const PARTS = ['questions', 'speech'];
+
+// STAGE 1: Generate the requested parts from the slide's stored text
+async function runGenerateStage(job, ctx) {
+  const { uniqueCode, slide: slideNumber, parts } = job.payload;
+  const presentation = await repositories.presentations.findOne({ unique_code: uniqueCode });
+  if (!presentation) {
+    throw new Error('Presentation not found');
+  }
+
+  const slideText = (presentation.slide_texts || {})[slideNumber];
+  if (!slideText) {
+    throw new Error(`Slide ${slideNumber} has no text to generate from`);
+  }
+
+  const slide = job.slides[slideNumber] || (job.slides[slideNumber] = {});
+  const languages = slideOutputLanguages(presentation.language_settings, presentation.slide_languages, presentation.deck_language, slideNumber);
+
+  if (parts.includes('questions') && slide.question !== 'done') {
+    console.log(`\n--- Regenerating questions for slide ${slideNumber} ---`);
+    await generateSlideQuestions(job, ctx, slideNumber, slideText, { reuseCached: false, language: languages.questions });
+  }
+
+  if (parts.includes('speech') && slide.speech !== 'done') {
+    try {
+      const notes = (presentation.speaker_notes || {})[slideNumber];
+      const budget = slideBudget(presentation.timing_plan, slideNumber);
+      const targetWords = budget ? budget.targetWords : undefined;
+      const { content: speech } = await generateCached(
+        job, 'speech', slideText, { notes: notes || '', language: languages.speech, targetWords },
+        () => generateSpeechContent(slideText, slideNumber, { notes, language: languages.speech, targetWords }),
+        { reuseCached: false }
+      );
+      if (speech) {
+        job.result.speech = speech;
+        slide.speech = 'done';
+      } else {
+        slide.speech = 'failed';
+        ctx.recordError('No speech content generated', slideNumber);
+      }
+    } catch (error) {
+      slide.speech = 'failed';
+      ctx.recordError(error.message, slideNumber);
+      console.error(`Error regenerating speech for slide ${slideNumber}:`, error);
+    }
+  }
+
+  await ctx.setProgress(1, 1);
+
+  if (!(job.result.questionSet || []).length && !job.result.speech) {
+    throw new Error(`No content could be regenerated for slide ${slideNumber}`);
+  }
+}
+
+// STAGE 2: Merge the new content into the presentation. Personas whose questions failed keep
+// their previous questions.
+async function runSaveStage(job) {
+  const { uniqueCode, slide: slideNumber } = job.payload;
+  const presentation = await repositories.presentations.findOne({ unique_code: uniqueCode });
+  if (!presentation) {
+    throw new Error('Presentation not found');
+  }
+
+  const slide = job.slides[slideNumber];
+  const regenerated = new Set(Object.keys(slide.personas || {}).filter(persona => slide.personas[persona] === 'done'));
+  const patch = {};
+
+  if (regenerated.size > 0) {
+    const questionSet = (presentation.question_set || [])
+      .filter(entry => !(entry.slide === slideNumber && regenerated.has(entry.persona)))
+      .concat(job.result.questionSet)
+      .sort((a, b) => a.slide - b.slide);
+    Object.assign(patch, { question_set: questionSet, questions: questionsBySlide(questionSet) });
+  }
+  if (slide.speech === 'done') {
+    patch.speech_content = { ...(presentation.speech_content || {}), [slideNumber]: job.result.speech };
+  }
+
+  await repositories.presentations.update({ unique_code: uniqueCode }, patch);
+
+  job.result.message = `Regenerated ${[regenerated.size > 0 && 'questions', slide.speech === 'done' && 'speech content'].filter(Boolean).join(' and ')} for slide ${slideNumber}`;
+}
+
+registerJobHandler(JOB_TYPE, {
+  stages: [
+    { name: 'generate', weight: 85, run: runGenerateStage },
+    { name: 'save', weight: 5, run: runSaveStage },
+    { name: 'audio', weight: 10, run: runAudioStage, optional: true }
+  ],
+  lane: QUICK_LANE
+});
+
+module.exports = { JOB_TYPE, PARTS };
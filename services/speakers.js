@@ -0,0 +1,287 @@
+const { repositories } = require('./storage');
+const { canAccess } = require('./auth');
+
+// Speaker profiles and progress over time. Presentations, rehearsal sessions and reports carry
+// a speaker_id; history and comparisons are computed from the stored report summaries.
+
+// Score changes smaller than this are reported as steady
+const TREND_TOLERANCE = 5;
+const MAX_WEAK_SLIDES = 5;
+const MAX_MISSING_POINTS = 10;
+
+// Errors that map to a client-facing HTTP status
+class SpeakerError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SpeakerError';
+    this.status = status;
+  }
+}
+
+function validateSpeaker({ name, email } = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new SpeakerError('name is required', 400);
+  }
+  if (email !== undefined && email !== null && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+    throw new SpeakerError('email must be a valid email address', 400);
+  }
+  return { name: name.trim(), email: email ? email.trim().toLowerCase() : null };
+}
+
+async function createSpeaker(input, owner) {
+  const { name, email } = validateSpeaker(input);
+  return repositories.speakers.insert({
+    owner_id: owner.id,
+    name,
+    email,
+    created_at: new Date().toISOString()
+  });
+}
+
+// Look up the speaker a new presentation, rehearsal or report should belong to.
+// No id means the record stays anonymous.
+async function findSpeaker(speakerId, user) {
+  if (!speakerId) return null;
+  const speaker = await repositories.speakers.findOne({ id: speakerId });
+  if (!speaker || !canAccess(user, speaker.owner_id)) {
+    throw new SpeakerError(`Speaker ${speakerId} not found`, 404);
+  }
+  return speaker;
+}
+
+function serializeSpeaker(speaker) {
+  return {
+    id: speaker.id,
+    name: speaker.name,
+    email: speaker.email,
+    createdAt: speaker.created_at
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+}
+
+function change(from, to) {
+  return from === null || from === undefined || to === null || to === undefined ? null : round(to - from);
+}
+
+function direction(delta) {
+  if (delta === null) return null;
+  if (delta >= TREND_TOLERANCE) return 'improving';
+  if (delta <= -TREND_TOLERANCE) return 'declining';
+  return 'steady';
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Split an evaluator's free-text missing points into individual points. Rows from the offline
+// scorer only list keywords, so they are left out.
+function missingPointsOf(row) {
+  if (row["Evaluation Status"] === 'error' || row["Scorer"] === 'local') return [];
+  return String(row["Missing Points"] || '')
+    .split(/[;\n]|\.\s+/)
+    .map(point => point.replace(/^[\s\-*•\d.)]+/, '').replace(/\.$/, '').trim())
+    .filter(point => point && !/^none\b/i.test(point));
+}
+
+function attemptSummary(report) {
+  const summary = report.report_data.summary || {};
+  return {
+    code: report.unique_code,
+    title: report.title,
+    presentationCode: report.presentation_code || null,
+    createdAt: report.created_at,
+    totalQuestions: summary.totalQuestions,
+    averageScore: summary.averageScore,
+    passRate: summary.passRate,
+    struggledSlides: summary.struggledSlides || []
+  };
+}
+
+// Progress of a speaker across reports (oldest first): score trend overall and per deck,
+// the slides they keep struggling with and the points evaluators keep flagging as missing
+function buildHistory(reports, rehearsals) {
+  const ordered = [...reports].sort((a, b) => (a.created_at > b.created_at ? 1 : -1));
+  const attempts = ordered.map((report, index) => ({ attempt: index + 1, ...attemptSummary(report) }));
+
+  // Attempts grouped by deck; reports without a presentation are grouped together under null
+  const decks = new Map();
+  for (const attempt of attempts) {
+    if (!decks.has(attempt.presentationCode)) decks.set(attempt.presentationCode, []);
+    decks.get(attempt.presentationCode).push(attempt);
+  }
+  const byPresentation = [...decks.entries()].map(([presentationCode, deckAttempts]) => {
+    const first = deckAttempts[0].averageScore;
+    const latest = deckAttempts[deckAttempts.length - 1].averageScore;
+    return {
+      presentationCode,
+      attempts: deckAttempts.length,
+      scores: deckAttempts.map(attempt => ({ code: attempt.code, createdAt: attempt.createdAt, averageScore: attempt.averageScore })),
+      firstScore: first,
+      latestScore: latest,
+      change: change(first, latest),
+      trend: deckAttempts.length > 1 ? direction(change(first, latest)) : null
+    };
+  });
+
+  const slides = new Map();
+  for (const report of ordered) {
+    const summary = report.report_data.summary || {};
+    for (const slide of summary.slides || []) {
+      const key = `${report.presentation_code}:${slide.slide}`;
+      const entry = slides.get(key) || { presentationCode: report.presentation_code, slide: slide.slide, title: slide.title, scores: [], struggled: 0 };
+      entry.scores.push(slide.averageScore);
+      if (slide.struggled) entry.struggled++;
+      slides.set(key, entry);
+    }
+  }
+  const weakestSlides = [...slides.values()]
+    .map(({ scores, ...entry }) => ({ ...entry, attempts: scores.length, averageScore: average(scores), latestScore: scores[scores.length - 1] }))
+    .filter(entry => entry.averageScore !== null)
+    .sort((a, b) => a.averageScore - b.averageScore)
+    .slice(0, MAX_WEAK_SLIDES);
+
+  // A point recurs when it is flagged in more than one report
+  const points = new Map();
+  ordered.forEach(report => {
+    for (const row of report.report_data.evaluations || []) {
+      for (const point of missingPointsOf(row)) {
+        const key = normalizeText(point);
+        const entry = points.get(key) || { point, reports: new Set(), occurrences: 0, lastSeen: null };
+        entry.reports.add(report.unique_code);
+        entry.occurrences++;
+        entry.lastSeen = report.created_at;
+        points.set(key, entry);
+      }
+    }
+  });
+  const recurringMissingPoints = [...points.values()]
+    .filter(entry => entry.reports.size > 1)
+    .map(entry => ({ point: entry.point, reports: entry.reports.size, occurrences: entry.occurrences, lastSeen: entry.lastSeen }))
+    .sort((a, b) => b.reports - a.reports || b.occurrences - a.occurrences)
+    .slice(0, MAX_MISSING_POINTS);
+
+  const first = attempts.length > 0 ? attempts[0].averageScore : null;
+  const latest = attempts.length > 0 ? attempts[attempts.length - 1].averageScore : null;
+  const scores = attempts.map(attempt => attempt.averageScore).filter(score => score !== null && score !== undefined);
+
+  return {
+    attempts,
+    trend: {
+      attempts: attempts.length,
+      firstScore: first,
+      latestScore: latest,
+      bestScore: scores.length > 0 ? Math.max(...scores) : null,
+      change: change(first, latest),
+      direction: attempts.length > 1 ? direction(change(first, latest)) : null
+    },
+    byPresentation,
+    weakestSlides,
+    recurringMissingPoints,
+    rehearsals: [...rehearsals]
+      .sort((a, b) => (a.created_at > b.created_at ? 1 : -1))
+      .map(session => ({
+        id: session.id,
+        presentationCode: session.presentation_code,
+        source: session.source || 'upload',
+        createdAt: session.created_at,
+        durationSeconds: session.duration_seconds,
+        averageWordsPerMinute: session.metrics ? session.metrics.averageWordsPerMinute : null,
+        fillersPerMinute: session.metrics ? session.metrics.fillersPerMinute : null,
+        longPauseCount: session.metrics ? session.metrics.longPauseCount : null
+      }))
+  };
+}
+
+function pointSet(row) {
+  return new Map(missingPointsOf(row).map(point => [normalizeText(point), point]));
+}
+
+// What changed between two attempts on the same deck. Questions are matched by their text.
+function compareReports(base, target) {
+  const baseSummary = base.report_data.summary || {};
+  const targetSummary = target.report_data.summary || {};
+  const criteria = (target.report_data.rubric || base.report_data.rubric || { criteria: [] }).criteria;
+
+  const baseRows = new Map((base.report_data.evaluations || []).map(row => [normalizeText(row["Question"]), row]));
+  const targetRows = new Map((target.report_data.evaluations || []).map(row => [normalizeText(row["Question"]), row]));
+
+  const questions = [];
+  for (const [key, row] of targetRows) {
+    const previous = baseRows.get(key);
+    if (!previous) {
+      questions.push({ question: row["Question"], slide: row["Slide"] || null, baseScore: null, targetScore: row["Similarity Score"], change: null, status: 'new' });
+      continue;
+    }
+
+    const delta = change(previous["Similarity Score"], row["Similarity Score"]);
+    const before = pointSet(previous);
+    const after = pointSet(row);
+    questions.push({
+      question: row["Question"],
+      slide: row["Slide"] || null,
+      baseScore: previous["Similarity Score"],
+      targetScore: row["Similarity Score"],
+      change: delta,
+      status: delta === null ? 'unscored' : delta > 0 ? 'improved' : delta < 0 ? 'declined' : 'unchanged',
+      baseAnswer: previous["User Answer"],
+      targetAnswer: row["User Answer"],
+      resolvedPoints: [...before.keys()].filter(point => !after.has(point)).map(point => before.get(point)),
+      newPoints: [...after.keys()].filter(point => !before.has(point)).map(point => after.get(point))
+    });
+  }
+  for (const [key, row] of baseRows) {
+    if (!targetRows.has(key)) {
+      questions.push({ question: row["Question"], slide: row["Slide"] || null, baseScore: row["Similarity Score"], targetScore: null, change: null, status: 'dropped' });
+    }
+  }
+
+  const baseSlides = new Map((baseSummary.slides || []).map(slide => [slide.slide, slide]));
+  const slides = (targetSummary.slides || []).map(slide => {
+    const previous = baseSlides.get(slide.slide);
+    return {
+      slide: slide.slide,
+      title: slide.title,
+      baseScore: previous ? previous.averageScore : null,
+      targetScore: slide.averageScore,
+      change: change(previous ? previous.averageScore : null, slide.averageScore)
+    };
+  });
+
+  const criteriaChanges = criteria.map(criterion => {
+    const before = (baseSummary.criteriaAverages || {})[criterion.id];
+    const after = (targetSummary.criteriaAverages || {})[criterion.id];
+    return { id: criterion.id, name: criterion.name, baseScore: before === undefined ? null : before, targetScore: after === undefined ? null : after, change: change(before, after) };
+  });
+
+  const scoreChange = change(baseSummary.averageScore, targetSummary.averageScore);
+
+  return {
+    presentationCode: target.presentation_code,
+    base: attemptSummary(base),
+    target: attemptSummary(target),
+    averageScoreChange: scoreChange,
+    passRateChange: change(baseSummary.passRate, targetSummary.passRate),
+    direction: direction(scoreChange),
+    criteria: criteriaChanges,
+    slides,
+    questions
+  };
+}
+
+module.exports = {
+  SpeakerError,
+  createSpeaker,
+  findSpeaker,
+  serializeSpeaker,
+  buildHistory,
+  compareReports
+};
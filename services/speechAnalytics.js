@@ -0,0 +1,200 @@
+// Pacing, filler-word and pause analytics for a transcribed rehearsal
+
+// Gaps between words longer than this count as a long pause
+const LONG_PAUSE_SECONDS = parseFloat(process.env.LONG_PAUSE_SECONDS || '2');
+
+// Live pacing warnings look at the most recent window of speech
+const PACING_MIN_WPM = parseFloat(process.env.PACING_MIN_WPM || '110');
+const PACING_MAX_WPM = parseFloat(process.env.PACING_MAX_WPM || '170');
+const PACING_WINDOW_SECONDS = parseFloat(process.env.PACING_WINDOW_SECONDS || '30');
+const FILLER_WARNING_PER_MINUTE = parseFloat(process.env.FILLER_WARNING_PER_MINUTE || '6');
+
+const FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'like', 'basically', 'actually', 'literally'];
+const FILLER_PHRASES = ['you know', 'i mean', 'kind of', 'sort of'];
+
+function normalizeWord(word) {
+  return (word || '').toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Count filler words and phrases in a run of words
+function countFillers(words) {
+  const tokens = words.map(word => normalizeWord(word.word)).filter(Boolean);
+  const counts = {};
+
+  tokens.forEach((token, index) => {
+    if (FILLER_WORDS.includes(token)) {
+      counts[token] = (counts[token] || 0) + 1;
+    }
+    const pair = `${token} ${tokens[index + 1] || ''}`;
+    if (FILLER_PHRASES.includes(pair)) {
+      counts[pair] = (counts[pair] || 0) + 1;
+    }
+  });
+
+  return counts;
+}
+
+// Silent gaps between consecutive words, including before the first and after the last word
+function findLongPauses(words, segmentStart, segmentEnd) {
+  const pauses = [];
+  let cursor = segmentStart;
+
+  for (const word of words) {
+    if (word.start - cursor >= LONG_PAUSE_SECONDS) {
+      pauses.push({ start: round(cursor, 2), end: round(word.start, 2), duration: round(word.start - cursor, 2) });
+    }
+    cursor = Math.max(cursor, word.end);
+  }
+  if (segmentEnd - cursor >= LONG_PAUSE_SECONDS) {
+    pauses.push({ start: round(cursor, 2), end: round(segmentEnd, 2), duration: round(segmentEnd - cursor, 2) });
+  }
+
+  return pauses;
+}
+
+function summarizeSegment(words, start, end) {
+  const duration = Math.max(end - start, 0);
+  const fillers = countFillers(words);
+  const fillerCount = Object.values(fillers).reduce((sum, count) => sum + count, 0);
+  const pauses = findLongPauses(words, start, end);
+
+  return {
+    start: round(start, 2),
+    end: round(end, 2),
+    duration: round(duration, 2),
+    wordCount: words.length,
+    wordsPerMinute: duration > 0 ? round(words.length / (duration / 60)) : 0,
+    fillerCount,
+    fillers,
+    longPauses: pauses,
+    longPauseCount: pauses.length,
+    transcript: words.map(word => word.word).join(' ').trim()
+  };
+}
+
+// Validate and sort slide-change timestamps from the VR client: [{ slide, time }] in seconds
+function normalizeSlideTimestamps(slideTimestamps) {
+  if (!Array.isArray(slideTimestamps)) {
+    throw new Error('slideTimestamps must be an array of { slide, time } objects');
+  }
+
+  return slideTimestamps
+    .map((entry, index) => {
+      const slide = parseInt(entry.slide, 10);
+      const time = Number(entry.time);
+      if (!Number.isInteger(slide) || slide < 1 || !Number.isFinite(time) || time < 0) {
+        throw new Error(`slideTimestamps[${index}] must have a positive integer 'slide' and a non-negative 'time' in seconds`);
+      }
+      return { slide, time };
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+// Compute per-slide and overall metrics from word timings and slide-change timestamps.
+// A slide shown more than once gets the combined time and words of all its visits.
+function analyzeRehearsal({ words, duration, slideTimestamps }) {
+  const timeline = normalizeSlideTimestamps(slideTimestamps);
+  const lastWordEnd = words.length > 0 ? words[words.length - 1].end : 0;
+  const totalDuration = Math.max(duration || 0, lastWordEnd);
+
+  // Words spoken before the first slide change are attributed to the first slide shown
+  if (timeline.length === 0) {
+    timeline.push({ slide: 1, time: 0 });
+  } else {
+    timeline[0] = { ...timeline[0], time: 0 };
+  }
+
+  const visits = timeline.map((entry, index) => {
+    const start = entry.time;
+    const end = index + 1 < timeline.length ? timeline[index + 1].time : totalDuration;
+    const visitWords = words.filter(word => word.start >= start && word.start < end);
+    return { slide: entry.slide, start, end, words: visitWords };
+  });
+
+  const perSlide = {};
+  for (const visit of visits) {
+    const summary = summarizeSegment(visit.words, visit.start, visit.end);
+    const existing = perSlide[visit.slide];
+
+    if (!existing) {
+      perSlide[visit.slide] = { ...summary, visits: 1 };
+      continue;
+    }
+
+    // Merge repeated visits to the same slide
+    const mergedFillers = { ...existing.fillers };
+    for (const [filler, count] of Object.entries(summary.fillers)) {
+      mergedFillers[filler] = (mergedFillers[filler] || 0) + count;
+    }
+    const mergedDuration = existing.duration + summary.duration;
+    const mergedWords = existing.wordCount + summary.wordCount;
+
+    perSlide[visit.slide] = {
+      ...existing,
+      end: summary.end,
+      duration: round(mergedDuration, 2),
+      wordCount: mergedWords,
+      wordsPerMinute: mergedDuration > 0 ? round(mergedWords / (mergedDuration / 60)) : 0,
+      fillerCount: existing.fillerCount + summary.fillerCount,
+      fillers: mergedFillers,
+      longPauses: [...existing.longPauses, ...summary.longPauses],
+      longPauseCount: existing.longPauseCount + summary.longPauseCount,
+      transcript: `${existing.transcript} ${summary.transcript}`.trim(),
+      visits: existing.visits + 1
+    };
+  }
+
+  const overall = summarizeSegment(words, 0, totalDuration);
+  delete overall.transcript;
+
+  return {
+    totalDuration: round(totalDuration, 2),
+    totalWords: overall.wordCount,
+    averageWordsPerMinute: overall.wordsPerMinute,
+    fillerCount: overall.fillerCount,
+    fillersPerMinute: totalDuration > 0 ? round(overall.fillerCount / (totalDuration / 60)) : 0,
+    fillers: overall.fillers,
+    longPauseCount: overall.longPauseCount,
+    totalPauseTime: round(overall.longPauses.reduce((sum, pause) => sum + pause.duration, 0), 2),
+    longPauseThreshold: LONG_PAUSE_SECONDS,
+    perSlide
+  };
+}
+
+// Check the last PACING_WINDOW_SECONDS of speech for pacing problems while the talk is running.
+// Returns a list of { kind, message, value } warnings; empty until a full window has elapsed.
+function assessLivePacing(words, now) {
+  if (now < PACING_WINDOW_SECONDS) return [];
+
+  const windowStart = now - PACING_WINDOW_SECONDS;
+  const recent = words.filter(word => word.start >= windowStart && word.start <= now);
+  const minutes = PACING_WINDOW_SECONDS / 60;
+  const wordsPerMinute = round(recent.length / minutes);
+  const fillerCount = Object.values(countFillers(recent)).reduce((sum, count) => sum + count, 0);
+  const fillersPerMinute = round(fillerCount / minutes);
+  const warnings = [];
+
+  if (wordsPerMinute > PACING_MAX_WPM) {
+    warnings.push({ kind: 'too-fast', message: `You are speaking at ${wordsPerMinute} words per minute, try to slow down`, value: wordsPerMinute });
+  } else if (wordsPerMinute < PACING_MIN_WPM) {
+    warnings.push({ kind: 'too-slow', message: `You are speaking at ${wordsPerMinute} words per minute, try to pick up the pace`, value: wordsPerMinute });
+  }
+  if (fillersPerMinute > FILLER_WARNING_PER_MINUTE) {
+    warnings.push({ kind: 'fillers', message: `${fillerCount} filler words in the last ${PACING_WINDOW_SECONDS} seconds`, value: fillersPerMinute });
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  FILLER_WORDS,
+  FILLER_PHRASES,
+  analyzeRehearsal,
+  assessLivePacing,
+  normalizeSlideTimestamps
+};
@@ -0,0 +1,60 @@
+const path = require('path');
+const { createSupabaseBackend } = require('./supabase');
+const { createLocalBackend } = require('./local');
+require('dotenv').config();
+
+// STORAGE_BACKEND=supabase|local; defaults to Supabase when it is configured
+function createBackend() {
+  const backendName = (process.env.STORAGE_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'local')).toLowerCase();
+
+  if (backendName === 'supabase') {
+    return createSupabaseBackend({
+      url: process.env.SUPABASE_URL,
+      serviceKey: process.env.SUPABASE_SERVICE_KEY
+    });
+  }
+
+  if (backendName === 'local') {
+    return createLocalBackend({
+      dataDir: path.resolve(process.env.LOCAL_DATA_DIR || path.join(__dirname, '..', '..', 'data')),
+      publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+      signingSecret: process.env.LOCAL_STORAGE_SECRET
+    });
+  }
+
+  throw new Error(`Unknown storage backend: ${backendName}`);
+}
+
+const backend = createBackend();
+
+const SLIDES_BUCKET = 'presentation-slides';
+
+const repositories = {
+  presentations: backend.createRepository('presentations', { unique: ['unique_code'] }),
+  presentationRevisions: backend.createRepository('presentation_revisions'),
+  reports: backend.createRepository('reports', { unique: ['unique_code'] }),
+  jobs: backend.createRepository('processing_jobs'),
+  rehearsals: backend.createRepository('rehearsal_sessions'),
+  qaThreads: backend.createRepository('qa_threads'),
+  rubrics: backend.createRepository('rubrics', { unique: ['rubric_id'] }),
+  speakers: backend.createRepository('speakers'),
+  users: backend.createRepository('users', { unique: ['email'] }),
+  apiKeys: backend.createRepository('api_keys', { unique: ['key_hash'] }),
+  joinCodes: backend.createRepository('join_codes', { unique: ['code'] }),
+  contentCache: backend.createRepository('ai_content_cache', { unique: ['cache_key'] })
+};
+
+const slideStorage = backend.createBlobStore(SLIDES_BUCKET);
+
+// Only the local backend needs the server to serve signed blob URLs itself
+function getBlobStore(bucket) {
+  return bucket === SLIDES_BUCKET ? slideStorage : null;
+}
+
+module.exports = {
+  backendName: backend.name,
+  repositories,
+  slideStorage,
+  getBlobStore,
+  verifySignedUrl: backend.verifySignedUrl || null
+};
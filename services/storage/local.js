@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// Local backend: one JSON file for table data and the filesystem for blobs,
+// with HMAC-signed URLs standing in for Supabase signed URLs
+function createLocalBackend({ dataDir, publicBaseUrl, signingSecret }) {
+  const dbFile = path.join(dataDir, 'db.json');
+  const blobRoot = path.join(dataDir, 'blobs');
+  let secret = signingSecret;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('LOCAL_STORAGE_SECRET is not set; using a random secret, so signed file URLs stop working when the server restarts');
+  }
+
+  fs.mkdirSync(blobRoot, { recursive: true });
+
+  let tables = {};
+  if (fs.existsSync(dbFile)) {
+    tables = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+  }
+
+  // Writes are chained so concurrent requests never interleave partial files. A failed write
+  // rejects for its caller but does not stop later writes.
+  let writeChain = Promise.resolve();
+  function persist() {
+    const run = writeChain.then(async () => {
+      const tmpFile = `${dbFile}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(tables));
+      await fs.promises.rename(tmpFile, dbFile);
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  function matches(row, where = {}) {
+    return Object.entries(where).every(([column, value]) =>
+      Array.isArray(value) ? value.includes(row[column]) : row[column] === value
+    );
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  function createRepository(table, { unique = [] } = {}) {
+    const rows = () => tables[table] || (tables[table] = []);
+
+    function assertUnique(record, ignore = null) {
+      for (const column of ['id', ...unique]) {
+        if (record[column] === undefined) continue;
+        const clash = rows().find(row => row !== ignore && row[column] === record[column]);
+        if (clash) {
+          const error = new Error(`Database error: duplicate key value violates unique constraint on "${table}.${column}"`);
+          error.code = 'UNIQUE_VIOLATION';
+          throw error;
+        }
+      }
+    }
+
+    async function insert(record) {
+      const now = new Date().toISOString();
+      const row = {
+        id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now,
+        ...clone(record)
+      };
+      assertUnique(row);
+      rows().push(row);
+      await persist();
+      return clone(row);
+    }
+
+    async function upsert(record, { onConflict = unique[0] || 'id' } = {}) {
+      const existing = rows().find(row => record[onConflict] !== undefined && row[onConflict] === record[onConflict]);
+      if (!existing) {
+        return insert(record);
+      }
+      Object.assign(existing, clone(record), { updated_at: new Date().toISOString() });
+      await persist();
+      return clone(existing);
+    }
+
+    async function findOne(where) {
+      return clone(rows().find(row => matches(row, where))) || null;
+    }
+
+    async function findMany({ where = {}, orderBy = 'created_at', ascending = false, limit, offset = 0, search } = {}) {
+      let result = rows().filter(row => matches(row, where));
+
+      if (search && search.term) {
+        const term = search.term.toLowerCase();
+        result = result.filter(row => search.columns.some(column =>
+          String(row[column] === null || row[column] === undefined ? '' : row[column]).toLowerCase().includes(term)
+        ));
+      }
+      if (orderBy) {
+        result = [...result].sort((a, b) => {
+          if (a[orderBy] === b[orderBy]) return 0;
+          const order = a[orderBy] > b[orderBy] ? 1 : -1;
+          return ascending ? order : -order;
+        });
+      }
+
+      const total = result.length;
+      if (limit) {
+        result = result.slice(offset, offset + limit);
+      }
+      return { rows: clone(result), total };
+    }
+
+    async function update(where, patch) {
+      const updated = rows().filter(row => matches(row, where));
+      for (const row of updated) {
+        const next = { ...row, ...clone(patch) };
+        assertUnique(next, row);
+        Object.assign(row, next, { updated_at: new Date().toISOString() });
+      }
+      if (updated.length > 0) await persist();
+      return clone(updated);
+    }
+
+    async function remove(where) {
+      const removed = rows().filter(row => matches(row, where));
+      tables[table] = rows().filter(row => !matches(row, where));
+      if (removed.length > 0) await persist();
+      return clone(removed);
+    }
+
+    return { table, insert, upsert, findOne, findMany, update, remove };
+  }
+
+  function sign(bucket, key, expires) {
+    return crypto.createHmac('sha256', secret).update(`${bucket}/${key}:${expires}`).digest('hex');
+  }
+
+  // Check a token produced by createSignedUrl
+  function verifySignedUrl(bucket, key, expires, token) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || !token || expiresAt < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+    const expected = Buffer.from(sign(bucket, key, expiresAt));
+    const given = Buffer.from(String(token));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  function createBlobStore(bucket) {
+    const bucketDir = path.join(blobRoot, bucket);
+
+    // Resolve a key inside the bucket directory, rejecting path traversal
+    function resolveKey(key) {
+      const filePath = path.resolve(bucketDir, key);
+      if (!filePath.startsWith(bucketDir + path.sep)) {
+        throw new Error(`Storage error: invalid object key "${key}"`);
+      }
+      return filePath;
+    }
+
+    async function upload(key, buffer, { contentType, upsert = true } = {}) {
+      const filePath = resolveKey(key);
+      if (!upsert && fs.existsSync(filePath)) {
+        throw new Error(`Storage error: object "${key}" already exists`);
+      }
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      if (contentType) {
+        await fs.promises.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType }));
+      }
+    }
+
+    async function download(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Storage error: object "${key}" not found`);
+      }
+      return fs.promises.readFile(filePath);
+    }
+
+    function getContentType(key) {
+      const metaFile = `${resolveKey(key)}.meta.json`;
+      if (fs.existsSync(metaFile)) {
+        return JSON.parse(fs.readFileSync(metaFile, 'utf8')).contentType;
+      }
+      return 'application/octet-stream';
+    }
+
+    async function createSignedUrl(key, expiresIn) {
+      if (!fs.existsSync(resolveKey(key))) return null;
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${publicBaseUrl}/api/storage/${bucket}/${encodedKey}?expires=${expires}&token=${sign(bucket, key, expires)}`;
+    }
+
+    async function list(prefix) {
+      const dir = resolveKey(prefix);
+      if (!fs.existsSync(dir)) return [];
+      const files = await fs.promises.readdir(dir);
+      return files.filter(file => !file.endsWith('.meta.json')).map(file => `${prefix}/${file}`);
+    }
+
+    async function remove(keys) {
+      for (const key of keys) {
+        const filePath = resolveKey(key);
+        await fs.promises.rm(filePath, { force: true, recursive: true });
+        await fs.promises.rm(`${filePath}.meta.json`, { force: true });
+      }
+    }
+
+    async function ensureBucket() {
+      await fs.promises.mkdir(bucketDir, { recursive: true });
+    }
+
+    return { bucket, upload, download, getContentType, createSignedUrl, list, remove, ensureBucket };
+  }
+
+  return { name: 'local', createRepository, createBlobStore, verifySignedUrl };
+}
+
+module.exports = { createLocalBackend };
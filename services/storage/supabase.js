@@ -0,0 +1,120 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase-backed repositories and blob storage
+function createSupabaseBackend({ url, serviceKey }) {
+  const supabase = createClient(url, serviceKey);
+
+  function applyWhere(query, where = {}) {
+    for (const [column, value] of Object.entries(where)) {
+      query = Array.isArray(value) ? query.in(column, value) : query.eq(column, value);
+    }
+    return query;
+  }
+
+  function createRepository(table, { unique = [] } = {}) {
+    async function insert(record) {
+      const { data, error } = await supabase.from(table).insert(record).select().single();
+      if (error) {
+        // Unique violations are surfaced with a code so callers can retry with a new key
+        const dbError = new Error(`Database error: ${error.message}`);
+        dbError.code = error.code === '23505' ? 'UNIQUE_VIOLATION' : error.code;
+        throw dbError;
+      }
+      return data;
+    }
+
+    async function upsert(record, { onConflict = unique[0] || 'id' } = {}) {
+      const { data, error } = await supabase.from(table).upsert(record, { onConflict }).select().single();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data;
+    }
+
+    async function findOne(where) {
+      const { data, error } = await applyWhere(supabase.from(table).select('*'), where).maybeSingle();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data || null;
+    }
+
+    async function findMany({ where = {}, orderBy = 'created_at', ascending = false, limit, offset = 0, search } = {}) {
+      let query = applyWhere(supabase.from(table).select('*', { count: 'exact' }), where);
+
+      if (search && search.term) {
+        const pattern = `%${search.term.replace(/[%_,()]/g, ' ')}%`;
+        query = query.or(search.columns.map(column => `${column}.ilike.${pattern}`).join(','));
+      }
+      if (orderBy) {
+        query = query.order(orderBy, { ascending });
+      }
+      if (limit) {
+        query = query.range(offset, offset + limit - 1);
+      }
+
+      const { data, error, count } = await query;
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return { rows: data || [], total: count === null || count === undefined ? (data || []).length : count };
+    }
+
+    async function update(where, patch) {
+      const { data, error } = await applyWhere(
+        supabase.from(table).update({ ...patch, updated_at: new Date().toISOString() }),
+        where
+      ).select();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data || [];
+    }
+
+    async function remove(where) {
+      const { data, error } = await applyWhere(supabase.from(table).delete(), where).select();
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data || [];
+    }
+
+    return { table, insert, upsert, findOne, findMany, update, remove };
+  }
+
+  function createBlobStore(bucket) {
+    async function upload(key, buffer, { contentType, upsert = true } = {}) {
+      const { error } = await supabase.storage.from(bucket).upload(key, buffer, { contentType, upsert });
+      if (error) throw new Error(`Storage error: ${error.message}`);
+    }
+
+    async function download(key) {
+      const { data, error } = await supabase.storage.from(bucket).download(key);
+      if (error) throw new Error(`Storage error: ${error.message}`);
+      return Buffer.from(await data.arrayBuffer());
+    }
+
+    async function createSignedUrl(key, expiresIn) {
+      const { data, error } = await supabase.storage.from(bucket).createSignedUrl(key, expiresIn);
+      if (error || !data) return null;
+      return data.signedUrl;
+    }
+
+    async function list(prefix) {
+      const { data, error } = await supabase.storage.from(bucket).list(prefix, { limit: 1000 });
+      if (error) throw new Error(`Storage error: ${error.message}`);
+      return (data || []).map(file => `${prefix}/${file.name}`);
+    }
+
+    async function remove(keys) {
+      if (keys.length === 0) return;
+      const { error } = await supabase.storage.from(bucket).remove(keys);
+      if (error) throw new Error(`Storage error: ${error.message}`);
+    }
+
+    async function ensureBucket() {
+      const { error } = await supabase.storage.createBucket(bucket, { public: true });
+
+      // Bucket might already exist, that's okay
+      if (error && !error.message.includes('already exists')) {
+        console.warn('Bucket creation warning:', error.message);
+      }
+    }
+
+    return { bucket, upload, download, createSignedUrl, list, remove, ensureBucket };
+  }
+
+  return { name: 'supabase', createRepository, createBlobStore };
+}
+
+module.exports = { createSupabaseBackend };
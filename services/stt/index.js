@@ -0,0 +1,43 @@
+const { createOpenAITranscriber } = require('./providers/openai');
+const { createMockTranscriber } = require('./providers/mock');
+require('dotenv').config();
+
+// STT_PROVIDER=openai|local|mock selects the speech-to-text backend
+const transcriberFactories = {
+  openai: () => createOpenAITranscriber({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    model: process.env.STT_MODEL || 'whisper-1'
+  }),
+  // Any server exposing the OpenAI audio transcription API, e.g. faster-whisper-server or LocalAI
+  local: () => createOpenAITranscriber({
+    name: 'local',
+    apiKey: process.env.LOCAL_STT_API_KEY || 'local',
+    baseURL: process.env.LOCAL_STT_BASE_URL || 'http://localhost:8000/v1',
+    model: process.env.STT_MODEL || 'whisper-1'
+  }),
+  mock: () => createMockTranscriber()
+};
+
+const transcribers = {};
+
+function getTranscriber() {
+  const name = (process.env.STT_PROVIDER || 'openai').toLowerCase();
+  if (!transcriberFactories[name]) {
+    throw new Error(`Unknown speech-to-text provider: ${name}`);
+  }
+  if (!transcribers[name]) {
+    transcribers[name] = transcriberFactories[name]();
+  }
+  return transcribers[name];
+}
+
+// Transcribe an audio file into text plus word-level timings (seconds from the start)
+async function transcribeAudio({ filePath, fileName, language, referenceText }) {
+  const transcriber = getTranscriber();
+  const result = await transcriber.transcribe({ filePath, fileName, language, referenceText });
+  return { ...result, provider: transcriber.name, model: transcriber.model };
+}
+
+module.exports = { transcribeAudio };
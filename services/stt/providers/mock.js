@@ -0,0 +1,50 @@
+const fs = require('fs');
+
+// Assumed speaking rate when the audio length cannot be read from the file
+const WORDS_PER_SECOND = 2.5;
+
+// Read the duration of a PCM WAV file from its fmt and data chunks
+function readWavDuration(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let offset = 12;
+  let byteRate = null;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ') {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data' && byteRate) {
+      return Math.min(chunkSize, buffer.length - offset - 8) / byteRate;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+// Offline stand-in: "transcribes" the reference text supplied by the caller (a client-side
+// transcript or the deck's speech content) and spreads the words evenly over the recording
+function createMockTranscriber() {
+  async function transcribe({ filePath, referenceText = '' }) {
+    const tokens = referenceText.split(/\s+/).filter(Boolean);
+    const duration = readWavDuration(filePath) || Math.max(tokens.length / WORDS_PER_SECOND, 1);
+    const step = tokens.length > 0 ? duration / tokens.length : 0;
+
+    return {
+      text: tokens.join(' '),
+      duration,
+      words: tokens.map((word, index) => ({
+        word,
+        start: Math.round(index * step * 1000) / 1000,
+        end: Math.round((index + 0.8) * step * 1000) / 1000
+      }))
+    };
+  }
+
+  return { name: 'mock', model: 'mock-stt', transcribe };
+}
+
+module.exports = { createMockTranscriber };
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+// Whisper transcription through OpenAI or any server implementing the same audio API
+function createOpenAITranscriber({ name = 'openai', apiKey, baseURL, model }) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  }
+
+  async function transcribe({ filePath, fileName, language }) {
+    const transcription = await getClient().audio.transcriptions.create({
+      // Temp uploads have no extension, so pass the original name for format detection
+      file: await toFile(fs.createReadStream(filePath), fileName),
+      model,
+      language,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word']
+    });
+
+    return {
+      text: (transcription.text || '').trim(),
+      duration: transcription.duration || null,
+      words: (transcription.words || []).map(word => ({
+        word: word.word,
+        start: word.start,
+        end: word.end
+      }))
+    };
+  }
+
+  return { name, model, transcribe };
+}
+
+module.exports = { createOpenAITranscriber };
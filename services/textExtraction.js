@@ -0,0 +1,99 @@
+const fs = require('fs');
+const pdfParse = require('pdf-parse');
+const { createWorker } = require('tesseract.js');
+require('dotenv').config();
+
+// Pages with less text-layer content than this are sent to OCR
+const OCR_TEXT_THRESHOLD = parseInt(process.env.OCR_TEXT_THRESHOLD || '30', 10);
+const OCR_LANGS = process.env.OCR_LANGS || 'eng';
+
+// Join a page's text items, starting a new line whenever the baseline changes
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || lastY === undefined) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+// Extract the text layer of every page. The result has exactly one entry per page
+// (empty string for image-only pages) so indices line up with the rendered images.
+async function extractTextFromPdf(pdfPath) {
+  const dataBuffer = fs.readFileSync(pdfPath);
+  const pageTexts = [];
+
+  const data = await pdfParse(dataBuffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    }
+  });
+
+  return Array.from({ length: data.numpages }, (_, index) => (pageTexts[index] || '').trim());
+}
+
+// Whether a page's text layer is too thin to be trusted on its own
+function needsOcr(text) {
+  return (text || '').trim().length < OCR_TEXT_THRESHOLD;
+}
+
+// Describe where a page's text came from; the text layer is treated as exact
+function textLayerSource(text) {
+  return text && text.trim().length > 0
+    ? { source: 'text', confidence: 1 }
+    : { source: 'none', confidence: null };
+}
+
+// OCR rendered page images with a single reused tesseract worker.
+// `images` is [{ page, path }]; returns { [page]: { text, confidence } } or { [page]: { error } }
+async function ocrPageImages(images, { onPage } = {}) {
+  const results = {};
+  if (images.length === 0) return results;
+
+  const worker = await createWorker(OCR_LANGS, 1, {
+    langPath: process.env.OCR_LANG_PATH || undefined,
+    cachePath: process.env.OCR_CACHE_PATH || undefined
+  });
+
+  try {
+    for (const image of images) {
+      try {
+        console.log(`Running OCR on page ${image.page}...`);
+        const { data } = await worker.recognize(image.path);
+        results[image.page] = {
+          text: (data.text || '').trim(),
+          confidence: Math.round(data.confidence) / 100
+        };
+        console.log(`✓ OCR page ${image.page}: ${results[image.page].text.length} characters (confidence ${data.confidence})`);
+      } catch (error) {
+        console.error(`OCR failed for page ${image.page}:`, error);
+        results[image.page] = { error: error.message };
+      }
+      if (onPage) await onPage(image.page, results[image.page]);
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return results;
+}
+
+module.exports = {
+  OCR_TEXT_THRESHOLD,
+  extractTextFromPdf,
+  needsOcr,
+  textLayerSource,
+  ocrPageImages
+};
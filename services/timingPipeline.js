@@ -0,0 +1,94 @@
+const { repositories } = require('./storage');
+const { QUICK_LANE, registerJobHandler } = require('./jobQueue');
+const { runAudioStage } = require('./audioPipeline');
+const { generateSpeechContent } = require('./aiContent');
+const { generateCached, slideOutputLanguages } = require('./presentationPipeline');
+const { slideBudget, speechFits } = require('./timingPlan');
+
+// Rewrite the speech content of slides whose speech no longer fits their time budget, after the
+// presentation's target length changed. Speech that still fits is left as it is.
+const JOB_TYPE = 'speech-fit';
+
+// STAGE 1: Generate speech sized to each slide's budget
+async function runGenerateStage(job, ctx) {
+  const presentation = await repositories.presentations.findOne({ unique_code: job.payload.uniqueCode });
+  if (!presentation) {
+    throw new Error('Presentation not found');
+  }
+
+  const plan = presentation.timing_plan;
+  const speechContent = presentation.speech_content || {};
+  const slideNumbers = Object.keys(presentation.slide_texts || {})
+    .map(Number)
+    .filter(slideNumber => presentation.slide_texts[slideNumber] && !speechFits(speechContent[slideNumber], slideBudget(plan, slideNumber)))
+    .sort((a, b) => a - b);
+
+  job.result.speechContent = job.result.speechContent || {};
+  if (!plan || slideNumbers.length === 0) {
+    console.log('Speech content already fits the timing plan');
+    return 'skipped';
+  }
+
+  let slidesDone = 0;
+  for (const slideNumber of slideNumbers) {
+    const slide = job.slides[slideNumber] || (job.slides[slideNumber] = {});
+    if (slide.speech !== 'done') {
+      const slideText = presentation.slide_texts[slideNumber];
+      const notes = (presentation.speaker_notes || {})[slideNumber];
+      const { speech: language } = slideOutputLanguages(presentation.language_settings, presentation.slide_languages, presentation.deck_language, slideNumber);
+      const { targetWords } = slideBudget(plan, slideNumber);
+      try {
+        const { content: speech } = await generateCached(
+          job, 'speech', slideText, { notes: notes || '', language, targetWords },
+          () => generateSpeechContent(slideText, slideNumber, { notes, language, targetWords })
+        );
+        if (speech) {
+          job.result.speechContent[slideNumber] = speech;
+          slide.speech = 'done';
+        } else {
+          slide.speech = 'failed';
+          ctx.recordError('No speech content generated', slideNumber);
+        }
+      } catch (error) {
+        slide.speech = 'failed';
+        ctx.recordError(error.message, slideNumber);
+        console.error(`Error fitting speech for slide ${slideNumber}:`, error);
+      }
+    }
+
+    slidesDone++;
+    await ctx.setProgress(slidesDone, slideNumbers.length);
+  }
+}
+
+// STAGE 2: Merge the new speech into the presentation
+async function runSaveStage(job) {
+  const { uniqueCode } = job.payload;
+  const slides = Object.keys(job.result.speechContent || {});
+  if (slides.length > 0) {
+    const presentation = await repositories.presentations.findOne({ unique_code: uniqueCode });
+    if (!presentation) {
+      throw new Error('Presentation not found');
+    }
+    await repositories.presentations.update({ unique_code: uniqueCode }, {
+      speech_content: { ...(presentation.speech_content || {}), ...job.result.speechContent }
+    });
+  }
+
+  job.result.message = slides.length > 0
+    ? `Rewrote speech content for ${slides.length} slide(s) to fit the timing plan`
+    : 'Speech content already fits the timing plan';
+}
+
+registerJobHandler(JOB_TYPE, {
+  stages: [
+    { name: 'generate', weight: 85, run: runGenerateStage },
+    { name: 'save', weight: 5, run: runSaveStage },
+    { name: 'audio', weight: 10, run: runAudioStage, optional: true }
+  ],
+  lane: QUICK_LANE
+});
+
+module.exports = {
+  JOB_TYPE
+};
@@ -0,0 +1,131 @@
+require('dotenv').config();
+
+// Talk timing: a target length for the whole talk, split into per-slide budgets by how much each
+// slide has to say, and a check of rehearsal timings against those budgets.
+
+const WORDS_PER_MINUTE = parseFloat(process.env.TIMING_WORDS_PER_MINUTE || '140');
+const MIN_SLIDE_SECONDS = parseFloat(process.env.TIMING_MIN_SLIDE_SECONDS || '15');
+// A slide within this fraction of its budget is on time; speech within it fits its budget
+const TOLERANCE = parseFloat(process.env.TIMING_TOLERANCE || '0.2');
+const MAX_TARGET_MINUTES = 240;
+
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Target length from a request field in minutes: seconds, null to clear the plan, or
+// undefined when the field is absent
+function parseTargetMinutes(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_TARGET_MINUTES) {
+    throw new Error(`targetMinutes must be a number of minutes between 0 and ${MAX_TARGET_MINUTES}`);
+  }
+  return Math.round(minutes * 60);
+}
+
+// How much a slide has to say: its words, plus extra for each bullet line and half its notes
+function slideDensity(text, notes) {
+  const lines = String(text || '').split('\n').filter(line => line.trim()).length;
+  return countWords(text) + 3 * Math.max(lines - 1, 0) + 0.5 * countWords(notes);
+}
+
+// Split `targetSeconds` over the slides. Every slide gets a minimum and the rest is shared by
+// density, damped with a square root so one dense slide cannot take the whole talk.
+function buildTimingPlan({ slideCount, slideTexts = {}, speakerNotes = {} }, targetSeconds) {
+  const slides = Array.from({ length: slideCount || 0 }, (_, index) => index + 1);
+  if (slides.length === 0) return null;
+
+  const densities = slides.map(slide => slideDensity(slideTexts[slide], speakerNotes[slide]));
+  const weights = densities.map(density => 1 + Math.sqrt(density));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const minimum = Math.min(MIN_SLIDE_SECONDS, targetSeconds / slides.length);
+  const shared = targetSeconds - minimum * slides.length;
+
+  // Whole seconds that add up to the target, rounding the largest remainders up
+  const exact = weights.map(weight => minimum + shared * weight / totalWeight);
+  const seconds = exact.map(Math.floor);
+  const order = exact.map((value, index) => index).sort((a, b) => (exact[b] % 1) - (exact[a] % 1));
+  for (const index of order.slice(0, targetSeconds - seconds.reduce((sum, value) => sum + value, 0))) {
+    seconds[index]++;
+  }
+
+  let startsAt = 0;
+  return {
+    targetSeconds,
+    wordsPerMinute: WORDS_PER_MINUTE,
+    slides: slides.map((slide, index) => {
+      const budget = {
+        slide,
+        seconds: seconds[index],
+        startsAt,
+        targetWords: Math.max(1, Math.round(seconds[index] * WORDS_PER_MINUTE / 60)),
+        density: round(densities[index])
+      };
+      startsAt += seconds[index];
+      return budget;
+    })
+  };
+}
+
+function slideBudget(plan, slide) {
+  return plan ? plan.slides.find(budget => budget.slide === Number(slide)) || null : null;
+}
+
+// Whether speech content can be said within its slide's budget
+function speechFits(speech, budget) {
+  if (!budget) return true;
+  return Math.abs(countWords(speech) - budget.targetWords) <= budget.targetWords * TOLERANCE;
+}
+
+function timingStatus(planned, actual) {
+  if (actual > planned * (1 + TOLERANCE)) return 'overrun';
+  if (actual < planned * (1 - TOLERANCE)) return 'underrun';
+  return 'on-time';
+}
+
+// Compare time spent per slide ({ [slide]: { duration } }, as in rehearsal metrics) with the plan.
+// Slides that were never shown are 'skipped'.
+function compareTiming(plan, perSlide = {}) {
+  const slides = plan.slides.map(budget => {
+    const metrics = perSlide[budget.slide];
+    if (!metrics) {
+      return { slide: budget.slide, plannedSeconds: budget.seconds, actualSeconds: null, difference: null, status: 'skipped' };
+    }
+    return {
+      slide: budget.slide,
+      plannedSeconds: budget.seconds,
+      actualSeconds: round(metrics.duration),
+      difference: round(metrics.duration - budget.seconds),
+      status: timingStatus(budget.seconds, metrics.duration)
+    };
+  });
+
+  const actualSeconds = round(Object.values(perSlide).reduce((sum, metrics) => sum + (metrics.duration || 0), 0));
+  const bySize = (a, b) => Math.abs(b.difference) - Math.abs(a.difference);
+  return {
+    targetSeconds: plan.targetSeconds,
+    actualSeconds,
+    difference: round(actualSeconds - plan.targetSeconds),
+    status: timingStatus(plan.targetSeconds, actualSeconds),
+    slides,
+    overruns: slides.filter(slide => slide.status === 'overrun').sort(bySize).map(slide => slide.slide),
+    underruns: slides.filter(slide => slide.status === 'underrun').sort(bySize).map(slide => slide.slide),
+    skippedSlides: slides.filter(slide => slide.status === 'skipped').map(slide => slide.slide)
+  };
+}
+
+module.exports = {
+  parseTargetMinutes,
+  buildTimingPlan,
+  slideBudget,
+  speechFits,
+  compareTiming
+};
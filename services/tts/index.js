@@ -0,0 +1,57 @@
+const { createOpenAISynthesizer } = require('./providers/openai');
+const { createEspeakSynthesizer } = require('./providers/espeak');
+const { createMockSynthesizer } = require('./providers/mock');
+require('dotenv').config();
+
+// TTS_PROVIDER=openai|local|espeak|mock selects the text-to-speech backend; audio is not
+// rendered when it is unset
+const synthesizerFactories = {
+  openai: () => createOpenAISynthesizer({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    model: process.env.TTS_MODEL || 'tts-1',
+    format: process.env.TTS_FORMAT || 'mp3'
+  }),
+  // Any server exposing the OpenAI speech API, e.g. Kokoro-FastAPI or LocalAI
+  local: () => createOpenAISynthesizer({
+    name: 'local',
+    apiKey: process.env.LOCAL_TTS_API_KEY || 'local',
+    baseURL: process.env.LOCAL_TTS_BASE_URL || 'http://localhost:8880/v1',
+    model: process.env.TTS_MODEL || 'tts-1',
+    format: process.env.TTS_FORMAT || 'mp3',
+    ...(process.env.LOCAL_TTS_VOICES && { voices: process.env.LOCAL_TTS_VOICES.split(',').map(voice => voice.trim()).filter(Boolean) })
+  }),
+  espeak: () => createEspeakSynthesizer({
+    binary: process.env.ESPEAK_PATH || 'espeak-ng',
+    wordsPerMinute: parseInt(process.env.ESPEAK_WORDS_PER_MINUTE || '160', 10)
+  }),
+  mock: () => createMockSynthesizer()
+};
+
+const synthesizers = {};
+
+function isTtsEnabled() {
+  return Boolean(process.env.TTS_PROVIDER);
+}
+
+function getSynthesizer() {
+  const name = (process.env.TTS_PROVIDER || '').toLowerCase();
+  if (!synthesizerFactories[name]) {
+    throw new Error(`Unknown text-to-speech provider: ${name || '(none)'}`);
+  }
+  if (!synthesizers[name]) {
+    synthesizers[name] = synthesizerFactories[name]();
+  }
+  return synthesizers[name];
+}
+
+// Render text to audio: { audio (Buffer), contentType, extension, provider, model, voice }
+async function synthesizeSpeech({ text, voice, language }) {
+  const synthesizer = getSynthesizer();
+  const chosen = voice || synthesizer.defaultVoice;
+  const result = await synthesizer.synthesize({ text, voice: chosen, language });
+  return { ...result, provider: synthesizer.name, model: synthesizer.model, voice: chosen };
+}
+
+module.exports = { isTtsEnabled, getSynthesizer, synthesizeSpeech };
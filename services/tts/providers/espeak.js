@@ -0,0 +1,39 @@
+const { spawn } = require('child_process');
+
+// Offline synthesis with the espeak-ng command-line engine. A voice is an espeak variant
+// (m1-m7 male, f1-f5 female) applied to the voice of the text's language.
+const ESPEAK_VARIANTS = ['m3', 'f2', 'm1', 'f4', 'm7', 'f1'];
+const LANGUAGE_VOICES = { en: 'en-us', hi: 'hi', mr: 'mr' };
+
+function createEspeakSynthesizer({ binary = 'espeak-ng', wordsPerMinute = 160 } = {}) {
+  function run(args, text) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(binary, args);
+      const chunks = [];
+      let stderr = '';
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', error => reject(new Error(`Failed to run ${binary}: ${error.message}`)));
+      child.on('close', code => {
+        if (code !== 0) {
+          reject(new Error(`${binary} exited with code ${code}: ${stderr.trim()}`));
+        } else {
+          resolve(Buffer.concat(chunks));
+        }
+      });
+
+      child.stdin.end(text);
+    });
+  }
+
+  async function synthesize({ text, voice, language }) {
+    const base = LANGUAGE_VOICES[language] || LANGUAGE_VOICES.en;
+    const audio = await run(['--stdout', '-v', `${base}+${voice}`, '-s', String(wordsPerMinute)], text);
+    return { audio, contentType: 'audio/wav', extension: 'wav' };
+  }
+
+  return { name: 'espeak', model: 'espeak-ng', voices: ESPEAK_VARIANTS, defaultVoice: ESPEAK_VARIANTS[0], synthesize };
+}
+
+module.exports = { createEspeakSynthesizer };
@@ -0,0 +1,36 @@
+// Offline stand-in: a silent WAV file as long as the text would take to say, so clients can be
+// built and tested without a speech engine
+const WORDS_PER_SECOND = 2.5;
+const SAMPLE_RATE = 8000;
+
+function silentWav(seconds) {
+  const samples = Math.max(1, Math.round(seconds * SAMPLE_RATE));
+  const buffer = Buffer.alloc(44 + samples * 2);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(samples * 2, 40);
+  return buffer;
+}
+
+function createMockSynthesizer() {
+  async function synthesize({ text }) {
+    const words = String(text).split(/\s+/).filter(Boolean).length;
+    return { audio: silentWav(Math.max(words / WORDS_PER_SECOND, 0.5)), contentType: 'audio/wav', extension: 'wav' };
+  }
+
+  const voices = ['mock-1', 'mock-2', 'mock-3'];
+  return { name: 'mock', model: 'mock-tts', voices, defaultVoice: voices[0], synthesize };
+}
+
+module.exports = { createMockSynthesizer };
@@ -0,0 +1,43 @@
+const OpenAI = require('openai');
+
+const OPENAI_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav'
+};
+
+// Speech synthesis through OpenAI or any server implementing the same audio API
+function createOpenAISynthesizer({ name = 'openai', apiKey, baseURL, model, format = 'mp3', voices = OPENAI_VOICES }) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  }
+
+  // The voices speak whatever language the text is in, so `language` is not needed
+  async function synthesize({ text, voice }) {
+    const response = await getClient().audio.speech.create({
+      model,
+      voice,
+      input: text,
+      response_format: format
+    });
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      contentType: CONTENT_TYPES[format] || 'application/octet-stream',
+      extension: format
+    };
+  }
+
+  return { name, model, voices, defaultVoice: voices[0], synthesize };
+}
+
+module.exports = { createOpenAISynthesizer };
@@ -0,0 +1,109 @@
+process.env.TTS_PROVIDER = 'mock';
+
+const { repositories, slideStorage } = require('../services/storage');
+const { createJob, getJob } = require('../services/jobQueue');
+const { JOB_TYPE, audioUrls, isAudioKey } = require('../services/audioPipeline');
+
+async function waitForJob(id) {
+  for (;;) {
+    const job = await getJob(id);
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+async function renderAudio(code, payload = {}) {
+  return waitForJob((await createJob(JOB_TYPE, { uniqueCode: code, ...payload })).id);
+}
+
+async function audioKeys(code) {
+  return (await slideStorage.list(code)).filter(isAudioKey).sort();
+}
+
+const presentation = {
+  slide_count: 2,
+  audience: [{ persona: 'novice' }, { persona: 'skeptical-investor', voice: 'mock-3' }],
+  question_set: [
+    { id: '1-novice-1', slide: 1, persona: 'novice', question: 'What does the product do?' },
+    { id: '2-skeptical-investor-1', slide: 2, persona: 'skeptical-investor', question: 'Why would anyone pay for it?' }
+  ],
+  speech_content: { 1: 'Our product saves finance teams a day a week.', 2: '' }
+};
+
+describe('presentation audio', () => {
+  test('renders each question and speech passage once and reuses unchanged text', async () => {
+    await repositories.presentations.insert({ unique_code: '44444', ...presentation });
+
+    const first = await renderAudio('44444');
+
+    expect(first.status).toBe('completed');
+    expect(first.result.audio).toEqual({ rendered: 3, reused: 0, failed: 0, removed: 0 });
+    const keys = await audioKeys('44444');
+    expect(keys).toHaveLength(3);
+    keys.forEach(key => expect(key).toMatch(/^44444\/audio_[0-9a-f]{32}\.wav$/));
+    const saved = await repositories.presentations.findOne({ unique_code: '44444' });
+    expect(saved.audio_files).toMatchObject({ provider: 'mock', model: 'mock-tts', speechVoices: ['mock-1'] });
+    expect(saved.audio_files.questions['2-skeptical-investor-1'].voice).toBe('mock-3');
+    expect(Object.keys(saved.audio_files.speech)).toEqual(['1']);
+
+    const second = await renderAudio('44444');
+
+    expect(second.result.audio).toEqual({ rendered: 0, reused: 3, failed: 0, removed: 0 });
+    expect(await audioKeys('44444')).toEqual(keys);
+  });
+
+  test('renders only edited text and removes audio nothing refers to', async () => {
+    await repositories.presentations.insert({ unique_code: '55555', ...presentation });
+    await renderAudio('55555');
+    const before = await audioKeys('55555');
+
+    await repositories.presentations.update({ unique_code: '55555' }, {
+      question_set: [presentation.question_set[0], { ...presentation.question_set[1], question: 'Who pays for it today?' }]
+    });
+    const job = await renderAudio('55555');
+
+    expect(job.result.audio).toEqual({ rendered: 1, reused: 2, failed: 0, removed: 1 });
+    const after = await audioKeys('55555');
+    expect(after).toHaveLength(3);
+    expect(after.filter(key => !before.includes(key))).toHaveLength(1);
+  });
+
+  test('renders speech in every requested voice', async () => {
+    await repositories.presentations.insert({ unique_code: '66666', ...presentation });
+
+    await renderAudio('66666', { speechVoices: ['mock-1', 'mock-2'] });
+
+    const saved = await repositories.presentations.findOne({ unique_code: '66666' });
+    expect(Object.keys(saved.audio_files.speech[1])).toEqual(['mock-1', 'mock-2']);
+  });
+
+  test('leaves out audio of text edited since it was rendered', async () => {
+    await repositories.presentations.insert({ unique_code: '77777', ...presentation });
+    await renderAudio('77777');
+    await repositories.presentations.update({ unique_code: '77777' }, {
+      speech_content: { 1: 'A new opening line.', 2: '' }
+    });
+
+    const urls = await audioUrls(await repositories.presentations.findOne({ unique_code: '77777' }), { persona: 'novice' });
+
+    expect(urls.speech).toEqual({});
+    expect(Object.keys(urls.questions)).toEqual(['1-novice-1']);
+    expect(urls.questions['1-novice-1']).toMatchObject({ slide: 1, persona: 'novice', url: expect.any(String) });
+    expect(urls.voices.personas['skeptical-investor']).toBe('mock-3');
+  });
+
+  test('skips audio when no text-to-speech provider is configured', async () => {
+    await repositories.presentations.insert({ unique_code: '88888', ...presentation });
+    process.env.TTS_PROVIDER = '';
+
+    try {
+      const job = await renderAudio('88888');
+
+      expect(job.status).toBe('completed');
+      expect(job.stages.audio.status).toBe('skipped');
+      expect(await audioKeys('88888')).toEqual([]);
+    } finally {
+      process.env.TTS_PROVIDER = 'mock';
+    }
+  });
+});
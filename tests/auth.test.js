@@ -0,0 +1,163 @@
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const { repositories } = require('../services/storage');
+const {
+  AuthError,
+  createUser,
+  login,
+  issueToken,
+  createApiKey,
+  authenticateRequest,
+  requireAuth,
+  requireRole,
+  canAccess,
+  ownedBy
+} = require('../services/auth');
+
+let admin;
+let owner;
+let stranger;
+
+beforeAll(async () => {
+  admin = await createUser({ email: 'Admin@Example.com', password: 'admin-password' });
+  owner = await createUser({ email: 'owner@example.com', password: 'owner-password', name: 'Owner' });
+  stranger = await createUser({ email: 'stranger@example.com', password: 'stranger-password', role: 'admin' });
+});
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('accounts', () => {
+  test('makes the first account an admin and later self-service accounts members', () => {
+    expect(admin).toMatchObject({ email: 'admin@example.com', role: 'admin' });
+    expect(owner).toMatchObject({ name: 'Owner', role: 'member' });
+    expect(stranger.role).toBe('member');
+    expect(owner.password_hash).toMatch(/^scrypt\$/);
+  });
+
+  test('lets admins choose roles', async () => {
+    const manager = await createUser({ email: 'manager@example.com', password: 'manager-password', role: 'admin' }, { createdBy: admin });
+
+    expect(manager.role).toBe('admin');
+  });
+
+  test('rejects invalid and duplicate accounts', async () => {
+    expect(await rejection(createUser({ email: 'not-an-email', password: 'long-enough' }))).toMatchObject({ status: 400 });
+    expect(await rejection(createUser({ email: 'short@example.com', password: 'short' }))).toMatchObject({ status: 400 });
+    expect(await rejection(createUser({ email: 'role@example.com', password: 'long-enough', role: 'owner' }))).toMatchObject({ status: 400 });
+    expect(await rejection(createUser({ email: 'OWNER@example.com', password: 'long-enough' }))).toMatchObject({ status: 409 });
+  });
+});
+
+describe('authenticateRequest', () => {
+  test('accepts a session token from login', async () => {
+    const { token } = await login({ email: ' OWNER@example.com ', password: 'owner-password' });
+
+    expect((await authenticateRequest({ authorization: `Bearer ${token}` })).id).toBe(owner.id);
+    expect((await authenticateRequest({}, { access_token: token })).id).toBe(owner.id);
+  });
+
+  test('rejects wrong passwords, forged and expired tokens', async () => {
+    expect(await rejection(login({ email: 'owner@example.com', password: 'wrong-password' }))).toMatchObject({ status: 401 });
+
+    const forged = jwt.sign({ sub: owner.id, role: 'admin' }, 'another-secret');
+    const expired = jwt.sign({ sub: owner.id, role: 'member', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-jwt-secret');
+    const deleted = issueToken({ id: 'deleted-user', role: 'member' });
+
+    expect(await rejection(authenticateRequest({ authorization: `Bearer ${forged}` }))).toMatchObject({ status: 401, message: 'Invalid session token' });
+    expect(await rejection(authenticateRequest({ authorization: `Bearer ${expired}` }))).toMatchObject({ message: 'Session expired, sign in again' });
+    expect(await rejection(authenticateRequest({ authorization: `Bearer ${deleted}` }))).toMatchObject({ status: 401 });
+    expect(await rejection(authenticateRequest({}))).toMatchObject({ status: 401, message: 'Authentication required' });
+  });
+
+  test('accepts API keys until they are revoked, storing only their hash', async () => {
+    const { apiKey, record } = await createApiKey(owner, 'Headset');
+
+    expect(apiKey).toMatch(/^awz_/);
+    expect(JSON.stringify(await repositories.apiKeys.findOne({ id: record.id }))).not.toContain(apiKey);
+    expect((await authenticateRequest({ 'x-api-key': apiKey })).id).toBe(owner.id);
+    expect((await authenticateRequest({ authorization: `Bearer ${apiKey}` })).id).toBe(owner.id);
+
+    await repositories.apiKeys.update({ id: record.id }, { revoked_at: new Date().toISOString() });
+
+    const error = await rejection(authenticateRequest({ 'x-api-key': apiKey }));
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error).toMatchObject({ status: 401, message: 'Invalid or revoked API key' });
+  });
+});
+
+describe('owner scoping', () => {
+  test('only owners and admins can see a record; unowned records are admin-only', () => {
+    expect(canAccess(owner, owner.id)).toBe(true);
+    expect(canAccess(stranger, owner.id)).toBeFalsy();
+    expect(canAccess(admin, owner.id)).toBe(true);
+    expect(canAccess(owner, null)).toBeFalsy();
+    expect(canAccess(admin, null)).toBe(true);
+    expect(canAccess(null, owner.id)).toBeFalsy();
+  });
+
+  test('limits listings to the caller\'s own records unless they are an admin', async () => {
+    await repositories.presentations.insert({ unique_code: '11111', owner_id: owner.id });
+    await repositories.presentations.insert({ unique_code: '22222', owner_id: stranger.id });
+    await repositories.presentations.insert({ unique_code: '33333', owner_id: null });
+
+    const codes = async user => (await repositories.presentations.findMany({ where: ownedBy(user), orderBy: 'unique_code', ascending: true }))
+      .rows.map(row => row.unique_code);
+
+    expect(await codes(owner)).toEqual(['11111']);
+    expect(await codes(stranger)).toEqual(['22222']);
+    expect(await codes(admin)).toEqual(['11111', '22222', '33333']);
+    expect(ownedBy(owner, { status: 'done' })).toEqual({ status: 'done', owner_id: owner.id });
+  });
+});
+
+describe('middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api', requireAuth({ publicPaths: [/^\/api\/auth\/login$/] }));
+    app.post('/api/auth/login', (req, res) => res.json({ public: true }));
+    app.get('/api/me', (req, res) => res.json({ id: req.user.id }));
+    app.get('/api/users', requireRole('admin'), (req, res) => res.json({ users: [] }));
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function request(method, path, token) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: token ? { authorization: `Bearer ${token}` } : {}
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('lets public paths through and requires a credential everywhere else', async () => {
+    expect(await request('POST', '/api/auth/login')).toEqual({ status: 200, body: { public: true } });
+    expect(await request('GET', '/api/me')).toEqual({ status: 401, body: { error: 'Authentication required' } });
+    expect(await request('GET', '/api/me', 'garbage')).toEqual({ status: 401, body: { error: 'Invalid session token' } });
+    expect(await request('GET', '/api/me', issueToken(owner))).toEqual({ status: 200, body: { id: owner.id } });
+  });
+
+  test('requireRole(\'admin\') turns members away', async () => {
+    expect(await request('GET', '/api/users', issueToken(owner))).toEqual({ status: 403, body: { error: 'This action requires the admin role' } });
+    expect(await request('GET', '/api/users', issueToken(admin))).toEqual({ status: 200, body: { users: [] } });
+  });
+});
@@ -0,0 +1,58 @@
+const { repositories } = require('../services/storage');
+const {
+  PROMPT_VERSIONS,
+  lookupContent,
+  storeContent,
+  invalidatePromptVersion,
+  cacheStats
+} = require('../services/contentCache');
+
+const ROUTING_VARS = ['LLM_QUESTIONS_PROVIDER', 'LLM_QUESTIONS_MODEL'];
+
+afterEach(() => {
+  ROUTING_VARS.forEach(name => delete process.env[name]);
+});
+
+describe('content cache', () => {
+  test('finds content by normalized slide text and counts hits', async () => {
+    await storeContent('speech', 'Revenue  grew\nforty percent', { notes: null }, 'We grew a lot.');
+
+    expect(await lookupContent('speech', '  revenue grew forty PERCENT ', { notes: null })).toBe('We grew a lot.');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const [entry] = (await repositories.contentCache.findMany({ where: { kind: 'speech' } })).rows;
+    expect(entry).toMatchObject({ prompt_version: PROMPT_VERSIONS.speech, provider: 'mock', hit_count: 1 });
+  });
+
+  test('keys on the variant, the slide text and the model', async () => {
+    await storeContent('questions', 'Pricing tiers', { persona: 'novice' }, ['How much?']);
+
+    expect(await lookupContent('questions', 'Pricing tiers', { persona: 'novice' })).toEqual(['How much?']);
+    expect(await lookupContent('questions', 'Pricing tiers', { persona: 'domain-expert' })).toBeNull();
+    expect(await lookupContent('questions', 'Pricing plans', { persona: 'novice' })).toBeNull();
+
+    process.env.LLM_QUESTIONS_MODEL = 'mock-large';
+    expect(await lookupContent('questions', 'Pricing tiers', { persona: 'novice' })).toBeNull();
+  });
+
+  test('does not store empty content', async () => {
+    await storeContent('speech', 'Empty slide', {}, null);
+
+    expect(await lookupContent('speech', 'Empty slide', {})).toBeNull();
+  });
+
+  test('invalidates the entries written with a prompt version', async () => {
+    await storeContent('questions', 'Team', { persona: 'general' }, ['Who?']);
+    await storeContent('speech', 'Team', {}, 'Meet the team.');
+    const before = await cacheStats();
+
+    const removed = await invalidatePromptVersion(PROMPT_VERSIONS.questions, 'questions');
+
+    expect(removed).toBeGreaterThan(0);
+    expect(await lookupContent('questions', 'Team', { persona: 'general' })).toBeNull();
+    expect(await lookupContent('speech', 'Team', {})).toBe('Meet the team.');
+    const after = await cacheStats();
+    expect(after.enabled).toBe(true);
+    expect(after.kinds.questions).toMatchObject({ promptVersion: PROMPT_VERSIONS.questions, provider: 'mock', entries: 0, currentEntries: 0 });
+    expect(after.kinds.speech.entries).toBe(before.kinds.speech.entries);
+  });
+});
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { writePptx } = require('./fixtures/decks');
+
+process.env.SOFFICE_PATH = path.join(os.tmpdir(), 'no-such-soffice');
+
+const {
+  getDeckFormat,
+  needsConversion,
+  canConvertDecks,
+  extractPptxSlides,
+  extractOdpSlides,
+  extractImageArchive
+} = require('../services/deckImporters');
+
+let workDir;
+
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awaaz-deck-'));
+});
+
+afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Write a ZIP from { entryName: string | Buffer }
+function writeZip(fileName, entries) {
+  const zip = new AdmZip();
+  for (const [entryName, content] of Object.entries(entries)) {
+    zip.addFile(entryName, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
+  const filePath = path.join(workDir, fileName);
+  zip.writeZip(filePath);
+  return filePath;
+}
+
+describe('deck formats', () => {
+  test('are chosen by file extension', () => {
+    expect(getDeckFormat('Pitch.PPTX')).toBe('pptx');
+    expect(getDeckFormat('talk.odp')).toBe('odp');
+    expect(getDeckFormat('slides.zip')).toBe('images');
+    expect(getDeckFormat('deck.pdf')).toBe('pdf');
+    expect(getDeckFormat('notes.docx')).toBeNull();
+    expect(getDeckFormat(undefined)).toBeNull();
+  });
+
+  test('only PPTX and ODP go through LibreOffice', () => {
+    expect(needsConversion('pptx')).toBe(true);
+    expect(needsConversion('odp')).toBe(true);
+    expect(needsConversion('pdf')).toBe(false);
+    expect(needsConversion('images')).toBe(false);
+  });
+
+  test('report LibreOffice as unavailable when it cannot be run', async () => {
+    const first = canConvertDecks();
+
+    expect(await first).toBe(false);
+    expect(canConvertDecks()).toBe(first);
+  });
+});
+
+describe('extractPptxSlides', () => {
+  test('reads titles, body text and speaker notes in slide order', () => {
+    const filePath = path.join(workDir, 'pitch.pptx');
+    writePptx(filePath, [
+      { title: 'Market size', bullets: ['Teams waste hours', 'Reports are manual'], notes: 'Pause after the number' },
+      { title: 'Our product & plan', bullets: ['Automated reporting'] }
+    ]);
+
+    expect(extractPptxSlides(filePath)).toEqual([
+      {
+        page: 1,
+        title: 'Market size',
+        text: 'Market size\nTeams waste hours\nReports are manual',
+        notes: 'Pause after the number'
+      },
+      { page: 2, title: 'Our product & plan', text: 'Our product & plan\nAutomated reporting', notes: '' }
+    ]);
+  });
+
+  test('leaves out slide numbers, dates and footers', () => {
+    const namespaces = 'xmlns:a="a" xmlns:r="r" xmlns:p="p"';
+    const shape = (text, type) => `<p:sp><p:nvSpPr><p:nvPr>${type ? `<p:ph type="${type}"/>` : ''}</p:nvPr></p:nvSpPr>`
+      + `<p:txBody><a:p><a:r><a:t>${text}</a:t></a:r><a:br/><a:r><a:t>continued</a:t></a:r></a:p></p:txBody></p:sp>`;
+    const filePath = writeZip('footer.pptx', {
+      'ppt/presentation.xml': `<p:presentation ${namespaces}><p:sldIdLst><p:sldId r:id="rId1"/></p:sldIdLst></p:presentation>`,
+      'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId1" Type="slide" Target="slides/slide1.xml"/></Relationships>',
+      'ppt/slides/slide1.xml': `<p:sld ${namespaces}>${shape('Body')}${shape('7', 'sldNum')}${shape('Acme Inc', 'ftr')}</p:sld>`
+    });
+
+    expect(extractPptxSlides(filePath)[0].text).toBe('Body\ncontinued');
+  });
+
+  test('rejects decks that are missing parts', () => {
+    const noPresentation = writeZip('empty.pptx', { 'docProps/app.xml': '<Properties/>' });
+    const brokenRelationship = writeZip('broken.pptx', {
+      'ppt/presentation.xml': '<p:presentation xmlns:p="p" xmlns:r="r"><p:sldIdLst><p:sldId r:id="rId9"/></p:sldIdLst></p:presentation>',
+      'ppt/_rels/presentation.xml.rels': '<Relationships/>'
+    });
+
+    expect(() => extractPptxSlides(noPresentation)).toThrow('ppt/presentation.xml is missing');
+    expect(() => extractPptxSlides(brokenRelationship)).toThrow('slide 1 has no relationship to its slide part');
+  });
+});
+
+describe('extractOdpSlides', () => {
+  test('reads titles, text and notes, keeping notes out of the slide text', () => {
+    const filePath = writeZip('talk.odp', {
+      'content.xml': '<office:document-content xmlns:office="o" xmlns:draw="d" xmlns:text="t" xmlns:presentation="p"><office:body><office:presentation>'
+        + '<draw:page>'
+        + '<draw:frame presentation:class="title"><draw:text-box><text:p>Market size</text:p></draw:text-box></draw:frame>'
+        + '<draw:frame presentation:class="outline"><draw:text-box><text:p>Teams<text:s text:c="2"/>waste<text:line-break/>hours</text:p></draw:text-box></draw:frame>'
+        + '<presentation:notes><draw:frame presentation:class="notes"><draw:text-box><text:p>Pause here</text:p></draw:text-box></draw:frame></presentation:notes>'
+        + '</draw:page>'
+        + '<draw:page><draw:frame><draw:text-box><text:h>Thank you</text:h></draw:text-box></draw:frame></draw:page>'
+        + '</office:presentation></office:body></office:document-content>'
+    });
+
+    expect(extractOdpSlides(filePath)).toEqual([
+      { page: 1, title: 'Market size', text: 'Market size\nTeams  waste\nhours', notes: 'Pause here' },
+      { page: 2, title: '', text: 'Thank you', notes: '' }
+    ]);
+  });
+
+  test('rejects archives without content.xml', () => {
+    const filePath = writeZip('empty.odp', { 'meta.xml': '<meta/>' });
+
+    expect(() => extractOdpSlides(filePath)).toThrow('content.xml is missing');
+  });
+});
+
+describe('extractImageArchive', () => {
+  test('orders images naturally and skips hidden files and other entries', () => {
+    const filePath = writeZip('slides.zip', {
+      'deck/slide10.png': 'ten',
+      'deck/Slide2.jpg': 'two',
+      'deck/slide1.png': 'one',
+      'deck/readme.txt': 'not a slide',
+      '__MACOSX/deck/._slide1.png': 'resource fork',
+      'deck/.hidden.png': 'hidden'
+    });
+
+    const slides = extractImageArchive(filePath, path.join(workDir, 'source'));
+
+    expect(slides.map(slide => slide.sourceName)).toEqual(['deck/slide1.png', 'deck/Slide2.jpg', 'deck/slide10.png']);
+    expect(slides.map(slide => path.basename(slide.imagePath))).toEqual(['source_1.png', 'source_2.jpg', 'source_3.png']);
+    expect(fs.readFileSync(slides[2].imagePath, 'utf8')).toBe('ten');
+  });
+
+  test('never writes outside the output directory, whatever the entry names', () => {
+    const absolutePath = path.join(workDir, 'absolute.png');
+    const filePath = writeZip('evil.zip', { 'slide1.png': 'one', 'slide2.png': 'two' });
+    const zip = new AdmZip(filePath);
+    zip.getEntry('slide1.png').entryName = '../../escaped.png';
+    zip.getEntry('slide2.png').entryName = absolutePath;
+    zip.writeZip(filePath);
+    const outputDir = path.join(workDir, 'nested', 'source');
+
+    const slides = extractImageArchive(filePath, outputDir);
+
+    expect(slides).toEqual([expect.objectContaining({ sourceName: absolutePath, imagePath: path.join(outputDir, 'source_1.png') })]);
+    expect(fs.existsSync(absolutePath)).toBe(false);
+    expect(fs.existsSync(path.join(workDir, 'escaped.png'))).toBe(false);
+  });
+
+  test('refuses entries that inflate far beyond their compressed size', () => {
+    const filePath = writeZip('bomb.zip', { 'slide1.png': Buffer.alloc(20 * 1024 * 1024) });
+
+    expect(() => extractImageArchive(filePath, path.join(workDir, 'source'))).toThrow('expands far more than any slide content would');
+  });
+
+  test('rejects archives without images', () => {
+    const filePath = writeZip('notes.zip', { 'notes.txt': 'no slides here' });
+
+    expect(() => extractImageArchive(filePath, path.join(workDir, 'source'))).toThrow('does not contain any PNG, JPEG or WebP images');
+  });
+});
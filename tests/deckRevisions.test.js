@@ -0,0 +1,83 @@
+const { carryOverContent, matchSlides } = require('../services/deckRevisions');
+
+const PROBLEM = 'Teams lose four hours every week to status meetings that could have been a message';
+const PRODUCT = 'Async updates summarise themselves inside the chat tools teams already use every day';
+const TRACTION = 'Forty paying teams after three months and revenue grows twenty percent month over month';
+const PRICING = 'Pricing starts at eight dollars per seat with a free plan for small teams';
+
+function deck(texts, titles = {}) {
+  return {
+    slide_count: texts.length,
+    slide_texts: Object.fromEntries(texts.map((text, index) => [index + 1, text]).filter(([, text]) => text)),
+    slide_titles: titles
+  };
+}
+
+describe('matchSlides', () => {
+  test('marks every slide of an identical deck as unchanged', () => {
+    const { summary, slides } = matchSlides(deck([PROBLEM, PRODUCT, TRACTION]), deck([PROBLEM, PRODUCT, TRACTION]));
+
+    expect(summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 3, moved: 0 });
+    expect(slides.map(slide => [slide.slide, slide.previousSlide, slide.similarity])).toEqual([[1, 1, 1], [2, 2, 1], [3, 3, 1]]);
+  });
+
+  test('reports an edited slide as changed with both texts', () => {
+    const edited = TRACTION.replace('Forty', 'Sixty').replace('three', 'five');
+    const { summary, slides } = matchSlides(deck([PROBLEM, TRACTION]), deck([PROBLEM, edited]));
+
+    expect(summary).toMatchObject({ changed: 1, unchanged: 1 });
+    expect(slides[1]).toMatchObject({ status: 'changed', slide: 2, previousSlide: 2, moved: false, previousText: TRACTION, text: edited });
+    expect(slides[1].similarity).toBeGreaterThanOrEqual(0.5);
+    expect(slides[1].similarity).toBeLessThan(0.9);
+  });
+
+  test('follows slides that moved', () => {
+    const { summary, slides } = matchSlides(deck([PROBLEM, PRODUCT, TRACTION]), deck([PROBLEM, TRACTION, PRODUCT]));
+
+    expect(summary).toMatchObject({ unchanged: 3, moved: 2 });
+    expect(slides.map(slide => slide.previousSlide)).toEqual([1, 3, 2]);
+  });
+
+  test('lists added and removed slides', () => {
+    const { summary, slides } = matchSlides(
+      deck([PROBLEM, PRODUCT, TRACTION], { 2: 'Our Product' }),
+      deck([PROBLEM, TRACTION, PRICING], { 3: 'Pricing' })
+    );
+
+    expect(summary).toEqual({ added: 1, removed: 1, changed: 0, unchanged: 2, moved: 1 });
+    expect(slides).toContainEqual({ status: 'added', slide: 3, previousSlide: null, similarity: null, title: 'Pricing' });
+    expect(slides).toContainEqual({ status: 'removed', slide: null, previousSlide: 2, similarity: null, title: 'Our Product' });
+  });
+
+  test('pairs slides without text by position', () => {
+    const { summary, slides } = matchSlides(deck([PROBLEM, '', TRACTION]), deck([PROBLEM, '', TRACTION]));
+
+    expect(summary).toMatchObject({ unchanged: 3, added: 0, removed: 0 });
+    expect(slides[1]).toMatchObject({ status: 'unchanged', slide: 2, previousSlide: 2, similarity: null });
+  });
+});
+
+describe('carryOverContent', () => {
+  const previous = {
+    ...deck([PROBLEM, PRODUCT, TRACTION]),
+    question_set: [
+      { id: '1-general-1', slide: 1, persona: 'general', question: 'How did you measure the lost hours?' },
+      { id: '2-general-1', slide: 2, persona: 'general', question: 'Which chat tools are supported?' },
+      { id: '2-investor-1', slide: 2, persona: 'investor', question: 'What stops a chat vendor copying this?' },
+      { id: '3-general-1', slide: 3, persona: 'general', question: 'What is the churn?' }
+    ],
+    speech_content: { 1: 'Speech one', 2: 'Speech two', 3: 'Speech three' }
+  };
+
+  test('renumbers content of unchanged slides and skips changed ones', () => {
+    const edited = TRACTION.replace('Forty', 'Sixty').replace('three', 'five');
+    const { slides } = matchSlides(previous, deck([PRODUCT, PROBLEM, edited]));
+    const { questionSet, speechContent } = carryOverContent(previous, slides, [{ persona: 'general' }]);
+
+    expect(questionSet).toEqual([
+      { id: '1-general-1', slide: 1, persona: 'general', question: 'Which chat tools are supported?' },
+      { id: '2-general-1', slide: 2, persona: 'general', question: 'How did you measure the lost hours?' }
+    ]);
+    expect(speechContent).toEqual({ 1: 'Speech two', 2: 'Speech one' });
+  });
+});
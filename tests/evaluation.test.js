@@ -0,0 +1,258 @@
+const { registerMockResponder } = require('../services/llm');
+const { normalizeRubric } = require('../services/rubrics');
+const { generateReport, summarizeReport, summarizeSlides, validateEvaluation } = require('../services/evaluation');
+
+const rubric = normalizeRubric({
+  name: 'Test rubric',
+  passThreshold: 70,
+  criteria: [{ id: 'accuracy', weight: 3 }, { id: 'clarity', weight: 1 }]
+});
+
+const qaPairs = [
+  { question: 'Who is the customer?', userAnswer: 'Small finance teams' },
+  { question: 'What does it cost?', userAnswer: 'Ten dollars a seat' }
+];
+
+function evaluation(accuracy, clarity, extra = {}) {
+  return {
+    ...extra,
+    referenceAnswer: 'An ideal answer',
+    scores: {
+      accuracy: { score: accuracy, justification: 'Accurate enough' },
+      clarity: { score: clarity, justification: 'Clear enough' }
+    },
+    missingPoints: 'Pricing tiers'
+  };
+}
+
+// Scripted model output: each evaluation call takes the next reply, or builds it from the request
+let replies;
+let calls;
+
+beforeEach(() => {
+  replies = [];
+  calls = [];
+  registerMockResponder('evaluation', (metadata, prompt) => {
+    calls.push({ metadata, prompt });
+    const reply = replies.shift();
+    return typeof reply === 'function' ? reply(metadata) : reply;
+  });
+});
+
+afterEach(() => {
+  delete process.env.LLM_EVALUATION_PROVIDER;
+});
+
+describe('generateReport', () => {
+  test('scores every answer in one call with the rubric weights', async () => {
+    replies = [JSON.stringify([evaluation(80, 40, { questionIndex: 2 }), evaluation(60, 100, { questionIndex: 1 })])];
+
+    const rows = await generateReport(qaPairs, rubric);
+
+    expect(calls).toHaveLength(1);
+    expect(rows.map(row => [row["Question"], row["Similarity Score"], row["Passed"]])).toEqual([
+      ['Who is the customer?', 70, true],
+      ['What does it cost?', 70, true]
+    ]);
+    expect(rows[0]["Criteria Scores"]).toEqual({
+      accuracy: { score: 60, weight: 0.75, justification: 'Accurate enough' },
+      clarity: { score: 100, weight: 0.25, justification: 'Clear enough' }
+    });
+    expect(rows[0]["Evaluation Status"]).toBe('scored');
+    // Every LLM score is cross-checked offline against the reference answer
+    expect(rows[0]["Cross Check"]).toEqual(expect.objectContaining({ localScore: expect.any(Number), disagreement: expect.any(Boolean) }));
+  });
+
+  test('re-requests malformed output, telling the model what was wrong', async () => {
+    replies = [
+      'Sure! Here are the scores.',
+      '```json\n' + JSON.stringify([evaluation(80, 80, { questionIndex: 1 })]) + '\n```',
+      JSON.stringify([evaluation(80, 80, { questionIndex: 1 }), evaluation(50, 50, { questionIndex: 2 })])
+    ];
+
+    const rows = await generateReport(qaPairs, rubric);
+
+    expect(calls.map(call => call.metadata.attempt)).toEqual([1, 2, 3]);
+    expect(calls[1].prompt).toContain('Your previous response was rejected because: the response is not valid JSON');
+    expect(calls[2].prompt).toContain('the array must contain exactly 2 evaluations, got 1');
+    expect(rows.map(row => row["Similarity Score"])).toEqual([80, 50]);
+  });
+
+  test('falls back to one call per answer, then to the offline scorer', async () => {
+    const invalid = JSON.stringify(evaluation(80, 80));
+    replies = [
+      invalid, invalid, invalid,
+      JSON.stringify(evaluation(90, 70)),
+      JSON.stringify({ referenceAnswer: 'x', scores: {}, missingPoints: '' }), 'null', '[]'
+    ];
+
+    const rows = await generateReport(qaPairs, rubric);
+
+    expect(calls).toHaveLength(7);
+    expect(rows[0]).toMatchObject({ "Similarity Score": 85, "Evaluation Status": 'scored', "Scorer": 'llm' });
+    expect(rows[1]).toMatchObject({
+      "Criteria Scores": null,
+      "Evaluation Status": 'scored',
+      "Scorer": 'local',
+      "Local Score": { reference: 'question' },
+      "LLM Error": { code: 'invalid_output', message: expect.stringContaining('failed validation after 3 attempts') }
+    });
+
+    // Offline scores count towards the average but have no criteria breakdown
+    expect(summarizeReport(rows, rubric)).toMatchObject({
+      totalQuestions: 2,
+      evaluatedQuestions: 2,
+      failedEvaluations: 0,
+      criteriaAverages: { accuracy: 90, clarity: 70 },
+      scorers: { llm: 1, local: 1 }
+    });
+  });
+
+  test('does not retry provider errors', async () => {
+    process.env.LLM_EVALUATION_PROVIDER = 'unavailable';
+
+    const rows = await generateReport(qaPairs.slice(0, 1), rubric);
+
+    expect(rows[0]["LLM Error"]).toEqual({ code: 'provider_error', message: 'Evaluation failed: Unknown LLM provider: unavailable' });
+  });
+});
+
+describe('summarizeReport', () => {
+  test('leaves answers that could not be scored out of the averages', () => {
+    const rows = [
+      { "Similarity Score": 80, "Passed": true, "Criteria Scores": { accuracy: { score: 80 }, clarity: { score: 80 } }, "Evaluation Status": 'scored', "Scorer": 'llm' },
+      { "Similarity Score": 40, "Passed": false, "Criteria Scores": null, "Evaluation Status": 'scored', "Scorer": 'local' },
+      { "Similarity Score": null, "Passed": null, "Criteria Scores": null, "Evaluation Status": 'error' }
+    ];
+
+    expect(summarizeReport(rows, rubric)).toEqual({
+      totalQuestions: 3,
+      evaluatedQuestions: 2,
+      failedEvaluations: 1,
+      averageScore: 60,
+      passedQuestions: 1,
+      passRate: 50,
+      passThreshold: 70,
+      criteriaAverages: { accuracy: 80, clarity: 80 },
+      scorers: { llm: 1, local: 1 },
+      disagreements: 0
+    });
+  });
+});
+
+describe('validateEvaluation', () => {
+  test('lists every schema problem', () => {
+    const problems = validateEvaluation({
+      referenceAnswer: '',
+      scores: {
+        accuracy: { score: 80.5, justification: 'ok' },
+        tone: { score: 50, justification: 'ok' }
+      },
+      missingPoints: null
+    }, rubric, 'item 1');
+
+    expect(problems).toEqual([
+      'item 1.referenceAnswer must be a non-empty string',
+      'item 1.missingPoints must be a string',
+      'item 1.scores.accuracy.score must be an integer from 0 to 100',
+      'item 1.scores.clarity is missing',
+      'item 1.scores.tone is not a criterion of this rubric'
+    ]);
+  });
+
+  test('accepts a complete evaluation', () => {
+    expect(validateEvaluation(evaluation(0, 100), rubric, 'the response')).toEqual([]);
+    expect(validateEvaluation([], rubric, 'the response')).toEqual(['the response must be a JSON object']);
+  });
+});
+
+describe('grounding in the presentation', () => {
+  const presentation = {
+    slide_count: 4,
+    slide_titles: { 2: 'Pricing' },
+    slide_texts: {
+      1: 'Finance teams waste hours on manual reports',
+      2: 'Plans start at ten dollars a seat',
+      3: 'Enterprise plans include single sign-on',
+      4: 'We are raising two million dollars'
+    },
+    speech_content: { 2: 'Pricing is simple and per seat.' },
+    question_set: [{ id: '2-general-1', slide: 2, persona: 'general', question: 'What does it cost?' }],
+    questions: { 4: ['How much are you raising?'] }
+  };
+
+  const pairs = [
+    { question: 'Who is the customer?', userAnswer: 'Finance teams', slide: 1 },
+    { question: 'What does it cost?', userAnswer: 'Ten dollars a seat' },
+    { question: 'How much are you raising?', userAnswer: 'Two million' },
+    { question: 'Why now?', userAnswer: 'Because' }
+  ];
+
+  // A batch reply that cites every excerpt it was given
+  function citingBatch(metadata, scores) {
+    return JSON.stringify(metadata.qaPairs.map((pair, index) => evaluation(scores[index], scores[index], {
+      questionIndex: index + 1,
+      ...(pair.context && { citations: pair.context.map(excerpt => excerpt.slide) })
+    })));
+  }
+
+  test('ties each answer to its slide and sends the neighbouring slides as excerpts', async () => {
+    replies = [metadata => citingBatch(metadata, [90, 50, 80, 70])];
+
+    const rows = await generateReport(pairs, rubric, { presentation });
+
+    const sent = calls[0].metadata.qaPairs;
+    expect(sent.map(pair => pair.slide)).toEqual([1, 2, 4, null]);
+    expect(sent[1].context).toEqual([
+      { slide: 1, title: '', text: 'Finance teams waste hours on manual reports', speech: '' },
+      { slide: 2, title: 'Pricing', text: 'Plans start at ten dollars a seat', speech: 'Pricing is simple and per seat.' },
+      { slide: 3, title: '', text: 'Enterprise plans include single sign-on', speech: '' }
+    ]);
+    expect(sent[2].context.map(excerpt => excerpt.slide)).toEqual([3, 4]);
+    expect(calls[0].prompt).toContain('[Slide 2] Pricing');
+    expect(calls[0].prompt).toContain('Presenter script: "Pricing is simple and per seat."');
+
+    expect(rows.map(row => [row["Slide"], row["Citations"]])).toEqual([
+      [1, [1, 2]],
+      [2, [1, 2, 3]],
+      [4, [3, 4]],
+      [null, undefined]
+    ]);
+  });
+
+  test('re-requests citations that point outside the excerpts', async () => {
+    replies = [
+      metadata => JSON.stringify(JSON.parse(citingBatch(metadata, [90, 50, 80, 70])).map(item => ({ ...item, citations: item.citations && [9] }))),
+      metadata => JSON.stringify(JSON.parse(citingBatch(metadata, [90, 50, 80, 70])).map(item => ({ ...item, citations: item.citations && [] }))),
+      metadata => citingBatch(metadata, [90, 50, 80, 70])
+    ];
+
+    await generateReport(pairs, rubric, { presentation });
+
+    expect(calls).toHaveLength(3);
+    expect(calls[1].prompt).toContain('item 1.citations may only contain slides 1, 2, got 9');
+    expect(calls[2].prompt).toContain('item 3.citations must be a non-empty array of slide numbers');
+  });
+
+  test('summarises results per slide with the weakest struggling slides first', () => {
+    const rows = [
+      { "Slide": 1, "Similarity Score": 90, "Passed": true, "Evaluation Status": 'scored' },
+      { "Slide": 2, "Similarity Score": 50, "Passed": false, "Evaluation Status": 'scored' },
+      { "Slide": 2, "Similarity Score": 80, "Passed": true, "Evaluation Status": 'scored' },
+      { "Slide": 3, "Similarity Score": null, "Passed": null, "Evaluation Status": 'error' },
+      { "Slide": 4, "Similarity Score": 60, "Passed": false, "Evaluation Status": 'scored' },
+      { "Slide": null, "Similarity Score": 70, "Passed": true, "Evaluation Status": 'scored' }
+    ];
+
+    expect(summarizeSlides(rows, rubric, presentation)).toEqual({
+      slides: [
+        { slide: 1, title: '', questions: 1, averageScore: 90, passedQuestions: 1, failedEvaluations: 0, struggled: false },
+        { slide: 2, title: 'Pricing', questions: 2, averageScore: 65, passedQuestions: 1, failedEvaluations: 0, struggled: true },
+        { slide: 3, title: '', questions: 1, averageScore: null, passedQuestions: 0, failedEvaluations: 1, struggled: true },
+        { slide: 4, title: '', questions: 1, averageScore: 60, passedQuestions: 0, failedEvaluations: 0, struggled: true }
+      ],
+      struggledSlides: [3, 4, 2],
+      unlinkedQuestions: 1
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const AdmZip = require('adm-zip');
+
+const NAMESPACES = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+  + 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const RELATIONSHIPS = 'xmlns="http://schemas.openxmlformats.org/package/2006/relationships"';
+const TYPES = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function shape(paragraphs, placeholder) {
+  const nvPr = placeholder ? `<p:nvPr><p:ph type="${placeholder}"/></p:nvPr>` : '<p:nvPr/>';
+  const body = paragraphs.map(text => `<a:p><a:r><a:t>${escapeXml(text)}</a:t></a:r></a:p>`).join('');
+  return `<p:sp><p:nvSpPr><p:cNvPr id="1" name="shape"/><p:cNvSpPr/>${nvPr}</p:nvSpPr><p:txBody>${body}</p:txBody></p:sp>`;
+}
+
+// Write a minimal PPTX with the parts the importer reads. Slides are { title, bullets, notes }.
+function writePptx(filePath, slides) {
+  const zip = new AdmZip();
+  const slideIds = slides.map((_, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 1}"/>`).join('');
+  const slideRels = slides.map((_, index) =>
+    `<Relationship Id="rId${index + 1}" Type="${TYPES}/slide" Target="slides/slide${index + 1}.xml"/>`
+  ).join('');
+
+  zip.addFile('ppt/presentation.xml', Buffer.from(`<?xml version="1.0"?><p:presentation ${NAMESPACES}><p:sldIdLst>${slideIds}</p:sldIdLst></p:presentation>`));
+  zip.addFile('ppt/_rels/presentation.xml.rels', Buffer.from(`<?xml version="1.0"?><Relationships ${RELATIONSHIPS}>${slideRels}</Relationships>`));
+
+  slides.forEach(({ title, bullets = [], notes }, index) => {
+    const number = index + 1;
+    const shapes = shape([title], 'title') + shape(bullets);
+    zip.addFile(`ppt/slides/slide${number}.xml`, Buffer.from(`<p:sld ${NAMESPACES}><p:cSld><p:spTree>${shapes}</p:spTree></p:cSld></p:sld>`));
+    if (notes) {
+      zip.addFile(`ppt/slides/_rels/slide${number}.xml.rels`, Buffer.from(
+        `<?xml version="1.0"?><Relationships ${RELATIONSHIPS}><Relationship Id="rId1" Type="${TYPES}/notesSlide" Target="../notesSlides/notesSlide${number}.xml"/></Relationships>`
+      ));
+      zip.addFile(`ppt/notesSlides/notesSlide${number}.xml`, Buffer.from(
+        `<p:notes ${NAMESPACES}><p:cSld><p:spTree>${shape([notes], 'body')}</p:spTree></p:cSld></p:notes>`
+      ));
+    }
+  });
+
+  zip.writeZip(filePath);
+}
+
+module.exports = {
+  writePptx
+};
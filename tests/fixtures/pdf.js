@@ -0,0 +1,44 @@
+const fs = require('fs');
+
+function escapeText(text) {
+  return text.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+// Write a minimal text-only PDF with one page per entry in `pages` (an array of line arrays)
+function writePdf(filePath, pages) {
+  const objects = [];
+  const pageIds = pages.map((lines, index) => 4 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+  pages.forEach((lines, index) => {
+    const pageId = pageIds[index];
+    const commands = lines.map((line, lineIndex) =>
+      `BT /F1 18 Tf 72 ${720 - lineIndex * 30} Td (${escapeText(line)}) Tj ET`
+    ).join('\n');
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(commands)} >>\nstream\n${commands}\nendstream`;
+  });
+
+  // pdf-parse misreads Buffers that Node carves out of its shared pool, so keep the file above 4 KB
+  let pdf = `%PDF-1.4\n%${' '.repeat(4096)}\n`;
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  fs.writeFileSync(filePath, pdf);
+}
+
+module.exports = { writePdf };
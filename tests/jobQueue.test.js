@@ -0,0 +1,143 @@
+const { repositories } = require('../services/storage');
+const { QUICK_LANE, createJob, getJob, registerJobHandler, resumeUnfinishedJobs } = require('../services/jobQueue');
+
+async function waitForJob(id) {
+  for (;;) {
+    const job = await getJob(id);
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('job queue', () => {
+  test('runs the stages in order and persists the finished job', async () => {
+    const ran = [];
+    registerJobHandler('ordered', {
+      stages: [
+        { name: 'first', run: async () => { ran.push('first'); } },
+        { name: 'second', run: async () => { ran.push('second'); return 'skipped'; } },
+        { name: 'third', run: async job => { ran.push('third'); job.result.done = true; } }
+      ]
+    });
+
+    const { id } = await createJob('ordered', {});
+    const job = await waitForJob(id);
+
+    expect(ran).toEqual(['first', 'second', 'third']);
+    expect(job).toMatchObject({ status: 'completed', progress: 100, currentStage: null, result: { done: true } });
+    expect(job.stages.second.status).toBe('skipped');
+    expect(await repositories.jobs.findOne({ id })).toMatchObject({ status: 'completed', progress: 100 });
+  });
+
+  test('weights progress by stage and by the progress a stage reports', async () => {
+    let reported;
+    registerJobHandler('weighted', {
+      stages: [
+        { name: 'small', weight: 1, run: async () => {} },
+        {
+          name: 'large',
+          weight: 3,
+          run: async (job, ctx) => {
+            await ctx.setProgress(1, 2);
+            reported = job.progress;
+          }
+        }
+      ]
+    });
+
+    const { id } = await createJob('weighted', {});
+    await waitForJob(id);
+
+    // small (1) done and half of large (3) out of 4
+    expect(reported).toBe(63);
+  });
+
+  test('keeps going after an optional stage fails', async () => {
+    registerJobHandler('optional-failure', {
+      stages: [
+        { name: 'render', optional: true, run: async () => { throw new Error('no renderer'); } },
+        { name: 'save', run: async () => {} }
+      ]
+    });
+
+    const job = await waitForJob((await createJob('optional-failure', {})).id);
+
+    expect(job.status).toBe('completed');
+    expect(job.stages.render.status).toBe('failed');
+    expect(job.stages.save.status).toBe('completed');
+    expect(job.errors).toEqual([expect.objectContaining({ stage: 'render', message: 'no renderer' })]);
+  });
+
+  test('stops at a failed required stage and still cleans up', async () => {
+    const cleanup = jest.fn();
+    const later = jest.fn();
+    registerJobHandler('fatal-failure', {
+      stages: [
+        { name: 'extract', run: async () => { throw new Error('unreadable file'); } },
+        { name: 'save', run: later }
+      ],
+      cleanup
+    });
+
+    const job = await waitForJob((await createJob('fatal-failure', {})).id);
+
+    expect(job.status).toBe('failed');
+    expect(job.stages.save.status).toBe('pending');
+    expect(later).not.toHaveBeenCalled();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs quick jobs while a long job holds the default lane', async () => {
+    let finishUpload;
+    registerJobHandler('long-upload', {
+      stages: [{ name: 'generate', run: () => new Promise(resolve => { finishUpload = resolve; }) }]
+    });
+    registerJobHandler('queued-upload', { stages: [{ name: 'generate', run: async () => {} }] });
+    registerJobHandler('one-slide', { stages: [{ name: 'generate', run: async () => {} }], lane: QUICK_LANE });
+
+    const upload = await createJob('long-upload', {});
+    const queued = await createJob('queued-upload', {});
+    const quick = await waitForJob((await createJob('one-slide', {})).id);
+
+    expect(quick.status).toBe('completed');
+    expect((await getJob(upload.id)).status).toBe('running');
+    expect((await getJob(queued.id)).status).toBe('queued');
+
+    finishUpload();
+    expect((await waitForJob(queued.id)).status).toBe('completed');
+  });
+
+  test('resumes unfinished jobs after a restart, skipping stages that already finished', async () => {
+    const ran = [];
+    registerJobHandler('resumable', {
+      stages: [
+        { name: 'extract', run: async () => { ran.push('extract'); } },
+        { name: 'generate', run: async () => { ran.push('generate'); } },
+        { name: 'save', run: async () => { ran.push('save'); } }
+      ]
+    });
+    const row = {
+      id: 'interrupted-job',
+      type: 'resumable',
+      status: 'running',
+      current_stage: 'generate',
+      progress: 33,
+      payload: {},
+      artifacts: {},
+      stages: { extract: { status: 'completed' }, generate: { status: 'running' }, save: { status: 'pending' } },
+      slides: {},
+      result: {},
+      errors: [],
+      created_at: '2026-01-01T00:00:00.000Z'
+    };
+    await repositories.jobs.insert(row);
+    await repositories.jobs.insert({ ...row, id: 'unknown-type-job', type: 'retired' });
+
+    expect(await resumeUnfinishedJobs()).toBe(2);
+    const job = await waitForJob('interrupted-job');
+
+    expect(ran).toEqual(['generate', 'save']);
+    expect(job.status).toBe('completed');
+    expect((await getJob('unknown-type-job')).status).toBe('running');
+  });
+});
@@ -0,0 +1,91 @@
+const { repositories } = require('../services/storage');
+const {
+  JoinCodeError,
+  checkCode,
+  issueCode,
+  normalizeCode,
+  parseCodeOptions,
+  revokeCode,
+  serializeCode,
+  updateCodePolicy
+} = require('../services/joinCodes');
+
+describe('normalizeCode', () => {
+  test('accepts codes typed in lower case or with spaces and dashes', () => {
+    expect(normalizeCode('k7m-q2x')).toBe('K7MQ2X');
+    expect(normalizeCode(' k7m q2x ')).toBe('K7MQ2X');
+    expect(normalizeCode(undefined)).toBe('');
+  });
+});
+
+describe('parseCodeOptions', () => {
+  test('reads the expiry and usage limit', () => {
+    expect(parseCodeOptions({ ttlHours: '0', maxUses: '3' })).toEqual({ ttlHours: 0, maxUses: 3 });
+    expect(parseCodeOptions({ ttlHours: '', maxUses: null })).toEqual({});
+    expect(parseCodeOptions()).toEqual({});
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => parseCodeOptions({ ttlHours: -1 })).toThrow('codeTtlHours must be a number of hours');
+    expect(() => parseCodeOptions({ maxUses: 1.5 })).toThrow('codeMaxUses must be a positive integer');
+    expect(() => parseCodeOptions({ maxUses: 0 })).toThrow(JoinCodeError);
+  });
+});
+
+describe('issuing and checking codes', () => {
+  test('issues unambiguous codes with the default lifetime', async () => {
+    const entry = await issueCode('presentation', { ownerId: 'owner-1' });
+
+    expect(entry.code).toMatch(/^[2-9A-HJKMNP-TW-Z]{6}$/);
+    expect(serializeCode(entry)).toMatchObject({ kind: 'presentation', status: 'active', useCount: 0, maxUses: null });
+    expect(new Date(entry.expires_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('codes with no lifetime never expire', async () => {
+    const entry = await issueCode('report', { ttlHours: 0 });
+    expect(entry.expires_at).toBeNull();
+  });
+
+  test('unknown codes and codes of another kind are not found', async () => {
+    const entry = await issueCode('report');
+    await expect(checkCode('report', 'ZZZZZZ')).resolves.toBeNull();
+    await expect(checkCode('presentation', entry.code)).resolves.toBeNull();
+  });
+
+  test('consuming a code counts towards its usage limit', async () => {
+    const entry = await issueCode('presentation', { maxUses: 2 });
+
+    await expect(checkCode('presentation', entry.code)).resolves.toMatchObject({ use_count: 0 });
+    await checkCode('presentation', entry.code, { consume: true });
+    const used = await checkCode('presentation', entry.code, { consume: true });
+
+    expect(used).toMatchObject({ use_count: 2 });
+    expect(serializeCode(used).status).toBe('usage_limit');
+    await expect(checkCode('presentation', entry.code)).rejects.toMatchObject({ status: 410, reason: 'usage_limit' });
+  });
+
+  test('expired codes are refused', async () => {
+    const entry = await issueCode('presentation');
+    await repositories.joinCodes.update({ id: entry.id }, { expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    await expect(checkCode('presentation', entry.code)).rejects.toMatchObject({ status: 410, reason: 'expired' });
+  });
+
+  test('revoked codes are refused with the reason', async () => {
+    const entry = await issueCode('presentation');
+    const revoked = await revokeCode(entry, 'shared publicly');
+
+    expect(serializeCode(revoked)).toMatchObject({ status: 'revoked', revokedReason: 'shared publicly' });
+    await expect(checkCode('presentation', entry.code)).rejects.toThrow('This presentation code has been revoked: shared publicly');
+  });
+
+  test('a policy update can extend the lifetime and lift the usage limit', async () => {
+    const entry = await issueCode('presentation', { maxUses: 1 });
+    await checkCode('presentation', entry.code, { consume: true });
+
+    const updated = await updateCodePolicy(entry, { ttlHours: 0, maxUses: null });
+
+    expect(updated).toMatchObject({ expires_at: null, max_uses: null });
+    await expect(checkCode('presentation', entry.code)).resolves.toMatchObject({ use_count: 1 });
+  });
+});
@@ -0,0 +1,83 @@
+const { registerMockResponder } = require('../services/llm');
+const { generateQuestions } = require('../services/aiContent');
+const {
+  detectLanguage,
+  dominantLanguage,
+  detectDeckLanguages,
+  parseLanguageSettings,
+  outputLanguage,
+  languageName
+} = require('../services/languages');
+
+const ENGLISH = 'Our revenue grew forty percent last year';
+const HINDI = 'हमारी कंपनी का राजस्व पिछले साल बढ़ा है और हम लाभ में हैं';
+const MARATHI = 'आमची कंपनी मागील वर्षी वाढली आहे आणि आम्ही नफ्यात आहोत';
+
+describe('detectLanguage', () => {
+  test('tells English, Hindi and Marathi apart', () => {
+    expect(detectLanguage(ENGLISH)).toEqual({ language: 'en', confidence: 1 });
+    expect(detectLanguage(HINDI)).toMatchObject({ language: 'hi' });
+    expect(detectLanguage(MARATHI)).toMatchObject({ language: 'mr' });
+    expect(detectLanguage(HINDI).confidence).toBeGreaterThan(0.5);
+  });
+
+  test('is unsure about Devanagari without marker words and finds nothing without letters', () => {
+    expect(detectLanguage('भारत कंपनी')).toEqual({ language: 'hi', confidence: 0.5 });
+    expect(detectLanguage('2024 — 40%')).toEqual({ language: null, confidence: 0 });
+    expect(detectLanguage(null)).toEqual({ language: null, confidence: 0 });
+  });
+
+  test('goes by the script with more letters in mixed text', () => {
+    expect(detectLanguage(`${ENGLISH} है`).language).toBe('en');
+  });
+});
+
+describe('deck languages', () => {
+  test('detects each slide and weights the deck language by text length', () => {
+    expect(detectDeckLanguages({ 1: ENGLISH, 2: MARATHI, 3: `${MARATHI} ${MARATHI}`, 4: '12' })).toEqual({
+      slideLanguages: { 1: 'en', 2: 'mr', 3: 'mr' },
+      deckLanguage: 'mr'
+    });
+    expect(dominantLanguage(['', '42'])).toBeNull();
+  });
+});
+
+describe('language settings', () => {
+  test('sets every output from language and lets one output override it', () => {
+    expect(parseLanguageSettings({ language: 'HI', speechLanguage: 'en' })).toEqual({ questions: 'hi', speech: 'en', feedback: 'hi' });
+    expect(parseLanguageSettings({})).toEqual({ questions: 'auto', speech: 'auto', feedback: 'auto' });
+  });
+
+  test('keeps current settings for outputs that are not sent', () => {
+    expect(parseLanguageSettings({ feedbackLanguage: 'mr' }, { questions: 'hi', speech: 'en' }))
+      .toEqual({ questions: 'hi', speech: 'en', feedback: 'mr' });
+  });
+
+  test('rejects unknown languages', () => {
+    expect(() => parseLanguageSettings({ language: 'fr' })).toThrow('language must be one of: auto, en, hi, mr');
+    expect(() => parseLanguageSettings({ questionLanguage: 'de' })).toThrow('questionLanguage must be one of');
+  });
+
+  test('resolves auto to the detected language, then English', () => {
+    expect(outputLanguage('mr', 'en')).toBe('mr');
+    expect(outputLanguage('auto', 'hi')).toBe('hi');
+    expect(outputLanguage('auto', null)).toBe('en');
+    expect(languageName('mr')).toBe('Marathi (मराठी)');
+    expect(languageName('en')).toBe('English');
+  });
+});
+
+describe('generated content', () => {
+  test('asks for questions in the chosen language', async () => {
+    let prompt;
+    registerMockResponder('questions', (metadata, text) => {
+      prompt = text;
+      return 'तुमची किंमत कशी ठरवली?';
+    });
+
+    const questions = await generateQuestions(ENGLISH, 1, {}, { language: 'mr' });
+
+    expect(questions).toEqual(['तुमची किंमत कशी ठरवली?']);
+    expect(prompt).toContain('Write the question in Marathi (मराठी), whatever the language of the slide.');
+  });
+});
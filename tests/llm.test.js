@@ -0,0 +1,123 @@
+const { complete, getTaskConfig, describeConfig, rateLimitStatus, LLMError } = require('../services/llm');
+const http = require('http');
+const { headersToObject } = require('../services/llm/errors');
+const { createOpenAIProvider } = require('../services/llm/providers/openai');
+const { createScheduler } = require('../services/llm/scheduler');
+
+const ROUTING_VARS = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_QUESTIONS_PROVIDER', 'LLM_QUESTIONS_MODEL', 'LLM_EVALUATION_PROVIDER', 'LLM_EVALUATION_MODEL'];
+const savedEnv = {};
+
+beforeEach(() => {
+  ROUTING_VARS.forEach(name => {
+    savedEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+});
+
+afterEach(() => {
+  ROUTING_VARS.forEach(name => {
+    if (savedEnv[name] === undefined) delete process.env[name];
+    else process.env[name] = savedEnv[name];
+  });
+});
+
+describe('task routing', () => {
+  test('defaults every task to OpenAI with its default model', () => {
+    expect(getTaskConfig('questions')).toEqual({ provider: 'openai', model: 'gpt-3.5-turbo' });
+  });
+
+  test('a task provider overrides the global provider and ignores the global model', () => {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_MODEL = 'gpt-4o-mini';
+    process.env.LLM_EVALUATION_PROVIDER = 'Gemini';
+
+    expect(describeConfig()).toMatchObject({
+      questions: { provider: 'openai', model: 'gpt-4o-mini' },
+      evaluation: { provider: 'gemini', model: 'gemini-pro' }
+    });
+  });
+
+  test('a task model wins over everything else', () => {
+    process.env.LLM_PROVIDER = 'local';
+    process.env.LLM_MODEL = 'llama3';
+    process.env.LLM_QUESTIONS_MODEL = 'qwen2';
+
+    expect(getTaskConfig('questions')).toEqual({ provider: 'local', model: 'qwen2' });
+  });
+
+  test('only hosted providers are rate limited', () => {
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.LLM_EVALUATION_PROVIDER = 'openai';
+
+    expect(rateLimitStatus().map(({ provider, limited }) => ({ provider, limited }))).toEqual([
+      { provider: 'mock', limited: false },
+      { provider: 'openai', limited: true }
+    ]);
+  });
+});
+
+describe('complete', () => {
+  test('answers through the mock provider and reports the route it used', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+
+    const result = await complete('questions', {
+      prompt: 'Ask a question about this slide',
+      metadata: { slideText: 'Quarterly revenue grew by forty percent', slideNumber: 2 }
+    });
+
+    expect(result).toMatchObject({ provider: 'mock', model: 'mock-1' });
+    expect(result.text).toContain('slide 2');
+    expect(result.usage.promptTokens).toBeGreaterThan(0);
+  });
+
+  test('gives unknown tasks a stable echo', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+
+    const first = await complete('summary', { prompt: 'Summarise the deck' });
+    const second = await complete('summary', { prompt: 'Summarise the deck' });
+
+    expect(first.text).toMatch(/^Mock summary response [0-9a-f]{8}$/);
+    expect(second.text).toBe(first.text);
+  });
+
+  test('rejects an unknown provider with an LLMError', async () => {
+    process.env.LLM_PROVIDER = 'nonexistent';
+
+    await expect(complete('questions', { prompt: 'Hello' })).rejects.toBeInstanceOf(LLMError);
+  });
+});
+
+describe('OpenAI provider', () => {
+  test('leaves 429 retries to the scheduler', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+      requests++;
+      req.resume();
+      res.writeHead(429, { 'content-type': 'application/json', 'retry-after-ms': '1' });
+      res.end(JSON.stringify({ error: { message: 'Rate limit reached' } }));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    const provider = createOpenAIProvider({ apiKey: 'test-key', baseURL: `http://127.0.0.1:${server.address().port}/v1` });
+    const scheduler = createScheduler('openai', { maxRetries: 1, baseDelayMs: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const request = scheduler.schedule(() => provider.complete({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }] }));
+
+      await expect(request).rejects.toMatchObject({ status: 429, provider: 'openai' });
+      expect(requests).toBe(2);
+      expect(scheduler.status().totals).toMatchObject({ retried: 1, rateLimited: 2, failed: 1 });
+    } finally {
+      server.close();
+      console.warn.mockRestore();
+    }
+  });
+});
+
+describe('headersToObject', () => {
+  test('lowercases plain objects and fetch Headers alike', () => {
+    expect(headersToObject({ 'Retry-After': '3' })).toEqual({ 'retry-after': '3' });
+    expect(headersToObject(new Headers({ 'X-RateLimit-Remaining': '0' }))).toEqual({ 'x-ratelimit-remaining': '0' });
+    expect(headersToObject(null)).toEqual({});
+  });
+});
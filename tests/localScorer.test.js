@@ -0,0 +1,63 @@
+// Keyword scoring only; embeddings need a local model server
+process.env.LOCAL_EMBEDDING_BASE_URL = '';
+
+const { createLocalScorer, tokenize } = require('../services/localScorer');
+
+describe('tokenize', () => {
+  test('drops stop words and single letters and strips common suffixes', () => {
+    expect(tokenize('We are growing the revenue of a company')).toEqual(['grow', 'revenue', 'company']);
+    expect(tokenize('Grows, growing; grow!')).toEqual(['grow', 'grow', 'grow']);
+    expect(tokenize('Companies studied')).toEqual(['company', 'study']);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test('keeps Devanagari vowel signs inside their word', () => {
+    expect(tokenize('हमारी कंपनी')).toEqual(['हमारी', 'कंपनी']);
+  });
+});
+
+describe('createLocalScorer', () => {
+  const corpus = [
+    'Our churn is four percent monthly because onboarding is manual',
+    'Revenue grows twenty percent month over month',
+    'We sell to remote teams of ten to fifty people'
+  ];
+  const reference = 'Churn is four percent monthly, driven by manual onboarding';
+
+  test('gives a full score to an answer that matches the reference', async () => {
+    const scorer = createLocalScorer(corpus);
+    await expect(scorer.score(reference, [reference])).resolves.toEqual({
+      score: 100,
+      method: 'bm25',
+      lexicalScore: 100,
+      semanticScore: null,
+      missingTerms: []
+    });
+  });
+
+  test('gives nothing to an unrelated answer', async () => {
+    const scorer = createLocalScorer(corpus);
+    const result = await scorer.score('We sell to remote teams', [reference]);
+    expect(result.score).toBe(0);
+  });
+
+  test('scores partial answers in between and lists the rarest missing terms first', async () => {
+    const scorer = createLocalScorer(corpus);
+    const result = await scorer.score('Churn is four percent', [reference]);
+
+    expect(result.score).toBeGreaterThan(0);
+    expect(result.score).toBeLessThan(100);
+    expect(result.missingTerms).toEqual(['driven', 'manual', 'onboard', 'month']);
+  });
+
+  test('scores against several references at once', async () => {
+    const scorer = createLocalScorer(corpus);
+    const result = await scorer.score('Revenue grows twenty percent', [null, reference, corpus[1]]);
+    expect(result.score).toBeGreaterThan(0);
+  });
+
+  test('cannot score without reference text', async () => {
+    const scorer = createLocalScorer([]);
+    await expect(scorer.score('anything', ['the of and', null])).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalBackend } = require('../services/storage/local');
+
+let dataDir;
+let backend;
+
+function openBackend(options = {}) {
+  return createLocalBackend({ dataDir, publicBaseUrl: 'http://localhost:3000', signingSecret: 'secret', ...options });
+}
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awaaz-local-'));
+  backend = openBackend();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('local repositories', () => {
+  test('inserts rows with ids and timestamps and writes them to disk', async () => {
+    const presentations = backend.createRepository('presentations', { unique: ['unique_code'] });
+
+    const row = await presentations.insert({ unique_code: 'ABC123', title: 'Pitch' });
+
+    expect(row).toMatchObject({ unique_code: 'ABC123', title: 'Pitch', id: expect.any(String), created_at: expect.any(String) });
+    expect(await openBackend().createRepository('presentations').findOne({ unique_code: 'ABC123' })).toEqual(row);
+  });
+
+  test('rejects duplicates on unique columns', async () => {
+    const presentations = backend.createRepository('presentations', { unique: ['unique_code'] });
+    await presentations.insert({ unique_code: 'ABC123' });
+
+    await expect(presentations.insert({ unique_code: 'ABC123' })).rejects.toMatchObject({ code: 'UNIQUE_VIOLATION' });
+  });
+
+  test('reports a failed write to its caller and keeps writing afterwards', async () => {
+    const presentations = backend.createRepository('presentations');
+    jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(presentations.insert({ unique_code: 'ABC123' })).rejects.toThrow('disk full');
+    await presentations.insert({ unique_code: 'DEF456' });
+
+    const reopened = openBackend().createRepository('presentations');
+    expect(await reopened.findOne({ unique_code: 'DEF456' })).not.toBeNull();
+  });
+
+  test('filters, searches, sorts and pages with findMany', async () => {
+    const reports = backend.createRepository('reports');
+    await reports.insert({ title: 'Budget review', status: 'done', score: 70 });
+    await reports.insert({ title: 'Hiring plan', status: 'done', score: 90 });
+    await reports.insert({ title: 'Budget draft', status: 'draft', score: 50 });
+    await reports.insert({ title: 'Launch budget', status: 'archived', score: 80 });
+
+    const byStatus = await reports.findMany({ where: { status: ['done', 'draft'] }, orderBy: 'score', ascending: true });
+    expect(byStatus.rows.map(row => row.score)).toEqual([50, 70, 90]);
+
+    const searched = await reports.findMany({ search: { term: 'BUDGET', columns: ['title'] }, orderBy: 'score' });
+    expect(searched.rows.map(row => row.title)).toEqual(['Launch budget', 'Budget review', 'Budget draft']);
+
+    const paged = await reports.findMany({ orderBy: 'score', limit: 2, offset: 1 });
+    expect(paged.total).toBe(4);
+    expect(paged.rows.map(row => row.score)).toEqual([80, 70]);
+
+    expect(await reports.findOne({ status: 'missing' })).toBeNull();
+  });
+
+  test('upserts on the conflict column instead of inserting twice', async () => {
+    const reports = backend.createRepository('reports', { unique: ['unique_code'] });
+    const first = await reports.upsert({ unique_code: 'XYZ', score: 40 });
+
+    const second = await reports.upsert({ unique_code: 'XYZ', score: 75 });
+
+    expect(second).toMatchObject({ id: first.id, score: 75 });
+    expect((await reports.findMany()).total).toBe(1);
+  });
+
+  test('updates and removes only matching rows', async () => {
+    const jobs = backend.createRepository('processing_jobs');
+    await jobs.insert({ id: 'a', status: 'running' });
+    await jobs.insert({ id: 'b', status: 'queued' });
+
+    expect(await jobs.update({ status: 'running' }, { status: 'completed' })).toEqual([expect.objectContaining({ id: 'a', status: 'completed' })]);
+    expect(await jobs.remove({ id: 'b' })).toHaveLength(1);
+
+    const { rows } = await jobs.findMany();
+    expect(rows).toEqual([expect.objectContaining({ id: 'a', status: 'completed' })]);
+  });
+
+  test('hands out copies so callers cannot change stored rows', async () => {
+    const reports = backend.createRepository('reports');
+    const row = await reports.insert({ details: { score: 10 } });
+
+    row.details.score = 99;
+
+    expect((await reports.findOne({ id: row.id })).details.score).toBe(10);
+  });
+});
+
+describe('local blob storage', () => {
+  test('stores blobs with their content type', async () => {
+    const slides = backend.createBlobStore('presentation-slides');
+
+    await slides.upload('deck/slide_1.png', Buffer.from('png-bytes'), { contentType: 'image/png' });
+
+    expect((await slides.download('deck/slide_1.png')).toString()).toBe('png-bytes');
+    expect(slides.getContentType('deck/slide_1.png')).toBe('image/png');
+    expect(await slides.list('deck')).toEqual(['deck/slide_1.png']);
+
+    await slides.remove(['deck/slide_1.png']);
+    await expect(slides.download('deck/slide_1.png')).rejects.toThrow('not found');
+  });
+
+  test('rejects keys that escape the bucket', async () => {
+    const slides = backend.createBlobStore('presentation-slides');
+
+    await expect(slides.upload('../../db.json', Buffer.from('{}'))).rejects.toThrow('invalid object key');
+  });
+
+  test('signs URLs that verify until they expire', async () => {
+    const slides = backend.createBlobStore('presentation-slides');
+    await slides.upload('deck/slide 1.png', Buffer.from('png-bytes'));
+
+    const url = new URL(await slides.createSignedUrl('deck/slide 1.png', 60));
+    const expires = url.searchParams.get('expires');
+    const token = url.searchParams.get('token');
+
+    expect(url.pathname).toBe('/api/storage/presentation-slides/deck/slide%201.png');
+    expect(backend.verifySignedUrl('presentation-slides', 'deck/slide 1.png', expires, token)).toBe(true);
+    expect(backend.verifySignedUrl('presentation-slides', 'deck/slide 2.png', expires, token)).toBe(false);
+    expect(openBackend({ signingSecret: 'other' }).verifySignedUrl('presentation-slides', 'deck/slide 1.png', expires, token)).toBe(false);
+
+    const expired = new URL(await slides.createSignedUrl('deck/slide 1.png', -1)).searchParams;
+    expect(backend.verifySignedUrl('presentation-slides', 'deck/slide 1.png', expired.get('expires'), expired.get('token'))).toBe(false);
+  });
+
+  test('does not sign URLs for missing blobs', async () => {
+    const slides = backend.createBlobStore('presentation-slides');
+
+    expect(await slides.createSignedUrl('deck/missing.png', 60)).toBeNull();
+  });
+});
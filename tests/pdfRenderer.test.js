@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writePdf } = require('./fixtures/pdf');
+
+jest.mock('pdf2pic', () => ({ fromPath: jest.fn() }));
+
+const { fromPath } = require('pdf2pic');
+const { convertPdfToImages, getContentType, getSlideImageKey } = require('../services/pdfRenderer');
+
+let workDir;
+let pdfPath;
+
+beforeAll(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awaaz-render-'));
+  pdfPath = path.join(workDir, 'deck.pdf');
+  // The fixture pages are US Letter portrait: 612 x 792 points
+  writePdf(pdfPath, [['Market size'], ['Our product']]);
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fromPath.mockReset();
+  fromPath.mockImplementation((file, options) => async () => ({
+    path: path.join(options.savePath, `${options.saveFilename}.${options.format}`)
+  }));
+});
+
+function renderOptions() {
+  return fromPath.mock.calls.map(([, options]) => options);
+}
+
+describe('convertPdfToImages', () => {
+  test('renders full, VR texture and thumbnail sizes for every page', async () => {
+    const { pages, failures } = await convertPdfToImages(pdfPath, path.join(workDir, 'out'));
+
+    expect(failures).toEqual([]);
+    expect(pages.map(page => page.page)).toEqual([1, 2]);
+    expect(pages[0].variants).toEqual({
+      full: { path: path.join(workDir, 'out', 'slide_1_full.png'), format: 'png', width: 2550, height: 3300 },
+      vr: { path: path.join(workDir, 'out', 'slide_1_vr.png'), format: 'png', width: 1583, height: 2048 },
+      thumb: { path: path.join(workDir, 'out', 'slide_1_thumb.png'), format: 'png', width: 247, height: 320 }
+    });
+    // Rasterised at the density each size needs, never below 72 DPI
+    expect(renderOptions().slice(0, 3).map(options => options.density)).toEqual([300, 187, 72]);
+  });
+
+  test('scales the full image with the requested DPI', async () => {
+    const { pages } = await convertPdfToImages(pdfPath, path.join(workDir, 'out'), { dpi: 150 });
+
+    expect(pages[0].variants.full).toMatchObject({ width: 1275, height: 1650 });
+    expect(renderOptions()[0].density).toBe(150);
+  });
+
+  test('skips the smaller sizes of a page that cannot be rendered and moves on', async () => {
+    fromPath.mockImplementation((file, options) => async () => {
+      if (options.saveFilename === 'slide_1_full') throw new Error('gm not installed');
+      return { path: path.join(options.savePath, `${options.saveFilename}.${options.format}`) };
+    });
+    const onPage = jest.fn();
+
+    const { pages, failures } = await convertPdfToImages(pdfPath, path.join(workDir, 'out'), { onPage });
+
+    expect(failures).toEqual([{ page: 1, variant: 'full', error: 'gm not installed' }]);
+    expect(pages.map(page => page.page)).toEqual([2]);
+    expect(renderOptions().map(options => options.saveFilename)).toEqual(['slide_1_full', 'slide_2_full', 'slide_2_vr', 'slide_2_thumb']);
+    expect(onPage).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('slide image keys', () => {
+  test('keep the original name for the full image and suffix the other sizes', () => {
+    expect(getSlideImageKey('12345', 3, 'full', 'png')).toBe('12345/slide_3.png');
+    expect(getSlideImageKey('12345', 3, 'thumb', 'webp')).toBe('12345/slide_3_thumb.webp');
+  });
+
+  test('map formats to content types', () => {
+    expect(getContentType('webp')).toBe('image/webp');
+    expect(getContentType('tiff')).toBe('application/octet-stream');
+  });
+});
@@ -0,0 +1,107 @@
+const { PERSONAS, resolveAudience, listPersonas, questionsBySlide } = require('../services/personas');
+const { generateQuestions } = require('../services/aiContent');
+const { repositories } = require('../services/storage');
+const { createJob, getJob } = require('../services/jobQueue');
+const { JOB_TYPE } = require('../services/questionPipeline');
+
+async function waitForJob(id) {
+  for (;;) {
+    const job = await getJob(id);
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('resolveAudience', () => {
+  test('defaults to one general listener', () => {
+    expect(resolveAudience()).toEqual([{
+      persona: 'general',
+      name: 'General audience',
+      description: PERSONAS.general.description,
+      difficulty: 'medium',
+      questionsPerSlide: 1,
+      temperature: 0.7
+    }]);
+    expect(resolveAudience('')).toHaveLength(1);
+  });
+
+  test('fills in persona defaults and lets requests override difficulty and question count', () => {
+    const audience = resolveAudience(JSON.stringify([
+      { persona: 'skeptical-investor' },
+      { persona: 'novice', difficulty: 'hard', questionsPerSlide: '3' }
+    ]));
+
+    expect(audience.map(({ persona, difficulty, questionsPerSlide }) => ({ persona, difficulty, questionsPerSlide }))).toEqual([
+      { persona: 'skeptical-investor', difficulty: 'hard', questionsPerSlide: 2 },
+      { persona: 'novice', difficulty: 'hard', questionsPerSlide: 3 }
+    ]);
+  });
+
+  test('accepts custom personas with a name and description', () => {
+    const [custom] = resolveAudience([{ name: 'Board Member!', description: 'a board member who cares about cash' }]);
+
+    expect(custom).toMatchObject({ persona: 'board-member', name: 'Board Member!', difficulty: 'medium', questionsPerSlide: 1 });
+  });
+
+  test('rejects invalid audiences', () => {
+    expect(() => resolveAudience('[')).toThrow('audience must be valid JSON');
+    expect(() => resolveAudience([])).toThrow('non-empty array');
+    expect(() => resolveAudience(Array.from({ length: 7 }, (_, index) => ({ name: `p${index}`, description: 'd' })))).toThrow('at most 6');
+    expect(() => resolveAudience([{ persona: 'pirate' }])).toThrow('audience[0] must name a known persona');
+    expect(() => resolveAudience([{ persona: 'novice' }, { persona: 'novice' }])).toThrow('audience[1] repeats persona "novice"');
+    expect(() => resolveAudience([{ persona: 'novice', difficulty: 'brutal' }])).toThrow('audience[0].difficulty must be one of easy, medium, hard');
+    expect(() => resolveAudience([{ persona: 'novice', questionsPerSlide: 6 }])).toThrow('questionsPerSlide must be between 1 and 5');
+    expect(() => resolveAudience([{ persona: 'novice', questionsPerSlide: 0 }])).toThrow('questionsPerSlide must be between 1 and 5');
+  });
+});
+
+describe('persona helpers', () => {
+  test('list the built-in personas', () => {
+    expect(listPersonas().map(persona => persona.id)).toEqual(Object.keys(PERSONAS));
+  });
+
+  test('group a question set into the legacy per-slide map', () => {
+    expect(questionsBySlide([
+      { slide: 1, question: 'A?' },
+      { slide: 2, question: 'B?' },
+      { slide: 1, question: 'C?' }
+    ])).toEqual({ 1: ['A?', 'C?'], 2: ['B?'] });
+  });
+});
+
+describe('persona questions', () => {
+  test('asks as many questions per slide as the persona wants, at its difficulty', async () => {
+    const [investor] = resolveAudience([{ persona: 'skeptical-investor', questionsPerSlide: 3 }]);
+
+    const questions = await generateQuestions('Revenue grew forty percent last year', 4, investor);
+
+    expect(questions).toHaveLength(3);
+    questions.forEach(question => expect(question).toMatch(/^\(skeptical-investor\) What evidence supports ".*" on slide 4\?$/));
+  });
+
+  test('regenerates a question set for every persona in the audience', async () => {
+    await repositories.presentations.insert({
+      unique_code: '34567',
+      slide_texts: { 1: 'Market size and the problem we solve', 2: 'Pricing and the business model' }
+    });
+    const audience = resolveAudience([{ persona: 'novice' }, { persona: 'domain-expert' }]);
+
+    const job = await waitForJob((await createJob(JOB_TYPE, { uniqueCode: '34567', audience })).id);
+
+    expect(job.status).toBe('completed');
+    const presentation = await repositories.presentations.findOne({ unique_code: '34567' });
+    const counts = {};
+    presentation.question_set.forEach(entry => {
+      const key = `${entry.slide}/${entry.persona}/${entry.difficulty}`;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    expect(counts).toEqual({
+      '1/novice/easy': 1,
+      '1/domain-expert/hard': 2,
+      '2/novice/easy': 1,
+      '2/domain-expert/hard': 2
+    });
+    expect(presentation.questions[2]).toHaveLength(3);
+    expect(presentation.audience).toEqual(audience);
+  });
+});
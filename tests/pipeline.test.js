@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writePdf } = require('./fixtures/pdf');
+const { writePptx } = require('./fixtures/decks');
+
+// LibreOffice is not assumed to be installed; PPTX decks are then imported without images
+process.env.SOFFICE_PATH = path.join(os.tmpdir(), 'no-such-soffice');
+
+const { repositories } = require('../services/storage');
+const { createJob, getJob } = require('../services/jobQueue');
+const { JOB_TYPE } = require('../services/presentationPipeline');
+const { DEFAULT_RUBRIC_ID, getBuiltInRubric } = require('../services/rubrics');
+const { generateReport, summarizeReport } = require('../services/evaluation');
+
+jest.setTimeout(30000);
+
+let workDir;
+
+beforeAll(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awaaz-upload-'));
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function waitForJob(id) {
+  for (;;) {
+    const job = await getJob(id);
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('presentation upload pipeline', () => {
+  test('turns an uploaded PDF into a stored presentation with generated content', async () => {
+    const filePath = path.join(workDir, 'pitch.pdf');
+    writePdf(filePath, [
+      ['Market size', 'Teams waste hours on manual reports'],
+      ['Our product', 'Automated reporting for small finance teams'],
+      []
+    ]);
+
+    const { id } = await createJob(JOB_TYPE, {
+      uniqueCode: '12345',
+      title: 'Pitch',
+      originalName: 'pitch.pdf',
+      filePath,
+      tempDir: path.join(workDir, '12345')
+    });
+    const job = await waitForJob(id);
+
+    expect(job.status).toBe('completed');
+    expect(job.slides[1]).toMatchObject({ text: 'extracted', question: 'done', speech: 'done' });
+    expect(job.slides[3]).toMatchObject({ text: 'insufficient', question: 'skipped', speech: 'skipped' });
+
+    const presentation = await repositories.presentations.findOne({ unique_code: '12345' });
+    expect(presentation).toMatchObject({ title: 'Pitch', filename: 'pitch.pdf', slide_count: 3 });
+    expect(presentation.slide_texts[1]).toContain('Teams waste hours on manual reports');
+    expect(presentation.slide_texts[2]).toContain('Automated reporting');
+    expect(presentation.slide_texts[3]).toBeUndefined();
+    expect(presentation.questions[2][0]).toContain('slide 2');
+    expect(presentation.speech_content[1]).toContain('Market size');
+
+    // The upload and scratch directory are removed once the job finishes
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    // Answers to the generated questions can be scored into a report
+    const rubric = getBuiltInRubric(DEFAULT_RUBRIC_ID);
+    const qaPairs = [1, 2].map(slide => ({
+      question: presentation.questions[slide][0],
+      userAnswer: `The key takeaway is ${presentation.slide_texts[slide]}`
+    }));
+    const rows = await generateReport(qaPairs, rubric);
+
+    expect(rows.map(row => row["Evaluation Status"])).toEqual(['scored', 'scored']);
+    expect(summarizeReport(rows, rubric)).toMatchObject({ totalQuestions: 2, evaluatedQuestions: 2, passThreshold: rubric.passThreshold });
+  });
+
+  test('imports a PPTX deck text-only when LibreOffice is not available', async () => {
+    const filePath = path.join(workDir, 'pitch-upload');
+    writePptx(filePath, [
+      { title: 'Market size', bullets: ['Teams waste hours on manual reports'], notes: 'Pause after the number' },
+      { title: 'Our product', bullets: ['Automated reporting for small finance teams'] }
+    ]);
+
+    const { id } = await createJob(JOB_TYPE, {
+      uniqueCode: '23456',
+      title: 'Pitch',
+      originalName: 'pitch.pptx',
+      format: 'pptx',
+      filePath,
+      tempDir: path.join(workDir, '23456')
+    });
+    const job = await waitForJob(id);
+
+    expect(job.status).toBe('completed');
+    expect(job.stages.render.status).toBe('skipped');
+
+    const presentation = await repositories.presentations.findOne({ unique_code: '23456' });
+    expect(presentation).toMatchObject({
+      slide_count: 2,
+      source_format: 'pptx',
+      has_images: false,
+      slide_titles: { 1: 'Market size', 2: 'Our product' },
+      speaker_notes: { 1: 'Pause after the number' }
+    });
+    expect(presentation.questions[2][0]).toContain('slide 2');
+  });
+});
@@ -0,0 +1,187 @@
+const { repositories, slideStorage } = require('../services/storage');
+const { registerMockResponder } = require('../services/llm');
+const { createJob, getJob, registerJobHandler } = require('../services/jobQueue');
+const { JOB_TYPE } = require('../services/slidePipeline');
+const { issueCode } = require('../services/joinCodes');
+const {
+  PresentationError,
+  parseSlideNumber,
+  slideEditPatch,
+  presentationEditPatch,
+  deletePresentation,
+  serializePresentationSummary
+} = require('../services/presentations');
+
+async function waitForJob(id) {
+  for (;;) {
+    const job = await getJob(id);
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function rejection(promise) {
+  return promise.then(() => { throw new Error('Expected a rejection'); }, thrown => thrown);
+}
+
+function error(fn) {
+  try {
+    fn();
+  } catch (thrown) {
+    return thrown;
+  }
+  throw new Error('Expected an error');
+}
+
+const presentation = {
+  unique_code: '11111',
+  title: 'Quarterly update',
+  slide_count: 2,
+  slide_texts: { 1: 'Revenue grew', 2: 'Hiring plan' },
+  speech_content: { 1: 'We grew.', 2: 'We hire.' },
+  audience: [{ persona: 'novice', name: 'Novice', difficulty: 'easy' }],
+  question_set: [
+    { id: '1-general-1', slide: 1, persona: 'general', question: 'Why?' },
+    { id: '2-general-1', slide: 2, persona: 'general', question: 'Who?' }
+  ]
+};
+
+describe('editing presentations', () => {
+  test('validates slide numbers against the slide count', () => {
+    expect(parseSlideNumber(presentation, '2')).toBe(2);
+    ['0', '3', '1.5', 'two'].forEach(value => {
+      expect(error(() => parseSlideNumber(presentation, value))).toMatchObject({ status: 400, message: 'slide must be between 1 and 2' });
+    });
+  });
+
+  test('edits one slide and replaces all of its questions', () => {
+    const { slide, patch } = slideEditPatch(presentation, '1', {
+      text: '  Revenue grew 40%  ',
+      questions: ['How fast?', { question: 'Is that good?', persona: 'novice' }, { question: 'And margins?', persona: 'domain-expert' }]
+    });
+
+    expect(slide).toBe(1);
+    expect(patch.slide_texts).toEqual({ 1: 'Revenue grew 40%', 2: 'Hiring plan' });
+    expect(patch.speech_content).toBeUndefined();
+    expect(patch.question_set.map(entry => [entry.id, entry.persona, entry.question])).toEqual([
+      ['1-general-1', 'general', 'How fast?'],
+      ['1-novice-1', 'novice', 'Is that good?'],
+      ['1-domain-expert-1', 'domain-expert', 'And margins?'],
+      ['2-general-1', 'general', 'Who?']
+    ]);
+    expect(patch.question_set[1]).toMatchObject({ personaName: 'Novice', difficulty: 'easy' });
+    expect(patch.questions).toEqual({ 1: ['How fast?', 'Is that good?', 'And margins?'], 2: ['Who?'] });
+  });
+
+  test('rejects empty or malformed slide edits', () => {
+    expect(error(() => slideEditPatch(presentation, 1, {})).message).toMatch('Nothing to update');
+    expect(error(() => slideEditPatch(presentation, 1, { text: 5 })).message).toBe('text must be a string');
+    expect(error(() => slideEditPatch(presentation, 1, { questions: ['  '] })).status).toBe(400);
+    expect(error(() => slideEditPatch(presentation, 1, { questions: [{ question: 'Hm?', persona: 'pirate' }] })).message).toBe('Unknown persona "pirate"');
+  });
+
+  test('renames a presentation', () => {
+    expect(presentationEditPatch({ title: ' Q3 update ' })).toEqual({ title: 'Q3 update' });
+    expect(error(() => presentationEditPatch({})).message).toMatch('Nothing to update');
+    expect(error(() => presentationEditPatch({ title: ' ' }))).toBeInstanceOf(PresentationError);
+    expect(error(() => presentationEditPatch({ title: 'x'.repeat(256) })).status).toBe(400);
+  });
+
+  test('summarizes a presentation for listings', () => {
+    expect(serializePresentationSummary(presentation)).toMatchObject({
+      code: '11111',
+      title: 'Quarterly update',
+      slideCount: 2,
+      questionCount: 2,
+      sourceFormat: 'pdf',
+      hasImages: false,
+      speakerId: null
+    });
+  });
+});
+
+describe('regenerating a slide', () => {
+  test('replaces the questions of personas that succeed and the speech content', async () => {
+    registerMockResponder('questions', ({ persona }) => {
+      if (persona === 'domain-expert') throw new Error('provider down');
+      return `1. A fresh ${persona} question?`;
+    });
+    await repositories.presentations.insert({
+      unique_code: '22222',
+      slide_count: 2,
+      slide_texts: { 1: 'Revenue grew', 2: 'Hiring plan' },
+      speech_content: { 1: 'Old speech', 2: 'Untouched' },
+      question_set: [
+        { id: '1-novice-1', slide: 1, persona: 'novice', question: 'Old novice?' },
+        { id: '1-domain-expert-1', slide: 1, persona: 'domain-expert', question: 'Old expert?' },
+        { id: '2-novice-1', slide: 2, persona: 'novice', question: 'Other slide?' }
+      ]
+    });
+    const audience = [
+      { persona: 'novice', name: 'Novice', difficulty: 'easy', questionsPerSlide: 1 },
+      { persona: 'domain-expert', name: 'Domain expert', difficulty: 'hard', questionsPerSlide: 1 }
+    ];
+
+    const job = await waitForJob((await createJob(JOB_TYPE, { uniqueCode: '22222', slide: 1, parts: ['questions', 'speech'], audience })).id);
+
+    expect(job.status).toBe('completed');
+    expect(job.result.message).toBe('Regenerated questions and speech content for slide 1');
+    expect(job.errors).toEqual([expect.objectContaining({ slide: 1, message: 'No domain-expert question generated' })]);
+    const saved = await repositories.presentations.findOne({ unique_code: '22222' });
+    expect(saved.question_set.map(entry => entry.question)).toEqual(['Old expert?', 'A fresh novice question?', 'Other slide?']);
+    expect(saved.questions[1]).toEqual(['Old expert?', 'A fresh novice question?']);
+    expect(saved.speech_content[1]).toMatch(/^On this slide we look at Revenue grew/);
+    expect(saved.speech_content[2]).toBe('Untouched');
+  });
+
+  test('fails when the slide has no text', async () => {
+    await repositories.presentations.insert({ unique_code: '33333', slide_count: 1, slide_texts: {} });
+
+    const job = await waitForJob((await createJob(JOB_TYPE, { uniqueCode: '33333', slide: 1, parts: ['speech'] })).id);
+
+    expect(job.status).toBe('failed');
+    expect(job.errors[0].message).toBe('Slide 1 has no text to generate from');
+  });
+});
+
+describe('deletePresentation', () => {
+  test('removes images and Q&A threads, revokes the code and keeps reports', async () => {
+    const joinCode = await issueCode('presentation');
+    const code = joinCode.code;
+    await repositories.presentations.insert({ unique_code: code, slide_count: 1 });
+    await slideStorage.upload(`${code}/slide_1.png`, Buffer.from('png'));
+    await slideStorage.upload(`${code}/slide_1_thumb.png`, Buffer.from('png'));
+    await slideStorage.upload('99999/slide_1.png', Buffer.from('png'));
+    await repositories.qaThreads.insert({ id: 'thread-1', presentation_code: code });
+    await repositories.reports.insert({ unique_code: 'report-1', presentation_code: code });
+
+    const result = await deletePresentation({ unique_code: code });
+
+    expect(result).toEqual({ removedImages: 2 });
+    expect(await repositories.presentations.findOne({ unique_code: code })).toBeNull();
+    expect(await slideStorage.list(code)).toEqual([]);
+    expect(await slideStorage.list('99999')).toHaveLength(1);
+    expect(await repositories.qaThreads.findOne({ presentation_code: code })).toBeNull();
+    expect(await repositories.reports.findOne({ presentation_code: code })).not.toBeNull();
+    expect(await repositories.joinCodes.findOne({ code })).toMatchObject({ revoked_reason: 'Presentation deleted' });
+  });
+
+  test('refuses while a job for the presentation is in progress', async () => {
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+    registerJobHandler('slow-regenerate', { stages: [{ name: 'generate', run: () => finished }] });
+    await repositories.presentations.insert({ unique_code: '12121', slide_count: 1 });
+    const { id } = await createJob('slow-regenerate', { uniqueCode: '12121' });
+
+    const refused = await rejection(deletePresentation({ unique_code: '12121' }));
+
+    expect(refused).toBeInstanceOf(PresentationError);
+    expect(refused).toMatchObject({ status: 409, message: 'Presentation has 1 job(s) in progress; delete it once they finish' });
+    expect(await repositories.presentations.findOne({ unique_code: '12121' })).not.toBeNull();
+
+    finish();
+    await waitForJob(id);
+    await deletePresentation({ unique_code: '12121' });
+    expect(await repositories.presentations.findOne({ unique_code: '12121' })).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+const { repositories } = require('../services/storage');
+const { MAX_FOLLOW_UPS, QaThreadError, startThread, answerThread, threadToQaPair } = require('../services/qaThreads');
+
+const presentation = {
+  unique_code: '45678',
+  slide_texts: { 1: 'Finance teams waste hours on manual reports', 2: 'Pricing starts at ten dollars a seat' },
+  question_set: [
+    { id: '1-skeptical-investor-1', slide: 1, persona: 'skeptical-investor', difficulty: 'hard', question: 'Who is the customer for this product?' },
+    { id: '2-general-1', slide: 2, persona: 'general', difficulty: 'medium', question: 'Why this price?' }
+  ],
+  audience: [{ persona: 'skeptical-investor', name: 'Skeptical investor', description: 'an investor', difficulty: 'hard', questionsPerSlide: 1 }],
+  questions: { 3: ['What happens next?'] }
+};
+
+const GOOD_ANSWER = 'Our customer for this product is finance teams in small companies';
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('startThread', () => {
+  test('opens a thread on a stored question with its persona', async () => {
+    const thread = await startThread(presentation, { questionId: '1-skeptical-investor-1' });
+
+    expect(thread).toMatchObject({
+      presentation_code: '45678',
+      slide: 1,
+      question_id: '1-skeptical-investor-1',
+      persona: 'skeptical-investor',
+      audience: presentation.audience[0],
+      turns: [{ role: 'audience', text: 'Who is the customer for this product?' }],
+      follow_up_count: 0,
+      status: 'open'
+    });
+    expect(await repositories.qaThreads.findOne({ id: thread.id })).toEqual(thread);
+  });
+
+  test('falls back to the slide question, a legacy question or free text', async () => {
+    expect((await startThread(presentation, { slide: '2' })).question_id).toBe('2-general-1');
+    expect((await startThread(presentation, { slide: 3 })).turns[0].text).toBe('What happens next?');
+    expect(await startThread(presentation, { slide: 2, question: 'Is there a free tier?' })).toMatchObject({
+      question_id: null,
+      persona: 'general',
+      turns: [{ role: 'audience', text: 'Is there a free tier?' }]
+    });
+  });
+
+  test('rejects unknown questions and slides with a status', async () => {
+    expect(await rejection(startThread(presentation, { questionId: 'missing' }))).toMatchObject({ status: 404 });
+    expect(await rejection(startThread(presentation, { slide: 9 }))).toMatchObject({ status: 404, message: 'No question stored for slide 9' });
+    expect(await rejection(startThread(presentation, {}))).toMatchObject({ status: 400, message: 'slide or questionId is required' });
+    expect(await rejection(startThread(presentation, { slide: 'two' }))).toBeInstanceOf(QaThreadError);
+  });
+});
+
+describe('answerThread', () => {
+  test('follows up on a vague answer and closes once the answer is good', async () => {
+    let thread = await startThread(presentation, { questionId: '1-skeptical-investor-1' });
+
+    thread = await answerThread(thread, presentation, 'It depends');
+    expect(thread).toMatchObject({ status: 'open', follow_up_count: 1 });
+    expect(thread.turns.map(turn => turn.role)).toEqual(['audience', 'presenter', 'audience']);
+    expect(thread.turns[2].text).toContain('Who is the customer');
+
+    thread = await answerThread(thread, presentation, 'To be more specific about the customer: this product could serve small finance teams');
+    expect(thread).toMatchObject({ status: 'closed', closed_reason: 'The answer addressed the question', follow_up_count: 1 });
+    expect(thread.turns).toHaveLength(4);
+  });
+
+  test(`closes after ${MAX_FOLLOW_UPS} follow-ups without asking again`, async () => {
+    let thread = await startThread(presentation, { slide: 2 });
+    for (let i = 0; i < MAX_FOLLOW_UPS; i++) {
+      thread = await answerThread(thread, presentation, 'Not sure');
+    }
+    expect(thread.follow_up_count).toBe(MAX_FOLLOW_UPS);
+
+    thread = await answerThread(thread, presentation, 'Still not sure');
+
+    expect(thread).toMatchObject({ status: 'closed', closed_reason: 'Follow-up limit reached' });
+    expect(thread.turns[thread.turns.length - 1]).toMatchObject({ role: 'presenter', text: 'Still not sure' });
+  });
+
+  test('refuses answers to closed threads', async () => {
+    const thread = await answerThread(await startThread(presentation, { questionId: '1-skeptical-investor-1' }), presentation, GOOD_ANSWER);
+
+    expect(await rejection(answerThread(thread, presentation, 'One more thing'))).toMatchObject({ status: 409 });
+  });
+
+  test('saves nothing when the follow-up decision fails, so the answer can be resent', async () => {
+    const thread = await startThread(presentation, { slide: 2 });
+    process.env.LLM_FOLLOWUP_PROVIDER = 'unavailable';
+    try {
+      expect(await rejection(answerThread(thread, presentation, 'It depends'))).toMatchObject({ status: 502 });
+    } finally {
+      delete process.env.LLM_FOLLOWUP_PROVIDER;
+    }
+
+    expect((await repositories.qaThreads.findOne({ id: thread.id })).turns).toHaveLength(1);
+  });
+});
+
+describe('threadToQaPair', () => {
+  test('nests follow-ups under the opening question and drops an unanswered follow-up', () => {
+    const pair = threadToQaPair({
+      id: 'thread-1',
+      slide: 1,
+      persona: 'novice',
+      turns: [
+        { role: 'audience', text: 'Q1' },
+        { role: 'presenter', text: 'A1' },
+        { role: 'audience', text: 'Q2' },
+        { role: 'presenter', text: 'A2' },
+        { role: 'audience', text: 'Q3' }
+      ]
+    });
+
+    expect(pair).toEqual({
+      question: 'Q1',
+      userAnswer: 'A1',
+      followUps: [{ question: 'Q2', userAnswer: 'A2' }],
+      slide: 1,
+      persona: 'novice',
+      threadId: 'thread-1'
+    });
+  });
+
+  test('skips threads that were never answered', () => {
+    expect(threadToQaPair({ id: 'thread-2', slide: 1, turns: [{ role: 'audience', text: 'Q1' }] })).toBeNull();
+  });
+});
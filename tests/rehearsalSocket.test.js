@@ -0,0 +1,183 @@
+const http = require('http');
+const WebSocket = require('ws');
+
+// Ask slide questions almost immediately instead of after 20 seconds
+process.env.REHEARSAL_QUESTION_DELAY_SECONDS = '0.05';
+
+const { repositories } = require('../services/storage');
+const { createUser, createApiKey, issueToken, login } = require('../services/auth');
+const { attachRehearsalSocket } = require('../services/rehearsalSocket');
+
+let server;
+let baseUrl;
+let apiKey;
+let strangerToken;
+
+beforeAll(async () => {
+  server = http.createServer();
+  attachRehearsalSocket(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `ws://127.0.0.1:${server.address().port}`;
+
+  await createUser({ email: 'admin@example.com', password: 'admin-password' });
+  const owner = await createUser({ email: 'owner@example.com', password: 'owner-password' });
+  const stranger = await createUser({ email: 'stranger@example.com', password: 'stranger-password' });
+  apiKey = (await createApiKey(owner, 'Headset')).apiKey;
+  strangerToken = issueToken(stranger);
+
+  await repositories.presentations.insert({
+    owner_id: owner.id,
+    unique_code: '54321',
+    title: 'Pitch',
+    slide_count: 2,
+    questions: { 1: ['Who is the customer?'], 2: ['What does it cost?'] }
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Open a socket whose messages can be awaited one at a time
+function connect(code, { headers = { 'x-api-key': apiKey }, query = '' } = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}/ws/rehearsal/${code}${query}`, { headers });
+    const received = [];
+    const waiting = [];
+
+    ws.on('message', data => {
+      const message = JSON.parse(data.toString());
+      if (waiting.length > 0) waiting.shift()(message);
+      else received.push(message);
+    });
+    ws.next = () => (received.length > 0 ? Promise.resolve(received.shift()) : new Promise(next => waiting.push(next)));
+    ws.request = message => {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+      return ws.next();
+    };
+
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+function countRehearsals() {
+  return repositories.rehearsals.findMany({ where: { presentation_code: '54321' } }).then(({ total }) => total);
+}
+
+// The server saves a session after the client sees the socket close, so wait for the row
+async function closeAndWaitForSave(ws, close = () => ws.close()) {
+  const before = await countRehearsals();
+  close();
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (await countRehearsals() > before) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('The session was not saved');
+}
+
+describe('live rehearsal socket', () => {
+  test('runs a whole session and saves it when the presenter ends it', async () => {
+    const ws = await connect('54321');
+    const closed = new Promise(resolve => ws.once('close', resolve));
+
+    expect(await ws.next()).toMatchObject({ type: 'session', status: 'active', code: '54321', slide: 1, slideCount: 2 });
+    expect(await ws.next()).toMatchObject({ type: 'question', slide: 1, question: 'Who is the customer?' });
+
+    expect(await ws.request({ type: 'answer', text: 'Finance teams at small companies' })).toMatchObject({ type: 'session', answers: 1 });
+    ws.send(JSON.stringify({
+      type: 'transcript',
+      text: 'Our customers are finance teams',
+      words: [
+        { word: 'Our', start: 1, end: 1.3 },
+        { word: 'customers', start: 1.4, end: 1.9 },
+        { word: 'are', start: 2, end: 2.2 },
+        { word: 'finance', start: 2.3, end: 2.7 },
+        { word: 'teams', start: 2.8, end: 3.1 }
+      ],
+      time: 3.2
+    }));
+    expect(await ws.request({ type: 'slide', slide: 2, time: 12 })).toMatchObject({ type: 'session', slide: 2, wordCount: 5 });
+    expect(await ws.request({ type: 'ping' })).toMatchObject({ type: 'pong' });
+
+    const ended = await ws.request({ type: 'end' });
+    expect(ended).toMatchObject({
+      type: 'ended',
+      sessionId: expect.any(String),
+      qaPairs: [{ slide: 1, question: 'Who is the customer?', userAnswer: 'Finance teams at small companies' }]
+    });
+    expect(await closed).toBe(1000);
+
+    const saved = await repositories.rehearsals.findOne({ id: ended.sessionId });
+    expect(saved).toMatchObject({
+      presentation_code: '54321',
+      source: 'live',
+      transcript: 'Our customers are finance teams',
+      slide_timestamps: [{ slide: 1, time: 0 }, { slide: 2, time: 12 }],
+      live_events: { questionsAsked: [expect.objectContaining({ slide: 1, question: 'Who is the customer?' })] }
+    });
+  });
+
+  test('keeps the session open when saving fails so the presenter can retry', async () => {
+    const insert = jest.spyOn(repositories.rehearsals, 'insert').mockRejectedValueOnce(new Error('database unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const ws = await connect('54321');
+    await ws.next();
+    await ws.next();
+
+    try {
+      expect(await ws.request({ type: 'end' })).toEqual({
+        type: 'error',
+        error: 'Failed to save the session; send end again to retry',
+        message: 'end'
+      });
+      expect(await ws.request({ type: 'ping' })).toMatchObject({ type: 'pong' });
+
+      const ended = await ws.request({ type: 'end' });
+      expect(ended).toMatchObject({ type: 'ended', sessionId: expect.any(String) });
+      expect(insert).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('reports bad messages without ending the session', async () => {
+    const ws = await connect('54321');
+    await ws.next();
+    expect(await ws.next()).toMatchObject({ type: 'question' });
+
+    expect(await ws.request('not json')).toEqual({ type: 'error', error: 'Messages must be JSON' });
+    expect(await ws.request({ type: 'dance' })).toEqual({ type: 'error', error: 'Unknown message type: dance' });
+    expect(await ws.request({ type: 'slide', slide: 3 })).toMatchObject({ type: 'error', error: 'slide must be between 1 and 2' });
+    expect(await ws.request({ type: 'answer', text: ' ' })).toMatchObject({ type: 'error', error: 'answer text is required' });
+    expect(await ws.request({ type: 'ping' })).toMatchObject({ type: 'pong' });
+
+    await closeAndWaitForSave(ws);
+  });
+
+  test('saves the session when the socket drops', async () => {
+    const ws = await connect('54321');
+    await ws.next();
+
+    await closeAndWaitForSave(ws, () => ws.terminate());
+  });
+
+  test('refuses unknown presentations', async () => {
+    await expect(connect('99999')).rejects.toThrow('Unexpected server response: 404');
+  });
+
+  test('requires a credential and hides other people\'s presentations', async () => {
+    await expect(connect('54321', { headers: {} })).rejects.toThrow('Unexpected server response: 401');
+    await expect(connect('54321', { headers: { 'x-api-key': 'awz_revoked' } })).rejects.toThrow('Unexpected server response: 401');
+    await expect(connect('54321', { headers: {}, query: `?access_token=${strangerToken}` })).rejects.toThrow('Unexpected server response: 404');
+  });
+
+  test('accepts a session token in the query string for clients that cannot set headers', async () => {
+    const { token } = await login({ email: 'owner@example.com', password: 'owner-password' });
+    const ws = await connect('54321', { headers: {}, query: `?access_token=${token}` });
+
+    expect(await ws.next()).toMatchObject({ type: 'session', code: '54321' });
+    await closeAndWaitForSave(ws);
+  });
+});
@@ -0,0 +1,45 @@
+const report = require('./fixtures/report.json');
+const { exportReport, renderCsv, renderHtml } = require('../services/reportExport');
+
+describe('report exports', () => {
+  test('HTML export matches the snapshot', () => {
+    expect(renderHtml(report)).toMatchSnapshot();
+  });
+
+  test('CSV export matches the snapshot', () => {
+    expect(renderCsv(report)).toMatchSnapshot();
+  });
+
+  test('exports of the same report are identical', () => {
+    expect(renderHtml(JSON.parse(JSON.stringify(report)))).toBe(renderHtml(report));
+    expect(renderCsv(JSON.parse(JSON.stringify(report)))).toBe(renderCsv(report));
+  });
+
+  test('CSV cells that look like formulas are not evaluated', () => {
+    const [, , secondQuestion] = renderCsv(report).split('\r\n');
+    expect(secondQuestion).toContain("'=SUM(A1:A3) in year three");
+  });
+
+  test('HTML escapes answers and justifications', () => {
+    const html = renderHtml(report);
+    expect(html).toContain('Direct &lt;and&gt; concise.');
+    expect(html).toContain('&quot;conservative&quot;');
+  });
+
+  test('reports without a rubric or slides still render', () => {
+    const legacy = {
+      code: 'OLD123',
+      generatedAt: '2025-01-02T03:04:05.000Z',
+      summary: { totalQuestions: 1, averageScore: 50 },
+      evaluations: [{ "Question": 'Why?', "User Answer": 'Because.', "Similarity Score": 50 }]
+    };
+    expect(renderHtml(legacy)).toContain('<dt>Rubric</dt><dd>Default</dd>');
+    expect(renderCsv(legacy).split('\r\n')[0]).toBe('\uFEFFQuestion #,Slide,Question,Answer,Follow-ups,Score,Passed,Status,Scorer,Reference Answer,Missing Points,Error');
+  });
+
+  test('exportReport names the file after the report code', () => {
+    const { contentType, filename } = exportReport(report, 'csv');
+    expect(contentType).toBe('text/csv; charset=utf-8');
+    expect(filename).toBe('report-RPT4KX.csv');
+  });
+});
@@ -0,0 +1,89 @@
+const { repositories } = require('../services/storage');
+const {
+  DEFAULT_RUBRIC_ID,
+  normalizeRubric,
+  getBuiltInRubric,
+  listBuiltInRubrics,
+  resolveRubric,
+  weightedScore
+} = require('../services/rubrics');
+
+const salesRubric = {
+  name: 'Sales call',
+  passThreshold: 60,
+  criteria: [
+    { name: 'Objection Handling', weight: 3 },
+    { id: 'empathy', weight: 1 }
+  ]
+};
+
+describe('normalizeRubric', () => {
+  test('slugifies ids and scales weights so they add up to 1', () => {
+    expect(normalizeRubric(salesRubric)).toEqual({
+      id: 'sales-call',
+      name: 'Sales call',
+      passThreshold: 60,
+      criteria: [
+        { id: 'objection-handling', name: 'Objection Handling', description: '', weight: 0.75 },
+        { id: 'empathy', name: 'empathy', description: '', weight: 0.25 }
+      ]
+    });
+  });
+
+  test('weighs criteria equally and passes at 70 unless told otherwise', () => {
+    const rubric = normalizeRubric({ criteria: [{ name: 'A' }, { name: 'B' }, { name: 'C' }] }, 'three-way');
+
+    expect(rubric).toMatchObject({ id: 'three-way', name: 'Custom rubric', passThreshold: 70 });
+    expect(rubric.criteria.map(criterion => criterion.weight)).toEqual([0.333, 0.333, 0.333]);
+  });
+
+  test('rejects duplicate and invalid criteria', () => {
+    const criteria = count => Array.from({ length: count }, (_, index) => ({ name: `c${index}` }));
+
+    expect(() => normalizeRubric(null)).toThrow('rubric must be an object');
+    expect(() => normalizeRubric({ criteria: [] })).toThrow('1 to 10 criteria');
+    expect(() => normalizeRubric({ criteria: criteria(11) })).toThrow('1 to 10 criteria');
+    expect(() => normalizeRubric({ criteria: [{ name: 'Clarity' }, { id: 'clarity' }] })).toThrow('rubric.criteria[1] repeats criterion "clarity"');
+    expect(() => normalizeRubric({ criteria: [{ description: 'nameless' }] })).toThrow('rubric.criteria[0] needs an id or name');
+    expect(() => normalizeRubric({ criteria: [{ name: 'A', weight: 0 }] })).toThrow('rubric.criteria[0].weight must be a positive number');
+    expect(() => normalizeRubric({ criteria: [{ name: 'A', weight: 'heavy' }] })).toThrow('weight must be a positive number');
+    expect(() => normalizeRubric({ criteria: criteria(1), passThreshold: 120 })).toThrow('passThreshold must be between 0 and 100');
+  });
+});
+
+describe('built-in rubrics', () => {
+  test('all have weights that add up to 1', () => {
+    const rubrics = listBuiltInRubrics();
+
+    expect(rubrics.map(rubric => rubric.id)).toEqual(['default', 'technical', 'pitch']);
+    rubrics.forEach(rubric => {
+      expect(rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0)).toBeCloseTo(1, 2);
+    });
+    expect(getBuiltInRubric('missing')).toBeNull();
+  });
+});
+
+describe('resolveRubric', () => {
+  beforeAll(async () => {
+    await repositories.rubrics.insert({ rubric_id: 'sales', definition: salesRubric });
+  });
+
+  test('prefers an inline rubric, then a built-in id, then a saved custom rubric', async () => {
+    expect((await resolveRubric({ rubricId: 'pitch', rubric: salesRubric })).id).toBe('sales-call');
+    expect((await resolveRubric({ rubricId: 'technical' })).name).toBe('Technical review');
+    expect(await resolveRubric({ rubricId: 'sales' })).toMatchObject({ id: 'sales', name: 'Sales call', passThreshold: 60 });
+  });
+
+  test('uses the default rubric when none is named and null for unknown ids', async () => {
+    expect((await resolveRubric()).id).toBe(DEFAULT_RUBRIC_ID);
+    expect(await resolveRubric({ rubricId: 'nope' })).toBeNull();
+  });
+});
+
+describe('weightedScore', () => {
+  test('averages criterion scores by weight', () => {
+    const rubric = normalizeRubric(salesRubric);
+
+    expect(weightedScore(rubric, { 'objection-handling': { score: 80 }, empathy: { score: 40 } })).toBe(70);
+  });
+});
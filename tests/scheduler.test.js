@@ -0,0 +1,184 @@
+const { createScheduler, parseDuration } = require('../services/llm/scheduler');
+
+function providerError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+// A provider call that stays in flight until the test settles it
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('parseDuration', () => {
+  test('reads seconds and OpenAI-style durations', () => {
+    expect(parseDuration('12')).toBe(12000);
+    expect(parseDuration('0.5')).toBe(500);
+    expect(parseDuration('6m0s')).toBe(360000);
+    expect(parseDuration('1h2m')).toBe(3720000);
+    expect(parseDuration('20ms')).toBe(20);
+    expect(parseDuration('')).toBeNull();
+    expect(parseDuration('soon')).toBeNull();
+  });
+});
+
+describe('createScheduler', () => {
+  test('dispatches queued requests by priority, then in arrival order', async () => {
+    const scheduler = createScheduler('test', { maxConcurrency: 1 });
+    const first = deferred();
+    const order = [];
+    const run = label => async () => { order.push(label); return {}; };
+
+    const running = scheduler.schedule(() => first.promise);
+    const queued = [
+      scheduler.schedule(run('background'), { priority: 'background' }),
+      scheduler.schedule(run('normal 1')),
+      scheduler.schedule(run('interactive'), { priority: 'interactive' }),
+      scheduler.schedule(run('normal 2'), { priority: 'unknown' })
+    ];
+    expect(scheduler.status().queue).toMatchObject({ depth: 4, active: 1, byPriority: { interactive: 1, normal: 2, background: 1 } });
+
+    first.resolve({});
+    await Promise.all([running, ...queued]);
+
+    expect(order).toEqual(['interactive', 'normal 1', 'normal 2', 'background']);
+    expect(scheduler.status().totals).toMatchObject({ completed: 5, failed: 0 });
+  });
+
+  test('holds requests back until the reported quota resets', async () => {
+    const scheduler = createScheduler('test');
+    const later = jest.fn(async () => ({}));
+
+    await scheduler.schedule(async () => ({
+      headers: { 'x-ratelimit-limit-requests': '60', 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '2s' }
+    }));
+    const pending = scheduler.schedule(later);
+
+    expect(scheduler.status().quota.requests).toEqual({ limit: 60, remaining: 0, resetsAt: '2026-01-01T00:00:02.000Z' });
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(later).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(later).toHaveBeenCalledTimes(1);
+    expect(scheduler.status().quota.requests.remaining).toBeNull();
+  });
+
+  test('expects a used-up quota without a reset time to refill within a minute', async () => {
+    const scheduler = createScheduler('test');
+    const later = jest.fn(async () => ({}));
+
+    await scheduler.schedule(async () => ({ headers: { 'x-ratelimit-remaining-requests': '0' } }));
+    const pending = scheduler.schedule(later);
+
+    expect(scheduler.status().quota.requests.resetsAt).toBe('2026-01-01T00:01:00.000Z');
+    await jest.advanceTimersByTimeAsync(59999);
+    expect(later).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(later).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits for a request that needs more tokens than remain', async () => {
+    const scheduler = createScheduler('test');
+    const later = jest.fn(async () => ({}));
+
+    await scheduler.schedule(async () => ({
+      headers: { 'x-ratelimit-remaining-tokens': '100', 'x-ratelimit-reset-tokens': '500ms' }
+    }));
+    const pending = scheduler.schedule(later, { maxTokens: 200 });
+
+    await jest.advanceTimersByTimeAsync(499);
+    expect(later).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(later).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps to the local requests-per-minute budget', async () => {
+    const scheduler = createScheduler('test', { requestsPerMinute: 2 });
+    const run = jest.fn(async () => ({}));
+
+    await scheduler.schedule(run);
+    await scheduler.schedule(run);
+    const third = scheduler.schedule(run);
+
+    await jest.advanceTimersByTimeAsync(59999);
+    expect(run).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    await third;
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries after a 429 once retry-after has passed and holds back every other request meanwhile', async () => {
+    const scheduler = createScheduler('test', { baseDelayMs: 1000 });
+    const limited = jest.fn()
+      .mockRejectedValueOnce(providerError(429, { 'Retry-After': '3' }))
+      .mockResolvedValueOnce({ text: 'ok' });
+    const other = jest.fn(async () => ({}));
+
+    const retried = scheduler.schedule(limited);
+    await jest.advanceTimersByTimeAsync(0);
+    const waiting = scheduler.schedule(other);
+
+    expect(scheduler.status().backoffUntil).toBe('2026-01-01T00:00:03.000Z');
+    await jest.advanceTimersByTimeAsync(2999);
+    expect(limited).toHaveBeenCalledTimes(1);
+    expect(other).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(retried).resolves.toEqual({ text: 'ok' });
+    await waiting;
+    expect(limited).toHaveBeenCalledTimes(2);
+    expect(scheduler.status().totals).toMatchObject({ completed: 2, retried: 1, rateLimited: 1, failed: 0 });
+  });
+
+  test('delays only the failed request after a server error', async () => {
+    const scheduler = createScheduler('test', { maxConcurrency: 1, baseDelayMs: 1000 });
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(providerError(503))
+      .mockResolvedValueOnce({});
+    const other = jest.fn(async () => ({}));
+
+    const retried = scheduler.schedule(flaky);
+    await jest.advanceTimersByTimeAsync(0);
+    await scheduler.schedule(other);
+
+    expect(other).toHaveBeenCalledTimes(1);
+    expect(flaky).toHaveBeenCalledTimes(1);
+    expect(scheduler.status().backoffUntil).toBeNull();
+
+    // First backoff is half of baseDelayMs plus jitter, which Math.random pins to zero
+    await jest.advanceTimersByTimeAsync(500);
+    await retried;
+    expect(flaky).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after maxRetries and does not retry client errors', async () => {
+    const scheduler = createScheduler('test', { maxRetries: 2, baseDelayMs: 10 });
+    const failing = jest.fn(async () => { throw providerError(500); });
+    const invalid = jest.fn(async () => { throw providerError(400); });
+
+    const outcome = scheduler.schedule(failing).catch(error => error);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect((await outcome).status).toBe(500);
+    expect(failing).toHaveBeenCalledTimes(3);
+    await expect(scheduler.schedule(invalid)).rejects.toMatchObject({ status: 400 });
+    expect(invalid).toHaveBeenCalledTimes(1);
+    expect(scheduler.status().totals).toMatchObject({ retried: 2, failed: 2 });
+  });
+});
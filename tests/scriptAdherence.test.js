@@ -0,0 +1,92 @@
+const { AdherenceError, analyzeScriptAdherence, parseTranscripts, transcriptsFromRehearsal } = require('../services/scriptAdherence');
+
+const presentation = {
+  slide_count: 3,
+  slide_titles: { 1: 'Problem', 2: 'Traction', 3: 'Ask' },
+  slide_texts: {
+    1: 'Status meetings waste four hours weekly\n• Remote teams suffer most',
+    2: 'Forty paying customers\n• Revenue doubles every quarter',
+    3: 'Raising two million dollars\n• Hiring engineers and sales'
+  },
+  speech_content: {
+    1: 'Every team we interviewed loses four hours weekly to status meetings.',
+    2: 'We signed forty paying customers in three months.',
+    3: ''
+  }
+};
+
+describe('parseTranscripts', () => {
+  test('accepts an object or an array and joins repeated slides', () => {
+    expect(parseTranscripts({ 1: 'hello' }, presentation)).toEqual({ 1: 'hello' });
+    expect(parseTranscripts([{ slide: 2, transcript: 'first' }, { slide: '2', transcript: 'second' }], presentation))
+      .toEqual({ 2: 'first second' });
+  });
+
+  test('rejects missing transcripts, unknown slides and non-string text', () => {
+    expect(() => parseTranscripts([], presentation)).toThrow(AdherenceError);
+    expect(() => parseTranscripts('text', presentation)).toThrow('transcripts must be a non-empty');
+    expect(() => parseTranscripts({ 4: 'text' }, presentation)).toThrow('transcripts.4: slide must be between 1 and 3');
+    expect(() => parseTranscripts([{ slide: 1, transcript: 5 }], presentation)).toThrow('transcripts[0]: transcript must be a string');
+
+    let error;
+    try {
+      parseTranscripts({}, presentation);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ name: 'AdherenceError', status: 400 });
+  });
+});
+
+describe('transcriptsFromRehearsal', () => {
+  test('reads the per-slide transcripts of a rehearsal', () => {
+    const session = { metrics: { perSlide: { 1: { transcript: 'hello there' }, 2: {} } } };
+    expect(transcriptsFromRehearsal(session)).toEqual({ 1: 'hello there', 2: '' });
+    expect(transcriptsFromRehearsal({})).toEqual({});
+  });
+});
+
+describe('analyzeScriptAdherence', () => {
+  test('scores key points from the speech content and the slide text', () => {
+    const { slides, summary } = analyzeScriptAdherence(presentation, {
+      1: 'Every team we interviewed loses four hours weekly to status meetings, and remote teams suffer most.',
+      2: 'We signed forty paying customers in three months.'
+    });
+
+    expect(slides[0]).toMatchObject({ slide: 1, title: 'Problem', coverage: 100, missedPoints: [], addedContent: [] });
+    expect(slides[1]).toMatchObject({ slide: 2, speechCoverage: 100 });
+    expect(slides[1].missedPoints).toEqual([
+      expect.objectContaining({ source: 'slide', text: 'Revenue doubles every quarter', coverage: 0 })
+    ]);
+    expect(summary).toMatchObject({ slidesAnalyzed: 2, skippedSlides: [3], languageMismatches: [] });
+  });
+
+  test('flags slides whose coverage falls below the pass mark, worst first', () => {
+    const { summary } = analyzeScriptAdherence(presentation, {
+      1: 'Remote teams suffer most from status meetings.',
+      2: 'Nothing about the numbers here.',
+      3: 'Raising two million dollars for hiring engineers and sales.'
+    });
+
+    expect(summary.slides.find(slide => slide.slide === 3)).toMatchObject({ coverage: 100, struggled: false });
+    expect(summary.struggledSlides).toEqual([2, 1]);
+    expect(summary.skippedSlides).toEqual([]);
+  });
+
+  test('reports sentences the script does not contain as added content', () => {
+    const { slides } = analyzeScriptAdherence(presentation, {
+      3: 'Raising two million dollars. Our competitors copied pricing from enterprise vendors.'
+    });
+
+    expect(slides[0].addedContent).toEqual([
+      expect.objectContaining({ text: 'Our competitors copied pricing from enterprise vendors.' })
+    ]);
+  });
+
+  test('does not score a transcript in another language than the script', () => {
+    const { slides, summary } = analyzeScriptAdherence(presentation, { 1: 'हम हर हफ्ते चार घंटे मीटिंग में खो देते हैं' });
+
+    expect(slides[0]).toMatchObject({ languageMismatch: true, coverage: null, scriptLanguage: 'en', transcriptLanguage: 'hi' });
+    expect(summary).toMatchObject({ coverage: null, passRate: null, languageMismatches: [1] });
+  });
+});
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tests run offline: local storage in a throwaway directory, the mock LLM provider and no
+// text-to-speech unless a suite turns it on. Each test file gets its own directory, so suites
+// never see each other's rows or blobs.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awaaz-test-'));
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_DATA_DIR = dataDir;
+process.env.LOCAL_STORAGE_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'mock';
+process.env.TTS_PROVIDER = '';
+
+// Jobs save their final state and caches count hits after callers have moved on, so give
+// those writes a moment to land before the directory goes
+afterAll(async () => {
+  await new Promise(resolve => setTimeout(resolve, 20));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,87 @@
+const { analyzeRehearsal, assessLivePacing, normalizeSlideTimestamps } = require('../services/speechAnalytics');
+
+// Words spoken back to back from `start`, each taking `step` seconds
+function timedWords(text, start = 0, step = 0.5) {
+  return text.split(' ').map((word, index) => ({
+    word,
+    start: start + index * step,
+    end: start + index * step + step * 0.8
+  }));
+}
+
+describe('normalizeSlideTimestamps', () => {
+  test('sorts slide changes by time', () => {
+    expect(normalizeSlideTimestamps([{ slide: '2', time: 30 }, { slide: 1, time: 0 }]))
+      .toEqual([{ slide: 1, time: 0 }, { slide: 2, time: 30 }]);
+  });
+
+  test('rejects entries without a valid slide or time', () => {
+    expect(() => normalizeSlideTimestamps({ slide: 1 })).toThrow('must be an array');
+    expect(() => normalizeSlideTimestamps([{ slide: 0, time: 1 }])).toThrow('slideTimestamps[0]');
+    expect(() => normalizeSlideTimestamps([{ slide: 1, time: -5 }])).toThrow('slideTimestamps[0]');
+  });
+});
+
+describe('analyzeRehearsal', () => {
+  test('computes pace, fillers and pauses for the whole talk', () => {
+    const words = [
+      ...timedWords('so um this is you know our product'),
+      ...timedWords('it basically saves time', 10)
+    ];
+    const metrics = analyzeRehearsal({ words, duration: 12, slideTimestamps: [] });
+
+    expect(metrics.totalDuration).toBe(12);
+    expect(metrics.totalWords).toBe(12);
+    expect(metrics.averageWordsPerMinute).toBe(60);
+    expect(metrics.fillers).toEqual({ um: 1, 'you know': 1, basically: 1 });
+    expect(metrics.fillerCount).toBe(3);
+    expect(metrics.longPauseCount).toBe(1);
+    expect(metrics.totalPauseTime).toBe(6.1);
+  });
+
+  test('splits words over slides and attributes early words to the first slide shown', () => {
+    const words = [...timedWords('welcome everyone'), ...timedWords('our revenue grew', 20)];
+    const metrics = analyzeRehearsal({
+      words,
+      duration: 30,
+      slideTimestamps: [{ slide: 2, time: 15 }, { slide: 1, time: 0.5 }]
+    });
+
+    expect(metrics.perSlide[1]).toMatchObject({ start: 0, end: 15, duration: 15, wordCount: 2, transcript: 'welcome everyone', visits: 1 });
+    expect(metrics.perSlide[2]).toMatchObject({ start: 15, end: 30, duration: 15, wordCount: 3, transcript: 'our revenue grew' });
+  });
+
+  test('merges repeated visits to the same slide', () => {
+    const words = [...timedWords('first look', 1), ...timedWords('detour', 11), ...timedWords('second look', 21)];
+    const metrics = analyzeRehearsal({
+      words,
+      duration: 30,
+      slideTimestamps: [{ slide: 1, time: 0 }, { slide: 2, time: 10 }, { slide: 1, time: 20 }]
+    });
+
+    expect(metrics.perSlide[1]).toMatchObject({ duration: 20, wordCount: 4, transcript: 'first look second look', visits: 2 });
+    expect(metrics.perSlide[2]).toMatchObject({ duration: 10, wordCount: 1, visits: 1 });
+  });
+
+  test('uses the last word when the recording is shorter than the speech', () => {
+    const metrics = analyzeRehearsal({ words: timedWords('one two three four'), duration: 0, slideTimestamps: [] });
+    expect(metrics.totalDuration).toBe(1.9);
+  });
+});
+
+describe('assessLivePacing', () => {
+  test('waits for a full window before warning', () => {
+    expect(assessLivePacing(timedWords('um um um'), 10)).toEqual([]);
+  });
+
+  test('warns about speaking too fast and about fillers', () => {
+    const words = timedWords(Array.from({ length: 100 }, (_, index) => (index % 10 === 0 ? 'um' : 'word')).join(' '), 0, 0.3);
+    const kinds = assessLivePacing(words, 30).map(warning => warning.kind);
+    expect(kinds).toEqual(['too-fast', 'fillers']);
+  });
+
+  test('warns about speaking too slowly', () => {
+    const [warning] = assessLivePacing(timedWords('slow and steady', 5, 5), 30);
+    expect(warning).toMatchObject({ kind: 'too-slow', value: 6 });
+  });
+});
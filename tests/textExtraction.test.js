@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writePdf } = require('./fixtures/pdf');
+
+const mockWorker = {
+  recognize: jest.fn(),
+  terminate: jest.fn(async () => {})
+};
+
+jest.mock('tesseract.js', () => ({ createWorker: jest.fn(async () => mockWorker) }));
+
+const { createWorker } = require('tesseract.js');
+const { OCR_TEXT_THRESHOLD, extractTextFromPdf, needsOcr, textLayerSource, ocrPageImages } = require('../services/textExtraction');
+
+let workDir;
+
+beforeAll(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awaaz-text-'));
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('extractTextFromPdf', () => {
+  test('returns one entry per page, keeping image-only pages as empty strings', async () => {
+    const filePath = path.join(workDir, 'deck.pdf');
+    writePdf(filePath, [
+      ['Market size', 'Teams waste hours on manual reports'],
+      [],
+      ['Our product']
+    ]);
+
+    const pages = await extractTextFromPdf(filePath);
+
+    expect(pages).toEqual(['Market size\nTeams waste hours on manual reports', '', 'Our product']);
+  });
+});
+
+describe('OCR fallback selection', () => {
+  test('sends pages with a missing or thin text layer to OCR', () => {
+    expect(needsOcr('')).toBe(true);
+    expect(needsOcr(null)).toBe(true);
+    expect(needsOcr('  Title  ')).toBe(true);
+    expect(needsOcr('x'.repeat(OCR_TEXT_THRESHOLD - 1))).toBe(true);
+    expect(needsOcr('x'.repeat(OCR_TEXT_THRESHOLD))).toBe(false);
+  });
+
+  test('treats the text layer as exact and marks empty pages as having no source', () => {
+    expect(textLayerSource('Market size')).toEqual({ source: 'text', confidence: 1 });
+    expect(textLayerSource('   ')).toEqual({ source: 'none', confidence: null });
+    expect(textLayerSource('')).toEqual({ source: 'none', confidence: null });
+  });
+});
+
+describe('ocrPageImages', () => {
+  test('does not start a worker when no page needs OCR', async () => {
+    expect(await ocrPageImages([])).toEqual({});
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  test('reuses one worker, reports each page and keeps going after a failed page', async () => {
+    mockWorker.recognize.mockImplementation(async imagePath => {
+      if (imagePath === 'slide_3.png') throw new Error('unreadable image');
+      return { data: { text: ` Text of ${imagePath}\n`, confidence: 87.456 } };
+    });
+    const onPage = jest.fn();
+
+    const results = await ocrPageImages([
+      { page: 2, path: 'slide_2.png' },
+      { page: 3, path: 'slide_3.png' }
+    ], { onPage });
+
+    expect(results).toEqual({
+      2: { text: 'Text of slide_2.png', confidence: 0.87 },
+      3: { error: 'unreadable image' }
+    });
+    expect(createWorker).toHaveBeenCalledTimes(1);
+    expect(onPage.mock.calls.map(([page]) => page)).toEqual([2, 3]);
+    expect(mockWorker.terminate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,103 @@
+const { buildTimingPlan, compareTiming, parseTargetMinutes, slideBudget, speechFits } = require('../services/timingPlan');
+
+const total = plan => plan.slides.reduce((sum, budget) => sum + budget.seconds, 0);
+
+describe('parseTargetMinutes', () => {
+  test('converts minutes to whole seconds and tells an absent field from a cleared one', () => {
+    expect(parseTargetMinutes('7.5')).toBe(450);
+    expect(parseTargetMinutes(undefined)).toBeUndefined();
+    expect(parseTargetMinutes(null)).toBeNull();
+    expect(parseTargetMinutes('')).toBeNull();
+  });
+
+  test('rejects lengths that are not a sensible number of minutes', () => {
+    for (const value of ['ten', 0, -3, 241]) {
+      expect(() => parseTargetMinutes(value)).toThrow('targetMinutes must be a number of minutes');
+    }
+  });
+});
+
+describe('buildTimingPlan', () => {
+  const deck = {
+    slideCount: 3,
+    slideTexts: {
+      1: 'Welcome',
+      2: 'Market size\nFive million small teams\nSpending grows every year\nNo tool owns the space',
+      3: 'Thank you'
+    },
+    speakerNotes: { 2: 'Walk through the survey and the three sources behind the estimate' }
+  };
+
+  test('splits the target over the slides in whole seconds that add up', () => {
+    const plan = buildTimingPlan(deck, 300);
+
+    expect(total(plan)).toBe(300);
+    expect(plan.slides.map(budget => budget.startsAt)).toEqual([0, plan.slides[0].seconds, plan.slides[0].seconds + plan.slides[1].seconds]);
+    expect(plan.slides[1].seconds).toBeGreaterThan(plan.slides[0].seconds);
+    expect(plan.slides[1].targetWords).toBe(Math.round(plan.slides[1].seconds * plan.wordsPerMinute / 60));
+  });
+
+  test('gives every slide its minimum, or an equal share of a very short talk', () => {
+    expect(buildTimingPlan(deck, 300).slides.every(budget => budget.seconds >= 15)).toBe(true);
+    expect(buildTimingPlan(deck, 30).slides.map(budget => budget.seconds)).toEqual([10, 10, 10]);
+  });
+
+  test('has no plan for an empty deck', () => {
+    expect(buildTimingPlan({ slideCount: 0 }, 60)).toBeNull();
+  });
+});
+
+describe('slideBudget and speechFits', () => {
+  const plan = buildTimingPlan({ slideCount: 2, slideTexts: { 1: 'Intro', 2: 'Intro' } }, 60);
+
+  test('finds the budget of a slide given as a number or a string', () => {
+    expect(slideBudget(plan, '2')).toBe(plan.slides[1]);
+    expect(slideBudget(plan, 3)).toBeNull();
+    expect(slideBudget(null, 1)).toBeNull();
+  });
+
+  test('accepts speech within the tolerance of the target word count', () => {
+    const budget = { targetWords: 70 };
+    const words = count => Array(count).fill('word').join(' ');
+
+    expect(speechFits(words(70), budget)).toBe(true);
+    expect(speechFits(words(84), budget)).toBe(true);
+    expect(speechFits(words(85), budget)).toBe(false);
+    expect(speechFits(words(50), budget)).toBe(false);
+    expect(speechFits('', null)).toBe(true);
+  });
+});
+
+describe('compareTiming', () => {
+  const plan = {
+    targetSeconds: 120,
+    slides: [
+      { slide: 1, seconds: 30 },
+      { slide: 2, seconds: 60 },
+      { slide: 3, seconds: 30 }
+    ]
+  };
+
+  test('flags overruns, underruns and skipped slides', () => {
+    const comparison = compareTiming(plan, { 1: { duration: 45.04 }, 2: { duration: 40 } });
+
+    expect(comparison).toMatchObject({
+      targetSeconds: 120,
+      actualSeconds: 85,
+      difference: -35,
+      status: 'underrun',
+      overruns: [1],
+      underruns: [2],
+      skippedSlides: [3]
+    });
+    expect(comparison.slides[0]).toEqual({ slide: 1, plannedSeconds: 30, actualSeconds: 45, difference: 15, status: 'overrun' });
+    expect(comparison.slides[2]).toMatchObject({ actualSeconds: null, status: 'skipped' });
+  });
+
+  test('treats timings within the tolerance as on time', () => {
+    const comparison = compareTiming(plan, { 1: { duration: 33 }, 2: { duration: 55 }, 3: { duration: 30 } });
+
+    expect(comparison.status).toBe('on-time');
+    expect(comparison.slides.map(slide => slide.status)).toEqual(['on-time', 'on-time', 'on-time']);
+  });
+});